@@ -44,7 +44,6 @@ class MainActivity : ComponentActivity() {
     private val _recentActions = mutableStateListOf<AuditEntry>()
     private val _currentPlan = mutableStateOf<ActionPlan?>(null)
     private val _showConfirmation = mutableStateOf(false)
-    private var _currentPlanJson: String = ""
 
     private val permissionLauncher = registerForActivityResult(
         ActivityResultContracts.RequestMultiplePermissions()
@@ -116,16 +115,19 @@ class MainActivity : ComponentActivity() {
                         ConfirmationPanel(
                             plan = _currentPlan.value,
                             visible = _showConfirmation.value,
-                            onConfirm = { doubleConfirmed ->
-                                OperatorForegroundService.instance?.confirmAction(
-                                    _currentPlanJson,
-                                    doubleConfirmed
-                                )
+                            onConfirm = { doubleConfirmed, approvedSteps ->
+                                val planId = _currentPlan.value?.planId
+                                if (planId != null) {
+                                    OperatorForegroundService.instance?.confirmAction(planId, doubleConfirmed, approvedSteps)
+                                    addAuditEntry("action_confirmed", _currentPlan.value?.intent?.name ?: "")
+                                } else {
+                                    addAuditEntry("error", "Plan has no plan_id — ask again")
+                                }
                                 _showConfirmation.value = false
-                                addAuditEntry("action_confirmed", _currentPlan.value?.intent?.name ?: "")
                             },
                             onReject = {
                                 OperatorForegroundService.instance?.rejectAction(
+                                    _currentPlan.value?.planId,
                                     _currentPlan.value?.intent?.name
                                 )
                                 _showConfirmation.value = false
@@ -217,7 +219,6 @@ class MainActivity : ComponentActivity() {
         OperatorForegroundService.onPlanReceived = { json ->
             runOnUiThread {
                 try {
-                    _currentPlanJson = json
                     val response = gson.fromJson(json, Map::class.java)
                     val planMap = response["plan"] as? Map<*, *>
                     if (planMap != null) {
@@ -32,7 +32,20 @@ data class ActionPlan(
     val requiresDoubleConfirm: Boolean = false,
 
     @SerializedName("is_passive")
-    val isPassive: Boolean = false
+    val isPassive: Boolean = false,
+
+    @SerializedName("plan_id")
+    val planId: String? = null,
+
+    @SerializedName("expires_at")
+    val expiresAt: String? = null,
+
+    // Only set for MULTI_STEP plans — each step is a single-intent plan
+    @SerializedName("steps")
+    val steps: List<ActionPlan>? = null,
+
+    @SerializedName("step_index")
+    val stepIndex: Int? = null
 )
 
 /**
@@ -43,7 +56,9 @@ enum class ActionIntent {
     @SerializedName("call_number") CALL_NUMBER,
     @SerializedName("summarize_call") SUMMARIZE_CALL,
     @SerializedName("open_app") OPEN_APP,
-    @SerializedName("info_response") INFO_RESPONSE
+    @SerializedName("info_response") INFO_RESPONSE,
+    @SerializedName("set_reminder") SET_REMINDER,
+    @SerializedName("multi_step") MULTI_STEP
 }
 
 /**
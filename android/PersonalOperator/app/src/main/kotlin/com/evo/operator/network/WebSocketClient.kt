@@ -146,24 +146,25 @@ class WebSocketClient(
     }
 
     /**
-     * Sends confirmation for an action plan.
+     * Sends confirmation for an action plan. The backend executes its own
+     * stored copy, looked up by the signed plan_id. approvedSteps picks which
+     * steps of a multi-step plan run; null runs the whole plan.
      */
-    fun confirmAction(plan: Map<String, Any>, doubleConfirmed: Boolean = false) {
-        val msg = WsOutgoingMessage(
-            type = "action_confirm",
-            data = mapOf("plan" to plan, "double_confirmed" to doubleConfirmed)
-        )
+    fun confirmAction(planId: String, doubleConfirmed: Boolean = false, approvedSteps: List<Int>? = null) {
+        val data = mutableMapOf<String, Any>("plan_id" to planId, "double_confirmed" to doubleConfirmed)
+        if (approvedSteps != null) data["approved_steps"] = approvedSteps
+        val msg = WsOutgoingMessage(type = "action_confirm", data = data)
         webSocket?.send(gson.toJson(msg))
     }
 
     /**
-     * Sends rejection for an action plan.
+     * Sends rejection for an action plan. The plan_id is burned server-side
+     * so the plan can no longer be confirmed.
      */
-    fun rejectAction(intent: String?) {
-        val msg = WsOutgoingMessage(
-            type = "action_reject",
-            data = mapOf("intent" to (intent ?: "unknown"))
-        )
+    fun rejectAction(planId: String?, intent: String?) {
+        val data = mutableMapOf<String, Any>("intent" to (intent ?: "unknown"))
+        if (planId != null) data["plan_id"] = planId
+        val msg = WsOutgoingMessage(type = "action_reject", data = data)
         webSocket?.send(gson.toJson(msg))
     }
 
@@ -10,8 +10,6 @@ import com.evo.operator.MainActivity
 import com.evo.operator.model.NotificationData
 import com.evo.operator.network.WebSocketClient
 import com.evo.operator.security.SecureStorage
-import com.google.gson.Gson
-import com.google.gson.reflect.TypeToken
 
 /**
  * Foreground service that keeps the app alive, manages the WebSocket
@@ -47,7 +45,6 @@ class OperatorForegroundService : Service() {
 
     private lateinit var secureStorage: SecureStorage
     private var wsClient: WebSocketClient? = null
-    private val gson = Gson()
     private var wakeLock: PowerManager.WakeLock? = null
 
     override fun onCreate() {
@@ -129,17 +126,15 @@ class OperatorForegroundService : Service() {
     /**
      * Confirms an action plan via WebSocket.
      */
-    fun confirmAction(planJson: String, doubleConfirmed: Boolean = false) {
-        val planType = object : TypeToken<Map<String, Any>>() {}.type
-        val plan: Map<String, Any> = gson.fromJson(planJson, planType)
-        wsClient?.confirmAction(plan, doubleConfirmed)
+    fun confirmAction(planId: String, doubleConfirmed: Boolean = false, approvedSteps: List<Int>? = null) {
+        wsClient?.confirmAction(planId, doubleConfirmed, approvedSteps)
     }
 
     /**
      * Rejects an action plan via WebSocket.
      */
-    fun rejectAction(intent: String?) {
-        wsClient?.rejectAction(intent)
+    fun rejectAction(planId: String?, intent: String?) {
+        wsClient?.rejectAction(planId, intent)
     }
 
     /**
@@ -26,7 +26,7 @@ import com.evo.operator.model.RiskLevel
  * Shows the AI's action plan with:
  * - Human-readable summary (Hinglish)
  * - Risk level badge (color-coded)
- * - Execution steps
+ * - Execution steps (multi-step plans: one checkbox per step)
  * - Confirm / Reject buttons
  * - Double confirmation for high-risk actions
  */
@@ -35,11 +35,19 @@ import com.evo.operator.model.RiskLevel
 fun ConfirmationPanel(
     plan: ActionPlan?,
     visible: Boolean,
-    onConfirm: (doubleConfirmed: Boolean) -> Unit,
+    onConfirm: (doubleConfirmed: Boolean, approvedSteps: List<Int>?) -> Unit,
     onReject: () -> Unit,
     onDismiss: () -> Unit
 ) {
     var showDoubleConfirm by remember { mutableStateOf(false) }
+    // Multi-step plans: indices the user left ticked (all by default)
+    val approvedSteps = remember(plan?.planId) {
+        mutableStateListOf<Int>().apply {
+            plan?.steps?.forEachIndexed { index, step -> add(step.stepIndex ?: index) }
+        }
+    }
+    // Sent as approved_steps; null for single-intent plans (backend runs the plan)
+    val selectedSteps: () -> List<Int>? = { plan?.steps?.let { approvedSteps.sorted() } }
 
     AnimatedVisibility(
         visible = visible && plan != null,
@@ -106,8 +114,35 @@ fun ConfirmationPanel(
                         modifier = Modifier.padding(bottom = 12.dp)
                     )
 
-                    // ── Execution steps ──
-                    if (currentPlan.executionPlan.isNotEmpty()) {
+                    // ── Compound plan steps — untick to skip ──
+                    if (!currentPlan.steps.isNullOrEmpty()) {
+                        Text(
+                            text = "Steps (untick to skip):",
+                            color = Color(0xFF94A3B8),
+                            fontSize = 12.sp,
+                            fontWeight = FontWeight.Medium
+                        )
+                        currentPlan.steps.forEachIndexed { index, step ->
+                            val stepIndex = step.stepIndex ?: index
+                            Row(verticalAlignment = Alignment.CenterVertically) {
+                                Checkbox(
+                                    checked = stepIndex in approvedSteps,
+                                    onCheckedChange = { checked ->
+                                        if (checked) approvedSteps.add(stepIndex) else approvedSteps.remove(stepIndex)
+                                    }
+                                )
+                                Text(
+                                    text = step.humanText,
+                                    color = Color(0xFFCBD5E1),
+                                    fontSize = 13.sp,
+                                    maxLines = 2,
+                                    overflow = TextOverflow.Ellipsis
+                                )
+                            }
+                        }
+                        Spacer(modifier = Modifier.height(12.dp))
+                    } else if (currentPlan.executionPlan.isNotEmpty()) {
+                        // ── Execution steps ──
                         Text(
                             text = "Steps:",
                             color = Color(0xFF94A3B8),
@@ -200,9 +235,10 @@ fun ConfirmationPanel(
                                     if (currentPlan.requiresDoubleConfirm) {
                                         showDoubleConfirm = true
                                     } else {
-                                        onConfirm(false)
+                                        onConfirm(false, selectedSteps())
                                     }
                                 },
+                                enabled = currentPlan.steps == null || approvedSteps.isNotEmpty(),
                                 modifier = Modifier.weight(1f),
                                 shape = RoundedCornerShape(12.dp),
                                 colors = ButtonDefaults.buttonColors(
@@ -252,7 +288,7 @@ fun ConfirmationPanel(
                                 Button(
                                     onClick = {
                                         showDoubleConfirm = false
-                                        onConfirm(true)
+                                        onConfirm(true, selectedSteps())
                                     },
                                     modifier = Modifier.weight(1f),
                                     shape = RoundedCornerShape(12.dp),
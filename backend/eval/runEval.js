@@ -0,0 +1,197 @@
+// ─── Planner Eval Harness ──────────────────────────────────────────
+// Replays a golden dataset through processMessage and scores the plans.
+//
+// Usage:
+//   node eval/runEval.js [options]
+//     --dataset <file>      golden cases (default eval/golden.json)
+//     --provider <name>     mock | recorded | live (default mock)
+//     --recordings <file>   recorded responses (default eval/recordings.json)
+//     --record              with --provider recorded: call the live chain on a miss and save it
+//     --prompt <file>       system prompt under test (.js exporting a string, or .txt)
+//     --compare <file>      second prompt — prints both runs side by side
+//     --json                machine-readable output
+//
+// Golden case format:
+//   { "id", "mode", "sender", "text", "timestamp"?,
+//     "expected": { "intent", "params", "risk_level", "rejected"? } }
+// An expected param matches when the actual value contains it, case-insensitively.
+
+const fs = require('fs');
+const path = require('path');
+
+const args = parseArgs(process.argv.slice(2));
+
+// Config warns on missing secrets — harmless placeholders unless we call out
+if (args.provider !== 'live' && !args.record) {
+    process.env.API_SECRET_KEY = process.env.API_SECRET_KEY || 'eval-only';
+    process.env.DEEPSEEK_API_KEY = process.env.DEEPSEEK_API_KEY || 'eval-only';
+}
+
+const config = require('../src/config');
+const { logger } = require('../src/middleware/auditLogger');
+
+// Before the services load, so their startup logs never mix into --json output
+logger.silent = true;
+
+const { processMessage } = require('../src/services/deepseek');
+const { validateAction } = require('../src/services/actionValidator');
+const llm = require('../src/services/llmProvider');
+
+const DEFAULT_TIMESTAMP = '2025-01-01T10:00:00+05:30';
+
+function parseArgs(argv) {
+    const opts = {
+        dataset: path.join(__dirname, 'golden.json'),
+        provider: 'mock',
+        recordings: path.join(__dirname, 'recordings.json'),
+        record: false,
+        prompt: path.join(__dirname, '..', 'src', 'prompts', 'systemPrompt.js'),
+        compare: null,
+        json: false,
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i].replace(/^--/, '');
+        if (flag === 'record' || flag === 'json') {
+            opts[flag] = true;
+        } else if (flag in opts) {
+            opts[flag] = argv[++i];
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    return opts;
+}
+
+function loadPrompt(file) {
+    const resolved = path.resolve(file);
+    return resolved.endsWith('.js') ? require(resolved) : fs.readFileSync(resolved, 'utf8');
+}
+
+function buildProviderChain() {
+    if (args.provider === 'mock') return [llm.createMockProvider()];
+    if (args.provider === 'live') return config.llm.providers.map(llm.createProvider);
+    if (args.provider === 'recorded') {
+        const recordings = fs.existsSync(args.recordings)
+            ? JSON.parse(fs.readFileSync(args.recordings, 'utf8'))
+            : {};
+        // Misses go straight to the first configured provider, not the chain being replaced
+        const live = args.record ? llm.createProvider(config.llm.providers[0]) : null;
+        return { chain: [llm.createRecordedProvider({ recordings, live })], recordings };
+    }
+    throw new Error(`Unknown provider: ${args.provider}`);
+}
+
+function paramsMatch(expected = {}, actual = {}) {
+    return Object.entries(expected).every(([key, want]) => {
+        const got = actual?.[key];
+        if (got === undefined || got === null) return false;
+        return String(got).toLowerCase().includes(String(want).toLowerCase());
+    });
+}
+
+/**
+ * Runs every case through the planner with the given prompt.
+ * @returns {Promise<{ cases: object[], metrics: object }>}
+ */
+async function runDataset(cases, systemPrompt, label) {
+    const results = [];
+
+    for (const testCase of cases) {
+        const result = { id: testCase.id, expected: testCase.expected };
+        try {
+            const plan = await processMessage({
+                mode: testCase.mode,
+                sender: testCase.sender,
+                message: testCase.text,
+                timestamp: testCase.timestamp || DEFAULT_TIMESTAMP,
+                // Isolated thread per case and prompt so memory never leaks between them
+                threadId: `eval:${label}:${testCase.id}`,
+                clientId: 'eval',
+            }, { systemPrompt });
+
+            const validation = validateAction(plan);
+            result.plan = { intent: plan.intent, risk_level: plan.risk_level, params: plan.params };
+            result.rejected = !validation.valid;
+            result.intentMatch = plan.intent === testCase.expected.intent;
+            result.paramMatch = result.intentMatch && paramsMatch(testCase.expected.params, plan.params);
+            result.riskMatch = plan.risk_level === testCase.expected.risk_level;
+            result.rejectionMatch = result.rejected === Boolean(testCase.expected.rejected);
+        } catch (err) {
+            result.error = err.message;
+            result.intentMatch = result.paramMatch = result.riskMatch = result.rejectionMatch = false;
+        }
+        results.push(result);
+    }
+
+    const total = results.length || 1;
+    const planned = results.filter((r) => !r.error);
+    const rate = (pred, pool = results) => Number((pool.filter(pred).length / (pool.length || 1)).toFixed(3));
+
+    return {
+        cases: results,
+        metrics: {
+            total: results.length,
+            errors: results.length - planned.length,
+            intentAccuracy: rate((r) => r.intentMatch),
+            paramMatch: rate((r) => r.paramMatch),
+            riskAgreement: rate((r) => r.riskMatch),
+            validatorRejectionRate: rate((r) => r.rejected, planned),
+            rejectionAgreement: Number((results.filter((r) => r.rejectionMatch).length / total).toFixed(3)),
+        },
+    };
+}
+
+function describe(result) {
+    if (result.error) return `ERROR ${result.error.substring(0, 40)}`;
+    const marks = `${result.intentMatch ? '✓' : '✗'}${result.paramMatch ? '✓' : '✗'}${result.riskMatch ? '✓' : '✗'}`;
+    return `${marks} ${result.plan.intent}/${result.plan.risk_level}${result.rejected ? ' [rejected]' : ''}`;
+}
+
+function printReport(runA, runB) {
+    const pad = (str, n) => String(str).padEnd(n).substring(0, n);
+
+    console.log('\n── Metrics ──');
+    console.log(`${pad('metric', 24)}${pad('A', 10)}${runB ? `${pad('B', 10)}delta` : ''}`);
+    for (const [key, valueA] of Object.entries(runA.metrics)) {
+        const valueB = runB?.metrics[key];
+        const delta = runB ? Number((valueB - valueA).toFixed(3)) : null;
+        console.log(`${pad(key, 24)}${pad(valueA, 10)}${runB ? `${pad(valueB, 10)}${delta > 0 ? '+' : ''}${delta}` : ''}`);
+    }
+
+    console.log('\n── Cases (intent/params/risk) ──');
+    runA.cases.forEach((caseA, i) => {
+        const caseB = runB?.cases[i];
+        const expected = `${caseA.expected.intent}/${caseA.expected.risk_level}`;
+        const line = `${pad(caseA.id, 28)}${pad(expected, 22)}${pad(describe(caseA), 36)}`;
+        if (!runB) return console.log(line);
+
+        const changed = describe(caseA) !== describe(caseB);
+        console.log(`${changed ? '≠ ' : '  '}${line}${describe(caseB)}`);
+    });
+}
+
+async function main() {
+    const cases = JSON.parse(fs.readFileSync(args.dataset, 'utf8'));
+    const providerSetup = buildProviderChain();
+    llm.setProviderChain(providerSetup.chain || providerSetup);
+
+    const runA = await runDataset(cases, loadPrompt(args.prompt), 'A');
+    const runB = args.compare ? await runDataset(cases, loadPrompt(args.compare), 'B') : null;
+
+    if (args.record && providerSetup.recordings) {
+        fs.writeFileSync(args.recordings, `${JSON.stringify(providerSetup.recordings, null, 2)}\n`);
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify({ A: runA, B: runB }, null, 2));
+    } else {
+        console.log(`Dataset: ${args.dataset} (${cases.length} cases) — provider: ${args.provider}`);
+        console.log(`A: ${args.prompt}${args.compare ? `\nB: ${args.compare}` : ''}`);
+        printReport(runA, runB);
+    }
+}
+
+main().catch((err) => {
+    console.error(`Eval failed: ${err.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,148 @@
+// ─── Fake Twilio Webhook Sender ────────────────────────────────────
+// Plays Twilio's side of a call against a local backend: posts status and
+// recording callbacks signed with TWILIO_AUTH_TOKEN exactly as Twilio
+// would, so the webhook routes can be exercised without a real call.
+//
+// Usage:
+//   node scripts/fakeTwilio.js --call <callId> [options]
+//   node scripts/fakeTwilio.js --inbound <fromNumber> [--speech <reply>] [--hold-poll <ms>]
+//     --base <url>          backend origin (default TWILIO_WEBHOOK_BASE_URL or http://localhost:$PORT)
+//     --statuses <list>     comma-separated CallStatus sequence
+//                           (default initiated,ringing,in-progress,completed)
+//     --speech <list>       two-way calls: '|'-separated caller replies, sent as
+//                           <Gather> results once the call is in-progress
+//                           (an empty entry is silence)
+//     --recording           also send a completed recording callback
+//     --duration <sec>      CallDuration / RecordingDuration (default 42)
+//     --bad-signature       sign with the wrong token (expect 403)
+//     --inbound <number>    place an inbound call from <number> to the screening
+//                           webhook, answer with --speech (empty → record
+//                           fallback) and follow the hold loop until the call
+//                           is connected or hung up
+//     --hold-poll <ms>      wait between hold redirects (default 1000)
+//
+// Start the server with a TWILIO_AUTH_TOKEN (and no TWILIO_ACCOUNT_SID, so
+// calls are mocked), place a call, then replay its lifecycle with this.
+// Inbound screening also needs INBOUND_CLIENT_ID; decide on the card over
+// the WebSocket or POST /api/calls/:id/screening while the hold loop runs.
+
+const crypto = require('crypto');
+const config = require('../src/config');
+const { computeTwilioSignature } = require('../src/utils/twilioSignature');
+
+function parseArgs(argv) {
+    const opts = {
+        call: null,
+        base: config.twilio.webhookBaseUrl || `http://localhost:${config.port}`,
+        statuses: 'initiated,ringing,in-progress,completed',
+        speech: null,
+        recording: false,
+        duration: '42',
+        'bad-signature': false,
+        inbound: null,
+        'hold-poll': '1000',
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i].replace(/^--/, '');
+        if (flag === 'recording' || flag === 'bad-signature') {
+            opts[flag] = true;
+        } else if (flag in opts) {
+            opts[flag] = argv[++i];
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    if (!opts.call && !opts.inbound) throw new Error('--call <callId> or --inbound <number> is required');
+    return opts;
+}
+
+async function post(url, params, authToken) {
+    const fetch = (await import('node-fetch')).default;
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'X-Twilio-Signature': computeTwilioSignature(authToken, url, params),
+        },
+        body: new URLSearchParams(params).toString(),
+    });
+    const text = await response.text();
+    console.log(`${response.status} ${url.replace(/^https?:\/\/[^/]+/, '')} ${JSON.stringify(params)}${text ? ` → ${text}` : ''}`);
+    return { ok: response.ok, text };
+}
+
+/**
+ * Inbound call: voice webhook → answer (speech or recording) → hold loop.
+ */
+async function placeInboundCall(args, authToken, callSid) {
+    const origin = args.base.replace(/\/+$/, '');
+    const to = config.twilio.phoneNumber || '+15005550006';
+    let { ok, text } = await post(`${origin}/api/voice/inbound`, { CallSid: callSid, From: args.inbound, To: to, CallStatus: 'ringing' }, authToken);
+    if (!ok) return false;
+
+    const callId = (text.match(/\/api\/call\/([^/]+)\/screen\//) || [])[1];
+    if (callId && text.includes('<Gather')) {
+        const speech = (args.speech || '').split('|')[0].trim();
+        ({ ok, text } = await post(`${origin}/api/call/${callId}/screen/answer`, { CallSid: callSid, SpeechResult: speech }, authToken));
+    }
+    if (ok && callId && text.includes('<Record')) {
+        const recordingSid = `RE${crypto.randomBytes(16).toString('hex')}`;
+        ({ ok, text } = await post(`${origin}/api/call/${callId}/screen/recorded`, {
+            CallSid: callSid,
+            RecordingSid: recordingSid,
+            RecordingUrl: `https://api.twilio.com/2010-04-01/Accounts/ACfake/Recordings/${recordingSid}`,
+            RecordingDuration: '8',
+        }, authToken));
+    }
+    while (ok && text.includes('<Redirect')) {
+        await new Promise((resolve) => setTimeout(resolve, Number(args['hold-poll'])));
+        ({ ok, text } = await post(`${origin}/api/call/${callId}/screen/hold`, { CallSid: callSid }, authToken));
+    }
+
+    const status = { CallSid: callSid, CallStatus: 'completed', CallDuration: args.duration };
+    return ok && (await post(`${origin}/api/voice/inbound/status`, status, authToken)).ok;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!config.twilio.authToken) throw new Error('TWILIO_AUTH_TOKEN must be set (same value as the server)');
+
+    const authToken = args['bad-signature'] ? 'not-the-auth-token' : config.twilio.authToken;
+    const callSid = `CA${crypto.randomBytes(16).toString('hex')}`;
+    if (args.inbound) {
+        if (!(await placeInboundCall(args, authToken, callSid))) process.exitCode = 1;
+        return;
+    }
+
+    const base = `${args.base.replace(/\/+$/, '')}/api/call/${args.call}`;
+
+    for (const status of args.statuses.split(',').map((s) => s.trim()).filter(Boolean)) {
+        const params = { CallSid: callSid, CallStatus: status, AccountSid: config.twilio.accountSid || 'ACfake' };
+        if (status === 'completed') params.CallDuration = args.duration;
+        if (!(await post(`${base}/status`, params, authToken)).ok) process.exitCode = 1;
+
+        if (status === 'in-progress' && args.speech !== null) {
+            for (const speech of args.speech.split('|')) {
+                const turn = { CallSid: callSid, SpeechResult: speech.trim(), Confidence: '0.91' };
+                if (!(await post(`${base}/gather`, turn, authToken)).ok) process.exitCode = 1;
+            }
+        }
+    }
+
+    if (args.recording) {
+        const recordingSid = `RE${crypto.randomBytes(16).toString('hex')}`;
+        const params = {
+            CallSid: callSid,
+            RecordingSid: recordingSid,
+            RecordingStatus: 'completed',
+            RecordingUrl: `https://api.twilio.com/2010-04-01/Accounts/ACfake/Recordings/${recordingSid}`,
+            RecordingDuration: args.duration,
+        };
+        if (!(await post(`${base}/recording-status`, params, authToken)).ok) process.exitCode = 1;
+    }
+}
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+});
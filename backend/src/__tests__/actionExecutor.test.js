@@ -0,0 +1,143 @@
+require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { registerHandler, executeConfirmedPlan, formatExecution } = require('../services/actionExecutor');
+const { validateAction } = require('../services/actionValidator');
+const { createPendingAction } = require('../services/pendingActions');
+
+// 11:30 IST — outside quiet hours, so only the plan itself drives risk
+const MIDDAY = Date.parse('2026-10-19T06:00:00.000Z');
+beforeEach((t) => t.mock.timers.enable({ apis: ['Date'], now: MIDDAY }));
+
+const executed = [];
+registerHandler('test_echo', {
+    validateParams: (params) => (params.text ? { valid: true } : { valid: false, reason: 'test_echo requires params.text' }),
+    execute: (step, context) => {
+        executed.push({ text: step.params.text, ...context });
+        return { action: 'test_echo', text: step.params.text };
+    },
+});
+registerHandler('test_fail', {
+    validateParams: () => ({ valid: true }),
+    execute: () => { throw new Error('device offline'); },
+});
+
+const single = (intent, params) => ({
+    intent,
+    params,
+    confidence: 0.9,
+    risk_level: 'low',
+    human_text: intent,
+    execution_plan: [intent],
+    confirmation_required: true,
+});
+const compound = (steps) => ({ ...single('multi_step', {}), steps });
+
+/** Validates a plan and stores it the way the planner routes do */
+function propose(plan, clientId = 'dev1') {
+    const validation = validateAction(plan, { clientId });
+    assert.equal(validation.valid, true, validation.reason);
+    return createPendingAction(validation.sanitizedPlan, { clientId }).planId;
+}
+
+test('a plan ID is required', async () => {
+    assert.deepEqual(await executeConfirmedPlan({}), { ok: false, status: 400, code: 'missing_plan_id', error: 'Missing plan_id' });
+});
+
+test('a confirmed plan runs once through its handler', async () => {
+    const planId = propose(single('open_app', { package: 'com.whatsapp' }));
+
+    const execution = await executeConfirmedPlan({ planId, clientId: 'dev1' });
+    assert.equal(execution.ok, true);
+    assert.deepEqual(formatExecution(execution), {
+        success: true,
+        result: { action: 'open_app', status: 'dispatched_to_client', package: 'com.whatsapp' },
+    });
+
+    const replay = await executeConfirmedPlan({ planId, clientId: 'dev1' });
+    assert.equal(replay.code, 'plan_reused');
+});
+
+test('another client cannot run a plan', async () => {
+    const planId = propose(single('open_app', { package: 'com.whatsapp' }));
+
+    assert.equal((await executeConfirmedPlan({ planId, clientId: 'dev2' })).code, 'client_mismatch');
+    assert.equal((await executeConfirmedPlan({ planId })).code, 'client_mismatch');
+    assert.equal((await executeConfirmedPlan({ planId, clientId: 'dev1' })).ok, true);
+});
+
+test('high-risk steps wait for double confirmation without consuming the plan', async () => {
+    const planId = propose(single('send_message', { to: 'Priya', message: 'Paytm pe ₹2000 bhej do' }));
+
+    const first = await executeConfirmedPlan({ planId, clientId: 'dev1' });
+    assert.equal(first.code, 'double_confirm_required');
+    assert.deepEqual(first.approvedSteps, [0]);
+
+    const second = await executeConfirmedPlan({ planId, clientId: 'dev1', doubleConfirmed: true });
+    assert.equal(second.ok, true);
+    assert.equal(second.results[0].result.status, 'dispatched_to_client');
+});
+
+test('only approved steps run; the rest are reported as skipped', async () => {
+    executed.length = 0;
+    const planId = propose(compound([
+        single('test_echo', { text: 'one' }),
+        single('test_echo', { text: 'two' }),
+        single('test_echo', { text: 'three' }),
+    ]));
+
+    const execution = await executeConfirmedPlan({ planId, clientId: 'dev1', approvedSteps: [0, 2] });
+    assert.deepEqual(executed.map((e) => e.text), ['one', 'three']);
+    assert.deepEqual(executed[0], { text: 'one', clientId: 'dev1', planId });
+    assert.deepEqual(formatExecution(execution).results.map((r) => `${r.step}:${r.status}`), ['0:executed', '1:skipped', '2:executed']);
+});
+
+test('approving no steps is rejected and keeps the plan', async () => {
+    const planId = propose(compound([single('test_echo', { text: 'one' })]));
+
+    assert.equal((await executeConfirmedPlan({ planId, clientId: 'dev1', approvedSteps: [] })).code, 'no_steps_approved');
+    assert.equal((await executeConfirmedPlan({ planId, clientId: 'dev1' })).ok, true);
+});
+
+test('a failing step aborts the steps after it', async () => {
+    executed.length = 0;
+    const planId = propose(compound([
+        single('test_echo', { text: 'before' }),
+        single('test_fail', {}),
+        single('test_echo', { text: 'after' }),
+    ]));
+
+    const execution = await executeConfirmedPlan({ planId, clientId: 'dev1' });
+    assert.equal(execution.success, false);
+    assert.deepEqual(execution.results.map((r) => r.status), ['executed', 'failed', 'aborted']);
+    assert.equal(execution.results[1].error, 'device offline');
+    assert.deepEqual(executed.map((e) => e.text), ['before']);
+
+    const failedSingle = await executeConfirmedPlan({ planId: propose(single('test_fail', {})), clientId: 'dev1' });
+    assert.deepEqual(formatExecution(failedSingle), { success: false, error: 'Action execution failed', detail: 'device offline' });
+});
+
+test('reminders can only be confirmed from a connected device', async () => {
+    const reminder = single('set_reminder', { text: 'Dawai lena', when: 'kal 9 baje' });
+
+    const restPlanId = propose(reminder, 'rest');
+    const rest = await executeConfirmedPlan({ planId: restPlanId });
+    assert.equal(rest.status, 422);
+    assert.equal(rest.code, 'client_required');
+    assert.equal(rest.error, 'set_reminder must be confirmed from a connected device, not over REST');
+
+    const device = await executeConfirmedPlan({ planId: propose(reminder), clientId: 'dev1' });
+    assert.equal(device.results[0].result.status, 'scheduled');
+    assert.equal(device.results[0].result.dueAt, '2026-10-20T03:30:00.000Z');
+});
+
+test('a call without a resolved number fails instead of guessing', async () => {
+    const planId = propose(single('call_number', { to: 'Rahul' }));
+
+    const execution = await executeConfirmedPlan({ planId, clientId: 'dev1', doubleConfirmed: true });
+    assert.equal(execution.results[0].error, 'No phone number for "Rahul"');
+});
+
+test('handlers need an execute function', () => {
+    assert.throws(() => registerHandler('test_broken', {}), /Handler for "test_broken" needs an execute function/);
+});
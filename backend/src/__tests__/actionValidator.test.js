@@ -0,0 +1,97 @@
+require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAction, selectApprovedSteps, needsDoubleConfirm, MAX_STEPS } = require('../services/actionValidator');
+
+// 11:30 IST — outside quiet hours, so only the plan itself drives risk
+const MIDDAY = Date.parse('2026-10-19T06:00:00.000Z');
+beforeEach((t) => t.mock.timers.enable({ apis: ['Date'], now: MIDDAY }));
+
+const step = (intent, params) => ({ intent, params, risk_level: 'low', confidence: 0.9, human_text: intent });
+const openWhatsApp = step('open_app', { package: 'com.whatsapp' });
+const messagePriya = step('send_message', { to: 'Priya', message: 'Main late hoon' });
+const callNewNumber = step('call_number', { to: 'Bank', phone: '+91 98765 43210' });
+
+const compound = (steps) => ({
+    intent: 'multi_step',
+    confidence: 0.9,
+    risk_level: 'low',
+    human_text: 'Do kaam karun?',
+    params: {},
+    execution_plan: steps.map((s) => s.intent),
+    confirmation_required: true,
+    steps,
+});
+
+test('every step is validated, normalized and indexed', () => {
+    const result = validateAction(compound([openWhatsApp, messagePriya, callNewNumber]));
+
+    assert.equal(result.valid, true);
+    const { steps } = result.sanitizedPlan;
+    assert.deepEqual(steps.map((s) => s.step_index), [0, 1, 2]);
+    assert.deepEqual(steps.map((s) => s.intent), ['open_app', 'send_message', 'call_number']);
+    assert.equal(steps[2].params.phone, '+919876543210');
+    assert.ok(steps.every((s) => s.confirmation_required === true));
+});
+
+test('the plan takes the riskiest step\'s level and double confirmation', () => {
+    const calm = validateAction(compound([openWhatsApp, messagePriya])).sanitizedPlan;
+    assert.equal(calm.risk_level, 'medium');
+    assert.equal(calm.requires_double_confirm, false);
+
+    const risky = validateAction(compound([openWhatsApp, callNewNumber])).sanitizedPlan;
+    assert.equal(risky.steps[1].risk_level, 'critical');
+    assert.equal(risky.risk_level, 'critical');
+    assert.equal(risky.requires_double_confirm, true);
+    assert.equal(risky.steps[0].requires_double_confirm, false);
+});
+
+test('one bad step rejects the whole plan', () => {
+    const result = validateAction(compound([openWhatsApp, step('delete_files', {})]));
+    assert.equal(result.valid, false);
+    assert.match(result.reason, /^Step 2: Blocked: intent "delete_files"/);
+
+    const missingParam = validateAction(compound([step('send_message', { to: 'Priya' })]));
+    assert.match(missingParam.reason, /^Step 1: send_message requires params.message/);
+});
+
+test('nested, empty, oversized and unconfirmed plans are blocked', () => {
+    assert.match(validateAction(compound([compound([openWhatsApp])])).reason, /step 1 is not a single action/);
+    assert.match(validateAction(compound([])).reason, /non-empty steps array/);
+
+    const tooMany = Array.from({ length: MAX_STEPS + 1 }, () => openWhatsApp);
+    assert.match(validateAction(compound(tooMany)).reason, new RegExp(`has ${MAX_STEPS + 1} steps`));
+
+    const unconfirmed = { ...compound([openWhatsApp]), confirmation_required: false };
+    assert.equal(validateAction(unconfirmed).reason, 'Blocked: confirmation_required must be true.');
+});
+
+test('all steps are approved when the client sends no selection', () => {
+    const plan = validateAction(compound([openWhatsApp, messagePriya])).sanitizedPlan;
+
+    const { approved, skipped } = selectApprovedSteps(plan);
+    assert.deepEqual(approved.map((s) => s.step_index), [0, 1]);
+    assert.deepEqual(skipped, []);
+});
+
+test('only the ticked steps are approved', () => {
+    const plan = validateAction(compound([openWhatsApp, messagePriya, callNewNumber])).sanitizedPlan;
+
+    const { approved, skipped } = selectApprovedSteps(plan, [0, '2']);
+    assert.deepEqual(approved.map((s) => s.intent), ['open_app', 'call_number']);
+    assert.deepEqual(skipped.map((s) => s.intent), ['send_message']);
+    assert.deepEqual(selectApprovedSteps(plan, []).approved, []);
+});
+
+test('a single-intent plan is one step at index 0', () => {
+    const plan = validateAction({ ...messagePriya, execution_plan: ['Send'], confirmation_required: true }).sanitizedPlan;
+
+    assert.deepEqual(selectApprovedSteps(plan).approved.map((s) => s.step_index), [0]);
+    assert.deepEqual(selectApprovedSteps(plan, [1]).approved, []);
+});
+
+test('double confirmation follows the flag or a high risk level', () => {
+    assert.equal(needsDoubleConfirm({ risk_level: 'low', requires_double_confirm: true }), true);
+    assert.equal(needsDoubleConfirm({ risk_level: 'critical' }), true);
+    assert.equal(needsDoubleConfirm({ risk_level: 'medium', requires_double_confirm: false }), false);
+});
@@ -0,0 +1,188 @@
+process.env.CALL_MAX_TURNS = '3';
+require('./setup');
+const http = require('http');
+const express = require('express');
+const { test, mock, after } = require('node:test');
+const assert = require('node:assert/strict');
+const llm = require('../services/llmProvider');
+const { initCallManager, getCall } = require('../services/callManager');
+const { computeTwilioSignature } = require('../utils/twilioSignature');
+
+// The idle sweep's interval is created when the module loads
+const MIDDAY = Date.parse('2026-10-19T06:00:00.000Z');
+mock.timers.enable({ apis: ['setInterval', 'Date'], now: MIDDAY });
+after(() => mock.timers.reset());
+
+const { initiateConversationalCall, handleCallerTurn, abortCallerTurn } = require('../services/callConversation');
+const twilioWebhookRoutes = require('../routes/twilioWebhooks');
+
+let pushed = [];
+let pushesFail = false;
+initCallManager({
+    deliver: (clientId, data) => {
+        if (pushesFail) throw new Error('socket closed');
+        pushed.push({ clientId, ...data });
+        return true;
+    },
+});
+
+const LINES = {
+    silence: 'Hello? Kya aap mujhe sun pa rahe hain?',
+    noResponse: 'Lagta hai aawaz nahi aa rahi. Main baad mein call karungi. Dhanyavaad!',
+    turnLimit: 'Aapka bahut shukriya, main yeh baat unhe bata dungi. Namaste!',
+    error: 'Maaf kijiye, abhi connection mein dikkat hai. Main baad mein call karungi.',
+    refuseSecret: 'Maaf kijiye, yeh jaankari main phone par share nahi kar sakti.',
+};
+
+/** Call-turn model that answers with each scripted reply in turn */
+function scriptedTurns(replies) {
+    const provider = {
+        name: 'scripted',
+        model: 'scripted',
+        requests: [],
+        async complete({ messages }) {
+            provider.requests.push(JSON.parse(messages[1].content));
+            const reply = replies.shift();
+            return { content: typeof reply === 'string' ? reply : JSON.stringify(reply), model: 'scripted', usage: null };
+        },
+    };
+    llm.setProviderChain([provider]);
+    return provider;
+}
+
+function startCall(goal = 'Kal ki meeting 4 baje shift karni hai') {
+    pushed = [];
+    return initiateConversationalCall('+919876543210', { goal, to: 'Sharma ji', clientId: 'dev1' });
+}
+
+const feed = (callId) => pushed.filter((p) => p.callId === callId && p.type === 'call_feed');
+const outcomeOf = (callId) => feed(callId).find((p) => p.event === 'ended')?.outcome;
+
+test('the call opens with the voice profile greeting', async () => {
+    const call = await startCall();
+    assert.equal(call.mode, 'conversational');
+    assert.equal(call.goal, 'Kal ki meeting 4 baje shift karni hai');
+
+    const [opening] = feed(call.callId);
+    assert.equal(opening.event, 'turn');
+    assert.equal(opening.speaker, 'ai');
+    assert.match(opening.text, /^Namaste! Main ek AI assistant hoon/);
+    assert.match(getCall(call.callId).transcript, /^AI: Namaste!/);
+});
+
+test('turns continue until the goal is reached', async () => {
+    const model = scriptedTurns([
+        { say: 'Kya kal 4 baje ki meeting 5 baje ho sakti hai?', goal_reached: false, end_call: false },
+        { say: 'Theek hai, 5 baje confirm. Dhanyavaad!', goal_reached: true, end_call: true, feed: 'Meeting 5 baje shift ho gayi' },
+    ]);
+    const call = await startCall();
+
+    const next = await handleCallerTurn(call.callId, { speech: 'Haan boliye', confidence: 0.92 });
+    assert.match(next, /<Gather input="speech"/);
+    assert.match(next, /action="https:\/\/operator\.test\/api\/call\/[\w-]+\/gather"/);
+    assert.match(next, /Kya kal 4 baje ki meeting 5 baje ho sakti hai\?/);
+    assert.equal(model.requests[0].goal, 'Kal ki meeting 4 baje shift karni hai');
+    assert.equal(model.requests[0].latest_reply, 'Haan boliye');
+    assert.equal(model.requests[0].turn, 2);
+    assert.equal(model.requests[0].max_turns, 3);
+
+    const last = await handleCallerTurn(call.callId, { speech: 'Haan 5 chalega' });
+    assert.match(last, /Theek hai, 5 baje confirm\. Dhanyavaad!<\/Say><Hangup\/>/);
+    assert.equal(outcomeOf(call.callId), 'goal_reached');
+    assert.equal(feed(call.callId).find((p) => p.text === 'Theek hai, 5 baje confirm. Dhanyavaad!').human_text, 'Meeting 5 baje shift ho gayi');
+
+    assert.deepEqual(getCall(call.callId).transcript.split('\n').map((line) => line.split(':')[0]), ['AI', 'Sharma ji', 'AI', 'Sharma ji', 'AI']);
+    // A finished conversation just hangs up
+    assert.match(await handleCallerTurn(call.callId, { speech: 'Hello?' }), /^<\?xml[^>]*>\s*<Response><Hangup\/><\/Response>$/);
+});
+
+test('two silences in a row end the call', async () => {
+    const call = await startCall();
+
+    const prompt = await handleCallerTurn(call.callId, { speech: '' });
+    assert.match(prompt, /<Gather input="speech"/);
+    assert.ok(prompt.includes(LINES.silence));
+    const hangup = await handleCallerTurn(call.callId, {});
+    assert.match(hangup, /<Hangup\/>/);
+    assert.ok(hangup.includes(LINES.noResponse));
+    assert.equal(outcomeOf(call.callId), 'no_response');
+});
+
+test('the turn limit ends the call politely', async () => {
+    scriptedTurns([
+        { say: 'Meeting shift ho sakti hai?', goal_reached: false, end_call: false },
+        { say: 'Kab free hain aap?', goal_reached: false, end_call: false },
+    ]);
+    const call = await startCall();
+
+    await handleCallerTurn(call.callId, { speech: 'Kaun?' });
+    await handleCallerTurn(call.callId, { speech: 'Pata nahi' });
+    const hangup = await handleCallerTurn(call.callId, { speech: 'Sochna padega' });
+    assert.ok(hangup.includes(LINES.turnLimit));
+    assert.equal(outcomeOf(call.callId), 'turn_limit');
+});
+
+test('the model is never allowed to read out a secret', async () => {
+    scriptedTurns([{ say: 'Unka OTP 482913 hai', goal_reached: false, end_call: false }]);
+    const call = await startCall();
+
+    const next = await handleCallerTurn(call.callId, { speech: 'OTP bataiye' });
+    assert.ok(next.includes(LINES.refuseSecret));
+    assert.equal(next.includes('482913'), false);
+    assert.equal(getCall(call.callId).transcript.includes('482913'), false);
+});
+
+test('a broken model reply apologises and hangs up', async () => {
+    scriptedTurns(['not json']);
+    const call = await startCall();
+
+    const hangup = await handleCallerTurn(call.callId, { speech: 'Haan boliye' });
+    assert.ok(hangup.includes(LINES.error));
+    assert.equal(outcomeOf(call.callId), 'error');
+});
+
+test('a turn that throws still answers Twilio with an apology', async () => {
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.use('/api', twilioWebhookRoutes);
+    const server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    const call = await startCall();
+    const path = `/api/call/${call.callId}/gather`;
+    const params = { SpeechResult: 'Haan boliye', Confidence: '0.9' };
+    pushesFail = true;
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'X-Twilio-Signature': computeTwilioSignature('test-twilio-token', `https://operator.test${path}`, params),
+            },
+            body: new URLSearchParams(params),
+        });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/xml/);
+        const twiml = await response.text();
+        assert.ok(twiml.includes(LINES.error));
+        assert.match(twiml, /<Hangup\/>/);
+    } finally {
+        pushesFail = false;
+        await new Promise((resolve) => server.close(resolve));
+    }
+
+    // The conversation was closed, so the next turn only hangs up
+    assert.equal((await handleCallerTurn(call.callId, { speech: 'Hello?' })).includes(LINES.error), false);
+    // Unknown calls get the default voice's apology
+    assert.ok(abortCallerTurn('no-such-call', new Error('boom')).includes(LINES.error));
+});
+
+test('a conversation idle for 30 minutes is closed as timed out', async () => {
+    const call = await startCall();
+
+    mock.timers.tick(25 * 60_000);
+    assert.equal(outcomeOf(call.callId), undefined);
+    mock.timers.tick(10 * 60_000);
+    assert.equal(outcomeOf(call.callId), 'timed_out');
+    assert.equal(feed(call.callId).at(-1).human_text, 'Call se koi update nahi aaya — band maan li.');
+});
@@ -0,0 +1,221 @@
+process.env.CALL_JOB_TICK_MS = '1000';
+process.env.CALL_ATTEMPT_TIMEOUT_MS = String(30 * 60_000);
+require('./setup');
+const fs = require('fs');
+const { test, mock, after } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+
+// Monday 19 Oct 2026, 11:30 IST. The job loop's interval starts with the runner.
+const MIDDAY = Date.parse('2026-10-19T06:00:00.000Z');
+mock.timers.enable({ apis: ['setInterval', 'Date'], now: MIDDAY });
+after(() => mock.timers.reset());
+
+const MINUTE = 60_000;
+const iso = (ms) => new Date(ms).toISOString();
+
+// Calls and jobs left behind by a server that went down
+const call = (callId, status) => ({
+    callId, type: 'voip', direction: 'outbound', clientId: 'dev1', to: '+919876543210', status, recording: false, createdAt: iso(MIDDAY - 40 * MINUTE),
+});
+const job = (id, { status = 'calling', attempts = [], maxAttempts = 2, backoffMinutes = 5, updatedAt = iso(MIDDAY - MINUTE), ...fields } = {}) => ({
+    id,
+    clientId: 'dev1',
+    planId: null,
+    to: 'Rahul',
+    params: { to: 'Rahul', phone: '+919876543210' },
+    runAt: null,
+    retry: { maxAttempts, backoffMinutes },
+    attempts,
+    status,
+    outcome: null,
+    notifiedAt: null,
+    createdAt: iso(MIDDAY - 60 * MINUTE),
+    updatedAt,
+    ...fields,
+});
+const attempt = (callId, startedMinutesAgo) => ({ callId, startedAt: iso(MIDDAY - startedMinutesAgo * MINUTE), status: null });
+
+fs.writeFileSync(config.calls.file, JSON.stringify([
+    call('call-ringing', 'ringing'),
+    call('call-silent', 'ringing'),
+    call('call-talking', 'in-progress'),
+]));
+fs.writeFileSync(config.callJobs.file, JSON.stringify([
+    // Placing its first attempt when the process died
+    job('interrupted-retry', { attempts: [attempt(null, 1)], backoffMinutes: 10 }),
+    job('interrupted-final', { maxAttempts: 1 }),
+    job('ringing', { attempts: [attempt('call-ringing', 1)] }),
+    job('silent', { attempts: [attempt('call-silent', 40)], maxAttempts: 1 }),
+    job('talking', { attempts: [attempt('call-talking', 40)], maxAttempts: 1 }),
+    job('old-done', { status: 'completed', outcome: 'answered', updatedAt: iso(MIDDAY - 40 * 24 * 60 * MINUTE) }),
+]));
+
+const { updateCallStatus, getCall } = require('../services/callManager');
+const {
+    startCallJobRunner, scheduleCall, onCallEnded, listCallJobs, getCallJob, cancelCallJob,
+} = require('../services/callJobRunner');
+const { parseOffline } = require('../services/fallbackParser');
+const { validateAction } = require('../services/actionValidator');
+const { createPendingAction } = require('../services/pendingActions');
+const { executeConfirmedPlan } = require('../services/actionExecutor');
+
+const online = new Set();
+const pushed = [];
+startCallJobRunner({
+    deliver: (clientId, data) => {
+        if (!online.has(clientId)) return false;
+        pushed.push({ clientId, ...data });
+        return true;
+    },
+});
+
+/** Lets an attempt the tick started finish placing its call */
+const settled = () => new Promise((resolve) => setImmediate(resolve));
+const pushesFor = (jobId) => pushed.filter((p) => p.job.id === jobId);
+
+test('attempts cut short by a restart are retried, or failed when none are left', () => {
+    const retrying = getCallJob('interrupted-retry');
+    assert.equal(retrying.status, 'waiting_retry');
+    assert.equal(retrying.attempts[0].status, 'interrupted');
+    assert.equal(retrying.runAt, iso(MIDDAY + 10 * MINUTE));
+
+    const failed = getCallJob('interrupted-final');
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.outcome, 'interrupted');
+    assert.equal(failed.attempts.length, 1);
+
+    // A placed call is left for its status callback
+    assert.equal(getCallJob('ringing').status, 'calling');
+    assert.equal(getCallJob('old-done'), null);
+});
+
+test('a call that never reports back is given up on, unless it is still in progress', () => {
+    assert.equal(getCallJob('silent').status, 'failed');
+    assert.equal(getCallJob('silent').outcome, 'unknown');
+    assert.equal(getCallJob('talking').status, 'calling');
+});
+
+test('a final outcome the device missed is sent once it is back', () => {
+    assert.equal(getCallJob('interrupted-final').notifiedAt, null);
+
+    online.add('dev1');
+    mock.timers.tick(1000);
+    const [final] = pushesFor('interrupted-final');
+    assert.equal(final.event, 'final');
+    assert.equal(final.human_text, '⚠️ Rahul ko call lagate waqt server restart ho gaya — call nahi ho payi.');
+    assert.ok(getCallJob('interrupted-final').notifiedAt);
+
+    mock.timers.tick(1000);
+    assert.equal(pushesFor('interrupted-final').length, 1);
+});
+
+test('a busy call is tried again after the backoff', async () => {
+    updateCallStatus('call-ringing', { status: 'busy' });
+    onCallEnded(getCall('call-ringing'));
+    // Twilio retries the callback
+    onCallEnded(getCall('call-ringing'));
+
+    const waiting = getCallJob('ringing');
+    assert.equal(waiting.status, 'waiting_retry');
+    assert.equal(Date.parse(waiting.runAt), Date.now() + 5 * MINUTE);
+    assert.deepEqual(pushesFor('ringing').map((p) => p.human_text), ['Rahul ka number busy hai — 5 min baad phir try karungi (1/2).']);
+
+    for (let s = 0; s < 5 * 60; s++) mock.timers.tick(1000);
+    await settled();
+
+    // Twilio is not configured here, so the retry is a mock call
+    const done = getCallJob('ringing');
+    assert.equal(done.status, 'completed');
+    assert.equal(done.outcome, 'mock');
+    assert.deepEqual(done.attempts.map((a) => a.status), ['busy', 'mock']);
+    assert.deepEqual(pushesFor('ringing').slice(1).map((p) => p.event), ['attempt', 'final']);
+    assert.equal(pushesFor('ringing')[1].human_text, '📞 Rahul ko call kar rahi hoon (try 2/2)…');
+});
+
+test('an unanswered last attempt fails the job', () => {
+    const talking = getCallJob('talking');
+    updateCallStatus('call-talking', { status: 'no-answer' });
+    onCallEnded(getCall('call-talking'));
+
+    assert.equal(talking.status, 'failed');
+    assert.equal(pushesFor('talking').at(-1).human_text, '❌ Rahul ne 1 baar try karne par bhi phone nahi uthaya.');
+});
+
+test('a scheduled call waits for its time', async () => {
+    const scheduled = scheduleCall({
+        clientId: 'dev1',
+        params: { to: 'Priya', phone: '+919812345678', call_at: iso(Date.now() + 30 * MINUTE), retry: { max_attempts: 3, backoff_minutes: 10 } },
+    });
+    assert.equal(scheduled.status, 'scheduled');
+    assert.deepEqual(scheduled.retry, { maxAttempts: 3, backoffMinutes: 10 });
+    assert.equal('call_at' in scheduled.params, false);
+
+    for (let s = 0; s < 29 * 60; s++) mock.timers.tick(1000);
+    await settled();
+    assert.equal(getCallJob(scheduled.id).status, 'scheduled');
+
+    for (let s = 0; s < 60; s++) mock.timers.tick(1000);
+    await settled();
+    assert.equal(getCallJob(scheduled.id).status, 'completed');
+});
+
+test('a call without a time goes out at once', async () => {
+    const now = scheduleCall({ clientId: null, params: { to: 'Amit', phone: '+919812300000', retry: { max_attempts: 2, backoff_minutes: 5 } } });
+    assert.equal(now.clientId, 'rest');
+
+    await settled();
+    await settled();
+    assert.equal(getCallJob(now.id).status, 'completed');
+    assert.equal(getCallJob(now.id).attempts.length, 1);
+});
+
+test('only waiting jobs can be cancelled, and only by their owner', () => {
+    const later = scheduleCall({ clientId: 'dev1', params: { to: 'Priya', phone: '+919812345678', call_at: iso(Date.now() + 60 * MINUTE) } });
+
+    assert.deepEqual(cancelCallJob(later.id, { clientId: 'dev2' }), { ok: false, status: 404, error: 'Call job not found' });
+    assert.equal(cancelCallJob(later.id, { clientId: 'dev1' }).job.status, 'cancelled');
+    assert.equal(cancelCallJob(later.id).code, 'finished');
+    assert.equal(cancelCallJob('ringing').error, 'Call job already completed');
+
+    assert.ok(listCallJobs({ clientId: 'dev1', status: 'cancelled' }).some((j) => j.id === later.id));
+    assert.equal(listCallJobs({ clientId: 'dev2' }).length, 0);
+});
+
+test('"6 baje call karna, nahi uthaye to phir try karo" becomes a confirmed call job', async () => {
+    const offline = parseOffline({ mode: 'command', message: 'Rahul ko 6 baje call karna, agar nahi uthaye to 10 min baad phir try karo' });
+    assert.equal(offline.intent, 'call_number');
+    assert.deepEqual(offline.params, { to: 'Rahul', when: '6 baje', retry: { max_attempts: 2, backoff_minutes: 10 } });
+    assert.equal(offline.human_text, 'Main Rahul ko 6 baje call karu, nahi uthaya to 10 min baad phir? Confirm kar do. (AI offline)');
+
+    // Numbers are resolved before validation
+    const validation = validateAction({ ...offline, params: { ...offline.params, phone: '+91 98765 43210' } }, { clientId: 'dev1' });
+    assert.equal(validation.valid, true, validation.reason);
+    assert.equal(validation.sanitizedPlan.params.call_at, '2026-10-19T12:30:00.000Z');
+
+    const { planId } = createPendingAction(validation.sanitizedPlan, { clientId: 'dev1' });
+    const execution = await executeConfirmedPlan({ planId, clientId: 'dev1', doubleConfirmed: true });
+    const { result } = execution.results[0];
+    assert.equal(result.action, 'call_scheduled');
+    assert.equal(result.callAt, '2026-10-19T12:30:00.000Z');
+    assert.equal(result.maxAttempts, 2);
+    assert.equal(getCallJob(result.jobId).planId, planId);
+});
+
+test('call times and retry policies are bounded', () => {
+    const reason = (params) => validateAction({
+        intent: 'call_number',
+        confidence: 0.9,
+        risk_level: 'high',
+        human_text: 'Call karu?',
+        params: { to: 'Rahul', phone: '+919876543210', ...params },
+        execution_plan: ['Call'],
+        confirmation_required: true,
+    }).reason;
+
+    assert.equal(reason({ when: 'kabhi bhi' }), 'call_number params.when must be a time like "6 baje".');
+    assert.equal(reason({ call_at: iso(Date.now() - MINUTE) }), 'Call time is in the past.');
+    assert.equal(reason({ call_at: iso(Date.now() + 31 * 24 * 60 * MINUTE) }), 'Call is scheduled too far ahead. Max 30 days.');
+    assert.equal(reason({ retry: { max_attempts: 9, backoff_minutes: 10 } }), 'call_number params.retry.max_attempts must be an integer from 1 to 5.');
+    assert.equal(reason({ retry: { max_attempts: 2, backoff_minutes: 0 } }), 'call_number params.retry.backoff_minutes must be an integer from 1 to 120.');
+});
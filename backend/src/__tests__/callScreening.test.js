@@ -0,0 +1,225 @@
+process.env.INBOUND_CLIENT_ID = 'dev1';
+process.env.INBOUND_FORWARD_NUMBER = '+919999900000';
+process.env.INBOUND_HOLD_SECONDS = '45';
+require('./setup');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const llm = require('../services/llmProvider');
+const { initCallManager, getCall } = require('../services/callManager');
+const { syncContacts } = require('../services/contactDirectory');
+const {
+    handleInboundCall, handleScreeningAnswer, handleScreeningRecording, handleScreeningHold, handleInboundStatus, decideScreening,
+} = require('../services/callScreening');
+
+let pushed = [];
+initCallManager({ deliver: (clientId, data) => { pushed.push({ clientId, ...data }); return true; } });
+
+syncContacts('dev1', [
+    { name: 'Maa', numbers: ['+91 98111 00001'], inboundRoute: 'connect' },
+    { name: 'Loan Wala', numbers: ['+91 98111 00002'], inboundRoute: 'reject' },
+    { name: 'Rahul', numbers: ['+91 98111 00003'] },
+]);
+
+const LINES = {
+    greeting: 'Namaste! Main Operator hoon, ek AI assistant. Aap kaun bol rahe hain, aur kis baare mein call kiya hai?',
+    hold: 'Shukriya! Main unse pooch leti hoon, kripya line par bane rahiye.',
+    reject: 'Maaf kijiye, woh abhi baat nahi kar sakte. Dhanyavaad!',
+    message: 'Woh abhi baat nahi kar sakte, aapko message bhej rahe hain. Dhanyavaad!',
+    timedOut: 'Woh abhi phone nahi utha pa rahe. Main unhe bata dungi ki aapne call kiya tha. Dhanyavaad!',
+};
+
+const courier = {
+    caller_name: 'Ramesh',
+    purpose: 'Parcel ka address confirm karna hai',
+    urgency: 'medium',
+    suspected_spam: false,
+    suggested_reply: 'Gate pe chhod dijiye, main baad mein le lunga.',
+    human_text: 'Courier wala — parcel ka address confirm karna hai',
+};
+
+/** Screening model that answers with each scripted reply in turn */
+function scriptedCards(replies) {
+    const provider = {
+        name: 'scripted',
+        model: 'scripted',
+        requests: [],
+        async complete({ messages }) {
+            provider.requests.push(JSON.parse(messages[1].content));
+            const reply = replies.shift();
+            if (reply instanceof Error) throw reply;
+            return { content: JSON.stringify(reply), model: 'scripted', usage: null };
+        },
+    };
+    llm.setProviderChain([provider]);
+    return provider;
+}
+
+let sids = 0;
+/** A new inbound call; returns its record and the greeting TwiML */
+function ring(from = '+91 98765 43210') {
+    pushed = [];
+    sids += 1;
+    const callSid = `CA-in-${sids}`;
+    const twiml = handleInboundCall({ callSid, from, to: '+15550001111', status: 'ringing' });
+    const call = pushed.length ? getCall(pushed[0].callId) : null;
+    return { call, callSid, twiml };
+}
+/** Lets the background classification finish */
+const classified = () => new Promise((resolve) => setTimeout(resolve, 20));
+const screeningPushes = (event) => pushed.filter((p) => p.type === 'call_screening' && p.event === event);
+
+/** A caller who answered and whose card is waiting for the user */
+async function awaitingDecision(reply = courier) {
+    scriptedCards([reply]);
+    const ringing = ring();
+    handleScreeningAnswer(ringing.call.callId, { speech: 'Main Ramesh, courier se, parcel ka address confirm karna hai' });
+    await classified();
+    return ringing;
+}
+
+test('an unknown caller is greeted and asked who they are', () => {
+    const { call, twiml } = ring('098765 43210');
+
+    assert.equal(call.direction, 'inbound');
+    assert.equal(call.from, '+919876543210');
+    assert.equal(call.clientId, 'dev1');
+    assert.equal(call.screening.status, 'asking');
+    assert.ok(twiml.includes(LINES.greeting));
+    assert.ok(twiml.includes(`action="https://operator.test/api/call/${call.callId}/screen/answer"`));
+    assert.equal(screeningPushes('screening')[0].human_text, '📲 +919876543210 call kar rahe hain — naam aur kaam pooch rahi hoon…');
+});
+
+test('directory rules connect or reject known contacts without screening', () => {
+    const maa = ring('+91 98111 00001');
+    assert.match(maa.twiml, /<Dial timeout="20" callerId="\+919811100001"><Number>\+919999900000<\/Number>/);
+    assert.equal(maa.call.contactName, 'Maa');
+    assert.equal(maa.call.screening.decision.by, 'directory');
+    assert.equal(screeningPushes('connected')[0].human_text, '📞 Maa call kar rahe hain — seedha aapke phone pe connect kiya.');
+
+    const blocked = ring('+91 98111 00002');
+    assert.ok(blocked.twiml.includes(LINES.reject));
+    assert.match(blocked.twiml, /<Hangup\/>/);
+    assert.equal(blocked.call.screening.status, 'rejected');
+
+    const rahul = ring('+91 98111 00003');
+    assert.ok(rahul.twiml.includes(LINES.greeting));
+    assert.equal(screeningPushes('screening')[0].human_text, '📲 Rahul call kar rahe hain — naam aur kaam pooch rahi hoon…');
+});
+
+test('the caller\'s answer is rated and the user gets a card', async () => {
+    const model = scriptedCards([courier]);
+    const { call } = ring();
+
+    const hold = handleScreeningAnswer(call.callId, { speech: 'Main Ramesh, courier se, parcel ka address confirm karna hai' });
+    assert.ok(hold.includes(LINES.hold));
+    assert.ok(hold.includes(`https://operator.test/api/call/${call.callId}/screen/hold</Redirect>`));
+    // Twilio retries the callback: held again, not classified twice
+    assert.equal(handleScreeningAnswer(call.callId, { speech: 'Main Ramesh' }).includes(LINES.hold), false);
+
+    await classified();
+    assert.equal(model.requests.length, 1);
+    assert.deepEqual(model.requests[0], { caller_said: 'Main Ramesh, courier se, parcel ka address confirm karna hai', number: '+919876543210', contact: null });
+
+    const [card] = screeningPushes('card');
+    assert.equal(card.human_text, '🟡 Ramesh — Courier wala — parcel ka address confirm karna hai');
+    assert.deepEqual(card.card.options, ['accept', 'reject', 'message']);
+    assert.equal(card.card.suggestedReply, 'Gate pe chhod dijiye, main baad mein le lunga.');
+    assert.equal(getCall(call.callId).screening.status, 'awaiting_decision');
+    assert.equal(getCall(call.callId).transcript, '+919876543210: Main Ramesh, courier se, parcel ka address confirm karna hai');
+});
+
+test('a failed rating still sends an unrated card', async () => {
+    scriptedCards([new Error('provider down')]);
+    const { call } = ring();
+
+    handleScreeningAnswer(call.callId, { speech: 'Bank se bol raha hoon' });
+    await classified();
+    const [card] = screeningPushes('card');
+    assert.equal(card.card.urgency, 'unknown');
+    assert.equal(card.human_text, '⚪ +919876543210 — "Bank se bol raha hoon"');
+});
+
+test('a silent caller can leave a recorded message instead', async () => {
+    scriptedCards([]);
+    const { call } = ring();
+
+    const record = handleScreeningAnswer(call.callId, { speech: '' });
+    assert.ok(record.includes(`action="https://operator.test/api/call/${call.callId}/screen/recorded"`));
+
+    const hold = handleScreeningRecording(call.callId, { recordingUrl: 'https://api.twilio.test/RE9', recordingSid: 'RE9', duration: 12 });
+    assert.ok(hold.includes(LINES.hold));
+    await classified();
+
+    // STT is off, so the card links the recording
+    const [card] = screeningPushes('card');
+    assert.equal(card.recordingUrl, 'https://api.twilio.test/RE9');
+    assert.equal(card.card.purpose, 'Caller ne recorded message chhoda');
+    assert.equal(getCall(call.callId).recordingSid, 'RE9');
+    assert.equal(getCall(call.callId).recordingDurationSec, 12);
+});
+
+test('an accepted call is forwarded on the next hold redirect', async () => {
+    const { call } = await awaitingDecision();
+
+    assert.ok(handleScreeningHold(call.callId).includes('<Pause length="4"/>'));
+    const decided = decideScreening(call.callId, { decision: 'accept' }, { clientId: 'dev1' });
+    assert.equal(decided.ok, true);
+    assert.equal(decided.call.screening.decision.by, 'user');
+    assert.match(handleScreeningHold(call.callId), /<Number>\+919999900000<\/Number>/);
+
+    assert.equal(decideScreening(call.callId, { decision: 'reject' }).code, 'already_decided');
+});
+
+test('only the owner can decide, and only with a known decision', async () => {
+    const { call } = await awaitingDecision();
+
+    assert.deepEqual(decideScreening(call.callId, { decision: 'accept' }, { clientId: 'dev2' }), { ok: false, status: 404, error: 'Inbound call not found' });
+    assert.equal(decideScreening(call.callId, { decision: 'maybe' }).error, 'decision must be one of accept, reject, message');
+    assert.equal(decideScreening('no-such-call', { decision: 'accept' }).status, 404);
+});
+
+test('replying by message proposes the suggested reply and lets the caller go', async () => {
+    const { call } = await awaitingDecision();
+
+    const decided = decideScreening(call.callId, { decision: 'message' }, { clientId: 'dev1' });
+    assert.equal(decided.plan.intent, 'send_message');
+    assert.deepEqual(decided.plan.params, { to: '+919876543210', message: 'Gate pe chhod dijiye, main baad mein le lunga.' });
+    assert.ok(decided.plan.plan_id);
+    assert.ok(handleScreeningHold(call.callId).includes(LINES.message));
+});
+
+test('a caller left on hold too long is let go and the user told', async (t) => {
+    const { call } = await awaitingDecision();
+    const heldAt = Date.parse(getCall(call.callId).screening.heldAt);
+    t.mock.timers.enable({ apis: ['Date'], now: heldAt + 46_000 });
+
+    const twiml = handleScreeningHold(call.callId);
+    assert.ok(twiml.includes(LINES.timedOut));
+    assert.equal(getCall(call.callId).screening.status, 'timed_out');
+    assert.equal(screeningPushes('ended')[0].outcome, 'timed_out');
+
+    const late = decideScreening(call.callId, { decision: 'accept' });
+    assert.equal(late.code, 'call_ended');
+    assert.equal(late.human_text, 'Caller ne phone rakh diya — ab call back karna padega.');
+});
+
+test('a caller who hangs up first becomes a missed call', async () => {
+    const waiting = await awaitingDecision();
+    handleInboundStatus({ callSid: waiting.callSid, status: 'completed', duration: 20 });
+    const [missed] = screeningPushes('ended');
+    assert.equal(missed.outcome, 'missed');
+    assert.equal(missed.card.callerName, 'Ramesh');
+    assert.equal(getCall(waiting.call.callId).screening.status, 'missed');
+
+    // Hung up while the card was still being built: it arrives marked missed
+    scriptedCards([courier]);
+    const early = ring();
+    handleScreeningAnswer(early.call.callId, { speech: 'Courier se' });
+    handleInboundStatus({ callSid: early.callSid, status: 'completed' });
+    await classified();
+    const [late] = screeningPushes('ended');
+    assert.equal(late.human_text, '🟡 Missed: Ramesh — Courier wala — parcel ka address confirm karna hai');
+    assert.equal(screeningPushes('card').length, 0);
+
+    assert.deepEqual(handleInboundStatus({ callSid: 'CA-unknown', status: 'completed' }), { ok: false, status: 404, error: 'Call not found' });
+});
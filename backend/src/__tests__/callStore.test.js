@@ -0,0 +1,128 @@
+require('./setup');
+const fs = require('fs');
+const http = require('http');
+const express = require('express');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+
+// Call history left behind by an earlier run
+const stored = (callId, createdAt, fields) => ({
+    callId,
+    type: 'voip',
+    direction: 'outbound',
+    clientId: 'dev1',
+    status: 'completed',
+    recording: false,
+    createdAt,
+    ...fields,
+});
+fs.writeFileSync(config.calls.file, JSON.stringify([
+    stored('c1', '2026-10-15T05:00:00.000Z', { to: '+919876543210', contactName: 'Rahul Sharma', transcript: 'AI: Namaste', statusHistory: [{ status: 'completed' }] }),
+    stored('c2', '2026-10-16T05:00:00.000Z', { to: '+919812345678', contactName: 'Priya', status: 'no-answer' }),
+    stored('c3', '2026-10-17T05:00:00.000Z', { type: 'native_cellular', to: '+919876543210', contactName: 'Rahul Sharma', status: 'dispatched' }),
+    stored('c4', '2026-10-18T05:00:00.000Z', { direction: 'inbound', from: '+919800011122', to: '+15550001111', status: 'completed' }),
+    stored('c5', '2026-10-18T06:00:00.000Z', { clientId: null, to: '+919812345678', summary: { summary: 'Baat ho gayi', key_points: [], action_items: [{ task: 'Bill bhejna' }] } }),
+    stored('c6', '2026-10-19T05:00:00.000Z', { clientId: 'dev2', to: '+919876543210', contactName: 'Rahul' }),
+]));
+
+const { insertCall, findCall, updateCall, listCalls, hasCalledNumber } = require('../services/callStore');
+const apiRoutes = require('../routes/api');
+
+const app = express();
+app.use(express.json());
+app.use('/api', apiRoutes);
+const server = http.createServer(app);
+let origin;
+
+before(() => new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+        origin = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const ids = (result) => result.calls.map((call) => call.callId);
+const get = async (path) => {
+    const response = await fetch(`${origin}${path}`, { headers: { 'X-API-Key': 'test-secret' } });
+    return { status: response.status, body: await response.json() };
+};
+
+test('history reloads from disk, newest first', () => {
+    assert.deepEqual(ids(listCalls()), ['c6', 'c5', 'c4', 'c3', 'c2', 'c1']);
+    assert.equal(findCall('c1').contactName, 'Rahul Sharma');
+    assert.equal(findCall('nope'), null);
+});
+
+test('list entries leave out the transcript and summary', () => {
+    const [entry] = listCalls({ contact: 'rahul sharma', type: 'voip' }).calls;
+    assert.equal(entry.callId, 'c1');
+    assert.equal(entry.hasTranscript, true);
+    assert.equal(entry.hasSummary, false);
+    for (const field of ['transcript', 'summary', 'statusHistory']) assert.equal(field in entry, false, field);
+});
+
+test('contacts match by name or by the last digits of the number', () => {
+    assert.deepEqual(ids(listCalls({ contact: 'Rahul' })), ['c6', 'c3', 'c1']);
+    assert.deepEqual(ids(listCalls({ contact: '98765 43210' })), ['c6', 'c3', 'c1']);
+    assert.deepEqual(ids(listCalls({ contact: '0091 98123 45678' })), ['c5', 'c2']);
+    // Inbound calls match on the caller
+    assert.deepEqual(ids(listCalls({ contact: '98000 11122' })), ['c4']);
+    assert.deepEqual(ids(listCalls({ contact: '555' })), []);
+});
+
+test('status, type, owner and pagination filters combine', () => {
+    assert.deepEqual(ids(listCalls({ status: 'no-answer' })), ['c2']);
+    assert.deepEqual(ids(listCalls({ type: 'native' })), ['c3']);
+    assert.deepEqual(ids(listCalls({ clientId: 'dev1', type: 'voip', status: 'completed' })), ['c4', 'c1']);
+
+    const page = listCalls({ limit: 2, offset: 2 });
+    assert.deepEqual(ids(page), ['c4', 'c3']);
+    assert.deepEqual({ total: page.total, limit: page.limit, offset: page.offset }, { total: 6, limit: 2, offset: 2 });
+    assert.equal(listCalls({ limit: 1000 }).limit, 100);
+});
+
+test('GET /api/calls filters by local date range', async () => {
+    // 17 Oct 00:00 to 18 Oct 23:59 IST
+    const range = await get('/api/calls?from=2026-10-17&to=2026-10-18');
+    assert.equal(range.status, 200);
+    assert.deepEqual(ids(range.body), ['c5', 'c4', 'c3']);
+
+    assert.deepEqual(ids((await get('/api/calls?from=2026-10-18T05:30:00Z&limit=1')).body), ['c6']);
+    assert.deepEqual(await get('/api/calls?type=sms'), { status: 400, body: { error: 'type must be native or voip' } });
+    assert.equal((await get('/api/calls?from=last-week')).status, 400);
+});
+
+test('GET /api/calls/:id joins the summary and its action items', async () => {
+    const detail = await get('/api/calls/c5');
+    assert.equal(detail.status, 200);
+    assert.equal(detail.body.call.callId, 'c5');
+    assert.equal(detail.body.summary.summary, 'Baat ho gayi');
+    assert.deepEqual(detail.body.actionItems, [{ task: 'Bill bhejna' }]);
+    assert.deepEqual(detail.body.tasks, []);
+
+    assert.deepEqual(await get('/api/calls/nope'), { status: 404, body: { error: 'Call not found' } });
+});
+
+test('only outbound calls by the same owner count as called before', () => {
+    assert.equal(hasCalledNumber('+919876543210', { clientId: 'dev1' }), true);
+    assert.equal(hasCalledNumber('+919812345678', { clientId: 'dev2' }), false);
+    // REST calls have no clientId
+    assert.equal(hasCalledNumber('+919812345678'), true);
+    assert.equal(hasCalledNumber('+919876543210'), false);
+    // An inbound caller was never called
+    assert.equal(hasCalledNumber('+919800011122', { clientId: 'dev1' }), false);
+});
+
+test('new calls and updates are written back to the file', async () => {
+    insertCall(stored('c7', '2026-10-19T06:00:00.000Z', { to: '+919800000007', status: 'queued' }));
+    const updated = updateCall('c7', { status: 'ringing' });
+    assert.equal(updated.status, 'ringing');
+    assert.ok(updated.updatedAt);
+    assert.equal(updateCall('nope', { status: 'ringing' }), null);
+
+    await new Promise((resolve) => setImmediate(resolve));
+    const onDisk = JSON.parse(fs.readFileSync(config.calls.file, 'utf8'));
+    assert.equal(onDisk.find((call) => call.callId === 'c7').status, 'ringing');
+});
@@ -0,0 +1,101 @@
+require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    syncContacts, listContacts, findContactByNumber, resolveRecipient, resolvePlanRecipients, transliterate,
+} = require('../services/contactDirectory');
+
+const CONTACTS = [
+    { id: 'rs', name: 'Rahul Sharma', numbers: ['98765 43210'] },
+    { id: 'rv', name: 'Rahul Verma', numbers: [{ number: '+91 98765 00011', label: 'work' }] },
+    { id: 'su', name: 'Sunita', numbers: ['9811122233'] },
+    { id: 'mu', name: 'Mummy', numbers: ['9822233344'] },
+    { id: 'ra', name: 'Raju', aliases: ['Rajesh'], numbers: ['9833344455'] },
+    { id: 'zk', name: 'Zoya Khan', numbers: ['9844455566'] },
+];
+
+beforeEach(() => syncContacts('dev1', CONTACTS));
+
+const resolvedId = (query) => resolveRecipient('dev1', query).contact?.id;
+
+test('Devanagari is romanized with inherent vowels and nukta forms', () => {
+    assert.equal(transliterate('राहुल'), 'raahul');
+    assert.equal(transliterate('सुनीता'), 'suniitaa');
+    assert.equal(transliterate('ज़ोया'), 'zoyaa');
+    assert.equal(transliterate('Rahul'), 'Rahul');
+});
+
+test('names resolve across spellings and scripts', () => {
+    assert.equal(resolvedId('rahul sharma'), 'rs');
+    assert.equal(resolvedId('Suneeta'), 'su');
+    assert.equal(resolvedId('सुनीता'), 'su');
+    assert.equal(resolvedId('ज़ोया'), 'zk');
+    assert.equal(resolvedId('Rahool Verma'), 'rv');
+});
+
+test('nicknames, relationships, aliases and honorifics match', () => {
+    assert.equal(resolvedId('mom'), 'mu');
+    assert.equal(resolvedId('maa'), 'mu');
+    assert.equal(resolvedId('Rajesh bhai'), 'ra');
+    assert.equal(resolvedId('raju ji'), 'ra');
+    assert.equal(resolveRecipient('dev1', 'Rajesh').number, '+919833344455');
+});
+
+test('several equally good matches ask which one', () => {
+    for (const query of ['Rahul', 'राहुल']) {
+        const result = resolveRecipient('dev1', query);
+        assert.equal(result.status, 'ambiguous');
+        assert.deepEqual(result.candidates.map((c) => c.contactId), ['rs', 'rv']);
+        assert.equal(result.prompt, `Kaunse ${query}? 1) Rahul Sharma …3210, 2) Rahul Verma (work) …0011`);
+    }
+});
+
+test('unknown names and unusable numbers explain themselves', () => {
+    assert.equal(resolveRecipient('dev1', 'Priya').prompt, 'Priya ka number contacts mein nahi mila. Number bata do?');
+    assert.deepEqual(resolveRecipient('dev1', '+91 98765 43210'), { status: 'resolved', number: '+919876543210' });
+    assert.equal(resolveRecipient('dev1', '+91 1900 123 456').status, 'invalid_number');
+});
+
+test('directories are per client', () => {
+    assert.equal(resolveRecipient('dev2', 'Sunita').status, 'not_found');
+    assert.equal(findContactByNumber('dev1', '+919811122233').name, 'Sunita');
+    assert.equal(findContactByNumber('dev2', '+919811122233'), null);
+});
+
+test('a sync replaces the list by default, merges on request and skips bad entries', () => {
+    assert.deepEqual(syncContacts('dev1', [{ name: 'Priya', numbers: ['9855566677'] }], { replace: false }), { stored: 1, skipped: 0, total: 7 });
+    assert.deepEqual(syncContacts('dev1', [{ id: 'x', name: 'Priya', number: '9855566677' }, { name: 'No number' }, { numbers: ['9855566677'] }]), { stored: 1, skipped: 2, total: 1 });
+
+    const [priya] = listContacts('dev1');
+    assert.deepEqual(priya.numbers, [{ number: '+919855566677', label: null }]);
+    assert.equal('keys' in priya, false);
+    assert.throws(() => syncContacts('dev1', 'nope'), /contacts must be an array/);
+});
+
+test('call steps get the resolved phone and a directory source', () => {
+    const { plan, resolution } = resolvePlanRecipients({ intent: 'call_number', params: { to: 'Sunita' } }, 'dev1');
+    assert.equal(resolution, null);
+    assert.equal(plan.params.phone, '+919811122233');
+    assert.equal(plan.recipient_source, 'directory');
+
+    // A typed number is resolved but not vouched for
+    const raw = resolvePlanRecipients({ intent: 'call_number', params: { to: '9811122233' } }, 'dev1').plan;
+    assert.equal(raw.params.phone, '+919811122233');
+    assert.equal('recipient_source' in raw, false);
+});
+
+test('the first unresolved step of a compound plan asks the user', () => {
+    const plan = {
+        intent: 'multi_step',
+        steps: [
+            { intent: 'send_message', params: { to: 'Rahul', message: 'hi' } },
+            { intent: 'call_number', params: { to: 'Mummy' } },
+            { intent: 'call_number', params: { to: 'Rahul' } },
+        ],
+    };
+
+    const result = resolvePlanRecipients(plan, 'dev1');
+    assert.equal(result.resolution.status, 'ambiguous');
+    assert.deepEqual(result.plan.steps[0], plan.steps[0]);
+    assert.equal(result.plan.steps[1].params.phone, '+919822233344');
+});
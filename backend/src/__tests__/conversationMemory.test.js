@@ -0,0 +1,84 @@
+process.env.MEMORY_WINDOW_TURNS = '4';
+process.env.MEMORY_MAX_THREADS = '3';
+require('./setup');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const memory = require('../services/conversationMemory');
+
+const plan = { intent: 'send_message', params: { to: 'Rahul', message: 'Late hoon' }, human_text: 'Rahul ko bol du?' };
+
+test('thread keys are scoped per client', () => {
+    assert.equal(memory.threadKey('dev1', 'Rahul'), 'dev1:Rahul');
+    assert.equal(memory.threadKey(null, 'Rahul'), 'default:Rahul');
+    assert.notEqual(memory.threadKey('dev1', 'Rahul'), memory.threadKey('dev2', 'Rahul'));
+});
+
+test('a thread replays user turns, plans and outcomes oldest first', () => {
+    const thread = memory.threadKey('dev1', 'order');
+    memory.recordUserTurn(thread, 'Rahul ko bolo late hoon');
+    memory.recordPlanTurn(thread, plan);
+    memory.recordPlanOutcome(thread, plan, 'confirmed');
+
+    const messages = memory.getHistoryMessages(thread);
+    assert.deepEqual(messages.map((m) => m.role), ['user', 'assistant', 'user']);
+    assert.equal(messages[0].content, 'Rahul ko bolo late hoon');
+    assert.deepEqual(JSON.parse(messages[1].content), { intent: 'send_message', params: plan.params, human_text: plan.human_text });
+    assert.deepEqual(JSON.parse(messages[2].content), { event: 'plan_outcome', intent: 'send_message', outcome: 'confirmed' });
+    // Only role and content reach the model
+    assert.deepEqual(Object.keys(messages[0]), ['role', 'content']);
+});
+
+test('compound plans keep only each step\'s intent and params', () => {
+    const thread = memory.threadKey('dev1', 'compound');
+    memory.recordPlanTurn(thread, {
+        intent: 'multi_step',
+        params: {},
+        human_text: 'Do kaam',
+        steps: [{ intent: 'open_app', params: { package: 'com.whatsapp' }, risk_level: 'low' }],
+    });
+
+    const [turn] = memory.getHistoryMessages(thread);
+    assert.deepEqual(JSON.parse(turn.content).steps, [{ intent: 'open_app', params: { package: 'com.whatsapp' } }]);
+});
+
+test('only the configured window of turns is kept', () => {
+    const thread = memory.threadKey('dev1', 'window');
+    for (let i = 1; i <= 6; i += 1) memory.recordUserTurn(thread, `turn ${i}`);
+
+    const contents = memory.getHistoryMessages(thread).map((m) => m.content);
+    assert.deepEqual(contents, ['turn 3', 'turn 4', 'turn 5', 'turn 6']);
+});
+
+test('turns older than the TTL are dropped', (t) => {
+    const thread = memory.threadKey('dev1', 'ttl');
+    memory.recordUserTurn(thread, 'purani baat');
+
+    const later = Date.now() + config.memory.ttlMs + 1;
+    t.mock.method(Date, 'now', () => later);
+    assert.deepEqual(memory.getHistoryMessages(thread), []);
+});
+
+test('least recently used threads are evicted beyond the cap', () => {
+    const keys = ['a', 'b', 'c', 'd'].map((chat) => memory.threadKey('lru', chat));
+    memory.recordUserTurn(keys[0], 'a');
+    memory.recordUserTurn(keys[1], 'b');
+    memory.recordUserTurn(keys[2], 'c');
+    // Touching "a" makes "b" the oldest
+    memory.recordUserTurn(keys[0], 'a again');
+    memory.recordUserTurn(keys[3], 'd');
+
+    assert.equal(memory.getHistoryMessages(keys[1]).length, 0);
+    assert.equal(memory.getHistoryMessages(keys[0]).length, 2);
+    assert.equal(memory.getHistoryMessages(keys[3]).length, 1);
+});
+
+test('outcomes without a thread are ignored and threads can be cleared', () => {
+    assert.doesNotThrow(() => memory.recordPlanOutcome(null, plan, 'rejected'));
+
+    const thread = memory.threadKey('dev1', 'clear');
+    memory.recordUserTurn(thread, 'bhool jao');
+    assert.equal(memory.clearThread(thread), true);
+    assert.equal(memory.clearThread(thread), false);
+    assert.deepEqual(memory.getHistoryMessages(thread), []);
+});
@@ -0,0 +1,133 @@
+process.env.LLM_REPAIR_ATTEMPTS = '2';
+require('./setup');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const llm = require('../services/llmProvider');
+const { processMessage, salvageJson, collectPlanErrors, validatePlan } = require('../services/deepseek');
+
+const validPlan = {
+    intent: 'send_message',
+    confidence: 0.9,
+    risk_level: 'medium',
+    human_text: 'Priya ko bol du ki late ho?',
+    params: { to: 'Priya', message: 'Main late hoon' },
+    execution_plan: ['Send message to Priya'],
+    confirmation_required: true,
+};
+
+/** Provider that answers with each scripted response in turn and records what it was sent */
+function scriptedProvider(responses) {
+    const provider = {
+        name: 'scripted',
+        model: 'scripted',
+        requests: [],
+        async complete({ messages }) {
+            provider.requests.push(messages);
+            return { content: responses.shift(), model: 'scripted', usage: null };
+        },
+    };
+    llm.setProviderChain([provider]);
+    return provider;
+}
+
+let chat = 0;
+const context = (message = 'Priya ko bolo late hoon') => ({
+    mode: 'command',
+    sender: 'Abhishek',
+    message,
+    timestamp: '2026-10-19T10:00:00.000Z',
+    threadId: `test:${(chat += 1)}`,
+});
+
+test('salvageJson recovers objects from fences and prose', () => {
+    assert.deepEqual(salvageJson('{"a":1}'), { a: 1 });
+    assert.deepEqual(salvageJson('```json\n{"a":1}\n```'), { a: 1 });
+    assert.deepEqual(salvageJson('Sure! Here is the plan: {"a":1} Hope it helps.'), { a: 1 });
+    assert.equal(salvageJson('no json here'), null);
+    assert.equal(salvageJson('[1,2]'), null);
+    assert.equal(salvageJson(undefined), null);
+});
+
+test('collectPlanErrors lists every violation', () => {
+    assert.deepEqual(collectPlanErrors(validPlan), []);
+
+    const errors = collectPlanErrors({ intent: 'hack', confidence: 2, risk_level: 'extreme', params: [], human_text: ' ' });
+    assert.ok(errors.includes('missing required field: execution_plan'));
+    assert.ok(errors.includes('missing required field: confirmation_required'));
+    assert.ok(errors.some((e) => e.startsWith('invalid intent "hack"')));
+    assert.ok(errors.some((e) => e.startsWith('invalid risk_level "extreme"')));
+    assert.ok(errors.some((e) => e.startsWith('invalid confidence 2')));
+    assert.ok(errors.includes('params must be an object'));
+    assert.ok(errors.includes('human_text must be a non-empty string'));
+});
+
+test('compound plans need valid, non-nested steps', () => {
+    const compound = { ...validPlan, intent: 'multi_step', params: {} };
+    assert.deepEqual(collectPlanErrors({ ...compound, steps: [] }), ['multi_step requires a non-empty steps array']);
+
+    const errors = collectPlanErrors({ ...compound, steps: [{ intent: 'multi_step', risk_level: 'low', params: {} }, 'x', { intent: 'open_app' }] });
+    assert.ok(errors.some((e) => e.startsWith('steps[0] has invalid intent')));
+    assert.ok(errors.includes('steps[1] must be an object'));
+    assert.ok(errors.includes('steps[2] missing required field: risk_level'));
+    assert.throws(() => validatePlan({ ...compound, steps: [] }), /Invalid plan: multi_step requires/);
+});
+
+test('fenced output is salvaged without another model call', async () => {
+    const provider = scriptedProvider([`\`\`\`json\n${JSON.stringify(validPlan)}\n\`\`\``]);
+
+    const plan = await processMessage(context());
+    assert.equal(plan.intent, 'send_message');
+    assert.equal(provider.requests.length, 1);
+});
+
+test('malformed output is repaired by feeding the errors back', async () => {
+    const broken = { ...validPlan, risk_level: 'extreme' };
+    delete broken.execution_plan;
+    const provider = scriptedProvider([JSON.stringify(broken), JSON.stringify(validPlan)]);
+
+    const plan = await processMessage(context());
+    assert.equal(plan.risk_level, 'medium');
+    assert.equal(provider.requests.length, 2);
+
+    const retry = provider.requests[1];
+    assert.equal(retry.at(-2).role, 'assistant');
+    assert.equal(retry.at(-2).content, JSON.stringify(broken));
+    assert.match(retry.at(-1).content, /missing required field: execution_plan/);
+    assert.match(retry.at(-1).content, /invalid risk_level "extreme"/);
+});
+
+test('output still invalid after the repair budget is INVALID_PLAN', async () => {
+    const provider = scriptedProvider(['nope', 'still nope', '{"intent":"send_message"}']);
+
+    await assert.rejects(processMessage(context()), (err) => {
+        assert.equal(err.code, 'INVALID_PLAN');
+        assert.match(err.message, /after 3 attempts/);
+        return true;
+    });
+    assert.equal(provider.requests.length, 3);
+});
+
+test('server-owned fields are stripped and confirmation is forced', async () => {
+    scriptedProvider([JSON.stringify({
+        ...validPlan,
+        confirmation_required: false,
+        plan_id: 'forged.sig',
+        requires_double_confirm: false,
+        recipient_source: 'directory',
+        injection: { action: 'allow' },
+    })]);
+
+    const plan = await processMessage(context());
+    assert.equal(plan.confirmation_required, true);
+    for (const field of ['plan_id', 'requires_double_confirm', 'recipient_source', 'injection']) {
+        assert.equal(field in plan, false, field);
+    }
+});
+
+test('an unreachable LLM falls back to the offline parser', async () => {
+    llm.setProviderChain([]);
+
+    const plan = await processMessage(context('open WhatsApp'));
+    assert.equal(plan.intent, 'open_app');
+    assert.equal(plan.confirmation_required, true);
+});
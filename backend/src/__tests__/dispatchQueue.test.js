@@ -0,0 +1,153 @@
+require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    initDispatchQueue, getSendDelays, setSendDelays, queueDispatch, cancelDispatch, getDispatch, listDispatches,
+} = require('../services/dispatchQueue');
+const { executeConfirmedPlan } = require('../services/actionExecutor');
+const { validateAction } = require('../services/actionValidator');
+const { createPendingAction } = require('../services/pendingActions');
+
+// 11:30 IST — outside quiet hours, so a plain message stays medium risk
+const MIDDAY = Date.parse('2026-10-19T06:00:00.000Z');
+
+let pushed = [];
+initDispatchQueue({ deliver: (clientId, data) => { pushed.push({ clientId, ...data }); return true; } });
+
+beforeEach((t) => {
+    pushed = [];
+    t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: MIDDAY });
+});
+
+const step = { intent: 'send_message', step_index: 0, risk_level: 'medium', params: { to: 'Priya', message: 'Late hoon' } };
+const pushesOf = (type) => pushed.filter((p) => p.type === type);
+/** Lets a commit that the timer started settle */
+const settled = () => new Promise((resolve) => setImmediate(resolve));
+
+function queue(clientId, commit = async () => ({ action: 'send_message', status: 'dispatched_to_client' })) {
+    const calls = { count: 0 };
+    const dispatch = queueDispatch({
+        clientId,
+        planId: 'plan-1',
+        step,
+        delayMs: 5000,
+        commit: () => { calls.count += 1; return commit(); },
+    });
+    return { dispatch, calls };
+}
+
+test('per-user delays override the server default per risk level', () => {
+    assert.deepEqual(getSendDelays('u1'), { low: 0, medium: 0, high: 0, critical: 0 });
+    assert.deepEqual(setSendDelays('u1', { high: 10_000, critical: 30_000 }), { low: 0, medium: 0, high: 10_000, critical: 30_000 });
+    assert.deepEqual(setSendDelays('u1', { high: null }), { low: 0, medium: 0, high: 0, critical: 30_000 });
+
+    assert.throws(() => setSendDelays('u1', { extreme: 1 }), /Unknown risk level "extreme"/);
+    assert.throws(() => setSendDelays('u1', { low: 61_000 }), /low delay must be 0–60000 ms/);
+    assert.throws(() => setSendDelays('u1', null), /delays must be an object/);
+});
+
+test('a send commits once its undo window passes', async (t) => {
+    const { dispatch, calls } = queue('dev1');
+    assert.equal(dispatch.status, 'pending');
+    assert.equal(dispatch.commitAt, new Date(MIDDAY + 5000).toISOString());
+    assert.equal('commit' in dispatch, false);
+    assert.equal(pushesOf('dispatch_countdown')[0].secondsLeft, 5);
+
+    t.mock.timers.tick(1000);
+    t.mock.timers.tick(1000);
+    assert.deepEqual(pushesOf('dispatch_countdown').map((p) => p.secondsLeft), [5, 4, 3]);
+
+    t.mock.timers.tick(3000);
+    await settled();
+    assert.equal(calls.count, 1);
+    assert.equal(getDispatch(dispatch.id).status, 'committed');
+    const [execute] = pushesOf('execute');
+    assert.equal(execute.dispatchId, dispatch.id);
+    assert.deepEqual(execute.result, { action: 'send_message', status: 'dispatched_to_client' });
+
+    assert.equal(cancelDispatch(dispatch.id).code, 'too_late');
+});
+
+test('a cancelled send never commits', async (t) => {
+    const { dispatch, calls } = queue('dev1');
+    t.mock.timers.tick(3000);
+
+    const cancelled = cancelDispatch(dispatch.id, { clientId: 'dev1' });
+    assert.equal(cancelled.ok, true);
+    assert.equal(cancelled.dispatch.status, 'cancelled');
+    assert.equal(pushesOf('dispatch_cancelled').length, 1);
+
+    const countdowns = pushesOf('dispatch_countdown').length;
+    t.mock.timers.tick(10_000);
+    await settled();
+    assert.equal(calls.count, 0);
+    assert.equal(pushesOf('execute').length, 0);
+    assert.equal(pushesOf('dispatch_countdown').length, countdowns, 'countdown stops');
+
+    assert.equal(cancelDispatch(dispatch.id, { clientId: 'dev1' }).code, 'already_cancelled');
+});
+
+test('cancelling while the commit is running is too late', async (t) => {
+    let finish;
+    const { dispatch } = queue('dev1', () => new Promise((resolve) => { finish = resolve; }));
+
+    t.mock.timers.tick(5000);
+    const result = cancelDispatch(dispatch.id);
+    assert.equal(result.status, 409);
+    assert.equal(result.error, 'Too late to cancel — dispatch is committing');
+
+    finish({ action: 'send_message' });
+    await settled();
+    assert.equal(getDispatch(dispatch.id).status, 'committed');
+});
+
+test('the device that asked is not told about its own cancel', () => {
+    const { dispatch } = queue('dev1');
+    cancelDispatch(dispatch.id, { clientId: 'dev1', notify: false });
+    assert.equal(pushesOf('dispatch_cancelled').length, 0);
+});
+
+test('another client can neither see nor cancel a send', () => {
+    const { dispatch } = queue('dev1');
+
+    assert.deepEqual(cancelDispatch(dispatch.id, { clientId: 'dev2' }), { ok: false, status: 404, error: 'Dispatch not found' });
+    assert.equal(getDispatch(dispatch.id, { clientId: 'dev2' }), null);
+    assert.equal(listDispatches({ clientId: 'dev2' }).length, 0);
+    assert.ok(listDispatches({ clientId: 'dev1', status: 'pending' }).some((d) => d.id === dispatch.id));
+    cancelDispatch(dispatch.id);
+});
+
+test('a failed commit is reported to the device', async (t) => {
+    const { dispatch } = queue('dev1', async () => { throw new Error('WhatsApp not installed'); });
+
+    t.mock.timers.tick(5000);
+    await settled();
+    assert.equal(getDispatch(dispatch.id).status, 'failed');
+    assert.equal(getDispatch(dispatch.id).error, 'WhatsApp not installed');
+    assert.deepEqual(pushesOf('dispatch_failed').map((p) => p.error), ['WhatsApp not installed']);
+});
+
+test('a confirmed message waits in the undo window and can be taken back', async (t) => {
+    setSendDelays('dev9', { medium: 8000 });
+    const validation = validateAction({
+        intent: 'send_message',
+        confidence: 0.9,
+        risk_level: 'low',
+        human_text: 'Bhej du?',
+        params: { to: 'Priya', message: 'Late hoon' },
+        execution_plan: ['Send'],
+        confirmation_required: true,
+    }, { clientId: 'dev9' });
+    const { planId } = createPendingAction(validation.sanitizedPlan, { clientId: 'dev9' });
+
+    const execution = await executeConfirmedPlan({ planId, clientId: 'dev9' });
+    const [queued] = execution.results;
+    assert.equal(queued.status, 'queued');
+    assert.equal(queued.result.status, 'pending_undo');
+    assert.equal(queued.result.commitAt, new Date(MIDDAY + 8000).toISOString());
+
+    assert.equal(cancelDispatch(queued.result.dispatchId, { clientId: 'dev9' }).ok, true);
+    t.mock.timers.tick(8000);
+    await settled();
+    assert.equal(pushesOf('execute').length, 0);
+});
@@ -0,0 +1,83 @@
+const { dataDir } = require('./setup');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const llm = require('../services/llmProvider');
+
+const RUN_EVAL = path.join(__dirname, '..', '..', 'eval', 'runEval.js');
+
+const dataset = path.join(dataDir, 'golden.json');
+fs.writeFileSync(dataset, JSON.stringify([
+    { id: 'call', mode: 'command', sender: 'Abhishek', text: 'Rahul ko call karo', expected: { intent: 'call_number', params: { to: 'rahul' }, risk_level: 'high' } },
+    { id: 'open', mode: 'command', sender: 'Abhishek', text: 'open WhatsApp', expected: { intent: 'open_app', params: { package: 'whatsapp' }, risk_level: 'low' } },
+    { id: 'miss', mode: 'command', sender: 'Abhishek', text: 'aaj mausam kaisa hai', expected: { intent: 'send_message', risk_level: 'low' } },
+]));
+
+/** Runs the eval CLI with --json and returns its parsed report */
+function runEval(args = [], env = {}) {
+    const stdout = execFileSync(process.execPath, [RUN_EVAL, '--dataset', dataset, '--json', ...args], {
+        env: { ...process.env, ...env },
+        encoding: 'utf8',
+        timeout: 60_000,
+    });
+    return JSON.parse(stdout);
+}
+
+test('the harness scores every case against the golden expectations', () => {
+    const { A, B } = runEval();
+
+    assert.equal(B, null);
+    assert.deepEqual(A.metrics, {
+        total: 3,
+        errors: 0,
+        intentAccuracy: 0.667,
+        paramMatch: 0.667,
+        riskAgreement: 1,
+        validatorRejectionRate: 0,
+        rejectionAgreement: 1,
+    });
+    const miss = A.cases.find((c) => c.id === 'miss');
+    assert.equal(miss.plan.intent, 'info_response');
+    assert.equal(miss.intentMatch, false);
+});
+
+test('--compare runs the same dataset with a second prompt', () => {
+    const prompt = path.join(dataDir, 'prompt-b.txt');
+    fs.writeFileSync(prompt, 'Tum ek alag prompt ho.');
+
+    const { A, B } = runEval(['--compare', prompt]);
+    assert.deepEqual(B.metrics, A.metrics);
+    assert.deepEqual(B.cases.map((c) => c.id), ['call', 'open', 'miss']);
+});
+
+test('a recorded run without recordings reports every case as an error', () => {
+    // Otherwise each miss is planned by the offline parser instead
+    const { A } = runEval(['--provider', 'recorded', '--recordings', path.join(dataDir, 'none.json')], { LLM_OFFLINE_FALLBACK: 'false' });
+
+    assert.equal(A.metrics.errors, 3);
+    assert.equal(A.metrics.intentAccuracy, 0);
+});
+
+test('the recorded provider replays by request and records misses from the live one', async () => {
+    const messages = [{ role: 'user', content: 'Rahul ko call karo' }];
+    const recordings = {};
+    let liveCalls = 0;
+    const live = {
+        async complete() {
+            liveCalls += 1;
+            return { content: '{"intent":"call_number"}', model: 'live', usage: null };
+        },
+    };
+
+    const recorder = llm.createRecordedProvider({ recordings, live });
+    assert.equal((await recorder.complete({ messages })).content, '{"intent":"call_number"}');
+    assert.equal(Object.keys(recordings).length, 1);
+
+    const replay = llm.createRecordedProvider({ recordings });
+    assert.deepEqual(await replay.complete({ messages }), { content: '{"intent":"call_number"}', model: 'recorded', usage: null });
+    assert.equal(liveCalls, 1);
+
+    await assert.rejects(replay.complete({ messages: [{ role: 'user', content: 'naya sawal' }] }), /recorded: no recording for request/);
+});
@@ -0,0 +1,62 @@
+require('./setup');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOffline } = require('../services/fallbackParser');
+const { collectPlanErrors } = require('../services/deepseek');
+
+const command = (message) => parseOffline({ mode: 'command', sender: 'Abhishek', message });
+
+test('calls in English, Hinglish and Hindi', () => {
+    assert.deepEqual(command('call Rahul').params, { to: 'Rahul' });
+    assert.deepEqual(command('please call Rahul and tell him that I am late.').params, { to: 'Rahul', script: 'I am late' });
+    assert.deepEqual(command('Rahul ko call karo aur bolo ki meeting shift ho gayi').params, { to: 'Rahul', script: 'meeting shift ho gayi' });
+    assert.deepEqual(command('राहुल को कॉल करो').params, { to: 'राहुल' });
+
+    const plan = command('Rahul ko phone laga do');
+    assert.equal(plan.intent, 'call_number');
+    assert.equal(plan.risk_level, 'high');
+});
+
+test('messages in English, Hinglish and Hindi', () => {
+    assert.deepEqual(command('message Priya that I am late').params, { to: 'Priya', message: 'I am late' });
+    assert.deepEqual(command('Priya ko message karo ki late hoon!').params, { to: 'Priya', message: 'late hoon' });
+    assert.deepEqual(command('प्रिया को मैसेज करो कि देर हो जाएगी।').params, { to: 'प्रिया', message: 'देर हो जाएगी' });
+    assert.equal(command('Priya ko bol do ki aa raha hoon').intent, 'send_message');
+});
+
+test('reminders keep the time phrase for the server to resolve', () => {
+    const plan = command('kal 9 baje yaad dila dena ki dawai leni hai');
+    assert.equal(plan.intent, 'set_reminder');
+    assert.deepEqual(plan.params, { text: 'dawai leni hai', when: 'kal 9 baje' });
+
+    assert.deepEqual(command('remind me in 30 minutes to drink water').params, { text: 'drink water', when: 'in 30 minutes' });
+});
+
+test('known apps open by package name', () => {
+    assert.deepEqual(command('open WhatsApp').params, { package: 'com.whatsapp' });
+    assert.deepEqual(command('व्हाट्सएप खोलो').params, { package: 'com.whatsapp' });
+    assert.equal(command('open Snapchat').intent, 'info_response');
+});
+
+test('pronouns are never guessed as a recipient', () => {
+    assert.equal(command('call him').intent, 'info_response');
+    assert.equal(command('usko message karo ki kal milte hain').intent, 'info_response');
+});
+
+test('unrecognised input and replies get an offline notice', () => {
+    for (const plan of [command('aaj mausam kaisa hai'), parseOffline({ mode: 'reply', message: 'call Rahul' })]) {
+        assert.equal(plan.intent, 'info_response');
+        assert.equal(plan.confidence, 0.2);
+        assert.match(plan.human_text, /AI abhi offline hai/);
+    }
+});
+
+test('every fallback plan is schema-valid, confirmed and marked', () => {
+    const messages = ['call Rahul', 'Priya ko message karo ki late hoon', 'kal 9 baje yaad dila dena ki dawai', 'open maps', 'kuch bhi', ''];
+    for (const message of messages) {
+        const plan = command(message);
+        assert.deepEqual(collectPlanErrors(plan), [], message);
+        assert.equal(plan.source, 'fallback');
+        assert.equal(plan.confirmation_required, true);
+    }
+});
@@ -0,0 +1,116 @@
+process.env.LLM_BREAKER_THRESHOLD = '2';
+require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const llm = require('../services/llmProvider');
+
+const messages = [{ role: 'user', content: 'Rahul ko call karo' }];
+
+function fakeProvider(name, behaviour) {
+    const provider = {
+        name,
+        model: `${name}-model`,
+        calls: 0,
+        async complete() {
+            provider.calls += 1;
+            return behaviour();
+        },
+    };
+    return provider;
+}
+
+const ok = (content = '{"intent":"info_response"}') => () => ({ content, model: 'm', usage: null });
+const fail = (message = 'boom') => () => { throw new Error(message); };
+
+beforeEach(() => llm.setProviderChain([]));
+
+test('the first healthy provider answers', async () => {
+    const primary = fakeProvider('primary', ok('{"from":"primary"}'));
+    const backup = fakeProvider('backup', ok('{"from":"backup"}'));
+    llm.setProviderChain([primary, backup]);
+
+    const result = await llm.complete({ messages });
+    assert.equal(result.provider, 'primary');
+    assert.equal(result.content, '{"from":"primary"}');
+    assert.equal(typeof result.latencyMs, 'number');
+    assert.equal(backup.calls, 0);
+});
+
+test('a failing provider falls over to the next one', async () => {
+    const primary = fakeProvider('primary', fail('timeout'));
+    const backup = fakeProvider('backup', ok('{"from":"backup"}'));
+    llm.setProviderChain([primary, backup]);
+
+    const result = await llm.complete({ messages });
+    assert.equal(result.provider, 'backup');
+    assert.equal(primary.calls, 1);
+});
+
+test('an empty response counts as a failure', async () => {
+    const primary = fakeProvider('primary', () => ({ content: '', model: 'm', usage: null }));
+    const backup = fakeProvider('backup', ok());
+    llm.setProviderChain([primary, backup]);
+
+    assert.equal((await llm.complete({ messages })).provider, 'backup');
+});
+
+test('the circuit opens after repeated failures and the provider is skipped', async () => {
+    const primary = fakeProvider('primary', fail());
+    const backup = fakeProvider('backup', ok());
+    llm.setProviderChain([primary, backup]);
+
+    await llm.complete({ messages });
+    await llm.complete({ messages });
+    assert.equal(primary.calls, 2);
+    assert.equal(llm.getProviderStatus()[0].circuitOpen, true);
+
+    await llm.complete({ messages });
+    assert.equal(primary.calls, 2, 'open circuit is not called');
+    assert.equal(backup.calls, 3);
+});
+
+test('a success closes the circuit again', async (t) => {
+    let healthy = false;
+    const primary = fakeProvider('primary', () => (healthy ? ok()() : fail()()));
+    const backup = fakeProvider('backup', ok());
+    llm.setProviderChain([primary, backup]);
+
+    await llm.complete({ messages });
+    await llm.complete({ messages });
+    assert.equal(llm.getProviderStatus()[0].circuitOpen, true);
+
+    // After the cooldown the next call is a probe
+    healthy = true;
+    const later = Date.now() + 10 * 60_000;
+    t.mock.method(Date, 'now', () => later);
+    assert.equal((await llm.complete({ messages })).provider, 'primary');
+    assert.deepEqual(llm.getProviderStatus()[0], { name: 'primary', model: 'primary-model', circuitOpen: false, failures: 0 });
+});
+
+test('every provider failing is LLM_UNAVAILABLE with each reason', async () => {
+    llm.setProviderChain([fakeProvider('a', fail('dns')), fakeProvider('b', fail('401'))]);
+
+    await assert.rejects(llm.complete({ messages }), (err) => {
+        assert.equal(err.code, 'LLM_UNAVAILABLE');
+        assert.match(err.message, /a: dns; b: 401/);
+        return true;
+    });
+});
+
+test('an empty chain is LLM_UNAVAILABLE', async () => {
+    await assert.rejects(llm.complete({ messages }), { code: 'LLM_UNAVAILABLE', message: /no providers configured/ });
+});
+
+test('providers are built by their LLM_PROVIDERS name', () => {
+    assert.equal(llm.createProvider('mock').name, 'mock');
+    assert.throws(() => llm.createProvider('nope'), /Unknown LLM provider: nope/);
+});
+
+test('the mock provider plans offline from the message', async () => {
+    llm.setProviderChain([llm.createMockProvider()]);
+
+    const result = await llm.complete({ messages: [{ role: 'user', content: JSON.stringify({ mode: 'command', message: 'open WhatsApp' }) }] });
+    const plan = JSON.parse(result.content);
+    assert.equal(plan.intent, 'open_app');
+    assert.equal(plan.params.package, 'com.whatsapp');
+});
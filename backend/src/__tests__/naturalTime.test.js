@@ -0,0 +1,61 @@
+require('./setup');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseNaturalTime } = require('../utils/naturalTime');
+
+// Monday 19 Oct 2026, 11:30 IST
+const NOW = new Date('2026-10-19T06:00:00.000Z');
+
+const parse = (text) => parseNaturalTime(text, NOW)?.toISOString() ?? null;
+
+test('"kal 9 baje" is tomorrow at 9 IST', () => {
+    assert.equal(parse('kal 9 baje'), '2026-10-20T03:30:00.000Z');
+    assert.equal(parse('kal subah 9 baje'), '2026-10-20T03:30:00.000Z');
+    assert.equal(parse('कल सुबह 9 बजे'), '2026-10-20T03:30:00.000Z');
+    assert.equal(parse('tomorrow at 7:30 pm'), '2026-10-20T14:00:00.000Z');
+});
+
+test('"saade 6" is half past six in the evening', () => {
+    assert.equal(parse('saade 6'), '2026-10-19T13:00:00.000Z');
+    assert.equal(parse('aaj shaam saade 6'), '2026-10-19T13:00:00.000Z');
+    // sava = quarter past, paune = quarter to
+    assert.equal(parse('raat paune 9'), '2026-10-19T15:15:00.000Z');
+    assert.equal(parse('saade 25'), null);
+});
+
+test('"30 min baad" is relative to now', () => {
+    assert.equal(parse('30 min baad'), '2026-10-19T06:30:00.000Z');
+    assert.equal(parse('in 2 hours'), '2026-10-19T08:00:00.000Z');
+    assert.equal(parse('ek ghante baad'), '2026-10-19T07:00:00.000Z');
+    assert.equal(parse('aadhe ghante mein'), '2026-10-19T06:30:00.000Z');
+    // A bare duration is too vague
+    assert.equal(parse('10 min'), null);
+});
+
+test('a clock time without a day is the next time it comes round', () => {
+    // 9 a.m. has passed, so 9 p.m.
+    assert.equal(parse('sava 9'), '2026-10-19T15:45:00.000Z');
+    assert.equal(parse('९ बजे'), '2026-10-19T15:30:00.000Z');
+    // "5 baje" means the evening
+    assert.equal(parse('5 baje'), '2026-10-19T11:30:00.000Z');
+    assert.equal(parse('shaam 7'), '2026-10-19T13:30:00.000Z');
+    assert.equal(parse('raat 12 baje'), '2026-10-19T18:30:00.000Z');
+});
+
+test('day words and weekdays pick the day', () => {
+    assert.equal(parse('parso subah'), '2026-10-21T03:30:00.000Z');
+    // Today is Monday, so "monday" is next week
+    assert.equal(parse('monday 10am'), '2026-10-26T04:30:00.000Z');
+    assert.equal(parse('somvar'), '2026-10-26T03:30:00.000Z');
+});
+
+test('ISO timestamps pass through, local when they carry no offset', () => {
+    assert.equal(parse('2026-10-25T10:00'), '2026-10-25T04:30:00.000Z');
+    assert.equal(parse('2026-10-25T10:00:00Z'), '2026-10-25T10:00:00.000Z');
+});
+
+test('text without a time is null', () => {
+    assert.equal(parse('blah'), null);
+    assert.equal(parse(''), null);
+    assert.equal(parse(undefined), null);
+});
@@ -0,0 +1,92 @@
+require('./setup');
+const crypto = require('crypto');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const { createPendingAction, getPendingAction, consumePendingAction } = require('../services/pendingActions');
+
+const plan = { intent: 'send_message', params: { to: 'Rahul', message: 'Late hoon' } };
+
+test('a fresh plan ID resolves to the stored plan for its owner', () => {
+    const { planId, expiresAt } = createPendingAction(plan, { clientId: 'dev1', threadId: 'dev1:Rahul' });
+
+    assert.match(planId, /^[0-9a-f-]{36}\.[0-9a-f]{64}$/);
+    assert.ok(Date.parse(expiresAt) > Date.now());
+    const result = getPendingAction(planId, { clientId: 'dev1' });
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.plan, plan);
+    assert.equal(result.threadId, 'dev1:Rahul');
+});
+
+test('a tampered signature is rejected', () => {
+    const { planId } = createPendingAction(plan, { clientId: 'dev1' });
+    const [id, signature] = planId.split('.');
+    const flipped = `${signature.slice(0, -1)}${signature.endsWith('0') ? '1' : '0'}`;
+
+    assert.equal(getPendingAction(`${id}.${flipped}`, { clientId: 'dev1' }).code, 'invalid_signature');
+    assert.equal(getPendingAction(`${id}.`, { clientId: 'dev1' }).code, 'invalid_signature');
+    assert.equal(getPendingAction(id, { clientId: 'dev1' }).code, 'invalid_signature');
+    assert.equal(getPendingAction(undefined, { clientId: 'dev1' }).code, 'invalid_signature');
+});
+
+test('a signature copied onto another ID is rejected', () => {
+    const { planId } = createPendingAction(plan, { clientId: 'dev1' });
+    const [, signature] = planId.split('.');
+    const forged = `00000000-0000-4000-8000-000000000000.${signature}`;
+
+    assert.equal(getPendingAction(forged, { clientId: 'dev1' }).code, 'invalid_signature');
+});
+
+test('a validly signed ID that was never issued is unknown', () => {
+    const id = '00000000-0000-4000-8000-000000000000';
+    const signature = crypto.createHmac('sha256', config.apiSecretKey).update(id).digest('hex');
+
+    const result = getPendingAction(`${id}.${signature}`, { clientId: 'dev1' });
+    assert.equal(result.status, 404);
+    assert.equal(result.code, 'unknown_plan');
+});
+
+test('an expired plan is rejected', (t) => {
+    const { planId } = createPendingAction(plan, { clientId: 'dev1' });
+    const later = Date.now() + config.pendingActions.ttlMs + 1;
+    t.mock.method(Date, 'now', () => later);
+
+    const result = consumePendingAction(planId, { clientId: 'dev1' });
+    assert.equal(result.valid, false);
+    assert.equal(result.status, 410);
+    assert.equal(result.code, 'plan_expired');
+});
+
+test('a plan can be consumed once — a replay is reported as reuse', () => {
+    const { planId } = createPendingAction(plan, { clientId: 'dev1' });
+
+    assert.equal(consumePendingAction(planId, { clientId: 'dev1' }).valid, true);
+    const replay = consumePendingAction(planId, { clientId: 'dev1' });
+    assert.equal(replay.valid, false);
+    assert.equal(replay.status, 409);
+    assert.equal(replay.code, 'plan_reused');
+});
+
+test('another client cannot look up or consume a plan', () => {
+    const { planId } = createPendingAction(plan, { clientId: 'dev1' });
+
+    assert.equal(getPendingAction(planId, { clientId: 'dev2' }).code, 'client_mismatch');
+    assert.equal(consumePendingAction(planId, { clientId: 'dev2' }).code, 'client_mismatch');
+    // Still usable by its owner afterwards
+    assert.equal(consumePendingAction(planId, { clientId: 'dev1' }).valid, true);
+});
+
+test('REST and WebSocket owners never cross', () => {
+    const wsPlan = createPendingAction(plan, { clientId: 'dev1' });
+    const restPlan = createPendingAction(plan, { clientId: 'rest' });
+    const unowned = createPendingAction(plan);
+
+    // REST callers pass no clientId
+    assert.equal(getPendingAction(wsPlan.planId).code, 'client_mismatch');
+    assert.equal(getPendingAction(wsPlan.planId, { clientId: null }).code, 'client_mismatch');
+    assert.equal(getPendingAction(restPlan.planId, { clientId: 'dev1' }).code, 'client_mismatch');
+    assert.equal(getPendingAction(restPlan.planId).valid, true);
+    // A plan created without an owner belongs to REST
+    assert.equal(getPendingAction(unowned.planId, { clientId: 'rest' }).valid, true);
+    assert.equal(getPendingAction(unowned.planId, { clientId: 'dev1' }).code, 'client_mismatch');
+});
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const { dataDir } = require('./setup');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPersistedStore, startTickLoop } = require('../utils/persistedStore');
+const { logger } = require('../middleware/auditLogger');
+
+let files = 0;
+/** A fresh store file in the test directory, optionally with contents */
+function storeFile(contents) {
+    files += 1;
+    const file = path.join(dataDir, `store-${files}.json`);
+    if (contents !== undefined) fs.writeFileSync(file, contents);
+    return file;
+}
+const turnEnds = () => new Promise((resolve) => setImmediate(resolve));
+
+test('a missing file starts an empty store', () => {
+    assert.equal(createPersistedStore({ file: storeFile(), name: 'test' }).records.size, 0);
+});
+
+test('records load by their key and expired ones are pruned', () => {
+    const file = storeFile(JSON.stringify([
+        { callId: 'a', status: 'open' },
+        { callId: 'b', status: 'done' },
+        { callId: 'c', status: 'open' },
+    ]));
+    const store = createPersistedStore({ file, name: 'test', key: 'callId', expired: (record) => record.status === 'done' });
+
+    assert.deepEqual([...store.records.keys()], ['a', 'c']);
+});
+
+test('an unreadable file is moved aside and the store starts empty', (t) => {
+    const errors = t.mock.method(logger, 'error');
+    const file = storeFile('[{"id": "a", ');
+
+    const store = createPersistedStore({ file, name: 'test' });
+    assert.equal(store.records.size, 0);
+    assert.equal(fs.existsSync(file), false);
+
+    const aside = fs.readdirSync(dataDir).filter((name) => name.startsWith(`${path.basename(file)}.corrupt-`));
+    assert.equal(aside.length, 1);
+    assert.equal(fs.readFileSync(path.join(dataDir, aside[0]), 'utf8'), '[{"id": "a", ');
+    assert.equal(errors.mock.calls[0].arguments[0], 'Persisted store unreadable — moved aside, starting empty');
+});
+
+test('changes in one turn share a single write', async (t) => {
+    const file = storeFile();
+    const store = createPersistedStore({ file, name: 'test' });
+    const writes = t.mock.method(fs, 'renameSync');
+
+    store.records.set('a', { id: 'a', n: 1 });
+    store.save();
+    store.update(store.records.get('a'), { n: 2 });
+    assert.equal(fs.existsSync(file), false, 'nothing written yet');
+
+    await turnEnds();
+    assert.equal(writes.mock.callCount(), 1);
+    const [record] = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.equal(record.n, 2);
+    assert.ok(record.updatedAt);
+    assert.equal(fs.existsSync(`${file}.tmp`), false);
+
+    // A reload sees what was written
+    assert.equal(createPersistedStore({ file, name: 'test' }).records.get('a').n, 2);
+});
+
+test('a flush before the turn ends cancels the scheduled write', async (t) => {
+    const file = storeFile();
+    const store = createPersistedStore({ file, name: 'test' });
+    store.records.set('a', { id: 'a' });
+    store.save();
+    store.flush();
+
+    const writes = t.mock.method(fs, 'renameSync');
+    await turnEnds();
+    assert.equal(writes.mock.callCount(), 0);
+});
+
+test('a tick loop runs at once and logs failures instead of throwing', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const errors = t.mock.method(logger, 'error');
+    let runs = 0;
+
+    const interval = startTickLoop(() => {
+        runs += 1;
+        if (runs === 2) throw new Error('disk full');
+    }, 1000, 'test');
+    assert.equal(runs, 1);
+
+    t.mock.timers.tick(1000);
+    t.mock.timers.tick(1000);
+    assert.equal(runs, 3);
+    assert.deepEqual(errors.mock.calls.map((call) => call.arguments[1]), [{ loop: 'test', error: 'disk full' }]);
+    clearInterval(interval);
+});
@@ -0,0 +1,66 @@
+require('./setup');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePhone, looksLikePhoneNumber } = require('../utils/phone');
+const { validateAction } = require('../services/actionValidator');
+
+const e164 = (input, options) => normalizePhone(input, options).e164;
+const reason = (input, options) => normalizePhone(input, options).reason;
+
+test('Indian numbers in every common format become E.164', () => {
+    for (const input of ['9876543210', '98765 43210', '098765-43210', '919876543210', '+91 98765 43210', '+91-(98765)-43210', '0091 98765 43210']) {
+        assert.equal(e164(input), '+919876543210', input);
+    }
+    assert.deepEqual(normalizePhone('9876543210'), { valid: true, e164: '+919876543210', region: 'IN' });
+    assert.equal(normalizePhone('+919876543210').region, null);
+});
+
+test('other regions use their own code and trunk prefix', () => {
+    assert.equal(e164('(415) 555-0100', { region: 'US' }), '+14155550100');
+    assert.equal(e164('1 415 555 0100', { region: 'US' }), '+14155550100');
+    assert.equal(e164('020 7946 0000', { region: 'GB' }), '+442079460000');
+    assert.equal(e164('050 123 4567', { region: 'AE' }), '+971501234567');
+    assert.equal(e164('8123 4567', { region: 'SG' }), '+6581234567');
+    assert.equal(reason('9876543210', { region: 'XX' }), 'Unknown default region "XX"');
+});
+
+test('short codes and malformed numbers are rejected', () => {
+    assert.equal(reason('1909'), 'Short codes are not allowed');
+    assert.equal(reason('+91 12345'), 'Short codes are not allowed');
+    assert.equal(reason('98765 4321'), 'Not a valid IN number');
+    assert.equal(reason('+91 0876543210'), 'Not a valid IN number');
+    assert.equal(reason('+1234567890123456'), 'Not a valid international number');
+    assert.equal(reason('98765abc10'), 'Phone number may only contain digits, spaces, dashes and a leading +');
+    assert.equal(reason('  '), 'Phone number is empty');
+    assert.equal(reason(9876543210), 'Phone number is empty');
+});
+
+test('premium-rate numbers are rejected', () => {
+    for (const input of ['+91 1900 123 456', '+1 900 555 0100', '+44 909 879 0000', '+61 190 123 456']) {
+        assert.equal(reason(input), 'Premium-rate numbers are not allowed', input);
+    }
+});
+
+test('numbers are told apart from names', () => {
+    assert.equal(looksLikePhoneNumber('+91 98765 43210'), true);
+    assert.equal(looksLikePhoneNumber('(415) 555-0100'), true);
+    assert.equal(looksLikePhoneNumber('Rahul'), false);
+    assert.equal(looksLikePhoneNumber('1909'), false);
+    assert.equal(looksLikePhoneNumber(null), false);
+});
+
+test('a call plan carries the normalized number or is rejected', () => {
+    const call = (phone) => validateAction({
+        intent: 'call_number',
+        confidence: 0.9,
+        risk_level: 'high',
+        human_text: 'Call karu?',
+        params: { to: 'Bank', phone },
+        execution_plan: ['Call'],
+        confirmation_required: true,
+    });
+
+    assert.equal(call('098765-43210').sanitizedPlan.params.phone, '+919876543210');
+    assert.equal(call('+91 1900 123 456').reason, 'Invalid phone number: Premium-rate numbers are not allowed.');
+    assert.equal(call('121').reason, 'Invalid phone number: Short codes are not allowed.');
+});
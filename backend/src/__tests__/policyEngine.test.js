@@ -0,0 +1,96 @@
+process.env.POLICY_RELOAD_INTERVAL_MS = '50';
+require('./setup');
+const fs = require('fs');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const { evaluatePolicy, getPolicy, compilePolicy } = require('../services/policyEngine');
+
+const AFTERNOON = new Date('2026-10-19T09:30:00.000Z'); // 15:00 IST
+const LATE_NIGHT = new Date('2026-10-19T17:30:00.000Z'); // 23:00 IST
+
+const plan = (intent, params, extra = {}) => ({ intent, params, risk_level: 'medium', confidence: 0.9, execution_plan: [], ...extra });
+const firedIds = (result) => result.fired.map((rule) => rule.id);
+
+/** Resolves once the watcher has picked up a policy with the given version */
+async function waitForVersion(version) {
+    for (let i = 0; i < 100 && getPolicy().version !== version; i += 1) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    return getPolicy().version;
+}
+
+test('a plan no rule matches is allowed at its own risk', () => {
+    const result = evaluatePolicy(plan('send_message', { to: 'Priya', message: 'Late hoon' }), { now: AFTERNOON });
+    assert.deepEqual(result, { decision: 'allow', reason: undefined, riskLevel: 'medium', requiresDoubleConfirm: false, fired: [] });
+});
+
+test('shell payloads are denied wherever they appear', () => {
+    const result = evaluatePolicy(plan('open_app', { package: 'x' }, { execution_plan: ['run sudo rm -rf /'] }));
+    assert.equal(result.decision, 'deny');
+    assert.equal(result.reason, 'Parameters contain a shell or code-execution payload.');
+});
+
+test('mass messaging is denied but the word "bulk" alone is not', () => {
+    assert.equal(evaluatePolicy(plan('send_message', { to: 'Priya', message: 'sabko bhej do ye' })).decision, 'deny');
+    assert.equal(evaluatePolicy(plan('send_message', { to: 'Priya', message: 'bulk order aa gaya' })).decision, 'allow');
+});
+
+test('a raw-number recipient escalates to high', () => {
+    const result = evaluatePolicy(plan('call_number', { to: '+91 98765 43210' }), { now: AFTERNOON });
+    assert.equal(result.riskLevel, 'high');
+    assert.deepEqual(firedIds(result), ['unknown-number-recipient']);
+    assert.equal(evaluatePolicy(plan('call_number', { to: 'Rahul' }), { now: AFTERNOON }).riskLevel, 'medium');
+});
+
+test('escalation never lowers a risk level', () => {
+    const result = evaluatePolicy(plan('send_message', { to: '9876543210', message: 'hi' }, { risk_level: 'critical' }));
+    assert.equal(result.riskLevel, 'critical');
+});
+
+test('low confidence and late-night calls need double confirmation', () => {
+    const unsure = evaluatePolicy(plan('send_message', { to: 'Priya', message: 'hi' }, { confidence: 0.4 }));
+    assert.equal(unsure.requiresDoubleConfirm, true);
+    assert.deepEqual(firedIds(unsure), ['low-confidence']);
+
+    const lateCall = evaluatePolicy(plan('call_number', { to: 'Rahul' }), { now: LATE_NIGHT });
+    assert.deepEqual(firedIds(lateCall), ['late-night-calls']);
+    assert.equal(evaluatePolicy(plan('send_message', { to: 'Rahul', message: 'hi' }), { now: LATE_NIGHT }).requiresDoubleConfirm, false);
+});
+
+test('invalid policies are rejected as a whole', () => {
+    assert.throws(() => compilePolicy({}), /must have a "rules" array/);
+    assert.throws(() => compilePolicy({ rules: [{ action: 'deny' }] }), /rules\[0\]: missing id/);
+    assert.throws(() => compilePolicy({ rules: [{ id: 'a', action: 'deny' }, { id: 'a', action: 'deny' }] }), /rules\[1\] \(a\): duplicate id/);
+    assert.throws(() => compilePolicy({ rules: [{ id: 'a', action: 'block' }] }), /unknown action "block"/);
+    assert.throws(() => compilePolicy({ rules: [{ id: 'a', action: 'escalate' }] }), /escalate needs risk_level/);
+});
+
+test('edits are hot-reloaded and a broken edit keeps the last good policy', async () => {
+    const shipped = JSON.parse(fs.readFileSync(config.policy.file, 'utf8'));
+    const telegramOnly = {
+        version: 2,
+        rules: [
+            { id: 'allow-telegram', match: { channel: 'telegram' }, action: 'allow' },
+            { id: 'deny-messages', match: { intent: 'send_message' }, action: 'deny', reason: 'Telegram only' },
+        ],
+    };
+
+    fs.writeFileSync(config.policy.file, JSON.stringify(telegramOnly));
+    assert.equal(await waitForVersion(2), 2);
+    // The first allow or deny decides; channels match by notification package
+    const message = plan('send_message', { to: 'Priya', message: 'hi' });
+    const telegram = evaluatePolicy(message, { channel: 'org.telegram.messenger' });
+    assert.equal(telegram.decision, 'allow');
+    assert.deepEqual(firedIds(telegram), ['allow-telegram', 'deny-messages']);
+    assert.equal(evaluatePolicy(message, { channel: 'com.whatsapp.w4b' }).reason, 'Telegram only');
+    assert.equal(evaluatePolicy(message).decision, 'deny');
+
+    fs.writeFileSync(config.policy.file, '{ "version": 3, "rules": [');
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.equal(getPolicy().version, 2);
+
+    fs.writeFileSync(config.policy.file, JSON.stringify(shipped));
+    assert.equal(await waitForVersion(1), 1);
+    assert.equal(getPolicy().rules.length, shipped.rules.length);
+});
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const { dataDir } = require('./setup');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// setup.js turns STT off for every other file; this one uses canned transcripts
+const fixtureDir = path.join(dataDir, 'stt');
+fs.mkdirSync(fixtureDir);
+fs.writeFileSync(path.join(fixtureDir, 'default.txt'), 'Caller: Hello?\nRahul: Haan bolo.\n');
+fs.writeFileSync(path.join(fixtureDir, 'RE-slides.txt'), 'Rahul: Main aaj raat tak slides bhej dunga.\n');
+process.env.STT_PROVIDER = 'fixture';
+process.env.STT_FIXTURE_DIR = fixtureDir;
+
+const { v4: uuidv4 } = require('uuid');
+const llm = require('../services/llmProvider');
+const { transcribe, getSttProvider } = require('../services/speechToText');
+const { processRecording } = require('../services/recordingPipeline');
+const { initCallManager, getCall } = require('../services/callManager');
+const { insertCall } = require('../services/callStore');
+const { listTasks } = require('../services/taskTracker');
+
+const pushed = [];
+initCallManager({ deliver: (clientId, data) => { pushed.push({ clientId, ...data }); return true; } });
+
+const slidesSummary = {
+    summary: 'Rahul aaj raat slides bhejega.',
+    key_points: ['Slides aaj raat tak'],
+    action_items: [{ task: 'Slides bhejna', owner: 'Rahul', deadline: 'aaj raat' }],
+    follow_up_needed: false,
+};
+
+/** Summary model that answers with each scripted reply in turn and records the transcript it got */
+function scriptedSummaries(replies) {
+    const provider = {
+        name: 'scripted',
+        model: 'scripted',
+        transcripts: [],
+        async complete({ messages }) {
+            provider.transcripts.push(messages[1].content.split('Transcript:\n')[1]);
+            const reply = replies.shift();
+            return { content: typeof reply === 'string' ? reply : JSON.stringify(reply), model: 'scripted', usage: null };
+        },
+    };
+    llm.setProviderChain([provider]);
+    return provider;
+}
+
+function recordedCall(fields = {}) {
+    return insertCall({
+        callId: uuidv4(),
+        type: 'voip',
+        direction: 'outbound',
+        mode: 'scripted',
+        to: '+919876543210',
+        clientId: 'dev1',
+        status: 'completed',
+        recording: true,
+        recordingSid: 'RE-slides',
+        recordingUrl: 'https://api.twilio.test/RE-slides',
+        createdAt: '2026-10-19T06:00:00.000Z',
+        ...fields,
+    });
+}
+
+test('the fixture provider reads the transcript for the recording, or the default', async () => {
+    assert.equal(getSttProvider().name, 'fixture');
+    assert.equal(getSttProvider().needsAudio, false);
+
+    const result = await transcribe(null, { recordingSid: 'RE-slides' });
+    assert.equal(result.text, 'Rahul: Main aaj raat tak slides bhej dunga.');
+    assert.equal(result.provider, 'fixture');
+    assert.equal(typeof result.latencyMs, 'number');
+
+    assert.equal((await transcribe(null, { recordingSid: 'RE-other' })).text, 'Caller: Hello?\nRahul: Haan bolo.');
+    // The SID never escapes the fixture directory
+    assert.equal((await transcribe(null, { recordingSid: '../stt/RE-slides' })).text, 'Rahul: Main aaj raat tak slides bhej dunga.');
+});
+
+test('a completed recording is transcribed, summarized and pushed with its tasks', async () => {
+    const model = scriptedSummaries([slidesSummary]);
+    const call = recordedCall();
+
+    const summary = await processRecording(call.callId);
+    assert.deepEqual(summary, slidesSummary);
+    assert.deepEqual(model.transcripts, ['Rahul: Main aaj raat tak slides bhej dunga.']);
+
+    const stored = getCall(call.callId);
+    assert.equal(stored.transcript, 'Rahul: Main aaj raat tak slides bhej dunga.');
+    assert.equal(stored.summaryStatus, 'ready');
+    assert.deepEqual(stored.summary, slidesSummary);
+
+    const [task] = listTasks({ callId: call.callId });
+    assert.equal(task.task, 'Slides bhejna');
+    assert.equal(task.clientId, 'dev1');
+
+    const push = pushed.find((p) => p.callId === call.callId && p.type === 'call_summary');
+    assert.equal(push.clientId, 'dev1');
+    assert.equal(push.human_text, '📞 Call summary: Rahul aaj raat slides bhejega. — 1 follow-up task(s) bane');
+    assert.equal(push.tasks[0].id, task.id);
+
+    // Twilio retries the callback; a ready summary is not redone
+    assert.equal(await processRecording(call.callId), null);
+});
+
+test('two-way calls are summarized from their own transcript', async () => {
+    const model = scriptedSummaries([slidesSummary]);
+    const call = recordedCall({ mode: 'conversational', transcript: 'AI: Namaste!\nRahul: Slides kal milengi.', recording: false, recordingSid: undefined });
+
+    await processRecording(call.callId);
+    assert.deepEqual(model.transcripts, ['AI: Namaste!\nRahul: Slides kal milengi.']);
+    assert.equal(getCall(call.callId).transcript, 'AI: Namaste!\nRahul: Slides kal milengi.');
+});
+
+test('calls with nothing to transcribe are skipped', async () => {
+    const model = scriptedSummaries([]);
+
+    assert.equal(await processRecording('no-such-call'), null);
+    assert.equal(await processRecording(recordedCall({ recording: false, recordingSid: undefined }).callId), null);
+    assert.equal(model.transcripts.length, 0);
+});
+
+test('a failed summary is stored on the call and reported to the device', async () => {
+    scriptedSummaries([{ summary: 'Missing the rest' }]);
+    const call = recordedCall();
+
+    assert.equal(await processRecording(call.callId), null);
+    const stored = getCall(call.callId);
+    assert.equal(stored.summaryStatus, 'failed');
+    assert.equal(stored.summaryError, 'Summary missing required field: key_points');
+
+    const push = pushed.find((p) => p.callId === call.callId && p.type === 'call_summary_failed');
+    assert.equal(push.human_text, 'Call ka summary nahi ban paya.');
+    assert.equal(listTasks({ callId: call.callId }).length, 0);
+});
+
+test('a recording without a fixture fails the run', async () => {
+    fs.renameSync(path.join(fixtureDir, 'default.txt'), path.join(fixtureDir, 'default.bak'));
+    try {
+        const call = recordedCall({ recordingSid: 'RE-unknown' });
+        assert.equal(await processRecording(call.callId), null);
+        assert.equal(getCall(call.callId).summaryError, `No STT fixture in ${fixtureDir}`);
+    } finally {
+        fs.renameSync(path.join(fixtureDir, 'default.bak'), path.join(fixtureDir, 'default.txt'));
+    }
+});
@@ -0,0 +1,113 @@
+process.env.REMINDER_TICK_MS = '20';
+process.env.REMINDER_SNOOZE_MINUTES = '10';
+require('./setup');
+const fs = require('fs');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+
+// Reminders left behind by an earlier run
+const DAY_MS = 86_400_000;
+const stored = (id, status, updatedDaysAgo, dueAt = new Date(Date.now() + DAY_MS)) => ({
+    id,
+    clientId: 'dev1',
+    text: id,
+    dueAt: dueAt.toISOString(),
+    status,
+    snoozeCount: 0,
+    planId: null,
+    createdAt: new Date(Date.now() - updatedDaysAgo * DAY_MS).toISOString(),
+    updatedAt: new Date(Date.now() - updatedDaysAgo * DAY_MS).toISOString(),
+    deliveredAt: null,
+});
+fs.writeFileSync(config.reminders.file, JSON.stringify([
+    stored('upcoming', 'scheduled', 40),
+    stored('recent-missed', 'missed', 1, new Date(Date.now() - DAY_MS)),
+    stored('old-missed', 'missed', 40, new Date(Date.now() - 41 * DAY_MS)),
+    stored('old-delivered', 'delivered', 40),
+    stored('old-cancelled', 'cancelled', 40),
+]));
+
+const {
+    startReminderScheduler, createReminder, listReminders, cancelReminder, snoozeReminder, replayMissedReminders,
+} = require('../services/reminderScheduler');
+
+const online = new Set();
+const pushed = [];
+startReminderScheduler({
+    deliver: (clientId, data) => {
+        if (!online.has(clientId)) return false;
+        pushed.push({ clientId, ...data });
+        return true;
+    },
+});
+
+const nextTicks = () => new Promise((resolve) => setTimeout(resolve, 100));
+const statusOf = (id) => listReminders().find((r) => r.id === id)?.status;
+
+test('persisted reminders reload and long-finished ones are pruned', () => {
+    assert.deepEqual(listReminders({ clientId: 'dev1' }).map((r) => r.id), ['recent-missed', 'upcoming']);
+});
+
+test('a due reminder is pushed to its online device', async () => {
+    online.add('dev2');
+    const reminder = createReminder({ clientId: 'dev2', text: 'Dawai lena', dueAt: new Date(Date.now() - 1000), planId: 'p1' });
+
+    await nextTicks();
+    assert.equal(statusOf(reminder.id), 'delivered');
+    const [push] = pushed.filter((p) => p.reminder.id === reminder.id);
+    assert.equal(push.human_text, '⏰ Yaad dila raha hoon: Dawai lena');
+    assert.equal(push.reminder.missed, false);
+});
+
+test('an offline device misses it and gets it on reconnect', async () => {
+    const reminder = createReminder({ clientId: 'dev3', text: 'Bijli ka bill', dueAt: new Date(Date.now() - 1000) });
+
+    await nextTicks();
+    assert.equal(statusOf(reminder.id), 'missed');
+    assert.equal(replayMissedReminders('dev3'), 0, 'still offline');
+
+    online.add('dev3');
+    assert.equal(replayMissedReminders('dev3'), 1);
+    assert.equal(statusOf(reminder.id), 'delivered');
+    const push = pushed.find((p) => p.reminder.id === reminder.id);
+    assert.equal(push.reminder.missed, true);
+    assert.match(push.human_text, /^⏰ Chhoot gaya reminder \(.+\): Bijli ka bill$/);
+});
+
+test('future reminders wait', async () => {
+    online.add('dev4');
+    const reminder = createReminder({ clientId: 'dev4', text: 'Later', dueAt: new Date(Date.now() + 60_000) });
+
+    await nextTicks();
+    assert.equal(statusOf(reminder.id), 'scheduled');
+});
+
+test('only the owner can cancel, and only once', () => {
+    const reminder = createReminder({ clientId: 'dev5', text: 'Cancel me', dueAt: new Date(Date.now() + 60_000) });
+
+    assert.deepEqual(cancelReminder(reminder.id, { clientId: 'dev6' }), { ok: false, status: 404, error: 'Reminder not found' });
+    assert.equal(cancelReminder(reminder.id, { clientId: 'dev5' }).reminder.status, 'cancelled');
+    assert.equal(cancelReminder(reminder.id, { clientId: 'dev5' }).status, 409);
+    assert.equal(snoozeReminder(reminder.id, { clientId: 'dev5' }).error, 'Reminder is cancelled');
+});
+
+test('snoozing reschedules by the default or a given time', () => {
+    const reminder = createReminder({ clientId: 'dev5', text: 'Snooze me', dueAt: new Date(Date.now() - 1000) });
+
+    const before = Date.now();
+    const snoozed = snoozeReminder(reminder.id, { clientId: 'dev5' }).reminder;
+    assert.equal(snoozed.status, 'scheduled');
+    assert.equal(snoozed.snoozeCount, 1);
+    assert.ok(Date.parse(snoozed.dueAt) >= before + 10 * 60_000);
+
+    const until = new Date(Date.now() + DAY_MS);
+    assert.equal(snoozeReminder(reminder.id, { clientId: 'dev5', until }).reminder.dueAt, until.toISOString());
+    assert.equal(snoozeReminder(reminder.id, { clientId: 'dev5', until: new Date(0) }).error, 'Snooze time must be in the future');
+});
+
+test('reminders are listed soonest first and filtered by status', () => {
+    const dueTimes = listReminders({ clientId: 'dev1' }).map((r) => r.dueAt);
+    assert.deepEqual(dueTimes, [...dueTimes].sort());
+    assert.deepEqual(listReminders({ clientId: 'dev1', status: 'missed' }).map((r) => r.id), ['recent-missed']);
+});
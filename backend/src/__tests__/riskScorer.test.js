@@ -0,0 +1,96 @@
+require('./setup');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreRisk, maxRisk, recipientTrust } = require('../services/riskScorer');
+const { insertCall } = require('../services/callStore');
+const { syncContacts } = require('../services/contactDirectory');
+const { validateAction } = require('../services/actionValidator');
+
+const AFTERNOON = new Date('2026-10-19T09:30:00.000Z'); // 15:00 IST
+const LATE_NIGHT = new Date('2026-10-19T17:30:00.000Z'); // 23:00 IST
+
+const message = (params, extra = {}) => ({ intent: 'send_message', confidence: 0.9, params: { to: 'Priya', ...params }, ...extra });
+const score = (plan, context = {}) => scoreRisk(plan, { now: AFTERNOON, ...context });
+
+test('intent sets the base level', () => {
+    assert.deepEqual(score({ intent: 'open_app', confidence: 0.9, params: { package: 'x' } }), { level: 'low', points: 0, reasons: [] });
+    assert.equal(score(message({ message: 'Late hoon' })).level, 'medium');
+    assert.deepEqual(score({ intent: 'call_number', confidence: 0.9, params: { to: 'Rahul' } }), { level: 'high', points: 3, reasons: ['call'] });
+});
+
+test('content signals add up', () => {
+    assert.deepEqual(score(message({ message: 'Apna OTP bhejo' })).reasons, ['secret_keyword']);
+    assert.deepEqual(score(message({ message: '₹500 UPI kar do' })).reasons, ['money_keyword']);
+    assert.deepEqual(score(message({ message: 'dekho https://example.com' })).reasons, ['contains_link']);
+    assert.deepEqual(score(message({ message: 'a'.repeat(501) })).reasons, ['long_message']);
+
+    const scam = score(message({ message: 'OTP aur bank details bhejo bit.ly/x' }));
+    assert.equal(scam.level, 'critical');
+    assert.equal(scam.points, 7);
+});
+
+test('quiet hours and low confidence only count for outgoing actions', () => {
+    assert.deepEqual(score(message({ message: 'hi' }), { now: LATE_NIGHT }).reasons, ['quiet_hours']);
+    assert.deepEqual(score(message({ message: 'hi' }, { confidence: 0.5 })).reasons, ['low_confidence']);
+    assert.deepEqual(score(message({ message: 'hi' }, { confidence: 0.1 })).reasons, ['very_low_confidence']);
+
+    const passive = score({ intent: 'info_response', confidence: 0.1, params: { answer: 'x' } }, { now: LATE_NIGHT });
+    assert.deepEqual(passive, { level: 'low', points: 0, reasons: [] });
+});
+
+test('an unknown raw number is a risk signal, a named contact is not', () => {
+    assert.equal(recipientTrust('Rahul'), 'known');
+    assert.equal(recipientTrust('+91 98111 22233'), 'unknown');
+    assert.deepEqual(score(message({ to: '+91 98111 22233', message: 'hi' })).reasons, ['new_number']);
+    // Directory-resolved recipients were picked from the owner's contacts
+    assert.deepEqual(score(message({ to: '+91 98111 22233', message: 'hi' }, { recipient_source: 'directory' })).reasons, []);
+});
+
+test('a number in the owner\'s contacts is known', () => {
+    syncContacts('dev1', [{ id: 'c1', name: 'Rahul', numbers: ['+91 98222 33344'] }]);
+
+    assert.equal(recipientTrust('098222 33344', 'dev1'), 'known');
+    assert.equal(recipientTrust('098222 33344', 'dev2'), 'unknown');
+    assert.equal(recipientTrust('098222 33344'), 'unknown');
+});
+
+test('a number the owner called before is contacted', () => {
+    insertCall({ callId: 'risk-1', clientId: 'dev1', to: '+919833344455', direction: 'outbound', status: 'completed' });
+    insertCall({ callId: 'risk-2', clientId: 'dev1', to: '+919844455566', direction: 'inbound', status: 'completed' });
+    insertCall({ callId: 'risk-3', to: '+919855566677', direction: 'outbound', status: 'no-answer' });
+
+    assert.equal(recipientTrust('+91 98333 44455', 'dev1'), 'contacted');
+    assert.equal(recipientTrust('+91 98333 44455', 'dev2'), 'unknown');
+    assert.equal(recipientTrust('+91 98444 55566', 'dev1'), 'unknown', 'an inbound call is not one the owner placed');
+    assert.equal(recipientTrust('+91 98555 66677'), 'contacted', 'REST calls are owned by REST');
+    assert.equal(recipientTrust('+91 98555 66677', 'dev1'), 'unknown');
+});
+
+test('maxRisk picks the higher level', () => {
+    assert.equal(maxRisk('low', 'high'), 'high');
+    assert.equal(maxRisk('critical', 'medium'), 'critical');
+    assert.equal(maxRisk('medium', 'medium'), 'medium');
+});
+
+test('the model can raise risk but never lower it', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: AFTERNOON.getTime() });
+    const plan = (riskLevel, params) => ({
+        intent: 'send_message',
+        confidence: 0.9,
+        risk_level: riskLevel,
+        human_text: 'Bhej du?',
+        params: { to: 'Priya', ...params },
+        execution_plan: ['Send'],
+        confirmation_required: true,
+    });
+
+    const lowered = validateAction(plan('low', { message: 'Paytm pe ₹2000 bhej do' })).sanitizedPlan;
+    assert.equal(lowered.risk_level, 'high');
+    assert.equal(lowered.model_risk_level, 'low');
+    assert.deepEqual(lowered.risk_reasons, ['money_keyword']);
+    assert.equal(lowered.requires_double_confirm, true);
+
+    const raised = validateAction(plan('critical', { message: 'Late hoon' })).sanitizedPlan;
+    assert.equal(raised.risk_level, 'critical');
+    assert.equal(raised.server_risk_level, 'medium');
+});
@@ -0,0 +1,88 @@
+require('./setup');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectSensitiveData, maskText, redact } = require('../services/sensitiveData');
+const { validateAction } = require('../services/actionValidator');
+
+const types = (text) => detectSensitiveData(text).map((finding) => finding.type);
+
+test('card numbers must pass the Luhn check', () => {
+    assert.deepEqual(types('card 4111 1111 1111 1111'), ['card']);
+    assert.deepEqual(types('card 4111-1111-1111-1111'), ['card']);
+    assert.deepEqual(types('order 4111 1111 1111 1112'), []);
+});
+
+test('Aadhaar numbers must pass the Verhoeff check', () => {
+    assert.deepEqual(types('aadhaar 2341 2341 2346'), ['aadhaar']);
+    assert.deepEqual(types('aadhaar 234123412346'), ['aadhaar']);
+    assert.deepEqual(types('ticket 2341 2341 2345'), []);
+    // Aadhaar never starts with 0 or 1
+    assert.deepEqual(types('1341 2341 2346'), []);
+});
+
+test('PAN and UPI IDs are found but emails are not', () => {
+    assert.deepEqual(types('PAN hai ABCPE1234F'), ['pan']);
+    assert.deepEqual(types('GPay karo rahul@okaxis pe'), ['upi']);
+    assert.deepEqual(types('mail rahul@example.com'), []);
+});
+
+test('OTPs need a value next to the keyword', () => {
+    assert.deepEqual(types('Your OTP is 482913'), ['otp']);
+    assert.deepEqual(types('482913 is your verification code'), ['otp']);
+    assert.deepEqual(types('code hai 4821'), ['otp']);
+    assert.deepEqual(types('pin: 1234'), ['otp']);
+    assert.deepEqual(types('OTP aaya kya?'), []);
+});
+
+test('a postal pin code is an address, not an OTP', () => {
+    assert.deepEqual(types('Mera pin code 110001 hai'), []);
+    assert.deepEqual(types('Delhi pin code: 110001'), []);
+    assert.deepEqual(types('zip code 560034'), []);
+});
+
+test('a password counts only when a secret-looking value is given', () => {
+    assert.deepEqual(types('wifi password is Tiger@123'), ['password']);
+    assert.deepEqual(types('password: hunter22.'), ['password']);
+    assert.deepEqual(types('wifi ka password kal change kar dena'), []);
+    assert.deepEqual(types('password is changed'), []);
+    assert.deepEqual(types('mera password hai secret.'), []);
+});
+
+test('masking replaces findings and phone numbers but keeps dates', () => {
+    assert.equal(maskText('OTP is 482913'), '[OTP]');
+    assert.equal(maskText('call +91 98765 43210'), 'call +•• ••••• •••10');
+    assert.equal(maskText('2026-10-19 10:00:00'), '2026-10-19 10:00:00');
+});
+
+test('log payloads are redacted deeply, content by length only', () => {
+    const payload = {
+        callId: '12345678901234',
+        params: { message: 'OTP is 482913', to: '+919876543210' },
+        notes: ['card 4111 1111 1111 1111'],
+    };
+    assert.deepEqual(redact(payload), {
+        callId: '12345678901234',
+        params: { message: '[redacted 13 chars]', to: '+••••••••••10' },
+        notes: ['card [CARD]'],
+    });
+});
+
+test('outgoing messages with blocked types are rejected, the rest go critical', () => {
+    const message = (text) => ({
+        intent: 'send_message',
+        confidence: 0.9,
+        risk_level: 'low',
+        human_text: 'Bhej du?',
+        params: { to: 'Priya', message: text },
+        execution_plan: ['Send'],
+        confirmation_required: true,
+    });
+
+    assert.match(validateAction(message('Mera OTP 482913 hai')).reason, /would share sensitive data \(otp\)/);
+
+    const upi = validateAction(message('Paise rahul@okaxis pe bhejna')).sanitizedPlan;
+    assert.equal(upi.risk_level, 'critical');
+    assert.ok(upi.risk_reasons.includes('sensitive_upi'));
+
+    assert.equal(validateAction(message('Pin code 110001 hai, courier bhej do')).valid, true);
+});
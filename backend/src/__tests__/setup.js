@@ -0,0 +1,41 @@
+// ─── Test Setup ────────────────────────────────────────────────────
+// Required first by every test file (node --test runs each file in its own
+// process). Points every persisted store at a throwaway directory, uses the
+// offline mock LLM and silences the logger, so tests never touch data/ or
+// logs/ and never reach the network.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'operator-test-'));
+
+// A copy of the shipped policy, so hot-reload tests can edit it
+fs.copyFileSync(path.join(__dirname, '..', '..', 'policies', 'actions.json'), path.join(dataDir, 'actions.json'));
+
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    API_SECRET_KEY: 'test-secret',
+    DEEPSEEK_API_KEY: 'test-key',
+    LLM_PROVIDERS: 'mock',
+    TWILIO_ACCOUNT_SID: '',
+    TWILIO_AUTH_TOKEN: 'test-twilio-token',
+    TWILIO_WEBHOOK_BASE_URL: 'https://operator.test',
+    STT_PROVIDER: 'none',
+    CALLS_FILE: path.join(dataDir, 'calls.json'),
+    TASKS_FILE: path.join(dataDir, 'tasks.json'),
+    REMINDERS_FILE: path.join(dataDir, 'reminders.json'),
+    CALL_JOBS_FILE: path.join(dataDir, 'call-jobs.json'),
+    VOICE_SETTINGS_FILE: path.join(dataDir, 'voice-settings.json'),
+    USAGE_FILE: path.join(dataDir, 'usage.json'),
+    POLICY_FILE: path.join(dataDir, 'actions.json'),
+});
+
+require('../middleware/auditLogger').logger.silent = true;
+
+// Registered after persistedStore's own exit hook, so pending writes land
+// first and are then removed with the directory
+require('../utils/persistedStore');
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+module.exports = { dataDir };
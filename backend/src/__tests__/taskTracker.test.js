@@ -0,0 +1,171 @@
+process.env.TASK_TICK_MS = '20';
+require('./setup');
+const fs = require('fs');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+
+// Tasks left behind by an earlier run
+const DAY_MS = 86_400_000;
+const stored = (id, status, updatedDaysAgo) => ({
+    id,
+    clientId: 'dev1',
+    callId: 'old-call',
+    task: id,
+    owner: null,
+    deadline: null,
+    dueAt: null,
+    status,
+    followUp: null,
+    notifiedAt: null,
+    createdAt: new Date(Date.now() - updatedDaysAgo * DAY_MS).toISOString(),
+    updatedAt: new Date(Date.now() - updatedDaysAgo * DAY_MS).toISOString(),
+});
+fs.writeFileSync(config.tasks.file, JSON.stringify([
+    stored('old-open', 'open', 40),
+    stored('recent-done', 'done', 2),
+    stored('old-done', 'done', 40),
+    stored('old-cancelled', 'cancelled', 40),
+]));
+
+const {
+    startTaskTracker, createTasksFromSummary, listTasks, getTask, updateTask, proposeFollowUp,
+} = require('../services/taskTracker');
+const { executeConfirmedPlan } = require('../services/actionExecutor');
+
+const online = new Set();
+const pushed = [];
+startTaskTracker({
+    deliver: (clientId, data) => {
+        if (!online.has(clientId)) return false;
+        pushed.push({ clientId, ...data });
+        return true;
+    },
+});
+
+// Monday 19 Oct 2026, 11:30 IST
+const MIDDAY = Date.parse('2026-10-19T06:00:00.000Z');
+const nextTicks = () => new Promise((resolve) => setTimeout(resolve, 100));
+
+let calls = 0;
+const call = (fields = {}) => ({
+    callId: `call-${(calls += 1)}`,
+    clientId: 'dev2',
+    contactName: 'Rahul',
+    to: '+919876543210',
+    createdAt: new Date(MIDDAY).toISOString(),
+    ...fields,
+});
+const summary = (fields = {}) => ({
+    summary: 'Meeting kal 5 baje fix hui.',
+    key_points: [],
+    action_items: [
+        { task: 'Slides bhejna', owner: 'Rahul', deadline: 'kal 9 baje' },
+        { task: 'Budget sheet share karna', owner: 'Priya' },
+        { task: '  ' },
+        null,
+    ],
+    follow_up_needed: true,
+    ...fields,
+});
+
+test('long-finished tasks are pruned on load; open ones are kept', () => {
+    assert.deepEqual(listTasks({ clientId: 'dev1' }).map((t) => t.id).sort(), ['old-open', 'recent-done']);
+});
+
+test('each action item becomes a task with its deadline read from the call time', () => {
+    const source = call();
+    const tasks = createTasksFromSummary(source, summary());
+
+    assert.deepEqual(tasks.map((t) => t.task), ['Slides bhejna', 'Budget sheet share karna']);
+    assert.equal(tasks[0].dueAt, '2026-10-20T03:30:00.000Z');
+    assert.equal(tasks[0].deadline, 'kal 9 baje');
+    assert.equal(tasks[1].dueAt, null);
+    for (const task of tasks) {
+        assert.equal(task.callId, source.callId);
+        assert.equal(task.clientId, 'dev2');
+        assert.equal(task.status, 'open');
+    }
+    assert.deepEqual(tasks[0].followUp, {
+        intent: 'send_message',
+        to: 'Rahul',
+        message: 'Namaste! Humari call ka recap: Meeting kal 5 baje fix hui. Next step: Slides bhejna (kal 9 baje).',
+    });
+
+    // Twilio retries and re-summaries never duplicate them
+    assert.deepEqual(createTasksFromSummary(source, summary()).map((t) => t.id), tasks.map((t) => t.id));
+});
+
+test('no follow-up is drafted unless the summary asks for one', () => {
+    const [task] = createTasksFromSummary(call(), summary({ follow_up_needed: false }));
+    assert.equal(task.followUp, null);
+    assert.deepEqual(proposeFollowUp(task.id, { clientId: 'dev2' }), { ok: false, status: 409, error: 'Task has no follow-up to propose' });
+});
+
+test('tasks list soonest deadline first, undated last', () => {
+    const tasks = listTasks({ clientId: 'dev2', status: 'open' });
+    const dated = tasks.filter((t) => t.dueAt);
+    assert.ok(dated.length > 0);
+    assert.deepEqual(tasks.slice(0, dated.length), dated);
+});
+
+test('status and deadline changes are checked and owned', () => {
+    const [task] = createTasksFromSummary(call(), summary());
+
+    assert.deepEqual(updateTask(task.id, { status: 'archived' }), { ok: false, status: 400, error: 'status must be one of open, done, cancelled' });
+    assert.deepEqual(updateTask(task.id, { status: 'done' }, { clientId: 'dev9' }), { ok: false, status: 404, error: 'Task not found' });
+    assert.equal(getTask(task.id, { clientId: 'dev9' }), null);
+
+    task.notifiedAt = new Date().toISOString();
+    const moved = updateTask(task.id, { dueAt: new Date(MIDDAY + DAY_MS) }, { clientId: 'dev2' }).task;
+    assert.equal(moved.dueAt, new Date(MIDDAY + DAY_MS).toISOString());
+    assert.equal(moved.notifiedAt, null, 'a new deadline is notified again');
+
+    assert.equal(updateTask(task.id, { status: 'done' }).task.status, 'done');
+    assert.equal(updateTask(task.id, { dueAt: null }).task.dueAt, null);
+});
+
+test('an open task is pushed once its deadline passes, after the device reconnects', async () => {
+    const [task] = createTasksFromSummary(call({ clientId: 'dev3' }), summary({ action_items: [{ task: 'Bill bharna', owner: 'Rahul' }] }));
+    updateTask(task.id, { dueAt: new Date(Date.now() - 1000) });
+
+    await nextTicks();
+    assert.equal(getTask(task.id).notifiedAt, null, 'offline device is retried');
+
+    online.add('dev3');
+    await nextTicks();
+    const pushes = pushed.filter((p) => p.task.id === task.id);
+    assert.equal(pushes.length, 1);
+    assert.equal(pushes[0].human_text, '📌 Follow-up ka time: Bill bharna (Rahul)');
+    assert.ok(getTask(task.id).notifiedAt);
+});
+
+test('done tasks are never pushed', async () => {
+    online.add('dev4');
+    const [task] = createTasksFromSummary(call({ clientId: 'dev4' }), summary({ action_items: [{ task: 'Ho gaya' }] }));
+    updateTask(task.id, { status: 'done', dueAt: new Date(Date.now() - 1000) });
+
+    await nextTicks();
+    assert.equal(pushed.some((p) => p.task.id === task.id), false);
+});
+
+test('a REST task proposes its recap as a plan that REST can confirm', async (t) => {
+    // 11:30 IST — outside quiet hours, so the recap stays medium risk
+    t.mock.timers.enable({ apis: ['Date'], now: MIDDAY });
+    const [task] = createTasksFromSummary(call({ clientId: null }), summary());
+    assert.equal(task.clientId, 'rest');
+
+    const { plan } = proposeFollowUp(task.id);
+    assert.equal(plan.intent, 'send_message');
+    assert.equal(plan.params.to, 'Rahul');
+    assert.equal(plan.params.message, task.followUp.message);
+    assert.equal(plan.human_text, `Rahul ko call ka recap bhej du? "${task.followUp.message.substring(0, 80)}"`);
+    assert.ok(plan.plan_id);
+
+    // A device cannot propose someone else's task
+    assert.equal(proposeFollowUp(task.id, { clientId: 'dev2' }).status, 404);
+
+    const execution = await executeConfirmedPlan({ planId: plan.plan_id });
+    assert.equal(execution.ok, true);
+    assert.equal(execution.results[0].status, 'executed');
+});
@@ -0,0 +1,157 @@
+require('./setup');
+const http = require('http');
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeTwilioSignature, validateTwilioSignature } = require('../utils/twilioSignature');
+const { initCallManager, getCall } = require('../services/callManager');
+const { insertCall } = require('../services/callStore');
+const twilioWebhookRoutes = require('../routes/twilioWebhooks');
+
+const TOKEN = 'test-twilio-token';
+const BASE_URL = 'https://operator.test';
+
+const pushed = [];
+initCallManager({ deliver: (clientId, data) => { pushed.push({ clientId, ...data }); return true; } });
+
+// Mounted the way index.js mounts it, minus the API router
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+app.use('/api', twilioWebhookRoutes);
+const server = http.createServer(app);
+let origin;
+
+before(() => new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+        origin = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+after(() => new Promise((resolve) => server.close(resolve)));
+
+/** Posts a form body signed for the public webhook URL, like Twilio does */
+function post(path, params, { signature = computeTwilioSignature(TOKEN, `${BASE_URL}${path}`, params) } = {}) {
+    return fetch(`${origin}${path}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            ...(signature && { 'X-Twilio-Signature': signature }),
+        },
+        body: new URLSearchParams(params),
+    });
+}
+
+function outboundCall(fields = {}) {
+    return insertCall({
+        callId: uuidv4(),
+        type: 'voip',
+        direction: 'outbound',
+        to: '+919876543210',
+        clientId: 'dev1',
+        status: 'queued',
+        recording: false,
+        createdAt: new Date().toISOString(),
+        ...fields,
+    });
+}
+
+test('a signature covers the URL, every param and the token', () => {
+    const url = `${BASE_URL}/api/call/c1/status`;
+    const params = { CallSid: 'CA1', CallStatus: 'ringing' };
+    const signature = computeTwilioSignature(TOKEN, url, params);
+
+    assert.equal(validateTwilioSignature(TOKEN, signature, url, params), true);
+    assert.equal(validateTwilioSignature(TOKEN, signature, url, { ...params, CallStatus: 'completed' }), false);
+    assert.equal(validateTwilioSignature(TOKEN, signature, `${BASE_URL}/api/call/c2/status`, params), false);
+    assert.equal(validateTwilioSignature('other-token', signature, url, params), false);
+    assert.equal(validateTwilioSignature(TOKEN, '', url, params), false);
+    assert.equal(validateTwilioSignature(null, signature, url, params), false);
+});
+
+test('param order does not change the signature', () => {
+    const url = `${BASE_URL}/api/voice/inbound`;
+    assert.equal(
+        computeTwilioSignature(TOKEN, url, { From: '+919876543210', CallSid: 'CA1' }),
+        computeTwilioSignature(TOKEN, url, { CallSid: 'CA1', From: '+919876543210' }),
+    );
+});
+
+test('unsigned and wrongly signed callbacks are refused', async () => {
+    const call = outboundCall();
+    const path = `/api/call/${call.callId}/status`;
+
+    const unsigned = await post(path, { CallStatus: 'ringing' }, { signature: null });
+    assert.equal(unsigned.status, 403);
+    assert.deepEqual(await unsigned.json(), { error: 'Invalid Twilio signature.' });
+
+    const forged = await post(path, { CallStatus: 'ringing' }, { signature: computeTwilioSignature('other-token', `${BASE_URL}${path}`, { CallStatus: 'ringing' }) });
+    assert.equal(forged.status, 403);
+    assert.equal(getCall(call.callId).status, 'queued');
+});
+
+test('a status callback moves the call forward and pushes it to the device', async () => {
+    const call = outboundCall();
+    const path = `/api/call/${call.callId}/status`;
+
+    assert.equal((await post(path, { CallSid: 'CA-live', CallStatus: 'ringing' })).status, 204);
+    assert.equal((await post(path, { CallSid: 'CA-live', CallStatus: 'in-progress' })).status, 204);
+    assert.equal(getCall(call.callId).status, 'in-progress');
+    assert.equal(getCall(call.callId).twilioSid, 'CA-live');
+    assert.ok(getCall(call.callId).answeredAt);
+
+    const updates = pushed.filter((p) => p.callId === call.callId);
+    assert.deepEqual(updates.map((p) => `${p.previousStatus}→${p.status}`), ['queued→ringing', 'ringing→in-progress']);
+    assert.equal(updates[1].clientId, 'dev1');
+    assert.equal(updates[1].human_text, 'Call connect ho gayi.');
+});
+
+test('late and repeated callbacks never move status backwards', async () => {
+    const call = outboundCall();
+    const path = `/api/call/${call.callId}/status`;
+
+    await post(path, { CallSid: 'CA-late', CallStatus: 'completed', CallDuration: '42' });
+    assert.equal((await post(path, { CallSid: 'CA-late', CallStatus: 'ringing' })).status, 204);
+
+    const stored = getCall(call.callId);
+    assert.equal(stored.status, 'completed');
+    assert.equal(stored.durationSec, 42);
+    assert.ok(stored.endedAt);
+    assert.deepEqual(stored.statusHistory.map((h) => h.status), ['completed', 'ringing']);
+    assert.equal(pushed.filter((p) => p.callId === call.callId).length, 1);
+});
+
+test('bad status callbacks get the matching error', async () => {
+    const call = outboundCall({ twilioSid: 'CA-own' });
+    const path = `/api/call/${call.callId}/status`;
+
+    const missing = await post(path, { CallSid: 'CA-own' });
+    assert.equal(missing.status, 400);
+    assert.deepEqual(await missing.json(), { error: 'Missing CallStatus' });
+
+    assert.equal((await post(path, { CallSid: 'CA-own', CallStatus: 'exploded' })).status, 400);
+    assert.equal((await post(path, { CallSid: 'CA-other', CallStatus: 'ringing' })).status, 409);
+    assert.equal((await post('/api/call/no-such-call/status', { CallStatus: 'ringing' })).status, 404);
+});
+
+test('a recording is kept only for calls recorded with consent', async () => {
+    const consented = outboundCall({ recording: true });
+    const path = `/api/call/${consented.callId}/recording-status`;
+
+    const noUrl = await post(path, { RecordingSid: 'RE1', RecordingStatus: 'completed' });
+    assert.equal(noUrl.status, 400);
+    assert.deepEqual(await noUrl.json(), { error: 'Missing RecordingUrl for a completed recording' });
+    assert.equal((await post(path, { RecordingStatus: 'completed' })).status, 400);
+
+    const done = await post(path, { RecordingSid: 'RE1', RecordingStatus: 'completed', RecordingUrl: 'https://api.twilio.test/RE1', RecordingDuration: '40' });
+    assert.equal(done.status, 204);
+    const stored = getCall(consented.callId);
+    assert.equal(stored.recordingUrl, 'https://api.twilio.test/RE1');
+    assert.equal(stored.recordingDurationSec, 40);
+    assert.equal(pushed.find((p) => p.callId === consented.callId && p.type === 'call_recording').human_text, 'Call ki recording ready hai.');
+
+    const unconsented = outboundCall();
+    const refused = await post(`/api/call/${unconsented.callId}/recording-status`, { RecordingSid: 'RE2', RecordingStatus: 'completed', RecordingUrl: 'https://api.twilio.test/RE2' });
+    assert.equal(refused.status, 409);
+    assert.equal(getCall(unconsented.callId).recordingSid, undefined);
+});
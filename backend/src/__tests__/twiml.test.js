@@ -0,0 +1,74 @@
+// TwiML snapshots: every case in fixtures/twiml/cases.json is rendered with
+// the pure builders and compared to the <id>.xml snapshot next to it.
+//
+// Case format: { "id", "builder": "script" | "gather" | "hangup" | "record" | "hold" | "dial", "input" }
+// An input with "profileLine" (e.g. "silence") speaks that fixed line of its
+// voice profile instead of a literal "line".
+//
+// After an intended builder change, rewrite the snapshots with
+//   UPDATE_TWIML_SNAPSHOTS=1 node --test src/__tests__/twiml.test.js
+require('./setup');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    buildScriptTwiML,
+    buildGatherTwiML,
+    buildHangupTwiML,
+    buildRecordTwiML,
+    buildHoldTwiML,
+    buildDialTwiML,
+    resolveVoice,
+    VOICE_PROFILES,
+} = require('../utils/twiml');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'twiml');
+const UPDATE = process.env.UPDATE_TWIML_SNAPSHOTS === '1';
+
+const BUILDERS = {
+    script: buildScriptTwiML,
+    gather: buildGatherTwiML,
+    hangup: buildHangupTwiML,
+    record: buildRecordTwiML,
+    hold: buildHoldTwiML,
+    dial: buildDialTwiML,
+};
+
+function withProfileLine(id, { profileLine, ...input }) {
+    if (!profileLine) return input;
+    const line = resolveVoice(input.voice).lines[profileLine];
+    assert.ok(line, `${id}: voice profile has no "${profileLine}" line`);
+    return { ...input, line };
+}
+
+// One TwiML verb per line so snapshot diffs stay readable (SSML stays inline)
+function pretty(xml) {
+    return `${xml.replace(/>(?=<\/?[A-Z])/g, '>\n')}\n`;
+}
+
+const cases = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'cases.json'), 'utf8'));
+
+for (const { id, builder, input } of cases) {
+    test(`snapshot ${id}`, () => {
+        const build = BUILDERS[builder];
+        assert.ok(build, `${id}: unknown builder "${builder}"`);
+
+        const actual = pretty(build(withProfileLine(id, input)));
+        const file = path.join(FIXTURE_DIR, `${id}.xml`);
+        if (UPDATE) {
+            fs.writeFileSync(file, actual);
+            return;
+        }
+        assert.ok(fs.existsSync(file), `${id}: no snapshot — run with UPDATE_TWIML_SNAPSHOTS=1`);
+        assert.equal(actual, fs.readFileSync(file, 'utf8'));
+    });
+}
+
+test('every voice profile speaks the fixed lines the hi-IN profile defines', () => {
+    const keys = Object.keys(VOICE_PROFILES['hi-IN'].lines);
+    const missing = Object.entries(VOICE_PROFILES).flatMap(([name, profile]) => keys
+        .filter((key) => !profile.lines?.[key])
+        .map((key) => `${name}.lines.${key}`));
+    assert.deepEqual(missing, []);
+});
@@ -0,0 +1,89 @@
+process.env.DAILY_TOKEN_BUDGET = '1000';
+process.env.MONTHLY_TOKEN_BUDGET = '1500';
+require('./setup');
+const fs = require('fs');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const { localDayKey } = require('../utils/localTime');
+
+// Today's usage from before a restart, plus a long-gone month
+const today = localDayKey();
+const aggregate = (day, clientId, totalTokens) => ({
+    id: `${day}|${clientId}`, day, clientId, calls: 1, promptTokens: 0, completionTokens: 0,
+    totalTokens, latencyMsTotal: 100, costUsd: 0, byModel: {},
+});
+fs.writeFileSync(config.usage.file, JSON.stringify([aggregate(today, 'dev1', 400), aggregate('2020-01-05', 'dev1', 9999)]));
+
+const { recordUsage, checkBudget, getUsage } = require('../services/usageTracker');
+
+const flushed = () => new Promise((resolve) => setImmediate(resolve));
+const readFile = () => JSON.parse(fs.readFileSync(config.usage.file, 'utf8'));
+const call = (clientId, prompt, completion) => recordUsage({
+    clientId,
+    purpose: 'plan',
+    provider: 'deepseek',
+    model: 'deepseek-chat',
+    usage: { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion },
+    latencyMs: 300,
+});
+
+test('persisted aggregates are reloaded and old months pruned at load', () => {
+    const { days } = getUsage();
+    assert.deepEqual(days.map((d) => `${d.day}|${d.clientId}`), [`${today}|dev1`]);
+    assert.equal(days[0].totalTokens, 400);
+    assert.equal('id' in days[0], false);
+});
+
+test('calls are aggregated per client per day with cost and latency', async () => {
+    call('dev1', 100, 50);
+    call('dev1', 200, 100);
+    call(null, 10, 0);
+
+    const dev1 = getUsage({ clientId: 'dev1' }).days[0];
+    assert.equal(dev1.calls, 3);
+    assert.equal(dev1.totalTokens, 850);
+    assert.equal(dev1.avgLatencyMs, Math.round(700 / 3));
+    assert.equal(dev1.byModel['deepseek/deepseek-chat'].calls, 2);
+    assert.equal(dev1.costUsd, Number(((300 * 0.27 + 150 * 1.10) / 1_000_000).toFixed(6)));
+    assert.equal(getUsage({ clientId: 'system' }).days[0].totalTokens, 10);
+
+    await flushed();
+    assert.equal(readFile().find((agg) => agg.clientId === 'dev1').totalTokens, 850);
+});
+
+test('the daily budget trips once reached', () => {
+    assert.deepEqual(checkBudget(), { ok: true });
+    call('dev2', 140, 0);
+    assert.deepEqual(checkBudget(), { ok: false, scope: 'daily', used: 1000, limit: 1000 });
+    assert.equal(getUsage().budgets.daily.used, 1000);
+});
+
+test('the monthly budget counts every day of the month', (t) => {
+    // Tomorrow, if still this month, has a fresh daily budget
+    const tomorrow = Date.now() + 86_400_000;
+    if (localDayKey(new Date(tomorrow)).substring(0, 7) !== today.substring(0, 7)) return t.skip('month ends today');
+    t.mock.timers.enable({ apis: ['Date'], now: tomorrow });
+
+    assert.deepEqual(checkBudget(), { ok: true });
+    call('dev1', 500, 0);
+    assert.deepEqual(checkBudget(), { ok: false, scope: 'monthly', used: 1500, limit: 1500 });
+});
+
+test('the first call of a new month drops last month and resets the budgets', async (t) => {
+    const nextMonth = new Date(`${today.substring(0, 7)}-01T12:00:00Z`);
+    nextMonth.setUTCMonth(nextMonth.getUTCMonth() + 1);
+    t.mock.timers.enable({ apis: ['Date'], now: nextMonth.getTime() });
+
+    assert.deepEqual(checkBudget(), { ok: true });
+    call('dev1', 10, 10);
+
+    assert.deepEqual(getUsage().days.map((d) => d.day), [localDayKey()]);
+    await flushed();
+    assert.deepEqual(readFile().map((agg) => agg.totalTokens), [20]);
+});
+
+test('usage can be filtered by day range', () => {
+    assert.equal(getUsage({ from: '2099-01-01' }).days.length, 0);
+    assert.deepEqual(getUsage({ from: '2000-01-01', to: '2099-12-31' }).totals.calls, 1);
+});
@@ -0,0 +1,77 @@
+require('./setup');
+const fs = require('fs');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+
+// Settings saved by an earlier run
+fs.writeFileSync(config.calls.voiceSettingsFile, JSON.stringify([
+    { clientId: 'dev1', settings: { profile: 'en-IN', closingText: '' }, updatedAt: '2026-10-01T00:00:00.000Z' },
+]));
+
+const { getVoiceSettings, setVoiceSettings, resolveVoiceSettings } = require('../services/voiceSettings');
+const { syncContacts } = require('../services/contactDirectory');
+
+const turnEnds = () => new Promise((resolve) => setImmediate(resolve));
+
+test('saved settings reload and shape what a call speaks', () => {
+    assert.deepEqual(getVoiceSettings('dev1'), { profile: 'en-IN', closingText: '' });
+
+    const voice = resolveVoiceSettings({ clientId: 'dev1' });
+    assert.equal(voice.profile, 'en-IN');
+    assert.equal(voice.voice, 'Polly.Raveena');
+    assert.equal(voice.consentText, 'This call will be recorded. If you do not agree, you may hang up now.');
+    // An empty closing means none, not the default
+    assert.equal(voice.closingText, '');
+});
+
+test('without settings a call uses CALL_VOICE_PROFILE', () => {
+    assert.deepEqual(getVoiceSettings('dev-new'), {});
+    const voice = resolveVoiceSettings({ clientId: 'dev-new' });
+    assert.equal(voice.profile, 'hi-IN');
+    assert.equal(voice.voice, 'Polly.Aditi');
+    // REST calls read the "rest" owner's settings
+    assert.equal(resolveVoiceSettings({}).profile, 'hi-IN');
+});
+
+test('new settings replace the old ones and are written to the file', async () => {
+    const result = setVoiceSettings('dev2', { profile: 'ta-IN', consentText: '  Recording aagum.  ', closingText: ' Nandri! ' });
+    assert.deepEqual(result, { ok: true, settings: { profile: 'ta-IN', consentText: 'Recording aagum.', closingText: 'Nandri!' } });
+
+    setVoiceSettings('dev2', { voice: 'Polly.Kajal' });
+    assert.deepEqual(getVoiceSettings('dev2'), { voice: 'Polly.Kajal' });
+
+    await turnEnds();
+    const onDisk = JSON.parse(fs.readFileSync(config.calls.voiceSettingsFile, 'utf8'));
+    assert.deepEqual(onDisk.find((record) => record.clientId === 'dev2').settings, { voice: 'Polly.Kajal' });
+    assert.deepEqual(onDisk.find((record) => record.clientId === 'dev1').settings, { profile: 'en-IN', closingText: '' });
+});
+
+test('invalid settings are rejected and nothing is saved', () => {
+    const error = (settings) => setVoiceSettings('dev3', settings).error;
+
+    assert.equal(error({ profile: 'fr-FR' }), 'profile must be one of hi-IN, en-IN, ta-IN, te-IN, bn-IN, mr-IN');
+    assert.equal(error({ voice: 'Alice' }), 'voice must be a Twilio voice name like Polly.Aditi');
+    assert.equal(error({ voice: 'Polly.Aditi"/><Hangup' }), 'voice must be a Twilio voice name like Polly.Aditi');
+    // Recorded calls always announce it
+    assert.equal(error({ consentText: '   ' }), 'consentText must be a non-empty string');
+    assert.equal(error({ closingText: 5 }), 'closingText must be a string');
+    assert.equal(error({ closingText: 'x'.repeat(501) }), 'Scripts are limited to 500 characters');
+    assert.deepEqual(getVoiceSettings('dev3'), {});
+});
+
+test('a contact with another language gets that profile, not the user\'s custom lines', () => {
+    setVoiceSettings('dev4', { profile: 'hi-IN', closingText: 'Bas itna hi.' });
+    syncContacts('dev4', [
+        { name: 'Murugan', numbers: ['+91 98400 12345'], voiceProfile: 'ta-IN' },
+        { name: 'Priya', numbers: ['+91 98123 45678'], voiceProfile: 'hi-IN' },
+    ]);
+
+    const tamil = resolveVoiceSettings({ clientId: 'dev4', number: '+919840012345' });
+    assert.equal(tamil.profile, 'ta-IN');
+    assert.notEqual(tamil.closingText, 'Bas itna hi.');
+
+    // Same language as the user: their own lines apply
+    assert.equal(resolveVoiceSettings({ clientId: 'dev4', number: '+919812345678' }).closingText, 'Bas itna hi.');
+    assert.equal(resolveVoiceSettings({ clientId: 'dev4', number: '+919800000000' }).closingText, 'Bas itna hi.');
+});
@@ -18,6 +18,7 @@ const optional = (key, fallback) => process.env[key] || fallback;
 module.exports = Object.freeze({
     port: parseInt(optional('PORT', '3000'), 10),
     nodeEnv: optional('NODE_ENV', 'development'),
+    timezone: optional('TIMEZONE', 'Asia/Kolkata'),
 
     // Security
     apiSecretKey: required('API_SECRET_KEY'),
@@ -28,6 +29,24 @@ module.exports = Object.freeze({
         apiKey: required('DEEPSEEK_API_KEY'),
         baseUrl: optional('DEEPSEEK_BASE_URL', 'https://api.deepseek.com/v1'),
         model: optional('DEEPSEEK_MODEL', 'deepseek-chat'),
+        timeoutMs: parseInt(optional('DEEPSEEK_TIMEOUT_MS', '30000'), 10),
+    },
+
+    // Any OpenAI-compatible endpoint (Ollama, llama.cpp server, vLLM...)
+    openaiCompatible: {
+        apiKey: optional('OPENAI_COMPAT_API_KEY', ''),
+        baseUrl: optional('OPENAI_COMPAT_BASE_URL', 'http://localhost:11434/v1'),
+        model: optional('OPENAI_COMPAT_MODEL', 'llama3.1'),
+        timeoutMs: parseInt(optional('OPENAI_COMPAT_TIMEOUT_MS', '60000'), 10),
+    },
+
+    // LLM provider chain — tried in order, failing over on error
+    llm: {
+        providers: optional('LLM_PROVIDERS', 'deepseek').split(',').map((p) => p.trim()).filter(Boolean),
+        breakerThreshold: parseInt(optional('LLM_BREAKER_THRESHOLD', '3'), 10),
+        breakerCooldownMs: parseInt(optional('LLM_BREAKER_COOLDOWN_MS', '60000'), 10),
+        repairAttempts: parseInt(optional('LLM_REPAIR_ATTEMPTS', '2'), 10),
+        offlineFallback: optional('LLM_OFFLINE_FALLBACK', 'true') === 'true',
     },
 
     // Twilio (optional for MVP)
@@ -35,6 +54,142 @@ module.exports = Object.freeze({
         accountSid: optional('TWILIO_ACCOUNT_SID', ''),
         authToken: optional('TWILIO_AUTH_TOKEN', ''),
         phoneNumber: optional('TWILIO_PHONE_NUMBER', ''),
+        // Public origin Twilio reaches us at, e.g. https://api.example.com —
+        // callbacks are absolute URLs and signatures cover the full URL
+        webhookBaseUrl: optional('TWILIO_WEBHOOK_BASE_URL', '').replace(/\/+$/, ''),
+    },
+
+    // Call history file, two-way AI calls (caller speech via <Gather>, next
+    // line from the LLM) and the default voice profile (src/utils/twiml.js)
+    calls: {
+        file: optional('CALLS_FILE', 'data/calls.json'),
+        maxTurns: parseInt(optional('CALL_MAX_TURNS', '6'), 10),
+        voiceProfile: optional('CALL_VOICE_PROFILE', 'hi-IN'),
+        // Per-user voice/profile overrides and consent/closing scripts
+        voiceSettingsFile: optional('VOICE_SETTINGS_FILE', 'data/voice-settings.json'),
+        // Longer scripts are split across several <Say> verbs
+        maxSayChars: parseInt(optional('CALL_MAX_SAY_CHARS', '1000'), 10),
+    },
+
+    // Scheduled calls and retry on busy/no-answer — persisted, due jobs
+    // checked every tickMs
+    callJobs: {
+        file: optional('CALL_JOBS_FILE', 'data/call-jobs.json'),
+        tickMs: parseInt(optional('CALL_JOB_TICK_MS', '15000'), 10),
+        maxAttempts: parseInt(optional('CALL_RETRY_MAX_ATTEMPTS', '5'), 10),
+        maxBackoffMinutes: parseInt(optional('CALL_RETRY_MAX_BACKOFF_MINUTES', '120'), 10),
+        maxDaysAhead: parseInt(optional('CALL_SCHEDULE_MAX_DAYS_AHEAD', '30'), 10),
+        // An attempt with no final Twilio status after this long is given up on
+        attemptTimeoutMs: parseInt(optional('CALL_ATTEMPT_TIMEOUT_MS', '1800000'), 10),
+    },
+
+    // Inbound calls to the Twilio number are screened for one device:
+    // greeted, asked who/why, and held while the user decides
+    inbound: {
+        clientId: optional('INBOUND_CLIENT_ID', ''),
+        // The user's own phone — accepted calls are forwarded here
+        forwardNumber: optional('INBOUND_FORWARD_NUMBER', ''),
+        holdSeconds: parseInt(optional('INBOUND_HOLD_SECONDS', '45'), 10),
+    },
+
+    // Speech-to-text for call recordings: none | whisper_cpp | fixture
+    stt: {
+        provider: optional('STT_PROVIDER', 'none'),
+        language: optional('STT_LANGUAGE', 'hi'),
+        timeoutMs: parseInt(optional('STT_TIMEOUT_MS', '300000'), 10),
+        whisperBinary: optional('WHISPER_CPP_BINARY', 'whisper-cli'),
+        whisperModel: optional('WHISPER_CPP_MODEL', ''),
+        // whisper.cpp wants 16 kHz WAV; Twilio records 8 kHz, so resample when set
+        ffmpegBinary: optional('FFMPEG_BINARY', ''),
+        fixtureDir: optional('STT_FIXTURE_DIR', 'scripts/fixtures/stt'),
+    },
+
+    // Follow-up tasks from call summaries — persisted, due ones pushed every tickMs
+    tasks: {
+        file: optional('TASKS_FILE', 'data/tasks.json'),
+        tickMs: parseInt(optional('TASK_TICK_MS', '60000'), 10),
+    },
+
+    // Reminders — persisted to a JSON file, checked every tickMs
+    reminders: {
+        file: optional('REMINDERS_FILE', 'data/reminders.json'),
+        tickMs: parseInt(optional('REMINDER_TICK_MS', '15000'), 10),
+        snoozeMinutes: parseInt(optional('REMINDER_SNOOZE_MINUTES', '10'), 10),
+        maxDaysAhead: parseInt(optional('REMINDER_MAX_DAYS_AHEAD', '365'), 10),
+    },
+
+    // Undo window for confirmed outgoing messages, per risk level (0 = send immediately)
+    sendDelay: {
+        delaysMs: {
+            low: parseInt(optional('SEND_DELAY_LOW_MS', '0'), 10),
+            medium: parseInt(optional('SEND_DELAY_MEDIUM_MS', '0'), 10),
+            high: parseInt(optional('SEND_DELAY_HIGH_MS', '0'), 10),
+            critical: parseInt(optional('SEND_DELAY_CRITICAL_MS', '0'), 10),
+        },
+    },
+
+    // Phone numbers without a country code are read in this region (ISO code)
+    phone: {
+        defaultRegion: optional('PHONE_DEFAULT_REGION', 'IN').toUpperCase(),
+    },
+
+    // Pending actions — signed, single-use plan IDs
+    pendingActions: {
+        ttlMs: parseInt(optional('PLAN_TTL_MS', '300000'), 10),
+        signingSecret: optional('PLAN_SIGNING_SECRET', ''),
+    },
+
+    // Declarative action policy (path relative to backend/)
+    policy: {
+        file: optional('POLICY_FILE', 'policies/actions.json'),
+        reloadIntervalMs: parseInt(optional('POLICY_RELOAD_INTERVAL_MS', '2000'), 10),
+    },
+
+    // Server-side risk scoring
+    risk: {
+        quietHoursStart: optional('QUIET_HOURS_START', '22:00'),
+        quietHoursEnd: optional('QUIET_HOURS_END', '07:00'),
+    },
+
+    // Prompt-injection scoring for third-party (suggestion mode) text
+    injection: {
+        escalateThreshold: parseFloat(optional('INJECTION_ESCALATE_THRESHOLD', '0.4')),
+        blockThreshold: parseFloat(optional('INJECTION_BLOCK_THRESHOLD', '0.8')),
+    },
+
+    // Outgoing OTPs, cards, IDs, passwords — listed types are blocked, the rest escalate to critical
+    sensitiveData: {
+        blockTypes: optional('SENSITIVE_BLOCK_TYPES', 'otp,password,card,aadhaar')
+            .split(',')
+            .map((t) => t.trim())
+            .filter(Boolean),
+    },
+
+    // Token usage accounting and budgets (0 = unlimited)
+    usage: {
+        // Daily per-client aggregates — persisted so budgets survive restarts
+        file: optional('USAGE_FILE', 'data/usage.json'),
+        dailyTokenBudget: parseInt(optional('DAILY_TOKEN_BUDGET', '0'), 10),
+        monthlyTokenBudget: parseInt(optional('MONTHLY_TOKEN_BUDGET', '0'), 10),
+        overBudgetAction: optional('OVER_BUDGET_ACTION', 'fallback'), // fallback | refuse
+        // USD per 1M tokens, keyed by provider name
+        pricing: {
+            deepseek: {
+                input: parseFloat(optional('DEEPSEEK_PRICE_INPUT_PER_M', '0.27')),
+                output: parseFloat(optional('DEEPSEEK_PRICE_OUTPUT_PER_M', '1.10')),
+            },
+            openai_compatible: {
+                input: parseFloat(optional('OPENAI_COMPAT_PRICE_INPUT_PER_M', '0')),
+                output: parseFloat(optional('OPENAI_COMPAT_PRICE_OUTPUT_PER_M', '0')),
+            },
+        },
+    },
+
+    // Conversation memory — per sender/chat context for follow-ups
+    memory: {
+        windowTurns: parseInt(optional('MEMORY_WINDOW_TURNS', '10'), 10),
+        ttlMs: parseInt(optional('MEMORY_TTL_MS', '1800000'), 10),
+        maxThreads: parseInt(optional('MEMORY_MAX_THREADS', '1000'), 10),
     },
 
     // Rate limiting
@@ -14,7 +14,13 @@ const config = require('./config');
 const { securityMiddleware } = require('./middleware/security');
 const { requestLogger, logger } = require('./middleware/auditLogger');
 const apiRoutes = require('./routes/api');
-const { initWebSocket } = require('./websocket/gateway');
+const twilioWebhookRoutes = require('./routes/twilioWebhooks');
+const { initWebSocket, pushToClient } = require('./websocket/gateway');
+const { startReminderScheduler } = require('./services/reminderScheduler');
+const { initDispatchQueue } = require('./services/dispatchQueue');
+const { initCallManager } = require('./services/callManager');
+const { startTaskTracker } = require('./services/taskTracker');
+const { startCallJobRunner } = require('./services/callJobRunner');
 
 const app = express();
 
@@ -43,6 +49,8 @@ app.use(...securityMiddleware());
 app.use(requestLogger);
 
 // ── API routes ──
+// Twilio webhooks first — they authenticate by signature, not API key
+app.use('/api', twilioWebhookRoutes);
 app.use('/api', apiRoutes);
 
 
@@ -94,6 +102,11 @@ console.log('[DEBUG] Initializing WebSocket...');
 try {
     initWebSocket(server);
     console.log('[DEBUG] WebSocket initialized successfully');
+    startReminderScheduler({ deliver: pushToClient });
+    initDispatchQueue({ deliver: pushToClient });
+    initCallManager({ deliver: pushToClient });
+    startTaskTracker({ deliver: pushToClient });
+    startCallJobRunner({ deliver: pushToClient });
 } catch (err) {
     console.error('CRITICAL: WebSocket initialization failed', err);
 }
@@ -4,6 +4,7 @@
 const winston = require('winston');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { redact, maskText } = require('../services/sensitiveData');
 
 const logsDir = path.join(__dirname, '..', '..', 'logs');
 
@@ -37,9 +38,22 @@ if (process.env.NODE_ENV !== 'production') {
     );
 }
 
+/**
+ * Masks PII in every entry before any transport sees it — covers direct
+ * logger.* calls as well as auditLog().
+ */
+const redactPii = winston.format((info) => {
+    for (const key of Object.keys(info)) {
+        if (key === 'level') continue;
+        info[key] = key === 'message' ? maskText(String(info[key])) : redact(info[key], key);
+    }
+    return info;
+});
+
 const logger = winston.createLogger({
     level: 'info',
     format: winston.format.combine(
+        redactPii(),
         winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss.SSS' }),
         winston.format.json()
     ),
@@ -51,7 +65,7 @@ const logger = winston.createLogger({
 
 /**
  * Log an auditable action.
- * @param {'request'|'action_proposed'|'action_confirmed'|'action_executed'|'action_rejected'|'error'} eventType
+ * @param {'request'|'action_proposed'|'action_confirmed'|'action_executed'|'action_rejected'|'dispatch_queued'|'dispatch_cancelled'|'dispatch_committed'|'plan_repair'|'llm_usage'|'injection_detected'|'error'} eventType
  * @param {object} details
  */
 function auditLog(eventType, details = {}) {
@@ -60,7 +74,8 @@ function auditLog(eventType, details = {}) {
         eventType,
         ...details,
     };
-    logger.info(entry.eventType, entry);
+    // Message bodies, scripts and phone numbers never reach the transports
+    logger.info(entry.eventType, redact(entry));
     return entry.eventId;
 }
 
@@ -1,9 +1,17 @@
 // ─── Security Middleware ────────────────────────────────────────────
-// Helmet, CORS, rate limiting, and API-key authentication.
+// Helmet, CORS, rate limiting, API-key authentication, and Twilio
+// webhook signature checks.
 
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const config = require('../config');
+const { validateTwilioSignature } = require('../utils/twilioSignature');
+const { auditLog } = require('./auditLogger');
+
+// Twilio callback routes (twilioWebhooks.js). A screened caller's hold loop
+// alone polls every few seconds from Twilio's IPs, so correctly signed
+// callbacks skip the global limit; forged ones count against it.
+const TWILIO_WEBHOOK_PATH = /^\/api\/(voice\/inbound(\/status)?|call\/[^/]+\/(status|gather|recording-status|screen\/(answer|recorded|hold)))$/;
 
 /**
  * Returns an array of Express middleware for security hardening.
@@ -16,16 +24,17 @@ function securityMiddleware() {
         // CORS (simple approach; extend for production)
         (req, res, next) => {
             res.setHeader('Access-Control-Allow-Origin', config.corsOrigin);
-            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
             res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
             if (req.method === 'OPTIONS') return res.sendStatus(204);
             next();
         },
 
-        // Global rate limiter
+        // Global rate limiter (Twilio webhooks are authenticated by signature instead)
         rateLimit({
             windowMs: config.rateLimit.windowMs,
             max: config.rateLimit.maxRequests,
+            skip: (req) => TWILIO_WEBHOOK_PATH.test(req.path) && hasValidTwilioSignature(req),
             standardHeaders: true,
             legacyHeaders: false,
             message: { error: 'Too many requests. Slow down.' },
@@ -45,6 +54,33 @@ function apiKeyAuth(req, res, next) {
     next();
 }
 
+/**
+ * Whether X-Twilio-Signature is valid for this request. The signed URL is
+ * rebuilt from TWILIO_WEBHOOK_BASE_URL when set, since behind a proxy the
+ * Host/protocol we see differ from Twilio's. Needs the parsed body.
+ */
+function hasValidTwilioSignature(req) {
+    if (!config.twilio.authToken || !req.headers['x-twilio-signature']) return false;
+    const origin = config.twilio.webhookBaseUrl || `${req.protocol}://${req.get('host')}`;
+    return validateTwilioSignature(config.twilio.authToken, req.headers['x-twilio-signature'], `${origin}${req.originalUrl}`, req.body);
+}
+
+/**
+ * Twilio webhook authentication — verifies X-Twilio-Signature against the
+ * auth token.
+ */
+function twilioSignatureAuth(req, res, next) {
+    if (!config.twilio.authToken) {
+        return res.status(503).json({ error: 'Twilio webhooks are not configured.' });
+    }
+
+    if (!hasValidTwilioSignature(req)) {
+        auditLog('request', { event: 'twilio_signature_invalid', path: req.path, ip: req.ip });
+        return res.status(403).json({ error: 'Invalid Twilio signature.' });
+    }
+    next();
+}
+
 /**
  * Message-level rate limiter — max N messages per minute per client.
  */
@@ -55,4 +91,4 @@ const messageRateLimiter = rateLimit({
     message: { error: 'Message rate limit exceeded. Max 5 messages per minute.' },
 });
 
-module.exports = { securityMiddleware, apiKeyAuth, messageRateLimiter };
+module.exports = { securityMiddleware, apiKeyAuth, twilioSignatureAuth, messageRateLimiter };
@@ -3,11 +3,29 @@
 const express = require('express');
 const router = express.Router();
 const { processMessage } = require('../services/deepseek');
-const { validateAction } = require('../services/actionValidator');
-const { initiateVoipCall, createNativeCallInstruction, getCall } = require('../services/callManager');
+const { validateAction, COMPOUND_INTENT } = require('../services/actionValidator');
+const { createPendingAction } = require('../services/pendingActions');
+const { executeConfirmedPlan, formatExecution } = require('../services/actionExecutor');
+const { initiateVoipCall, createNativeCallInstruction, getCall, setCallSummary } = require('../services/callManager');
+const { listCalls } = require('../services/callStore');
+const { createTasksFromSummary, listTasks, updateTask, proposeFollowUp } = require('../services/taskTracker');
 const { summarizeCall } = require('../services/callSummarizer');
+const { initiateConversationalCall } = require('../services/callConversation');
+const { decideScreening } = require('../services/callScreening');
+const memory = require('../services/conversationMemory');
+const { getProviderStatus } = require('../services/llmProvider');
+const { getUsage } = require('../services/usageTracker');
+const { evaluatePolicy, getPolicy } = require('../services/policyEngine');
+const { syncContacts, listContacts, resolveRecipient, resolvePlanRecipients } = require('../services/contactDirectory');
 const { apiKeyAuth, messageRateLimiter } = require('../middleware/security');
-const { auditLog } = require('../middleware/auditLogger');
+const { normalizePhone } = require('../utils/phone');
+const { parseNaturalTime } = require('../utils/naturalTime');
+const { localTimeToDate } = require('../utils/localTime');
+const { listReminders, cancelReminder, snoozeReminder } = require('../services/reminderScheduler');
+const { listCallJobs, getCallJob, cancelCallJob } = require('../services/callJobRunner');
+const { listDispatches, getDispatch, cancelDispatch, getSendDelays, setSendDelays } = require('../services/dispatchQueue');
+const { getVoiceSettings, setVoiceSettings, resolveVoiceSettings } = require('../services/voiceSettings');
+const { VOICE_PROFILES } = require('../utils/twiml');
 
 // ─── Health check ──────────────────────────────────────────────────
 // This must be ABOVE the apiKeyAuth middleware for Railway to monitor it
@@ -22,7 +40,7 @@ router.use(apiKeyAuth);
 // Receives a message context, sends to DeepSeek, returns validated action plan.
 router.post('/process-message', messageRateLimiter, async (req, res) => {
     try {
-        const { mode, sender, message, timestamp } = req.body;
+        const { mode, sender, message, timestamp, chat_id } = req.body;
 
         if (!mode || !sender || !message) {
             return res.status(400).json({
@@ -36,18 +54,37 @@ router.post('/process-message', messageRateLimiter, async (req, res) => {
             });
         }
 
+        // REST callers act as the "rest" client throughout: its memory,
+        // its address book and its pending plans
+        const clientId = 'rest';
+        const threadId = memory.threadKey(clientId, chat_id || sender);
+
         // 1. Get AI response
         const plan = await processMessage({
             mode,
             sender,
             message,
             timestamp: timestamp || new Date().toISOString(),
+            threadId,
+            clientId,
         });
 
-        // 2. Validate against whitelist
-        const validation = validateAction(plan);
+        // 2. Turn contact names into numbers; ask back when it's unclear who
+        const { plan: resolvedPlan, resolution } = resolvePlanRecipients(plan, clientId);
+        if (resolution) {
+            memory.recordPlanOutcome(threadId, plan, 'needs_recipient');
+            return res.status(409).json({
+                error: 'Recipient needs clarification',
+                resolution,
+                human_text: resolution.prompt,
+            });
+        }
+
+        // 3. Validate against whitelist
+        const validation = validateAction(resolvedPlan, { clientId });
 
         if (!validation.valid) {
+            memory.recordPlanOutcome(threadId, plan, 'blocked');
             return res.status(422).json({
                 error: 'Action rejected by safety validator',
                 reason: validation.reason,
@@ -55,12 +92,28 @@ router.post('/process-message', messageRateLimiter, async (req, res) => {
             });
         }
 
-        // 3. Return sanitized plan to client
+        // 4. Store server-side, return sanitized plan with its signed ID
+        const { planId, expiresAt } = createPendingAction(validation.sanitizedPlan, { clientId, threadId });
+
         return res.json({
             success: true,
-            plan: validation.sanitizedPlan,
+            plan: { ...validation.sanitizedPlan, plan_id: planId, expires_at: expiresAt },
         });
     } catch (err) {
+        if (err.code === 'BUDGET_EXCEEDED') {
+            return res.status(429).json({
+                error: 'AI token budget exceeded',
+                detail: err.message,
+                human_text: 'Aaj ka AI budget khatam ho gaya hai. Baad mein try karo.',
+            });
+        }
+        if (err.code === 'INVALID_PLAN') {
+            return res.status(502).json({
+                error: 'AI returned an invalid plan',
+                detail: err.message,
+                human_text: 'AI ka jawab samajh nahi aaya. Ek baar phir try karo.',
+            });
+        }
         return res.status(500).json({
             error: 'Failed to process message',
             detail: err.message,
@@ -69,96 +122,41 @@ router.post('/process-message', messageRateLimiter, async (req, res) => {
 });
 
 // ─── POST /api/execute-action ──────────────────────────────────────
-// Executes a confirmed action. Client must send the plan + confirmation.
+// Executes a confirmed action. Client must send the plan_id + confirmation.
+// The plan itself is read from the server-side store, never from the body.
+// For multi_step plans, approved_steps (step indices) picks which steps run;
+// omitting it approves every step. Steps run in order, one result each.
 router.post('/execute-action', async (req, res) => {
     try {
-        const { plan, confirmed, double_confirmed } = req.body;
+        const { confirmed, double_confirmed, approved_steps } = req.body;
+        const planId = req.body.plan_id || req.body.plan?.plan_id;
 
-        if (!plan || !plan.intent) {
-            return res.status(400).json({ error: 'Missing action plan' });
+        if (!planId) {
+            return res.status(400).json({ error: 'Missing plan_id' });
         }
 
         if (!confirmed) {
             return res.status(400).json({ error: 'Action not confirmed by user' });
         }
 
-        // Re-validate on execution
-        const validation = validateAction(plan);
-        if (!validation.valid) {
-            return res.status(422).json({
-                error: 'Action rejected on re-validation',
-                reason: validation.reason,
-            });
-        }
+        const execution = await executeConfirmedPlan({
+            planId,
+            doubleConfirmed: Boolean(double_confirmed),
+            approvedSteps: approved_steps,
+        });
 
-        // Check double confirmation for high-risk
-        if (['high', 'critical'].includes(plan.risk_level) && !double_confirmed) {
-            return res.status(400).json({
-                error: 'High-risk actions require double confirmation',
-                requires_double_confirm: true,
+        if (!execution.ok) {
+            return res.status(execution.status).json({
+                error: execution.error,
+                code: execution.code,
+                ...(execution.reason && { reason: execution.reason }),
+                ...(execution.code === 'double_confirm_required' && { requires_double_confirm: true }),
             });
         }
 
-        auditLog('action_confirmed', {
-            intent: plan.intent,
-            riskLevel: plan.risk_level,
-            params: plan.params,
-        });
-
-        // Execute based on intent
-        let result;
-        switch (plan.intent) {
-            case 'send_message':
-                // The Android client handles the actual WA message sending.
-                // Backend just acknowledges and logs.
-                result = {
-                    action: 'send_message',
-                    status: 'dispatched_to_client',
-                    to: plan.params.to,
-                    message: plan.params.message,
-                };
-                break;
-
-            case 'call_number':
-                if (plan.params.phone) {
-                    // VoIP call
-                    result = await initiateVoipCall(
-                        plan.params.phone,
-                        plan.params.script || '',
-                        plan.params.record_consent || false
-                    );
-                } else {
-                    // Native call instruction
-                    result = createNativeCallInstruction(plan.params.phone || '');
-                }
-                break;
-
-            case 'open_app':
-                result = {
-                    action: 'open_app',
-                    status: 'dispatched_to_client',
-                    package: plan.params.package,
-                };
-                break;
-
-            case 'info_response':
-                result = {
-                    action: 'info_response',
-                    answer: plan.params.answer,
-                };
-                break;
-
-            case 'summarize_call':
-                result = { action: 'summarize_call', status: 'see /api/call/:id/summary' };
-                break;
-
-            default:
-                return res.status(422).json({ error: 'Unknown intent after validation' });
-        }
-
-        auditLog('action_executed', { intent: plan.intent, result });
-
-        return res.json({ success: true, result });
+        const body = formatExecution(execution);
+        const singleFailed = execution.plan.intent !== COMPOUND_INTENT && !body.success;
+        return res.status(singleFailed ? 500 : 200).json(body);
     } catch (err) {
         return res.status(500).json({
             error: 'Action execution failed',
@@ -168,20 +166,33 @@ router.post('/execute-action', async (req, res) => {
 });
 
 // ─── POST /api/call/initiate ───────────────────────────────────────
-// Direct call initiation endpoint.
+// Direct call initiation endpoint. clientId (optional) receives live
+// call_status pushes over the WebSocket; goal makes it a two-way AI call.
 router.post('/call/initiate', async (req, res) => {
     try {
-        const { phone, script, type, record_consent } = req.body;
+        const { phone, script, type, record_consent, clientId, goal } = req.body;
 
         if (!phone) {
             return res.status(400).json({ error: 'Missing phone number' });
         }
 
+        const normalized = normalizePhone(String(phone));
+        if (!normalized.valid) {
+            return res.status(400).json({ error: 'Invalid phone number', reason: normalized.reason });
+        }
+
         let result;
         if (type === 'native') {
-            result = createNativeCallInstruction(phone);
+            result = createNativeCallInstruction(normalized.e164, { clientId });
+        } else if (goal) {
+            result = await initiateConversationalCall(normalized.e164, {
+                goal: String(goal).substring(0, 300),
+                opening: script,
+                recordConsent: record_consent || false,
+                clientId,
+            });
         } else {
-            result = await initiateVoipCall(phone, script || '', record_consent || false);
+            result = await initiateVoipCall(normalized.e164, script || '', record_consent || false, { clientId });
         }
 
         return res.json({ success: true, call: result });
@@ -193,6 +204,80 @@ router.post('/call/initiate', async (req, res) => {
     }
 });
 
+// ─── GET /api/calls ────────────────────────────────────────────────
+// Call history, newest first. Query: clientId, contact (name or number),
+// from, to (YYYY-MM-DD in local time, inclusive, or ISO), status,
+// type (native | voip), limit (max 100), offset.
+router.get('/calls', (req, res) => {
+    const { clientId, contact, status, type } = req.query;
+    if (type && !['native', 'voip'].includes(type)) {
+        return res.status(400).json({ error: 'type must be native or voip' });
+    }
+
+    const from = req.query.from ? parseDateParam(req.query.from) : undefined;
+    const to = req.query.to ? parseDateParam(req.query.to, { endOfDay: true }) : undefined;
+    if (from === null || to === null) {
+        return res.status(400).json({ error: 'from/to must be YYYY-MM-DD or an ISO timestamp' });
+    }
+
+    return res.json(listCalls({
+        clientId,
+        contact,
+        from,
+        to,
+        status,
+        type,
+        limit: parseInt(req.query.limit, 10) || 20,
+        offset: parseInt(req.query.offset, 10) || 0,
+    }));
+});
+
+// ─── GET /api/calls/:id ────────────────────────────────────────────
+// One call with its transcript, summary and action items.
+router.get('/calls/:id', (req, res) => {
+    const call = getCall(req.params.id);
+    if (!call) {
+        return res.status(404).json({ error: 'Call not found' });
+    }
+    return res.json({
+        call,
+        summary: call.summary || null,
+        actionItems: call.summary?.action_items || [],
+        tasks: listTasks({ callId: call.callId }),
+    });
+});
+
+// ─── POST /api/calls/:id/screening ─────────────────────────────────
+// Answers an inbound screening card. Body: { decision: accept | reject |
+// message, message? } — "message" returns a send_message plan to confirm.
+router.post('/calls/:id/screening', (req, res) => {
+    const { decision, message } = req.body;
+    const result = decideScreening(req.params.id, { decision, message });
+    if (!result.ok) {
+        return res.status(result.status).json({
+            error: result.error,
+            ...(result.code && { code: result.code }),
+            ...(result.reason && { reason: result.reason }),
+            ...(result.human_text && { human_text: result.human_text }),
+        });
+    }
+    return res.json({ success: true, screening: result.call.screening, ...(result.plan && { plan: result.plan }) });
+});
+
+/**
+ * "2025-01-31" → start of that day in local time (or the next day's start
+ * with endOfDay, for inclusive ranges); anything else is read as ISO.
+ * @returns {Date|null}
+ */
+function parseDateParam(value, { endOfDay = false } = {}) {
+    const day = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (day) {
+        return localTimeToDate({ year: +day[1], month: +day[2], day: +day[3] + (endOfDay ? 1 : 0), hour: 0, minute: 0 });
+    }
+    const parsed = new Date(String(value));
+    return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
 // ─── GET /api/call/:id/summary ─────────────────────────────────────
 // Returns call summary if available.
 router.get('/call/:id/summary', async (req, res) => {
@@ -202,12 +287,15 @@ router.get('/call/:id/summary', async (req, res) => {
             return res.status(404).json({ error: 'Call not found' });
         }
 
-        // In production, fetch transcript from Twilio recording → speech-to-text
-        // For now, accept transcript from body in POST version
+        // Filled in by the recording pipeline (recording → STT → summary)
         return res.json({
             callId: req.params.id,
             call,
-            note: 'Use POST /api/call/:id/summarize with transcript to generate summary.',
+            summaryStatus: call.summaryStatus || 'none',
+            summary: call.summary || null,
+            ...(!call.summary && {
+                note: 'Summaries are generated when a recording completes, or POST /api/call/:id/summarize with a transcript.',
+            }),
         });
     } catch (err) {
         return res.status(500).json({ error: err.message });
@@ -215,17 +303,23 @@ router.get('/call/:id/summary', async (req, res) => {
 });
 
 // ─── POST /api/call/:id/summarize ──────────────────────────────────
-// Accepts transcript, returns AI summary.
+// Accepts transcript, returns AI summary. Two-way calls keep their own
+// transcript, so the body may omit it.
 router.post('/call/:id/summarize', async (req, res) => {
     try {
-        const { transcript } = req.body;
+        const transcript = req.body.transcript || getCall(req.params.id)?.transcript;
         if (!transcript) {
             return res.status(400).json({ error: 'Missing transcript' });
         }
 
-        const summary = await summarizeCall(transcript, req.params.id);
-        return res.json({ success: true, summary });
+        const summary = await summarizeCall(transcript, req.params.id, { clientId: 'rest' });
+        const call = setCallSummary(req.params.id, { summaryStatus: 'ready', summary });
+        const tasks = call ? createTasksFromSummary(call, summary) : [];
+        return res.json({ success: true, summary, tasks });
     } catch (err) {
+        if (err.code === 'BUDGET_EXCEEDED') {
+            return res.status(429).json({ error: 'AI token budget exceeded', detail: err.message });
+        }
         return res.status(500).json({
             error: 'Summarization failed',
             detail: err.message,
@@ -233,5 +327,261 @@ router.post('/call/:id/summarize', async (req, res) => {
     }
 });
 
+// ─── DELETE /api/memory/:threadId ──────────────────────────────────
+// Forgets the conversation history of one thread.
+// Thread IDs are "<clientId>:<chat>", e.g. "rest:Rahul" — URL-encode them.
+router.delete('/memory/:threadId', (req, res) => {
+    const cleared = memory.clearThread(req.params.threadId);
+    return res.json({ success: true, threadId: req.params.threadId, cleared });
+});
+// ─── GET /api/llm/status ───────────────────────────────────────────
+// Provider chain order and circuit-breaker state.
+router.get('/llm/status', (_req, res) => {
+    res.json({ providers: getProviderStatus() });
+});
+// ─── GET /api/policy ───────────────────────────────────────────────
+// Currently loaded action policy.
+router.get('/policy', (_req, res) => {
+    res.json(getPolicy());
+});
+
+// ─── POST /api/policy/dry-run ──────────────────────────────────────
+// Explains which policy rules fire for a plan, without validating or
+// storing it. Body: { plan, channel?, time? (ISO) }
+router.post('/policy/dry-run', (req, res) => {
+    const { plan, channel, time } = req.body;
+    if (!plan || !plan.intent) {
+        return res.status(400).json({ error: 'Missing plan' });
+    }
+
+    const now = time ? new Date(time) : new Date();
+    if (Number.isNaN(now.getTime())) {
+        return res.status(400).json({ error: 'time must be an ISO timestamp' });
+    }
+
+    const context = { channel, now };
+    const result = evaluatePolicy(plan.intent === COMPOUND_INTENT ? { ...plan, params: {} } : plan, context);
+    const steps = Array.isArray(plan.steps)
+        ? plan.steps.map((step, index) => ({ step: index, intent: step.intent, ...evaluatePolicy(step, context) }))
+        : undefined;
+
+    return res.json({ ...result, ...(steps && { steps }) });
+});
+
+// ─── PUT /api/contacts ─────────────────────────────────────────────
+// Syncs the device address book. Body: { clientId?, contacts: [{ id?, name,
+// numbers: [string | { number, label }], aliases?, voiceProfile?, inboundRoute? }],
+// replace? (default true) }
+router.put('/contacts', (req, res) => {
+    const { clientId, contacts, replace } = req.body;
+    try {
+        const result = syncContacts(clientId || 'rest', contacts, { replace: replace !== false });
+        return res.json({ success: true, ...result });
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+});
+
+// ─── GET /api/contacts ─────────────────────────────────────────────
+// Query: clientId.
+router.get('/contacts', (req, res) => {
+    const contacts = listContacts(req.query.clientId || 'rest');
+    res.json({ contacts, total: contacts.length });
+});
+
+// ─── GET /api/contacts/resolve ─────────────────────────────────────
+// Shows how a name resolves. Query: q, clientId.
+router.get('/contacts/resolve', (req, res) => {
+    if (!req.query.q) {
+        return res.status(400).json({ error: 'Missing q' });
+    }
+    return res.json(resolveRecipient(req.query.clientId || 'rest', req.query.q));
+});
+
+// ─── GET /api/reminders ────────────────────────────────────────────
+// Query: clientId, status (scheduled | missed | delivered | cancelled).
+router.get('/reminders', (req, res) => {
+    const { clientId, status } = req.query;
+    const reminders = listReminders({ clientId, status });
+    res.json({ reminders, total: reminders.length });
+});
+
+// ─── DELETE /api/reminders/:id ─────────────────────────────────────
+// Cancels a reminder.
+router.delete('/reminders/:id', (req, res) => {
+    const result = cancelReminder(req.params.id);
+    if (!result.ok) {
+        return res.status(result.status).json({ error: result.error });
+    }
+    return res.json({ success: true, reminder: result.reminder });
+});
+
+// ─── POST /api/reminders/:id/snooze ────────────────────────────────
+// Body: { until? } — natural language ("1 ghante baad") or ISO;
+// defaults to REMINDER_SNOOZE_MINUTES from now.
+router.post('/reminders/:id/snooze', (req, res) => {
+    const { until } = req.body;
+    const untilDate = until ? parseNaturalTime(String(until)) : undefined;
+    if (until && !untilDate) {
+        return res.status(400).json({ error: `Could not understand time "${until}"` });
+    }
+
+    const result = snoozeReminder(req.params.id, { until: untilDate });
+    if (!result.ok) {
+        return res.status(result.status).json({ error: result.error });
+    }
+    return res.json({ success: true, reminder: result.reminder });
+});
+
+// ─── GET /api/dispatches ───────────────────────────────────────────
+// Confirmed sends in (or past) their undo window.
+// Query: clientId, status (pending | committed | cancelled | failed).
+router.get('/dispatches', (req, res) => {
+    const { clientId, status } = req.query;
+    const dispatches = listDispatches({ clientId, status });
+    res.json({ dispatches, total: dispatches.length });
+});
+
+// ─── GET /api/dispatches/:id ───────────────────────────────────────
+router.get('/dispatches/:id', (req, res) => {
+    const dispatch = getDispatch(req.params.id);
+    if (!dispatch) {
+        return res.status(404).json({ error: 'Dispatch not found' });
+    }
+    return res.json({ dispatch });
+});
+
+// ─── DELETE /api/dispatches/:id ────────────────────────────────────
+// Undo — cancels a send that is still inside its delay window.
+router.delete('/dispatches/:id', (req, res) => {
+    const result = cancelDispatch(req.params.id);
+    if (!result.ok) {
+        return res.status(result.status).json({ error: result.error });
+    }
+    return res.json({ success: true, dispatch: result.dispatch });
+});
+
+// ─── GET /api/send-delay ───────────────────────────────────────────
+// Effective undo window per risk level. Query: clientId.
+router.get('/send-delay', (req, res) => {
+    const clientId = req.query.clientId || 'rest';
+    res.json({ clientId, delaysMs: getSendDelays(clientId) });
+});
+
+// ─── PUT /api/send-delay ───────────────────────────────────────────
+// Body: { clientId?, delaysMs: { low?, medium?, high?, critical? } } —
+// ms per level; null resets a level to the server default.
+router.put('/send-delay', (req, res) => {
+    const clientId = req.body.clientId || 'rest';
+    try {
+        const delaysMs = setSendDelays(clientId, req.body.delaysMs);
+        return res.json({ success: true, clientId, delaysMs });
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+});
+
+// ─── GET /api/voice-settings ───────────────────────────────────────
+// The user's call voice settings, what a call will actually use, and the
+// available profiles. Query: clientId.
+router.get('/voice-settings', (req, res) => {
+    const clientId = req.query.clientId || 'rest';
+    res.json({
+        clientId,
+        settings: getVoiceSettings(clientId),
+        effective: resolveVoiceSettings({ clientId }),
+        profiles: Object.keys(VOICE_PROFILES),
+    });
+});
+
+// ─── PUT /api/voice-settings ───────────────────────────────────────
+// Body: { clientId?, profile?, voice?, consentText?, closingText? } —
+// replaces the saved settings; omitted fields use the profile defaults.
+router.put('/voice-settings', (req, res) => {
+    const { clientId, ...settings } = req.body;
+    const owner = clientId || 'rest';
+    const result = setVoiceSettings(owner, settings);
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    return res.json({ success: true, clientId: owner, settings: result.settings, effective: resolveVoiceSettings({ clientId: owner }) });
+});
+
+// ─── GET /api/call-jobs ────────────────────────────────────────────
+// Scheduled and retrying calls.
+// Query: clientId, status (scheduled | calling | waiting_retry | completed | failed | cancelled).
+router.get('/call-jobs', (req, res) => {
+    const { clientId, status } = req.query;
+    const jobs = listCallJobs({ clientId, status });
+    res.json({ jobs, total: jobs.length });
+});
+
+// ─── GET /api/call-jobs/:id ────────────────────────────────────────
+// One call job with its attempts.
+router.get('/call-jobs/:id', (req, res) => {
+    const job = getCallJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Call job not found' });
+    }
+    return res.json({ job });
+});
+
+// ─── DELETE /api/call-jobs/:id ─────────────────────────────────────
+// Cancels a call that hasn't gone out yet, or the retries still pending.
+router.delete('/call-jobs/:id', (req, res) => {
+    const result = cancelCallJob(req.params.id);
+    if (!result.ok) {
+        return res.status(result.status).json({ error: result.error, ...(result.code && { code: result.code }) });
+    }
+    return res.json({ success: true, job: result.job });
+});
+
+// ─── GET /api/tasks ────────────────────────────────────────────────
+// Follow-up tasks from call summaries.
+// Query: clientId, status (open | done | cancelled), callId.
+router.get('/tasks', (req, res) => {
+    const { clientId, status, callId } = req.query;
+    const tasks = listTasks({ clientId, status, callId });
+    res.json({ tasks, total: tasks.length });
+});
+
+// ─── PATCH /api/tasks/:id ──────────────────────────────────────────
+// Body: { status?, due? } — due is natural language ("kal 5 baje") or ISO;
+// null clears the deadline.
+router.patch('/tasks/:id', (req, res) => {
+    const { status, due } = req.body;
+    let dueAt;
+    if (due === null) {
+        dueAt = null;
+    } else if (due !== undefined) {
+        dueAt = parseNaturalTime(String(due));
+        if (!dueAt) {
+            return res.status(400).json({ error: `Could not understand time "${due}"` });
+        }
+    }
+
+    const result = updateTask(req.params.id, { status, dueAt });
+    if (!result.ok) {
+        return res.status(result.status).json({ error: result.error });
+    }
+    return res.json({ success: true, task: result.task });
+});
+
+// ─── POST /api/tasks/:id/follow-up ─────────────────────────────────
+// Proposes the task's follow-up message as a plan. Confirm it through
+// POST /api/execute-action with the returned plan_id.
+router.post('/tasks/:id/follow-up', (req, res) => {
+    const result = proposeFollowUp(req.params.id);
+    if (!result.ok) {
+        return res.status(result.status).json({ error: result.error, ...(result.reason && { reason: result.reason }) });
+    }
+    return res.json({ plan: result.plan });
+});
+
+// ─── GET /api/usage ────────────────────────────────────────────────
+// LLM token usage, latency and cost per client per day, plus budget state.
+// Query: clientId, from, to (YYYY-MM-DD).
+router.get('/usage', (req, res) => {
+    const { clientId, from, to } = req.query;
+    res.json(getUsage({ clientId, from, to }));
+});
 
 module.exports = router;
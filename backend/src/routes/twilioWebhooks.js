@@ -0,0 +1,149 @@
+// ─── Twilio Webhook Routes ─────────────────────────────────────────
+// Public callbacks Twilio posts to while a call runs. No API key — each
+// request is authenticated by its X-Twilio-Signature instead. Mounted
+// ahead of the API router so the API-key check never sees them.
+
+const express = require('express');
+const { updateCallStatus, updateCallRecording } = require('../services/callManager');
+const { handleCallerTurn, abortCallerTurn, endConversation } = require('../services/callConversation');
+const { processRecording } = require('../services/recordingPipeline');
+const { onCallEnded } = require('../services/callJobRunner');
+const {
+    handleInboundCall,
+    handleScreeningAnswer,
+    handleScreeningRecording,
+    handleScreeningHold,
+    handleInboundStatus,
+} = require('../services/callScreening');
+const { twilioSignatureAuth } = require('../middleware/security');
+
+const router = express.Router();
+
+function seconds(value) {
+    const n = parseInt(value, 10);
+    return Number.isNaN(n) ? undefined : n;
+}
+
+// ─── POST /api/call/:id/status ─────────────────────────────────────
+// StatusCallback: CallSid, CallStatus, CallDuration?, AnsweredBy?
+router.post('/call/:id/status', twilioSignatureAuth, (req, res) => {
+    const { CallSid, CallStatus, CallDuration, AnsweredBy } = req.body;
+    if (!CallStatus) {
+        return res.status(400).json({ error: 'Missing CallStatus' });
+    }
+
+    const result = updateCallStatus(req.params.id, {
+        status: CallStatus,
+        twilioSid: CallSid,
+        duration: seconds(CallDuration),
+        answeredBy: AnsweredBy,
+    });
+    if (!result.ok) {
+        return res.status(result.status).json({ error: result.error });
+    }
+    if (result.call.endedAt) {
+        endConversation(req.params.id);
+        // Unrecorded two-way calls are summarized from their own transcript
+        if (!result.call.recording) processRecording(req.params.id);
+        // Scheduled calls retry on busy/no-answer
+        onCallEnded(result.call);
+    }
+    return res.sendStatus(204);
+});
+
+// ─── POST /api/call/:id/gather ─────────────────────────────────────
+// Two-way calls: <Gather input="speech"> result — SpeechResult, Confidence.
+// Responds with the TwiML for the next turn, or an apology + hangup if the
+// turn fails (Express 4 would leave a rejected handler hanging).
+router.post('/call/:id/gather', twilioSignatureAuth, async (req, res) => {
+    const { SpeechResult, Confidence } = req.body;
+    let twiml;
+    try {
+        twiml = await handleCallerTurn(req.params.id, {
+            speech: SpeechResult,
+            confidence: Confidence !== undefined ? Number(Confidence) : undefined,
+        });
+    } catch (err) {
+        twiml = abortCallerTurn(req.params.id, err);
+    }
+    res.type('text/xml').send(twiml);
+});
+
+// ─── POST /api/call/:id/recording-status ───────────────────────────
+// RecordingStatusCallback: RecordingSid, RecordingStatus, RecordingUrl, RecordingDuration
+router.post('/call/:id/recording-status', twilioSignatureAuth, (req, res) => {
+    const { RecordingSid, RecordingStatus, RecordingUrl, RecordingDuration } = req.body;
+    if (!RecordingSid || !RecordingStatus) {
+        return res.status(400).json({ error: 'Missing RecordingSid or RecordingStatus' });
+    }
+    if (RecordingStatus === 'completed' && !RecordingUrl) {
+        return res.status(400).json({ error: 'Missing RecordingUrl for a completed recording' });
+    }
+
+    const result = updateCallRecording(req.params.id, {
+        recordingSid: RecordingSid,
+        status: RecordingStatus,
+        url: RecordingUrl,
+        duration: seconds(RecordingDuration),
+    });
+    if (!result.ok) {
+        return res.status(result.status).json({ error: result.error });
+    }
+    // Transcribe + summarize in the background; Twilio only needs the ack
+    if (RecordingStatus === 'completed') processRecording(req.params.id);
+    return res.sendStatus(204);
+});
+
+// ─── POST /api/voice/inbound ───────────────────────────────────────
+// Voice URL of the Twilio number: CallSid, From, To, CallStatus.
+// Responds with the screening (or directory route) TwiML.
+router.post('/voice/inbound', twilioSignatureAuth, (req, res) => {
+    const { CallSid, From, To, CallStatus } = req.body;
+    if (!CallSid) {
+        return res.status(400).json({ error: 'Missing CallSid' });
+    }
+    res.type('text/xml').send(handleInboundCall({ callSid: CallSid, from: From, to: To, status: CallStatus }));
+});
+
+// ─── POST /api/voice/inbound/status ────────────────────────────────
+// Status callback of the Twilio number — inbound calls are matched by CallSid.
+router.post('/voice/inbound/status', twilioSignatureAuth, (req, res) => {
+    const { CallSid, CallStatus, CallDuration } = req.body;
+    if (!CallSid || !CallStatus) {
+        return res.status(400).json({ error: 'Missing CallSid or CallStatus' });
+    }
+
+    const result = handleInboundStatus({ callSid: CallSid, status: CallStatus, duration: seconds(CallDuration) });
+    if (!result.ok) {
+        return res.status(result.status).json({ error: result.error });
+    }
+    return res.sendStatus(204);
+});
+
+// ─── POST /api/call/:id/screen/answer ──────────────────────────────
+// Screening <Gather> result — SpeechResult is the caller's name and purpose.
+router.post('/call/:id/screen/answer', twilioSignatureAuth, (req, res) => {
+    res.type('text/xml').send(handleScreeningAnswer(req.params.id, { speech: req.body.SpeechResult }));
+});
+
+// ─── POST /api/call/:id/screen/recorded ────────────────────────────
+// Screening <Record> action — RecordingUrl, RecordingSid, RecordingDuration.
+router.post('/call/:id/screen/recorded', twilioSignatureAuth, (req, res) => {
+    const { RecordingUrl, RecordingSid, RecordingDuration } = req.body;
+    if (!RecordingUrl || !RecordingSid) {
+        return res.status(400).json({ error: 'Missing RecordingUrl or RecordingSid' });
+    }
+    res.type('text/xml').send(handleScreeningRecording(req.params.id, {
+        recordingUrl: RecordingUrl,
+        recordingSid: RecordingSid,
+        duration: seconds(RecordingDuration),
+    }));
+});
+
+// ─── POST /api/call/:id/screen/hold ────────────────────────────────
+// <Redirect> target while the caller waits for the user's decision.
+router.post('/call/:id/screen/hold', twilioSignatureAuth, (req, res) => {
+    res.type('text/xml').send(handleScreeningHold(req.params.id));
+});
+
+module.exports = router;
@@ -0,0 +1,234 @@
+// ─── Action Executor ───────────────────────────────────────────────
+// The one path from "user confirmed plan_id" to "action ran", shared by
+// the REST API and the WebSocket gateway: load the server-side plan,
+// re-validate, check double confirmation, consume, then run each approved
+// step through the handler registered for its intent.
+
+const { validateAction, selectApprovedSteps, needsDoubleConfirm, registerIntent, COMPOUND_INTENT } = require('./actionValidator');
+const { getPendingAction, consumePendingAction } = require('./pendingActions');
+const { placeCall, scheduleCall } = require('./callJobRunner');
+const { createReminder } = require('./reminderScheduler');
+const { getSendDelay, queueDispatch } = require('./dispatchQueue');
+const memory = require('./conversationMemory');
+const { auditLog } = require('../middleware/auditLogger');
+
+/** @type {Map<string, { execute: (step: object, context: object) => Promise<object>|object, undoable: boolean, requiresClient: boolean }>} */
+const handlers = new Map();
+
+/**
+ * Registers the executor for an intent. Passing validateParams also
+ * whitelists the intent in the validator, so a new action is one call.
+ * @param {string} intent
+ * @param {object} handler
+ * @param {(step: object, context: { clientId: string|null, planId: string }) => Promise<object>|object} handler.execute
+ * @param {(params: object) => { valid: boolean, reason?: string }} [handler.validateParams]
+ * @param {boolean} [handler.passive] — information-only, no side effects
+ * @param {boolean} [handler.undoable] — held in the send-delay undo window before running
+ * @param {boolean} [handler.requiresClient] — only a WebSocket client can confirm it (results are pushed to the device)
+ */
+function registerHandler(intent, { execute, validateParams, passive = false, undoable = false, requiresClient = false }) {
+    if (typeof execute !== 'function') {
+        throw new Error(`Handler for "${intent}" needs an execute function`);
+    }
+    if (validateParams) registerIntent(intent, { validateParams, passive });
+    handlers.set(intent, { execute, undoable, requiresClient });
+}
+
+/**
+ * Executes a confirmed plan.
+ * @param {object} request
+ * @param {string} request.planId
+ * @param {string|null} [request.clientId] — owner check; null for REST
+ * @param {boolean} [request.doubleConfirmed]
+ * @param {number[]} [request.approvedSteps] — multi_step indices; omitted means all
+ * @returns {Promise<{ ok: true, plan: object, success: boolean, results: object[] }
+ *          | { ok: false, status: number, code: string, error: string, reason?: string, plan?: object, approvedSteps?: number[] }>}
+ */
+async function executeConfirmedPlan({ planId, clientId = null, doubleConfirmed = false, approvedSteps }) {
+    if (!planId) {
+        return { ok: false, status: 400, code: 'missing_plan_id', error: 'Missing plan_id' };
+    }
+
+    // Only the server-side copy of the plan is trusted
+    const pending = getPendingAction(planId, { clientId });
+    if (!pending.valid) {
+        return { ok: false, status: pending.status, code: pending.code, error: pending.reason };
+    }
+    const { plan } = pending;
+
+    // Re-validate on execution — policy or risk may have changed since proposal
+    const validation = validateAction(plan, { channel: plan.channel, clientId });
+    if (!validation.valid) {
+        return {
+            ok: false,
+            status: 422,
+            code: 'revalidation_failed',
+            error: 'Action rejected on re-validation',
+            reason: validation.reason,
+        };
+    }
+
+    const { approved, skipped } = selectApprovedSteps(plan, approvedSteps);
+    if (approved.length === 0) {
+        return { ok: false, status: 400, code: 'no_steps_approved', error: 'No steps approved' };
+    }
+
+    // REST has no device to push to — "rest" never connects over WebSocket
+    const deviceOnly = approved.find((step) => handlers.get(step.intent)?.requiresClient);
+    if (deviceOnly && !clientId) {
+        return {
+            ok: false,
+            status: 422,
+            code: 'client_required',
+            error: `${deviceOnly.intent} must be confirmed from a connected device, not over REST`,
+        };
+    }
+
+    if (approved.some(needsDoubleConfirm) && !doubleConfirmed) {
+        return {
+            ok: false,
+            status: 400,
+            code: 'double_confirm_required',
+            error: 'High-risk actions require double confirmation',
+            plan,
+            approvedSteps: approved.map((step) => step.step_index),
+        };
+    }
+
+    // Single use — consumed only once every check has passed
+    const consumed = consumePendingAction(planId, { clientId });
+    if (!consumed.valid) {
+        return { ok: false, status: consumed.status, code: consumed.code, error: consumed.reason };
+    }
+    memory.recordPlanOutcome(pending.threadId, plan, 'confirmed');
+
+    auditLog('action_confirmed', {
+        clientId,
+        intent: plan.intent,
+        riskLevel: plan.risk_level,
+        approvedSteps: approved.map((step) => step.step_index),
+        params: plan.params,
+    });
+
+    // Run approved steps in order; stop at the first failure. Undoable steps
+    // inside a send-delay window are queued — later steps don't wait for them.
+    const results = skipped.map((step) => ({ step: step.step_index, intent: step.intent, status: 'skipped' }));
+    let failed = false;
+    for (const step of approved) {
+        if (failed) {
+            results.push({ step: step.step_index, intent: step.intent, status: 'aborted' });
+            continue;
+        }
+        try {
+            const handler = handlers.get(step.intent);
+            if (!handler) throw new Error(`No handler registered for intent: ${step.intent}`);
+
+            const delayMs = handler.undoable ? getSendDelay(clientId || 'rest', step.risk_level) : 0;
+            if (delayMs > 0) {
+                const dispatch = queueDispatch({
+                    clientId: clientId || 'rest',
+                    planId,
+                    step,
+                    delayMs,
+                    commit: () => handler.execute(step, { clientId, planId }),
+                });
+                const result = { action: step.intent, status: 'pending_undo', dispatchId: dispatch.id, commitAt: dispatch.commitAt };
+                results.push({ step: step.step_index, intent: step.intent, status: 'queued', result, plan: step });
+                continue;
+            }
+
+            const result = await handler.execute(step, { clientId, planId });
+            auditLog('action_executed', { clientId, intent: step.intent, step: step.step_index, result });
+            results.push({ step: step.step_index, intent: step.intent, status: 'executed', result, plan: step });
+        } catch (err) {
+            failed = true;
+            auditLog('error', { clientId, intent: step.intent, step: step.step_index, error: err.message });
+            results.push({ step: step.step_index, intent: step.intent, status: 'failed', error: err.message });
+        }
+    }
+    results.sort((a, b) => a.step - b.step);
+
+    return { ok: true, plan, success: !failed, results };
+}
+
+/**
+ * Transport-neutral response body: { success, result } for single-intent
+ * plans, { success, results } (one entry per step) for multi_step.
+ */
+function formatExecution({ plan, success, results }) {
+    const summary = results.map(({ plan: _step, ...entry }) => entry);
+    if (plan.intent !== COMPOUND_INTENT) {
+        return success
+            ? { success: true, result: summary[0].result }
+            : { success: false, error: 'Action execution failed', detail: summary[0].error };
+    }
+    return { success, results: summary };
+}
+
+// ─── Built-in handlers ─────────────────────────────────────────────
+
+registerHandler('send_message', {
+    undoable: true,
+    // The Android client handles the actual WA message sending.
+    // Backend just acknowledges and logs.
+    execute: (step) => ({
+        action: 'send_message',
+        status: 'dispatched_to_client',
+        to: step.params.to,
+        message: step.params.message,
+    }),
+});
+
+registerHandler('call_number', {
+    execute: (step, { clientId, planId }) => {
+        // Names are resolved to numbers at proposal time
+        if (!step.params.phone) {
+            throw new Error(`No phone number for "${step.params.to}"`);
+        }
+        // A time or a retry policy hands the call to the job runner
+        if (step.params.call_at || step.params.retry) {
+            const job = scheduleCall({ clientId, planId, params: step.params });
+            return {
+                action: 'call_scheduled',
+                status: 'scheduled',
+                jobId: job.id,
+                callAt: job.runAt,
+                maxAttempts: job.retry.maxAttempts,
+                backoffMinutes: job.retry.backoffMinutes,
+            };
+        }
+        // Two-way with a goal, else the one-way script
+        return placeCall(step.params, { clientId });
+    },
+});
+
+registerHandler('open_app', {
+    execute: (step) => ({
+        action: 'open_app',
+        status: 'dispatched_to_client',
+        package: step.params.package,
+    }),
+});
+
+registerHandler('info_response', {
+    execute: (step) => ({ action: 'info_response', answer: step.params.answer }),
+});
+
+registerHandler('set_reminder', {
+    requiresClient: true,
+    execute: (step, { clientId, planId }) => {
+        const reminder = createReminder({
+            clientId,
+            text: step.params.text,
+            dueAt: step.params.remind_at,
+            planId,
+        });
+        return { action: 'set_reminder', status: 'scheduled', reminderId: reminder.id, dueAt: reminder.dueAt };
+    },
+});
+
+registerHandler('summarize_call', {
+    execute: () => ({ action: 'summarize_call', status: 'see /api/call/:id/summary' }),
+});
+
+module.exports = { registerHandler, executeConfirmedPlan, formatExecution };
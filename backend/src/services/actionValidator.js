@@ -1,8 +1,15 @@
 // ─── Action Validator ──────────────────────────────────────────────
 // Whitelist engine — only allows known-safe intents.
 // Rejects any undefined or potentially dangerous action.
+// Content rules (blocked payloads, risk escalation) live in the policy file.
 
+const config = require('../config');
 const { auditLog, logger } = require('../middleware/auditLogger');
+const { evaluatePolicy } = require('./policyEngine');
+const { scoreRisk, maxRisk } = require('./riskScorer');
+const { detectSensitiveData } = require('./sensitiveData');
+const { normalizePhone } = require('../utils/phone');
+const { parseNaturalTime } = require('../utils/naturalTime');
 
 /**
  * Exhaustive whitelist of allowed action intents.
@@ -14,6 +21,7 @@ const ACTION_WHITELIST = new Set([
     'summarize_call',
     'open_app',
     'info_response',
+    'set_reminder',
 ]);
 
 /**
@@ -23,29 +31,66 @@ const ACTION_WHITELIST = new Set([
 const PASSIVE_INTENTS = new Set(['info_response', 'summarize_call']);
 
 /**
- * Dangerous patterns that must NEVER appear in any parameter value.
+ * Compound plans bundle several whitelisted actions under intent "multi_step".
+ * The container itself is not an action — each step is validated on its own.
  */
-const BLOCKED_PATTERNS = [
-    /rm\s+-rf/i,
-    /del\s+\/[sfq]/i,
-    /format\s+[a-z]:/i,
-    /DROP\s+TABLE/i,
-    /exec\(/i,
-    /eval\(/i,
-    /\bsudo\b/i,
-    /\bshell\b/i,
-    /\bcmd\.exe\b/i,
-    /broadcast/i,           // No mass messaging
-    /bulk/i,                // No bulk operations
-    /mass[_\s]?message/i,   // No mass messaging
-];
+const COMPOUND_INTENT = 'multi_step';
+const MAX_STEPS = 5;
+
+const RISK_ORDER = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Param validators for intents added at runtime via registerIntent.
+ * @type {Map<string, (params: object) => { valid: boolean, reason?: string }>}
+ */
+const registeredIntents = new Map();
+
+/**
+ * Whitelists an additional intent. Called by the action executor when a
+ * handler is registered with its own param validation.
+ * @param {string} intent
+ * @param {{ validateParams: (params: object) => { valid: boolean, reason?: string }, passive?: boolean }} definition
+ */
+function registerIntent(intent, { validateParams, passive = false }) {
+    if (intent === COMPOUND_INTENT) {
+        throw new Error(`"${COMPOUND_INTENT}" cannot be registered as an action`);
+    }
+    registeredIntents.set(intent, validateParams);
+    ACTION_WHITELIST.add(intent);
+    if (passive) PASSIVE_INTENTS.add(intent);
+}
+
+/**
+ * Sensitive-data types found in what an action sends to someone else.
+ */
+function outgoingSensitiveTypes(plan) {
+    if (!['send_message', 'call_number'].includes(plan.intent)) return [];
+    const params = plan.params || {};
+    const text = [params.message, params.script, params.goal].filter((v) => typeof v === 'string').join('\n');
+    return [...new Set(detectSensitiveData(text).map((finding) => finding.type))];
+}
 
 /**
  * Validates an action plan against the whitelist and security rules.
  * @param {object} plan — parsed DeepSeek action plan
+ * @param {{ channel?: string, clientId?: string|null }} [context] — source app package, for
+ *   channel rules; owner whose contacts and call history make a number familiar (null for REST)
  * @returns {{ valid: boolean, reason?: string, sanitizedPlan?: object }}
  */
-function validateAction(plan) {
+function validateAction(plan, context = {}) {
+    const policyContext = { channel: context.channel || plan.channel, clientId: context.clientId || null };
+
+    // 0. Server-side injection verdict (set by the planner, never by the model)
+    if (plan.injection?.action === 'block') {
+        const reason = `Blocked: incoming message looks like a prompt injection (${plan.injection.rules.join(', ')}).`;
+        auditLog('action_rejected', { intent: plan.intent, reason, injectionScore: plan.injection.score });
+        return { valid: false, reason };
+    }
+
+    if (plan.intent === COMPOUND_INTENT) {
+        return validateCompoundAction(plan, policyContext);
+    }
+
     // 1. Check intent is on whitelist
     if (!plan.intent || !ACTION_WHITELIST.has(plan.intent)) {
         const reason = `Blocked: intent "${plan.intent}" is not in the allowed whitelist.`;
@@ -60,47 +105,69 @@ function validateAction(plan) {
         return { valid: false, reason };
     }
 
-    // 3. Scan all param values for blocked patterns
-    const paramStr = JSON.stringify(plan.params || {});
-    for (const pattern of BLOCKED_PATTERNS) {
-        if (pattern.test(paramStr)) {
-            const reason = `Blocked: parameter values contain dangerous pattern: ${pattern}`;
-            auditLog('action_rejected', { intent: plan.intent, reason, params: paramStr.substring(0, 200) });
-            return { valid: false, reason };
-        }
-    }
+    // A scheduled call is judged by when it rings, not when it was asked for
+    const runsAt = plan.intent === 'call_number' && plan.params ? callTime(plan.params) : null;
 
-    // 4. Scan execution_plan steps for blocked patterns
-    const stepsStr = JSON.stringify(plan.execution_plan || []);
-    for (const pattern of BLOCKED_PATTERNS) {
-        if (pattern.test(stepsStr)) {
-            const reason = `Blocked: execution plan contains dangerous pattern: ${pattern}`;
-            auditLog('action_rejected', { intent: plan.intent, reason });
-            return { valid: false, reason };
-        }
+    // 3. Apply the declarative action policy
+    const policy = evaluatePolicy(plan, runsAt ? { ...policyContext, now: runsAt } : policyContext);
+    if (policy.decision === 'deny') {
+        const reason = `Blocked by policy: ${policy.reason || policy.fired[0]?.id}`;
+        auditLog('action_rejected', { intent: plan.intent, reason, policyRules: policy.fired.map((r) => r.id) });
+        return { valid: false, reason };
     }
 
-    // 5. Validate intent-specific params
+    // 4. Validate intent-specific params
     const paramCheck = validateIntentParams(plan.intent, plan.params);
     if (!paramCheck.valid) {
         auditLog('action_rejected', { intent: plan.intent, reason: paramCheck.reason });
         return paramCheck;
     }
 
-    // 6. Determine if double confirmation is needed
-    const requiresDoubleConfirm = ['high', 'critical'].includes(plan.risk_level);
+    const params = normalizeIntentParams(plan.intent, plan.params);
+
+    // 5. Never let OTPs, card numbers, passwords etc. leave the device unchecked
+    const sensitiveTypes = outgoingSensitiveTypes(plan);
+    const blockedTypes = sensitiveTypes.filter((type) => config.sensitiveData.blockTypes.includes(type));
+    if (blockedTypes.length > 0) {
+        const reason = `Blocked: message would share sensitive data (${blockedTypes.join(', ')}).`;
+        auditLog('action_rejected', { intent: plan.intent, reason, sensitiveData: blockedTypes });
+        return { valid: false, reason };
+    }
+
+    // 6. Final risk is the max of the model's, the policy's and the server's own score
+    const modelRiskLevel = plan.model_risk_level || plan.risk_level;
+    const serverRisk = scoreRisk(plan, { ...(runsAt && { now: runsAt }), clientId: policyContext.clientId });
+    if (sensitiveTypes.length > 0) {
+        serverRisk.level = 'critical';
+        serverRisk.reasons.push(...sensitiveTypes.map((type) => `sensitive_${type}`));
+    }
+    const riskLevel = maxRisk(policy.riskLevel, serverRisk.level);
+
+    // 7. Determine if double confirmation is needed
+    const requiresDoubleConfirm = ['high', 'critical'].includes(riskLevel) || policy.requiresDoubleConfirm;
 
     auditLog('action_proposed', {
         intent: plan.intent,
-        riskLevel: plan.risk_level,
+        riskLevel,
+        modelRiskLevel,
+        serverRiskLevel: serverRisk.level,
+        riskReasons: serverRisk.reasons,
         requiresDoubleConfirm,
         isPassive: PASSIVE_INTENTS.has(plan.intent),
+        policyRules: policy.fired.map((r) => r.id),
     });
 
     return {
         valid: true,
         sanitizedPlan: {
             ...plan,
+            params,
+            risk_level: riskLevel,
+            model_risk_level: modelRiskLevel,
+            server_risk_level: serverRisk.level,
+            risk_reasons: serverRisk.reasons,
+            ...(policyContext.channel && { channel: policyContext.channel }),
+            ...(policy.fired.length > 0 && { policy_rules: policy.fired.map((r) => r.id) }),
             confirmation_required: true,
             requires_double_confirm: requiresDoubleConfirm,
             is_passive: PASSIVE_INTENTS.has(plan.intent),
@@ -108,6 +175,147 @@ function validateAction(plan) {
     };
 }
 
+/**
+ * Validates a multi_step plan. Every step must pass validateAction on its
+ * own; one bad step rejects the whole plan so the user never sees a
+ * partially-safe bundle.
+ * @returns {{ valid: boolean, reason?: string, sanitizedPlan?: object }}
+ */
+function validateCompoundAction(plan, policyContext) {
+    const reject = (reason) => {
+        auditLog('action_rejected', { intent: COMPOUND_INTENT, reason });
+        return { valid: false, reason };
+    };
+
+    if (plan.confirmation_required !== true) {
+        return reject('Blocked: confirmation_required must be true.');
+    }
+
+    if (!Array.isArray(plan.steps) || plan.steps.length === 0) {
+        return reject('Blocked: multi_step plan requires a non-empty steps array.');
+    }
+
+    if (plan.steps.length > MAX_STEPS) {
+        return reject(`Blocked: multi_step plan has ${plan.steps.length} steps. Max ${MAX_STEPS}.`);
+    }
+
+    // Container-level policy sees the overall execution_plan
+    const policy = evaluatePolicy({ ...plan, params: {} }, policyContext);
+    if (policy.decision === 'deny') {
+        return reject(`Blocked by policy: ${policy.reason || policy.fired[0]?.id}`);
+    }
+
+    const sanitizedSteps = [];
+    for (const [index, step] of plan.steps.entries()) {
+        if (!step || typeof step !== 'object' || step.intent === COMPOUND_INTENT) {
+            return reject(`Blocked: step ${index + 1} is not a single action.`);
+        }
+
+        const stepResult = validateAction({
+            ...step,
+            execution_plan: step.execution_plan || [],
+            confirmation_required: true,
+        }, policyContext);
+        if (!stepResult.valid) {
+            return reject(`Step ${index + 1}: ${stepResult.reason}`);
+        }
+
+        sanitizedSteps.push({ ...stepResult.sanitizedPlan, step_index: index });
+    }
+
+    const riskLevel = sanitizedSteps
+        .map((step) => step.risk_level)
+        .concat(policy.riskLevel)
+        .reduce((max, level) => (RISK_ORDER.indexOf(level) > RISK_ORDER.indexOf(max) ? level : max), 'low');
+
+    const requiresDoubleConfirm = policy.requiresDoubleConfirm
+        || sanitizedSteps.some((step) => step.requires_double_confirm);
+
+    auditLog('action_proposed', {
+        intent: COMPOUND_INTENT,
+        stepIntents: sanitizedSteps.map((step) => step.intent),
+        riskLevel,
+        requiresDoubleConfirm,
+    });
+
+    return {
+        valid: true,
+        sanitizedPlan: {
+            ...plan,
+            risk_level: riskLevel,
+            ...(policyContext.channel && { channel: policyContext.channel }),
+            steps: sanitizedSteps,
+            confirmation_required: true,
+            requires_double_confirm: requiresDoubleConfirm,
+            is_passive: sanitizedSteps.every((step) => step.is_passive),
+        },
+    };
+}
+
+/**
+ * Resolves which steps of a plan the user approved.
+ * Single-intent plans are treated as a one-step plan.
+ * @param {object} plan — sanitized plan
+ * @param {number[]} [approvedSteps] — step indices; omitted means all
+ * @returns {{ approved: object[], skipped: object[] }}
+ */
+function selectApprovedSteps(plan, approvedSteps) {
+    const steps = plan.intent === COMPOUND_INTENT ? plan.steps : [{ ...plan, step_index: 0 }];
+    if (!Array.isArray(approvedSteps)) {
+        return { approved: steps, skipped: [] };
+    }
+
+    const wanted = new Set(approvedSteps.map(Number));
+    return {
+        approved: steps.filter((step) => wanted.has(step.step_index)),
+        skipped: steps.filter((step) => !wanted.has(step.step_index)),
+    };
+}
+
+/**
+ * Whether a sanitized plan or step needs a second confirmation.
+ */
+function needsDoubleConfirm(step) {
+    return step.requires_double_confirm === true || ['high', 'critical'].includes(step.risk_level);
+}
+
+/**
+ * When a reminder fires: the server-computed remind_at once set, else the
+ * user's own words in params.when.
+ * @returns {Date|null}
+ */
+function reminderTime(params) {
+    const parsed = parseNaturalTime(params.remind_at || params.when || '');
+    return parsed && !Number.isNaN(parsed.getTime()) ? parsed : null;
+}
+
+/**
+ * When a scheduled call goes out: call_at once set, else params.when.
+ * @returns {Date|null}
+ */
+function callTime(params) {
+    const parsed = parseNaturalTime(params.call_at || params.when || '');
+    return parsed && !Number.isNaN(parsed.getTime()) ? parsed : null;
+}
+
+/**
+ * Canonical forms of already-validated params: E.164 phone numbers and
+ * absolute reminder and call times, so the user confirms exactly what will run.
+ */
+function normalizeIntentParams(intent, params) {
+    if (intent === 'call_number') {
+        return {
+            ...params,
+            ...(params.phone !== undefined && { phone: normalizePhone(params.phone).e164 }),
+            ...((params.call_at || params.when) && { call_at: callTime(params).toISOString() }),
+        };
+    }
+    if (intent === 'set_reminder') {
+        return { ...params, remind_at: reminderTime(params).toISOString() };
+    }
+    return params;
+}
+
 /**
  * Validates that the required parameters exist for each intent.
  */
@@ -130,11 +338,41 @@ function validateIntentParams(intent, params) {
             }
             break;
 
-        case 'call_number':
+        case 'call_number': {
             if (!params.to || typeof params.to !== 'string') {
                 return { valid: false, reason: 'call_number requires params.to (string).' };
             }
+            // Never hand Twilio or a tel: URI a short code or premium-rate number
+            const phone = params.phone !== undefined ? normalizePhone(params.phone) : { valid: true };
+            if (!phone.valid) {
+                return { valid: false, reason: `Invalid phone number: ${phone.reason}.` };
+            }
+            if (params.goal !== undefined && (typeof params.goal !== 'string' || params.goal.length > 300)) {
+                return { valid: false, reason: 'call_number params.goal must be a string of at most 300 characters.' };
+            }
+            if (params.call_at !== undefined || params.when !== undefined) {
+                const callAt = callTime(params);
+                if (!callAt) {
+                    return { valid: false, reason: 'call_number params.when must be a time like "6 baje".' };
+                }
+                if (callAt.getTime() <= Date.now()) {
+                    return { valid: false, reason: 'Call time is in the past.' };
+                }
+                if (callAt.getTime() > Date.now() + config.callJobs.maxDaysAhead * 86_400_000) {
+                    return { valid: false, reason: `Call is scheduled too far ahead. Max ${config.callJobs.maxDaysAhead} days.` };
+                }
+            }
+            if (params.retry !== undefined) {
+                const { max_attempts: attempts, backoff_minutes: backoff } = params.retry || {};
+                if (!Number.isInteger(attempts) || attempts < 1 || attempts > config.callJobs.maxAttempts) {
+                    return { valid: false, reason: `call_number params.retry.max_attempts must be an integer from 1 to ${config.callJobs.maxAttempts}.` };
+                }
+                if (!Number.isInteger(backoff) || backoff < 1 || backoff > config.callJobs.maxBackoffMinutes) {
+                    return { valid: false, reason: `call_number params.retry.backoff_minutes must be an integer from 1 to ${config.callJobs.maxBackoffMinutes}.` };
+                }
+            }
             break;
+        }
 
         case 'summarize_call':
             if (!params.call_id || typeof params.call_id !== 'string') {
@@ -154,11 +392,43 @@ function validateIntentParams(intent, params) {
             }
             break;
 
+        case 'set_reminder': {
+            if (!params.text || typeof params.text !== 'string') {
+                return { valid: false, reason: 'set_reminder requires params.text (string).' };
+            }
+            if (params.text.length > 500) {
+                return { valid: false, reason: 'Reminder too long. Max 500 characters.' };
+            }
+            const dueAt = reminderTime(params);
+            if (!dueAt) {
+                return { valid: false, reason: 'set_reminder requires params.when — a time like "kal 9 baje".' };
+            }
+            if (dueAt.getTime() <= Date.now()) {
+                return { valid: false, reason: 'Reminder time is in the past.' };
+            }
+            if (dueAt.getTime() > Date.now() + config.reminders.maxDaysAhead * 86_400_000) {
+                return { valid: false, reason: `Reminder is too far ahead. Max ${config.reminders.maxDaysAhead} days.` };
+            }
+            break;
+        }
+
         default:
+            if (registeredIntents.has(intent)) {
+                return registeredIntents.get(intent)(params);
+            }
             return { valid: false, reason: `Unknown intent: ${intent}` };
     }
 
     return { valid: true };
 }
 
-module.exports = { validateAction, ACTION_WHITELIST, PASSIVE_INTENTS };
+module.exports = {
+    validateAction,
+    selectApprovedSteps,
+    needsDoubleConfirm,
+    registerIntent,
+    ACTION_WHITELIST,
+    PASSIVE_INTENTS,
+    COMPOUND_INTENT,
+    MAX_STEPS,
+};
@@ -0,0 +1,280 @@
+// ─── Two-Way AI Calls ──────────────────────────────────────────────
+// A call with a goal becomes a conversation: each AI line is wrapped in a
+// <Gather input="speech">, Twilio posts the other person's reply to
+// /api/call/:id/gather, and the LLM (CALL_PROMPT) picks the next line. Turns
+// continue until the goal is reached, the model ends the call, or the turn
+// limit hits. Every turn is pushed to the user's device as a live feed and
+// the transcript is kept on the call record for summarizeCall.
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const CALL_PROMPT = require('../prompts/callPrompt');
+const { complete } = require('./llmProvider');
+const { initiateVoipCall, pushCallUpdate, setCallTranscript } = require('./callManager');
+const { resolveVoiceSettings } = require('./voiceSettings');
+const { detectSensitiveData } = require('./sensitiveData');
+const { buildGatherTwiML, buildHangupTwiML, resolveVoice } = require('../utils/twiml');
+const { auditLog, logger } = require('../middleware/auditLogger');
+
+const MAX_SILENCES = 2;
+// A conversation with no turn for this long lost its status callback (or
+// never had one — mock calls) and is closed by the sweep
+const IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+const OUTCOME_TEXT = {
+    goal_reached: 'Kaam ho gaya ✅',
+    ended_by_ai: 'Call khatam — goal poora nahi hua.',
+    turn_limit: 'Turn limit pe call khatam ki.',
+    no_response: 'Saamne se jawab nahi aaya.',
+    hung_up: 'Saamne wale ne call kaat di.',
+    error: 'Dikkat aayi, call band kar di.',
+    timed_out: 'Call se koi update nahi aaya — band maan li.',
+};
+
+// callId → conversation (replace with DB in production)
+const conversations = new Map();
+
+function gatherUrl(callId) {
+    return `${config.twilio.webhookBaseUrl}/api/call/${callId}/gather`;
+}
+
+/**
+ * TwiML that speaks a line and listens for the reply, in the call's voice.
+ */
+function listenTwiML(conversation, line, { consent = false } = {}) {
+    return buildGatherTwiML({
+        line,
+        actionUrl: gatherUrl(conversation.callId),
+        record: consent,
+        voice: conversation.voice,
+        maxSayChars: config.calls.maxSayChars,
+    });
+}
+
+function hangupTwiML(conversation, line) {
+    return buildHangupTwiML({ line, voice: conversation?.voice, maxSayChars: config.calls.maxSayChars });
+}
+
+function transcriptText(conversation) {
+    return conversation.turns
+        .map((turn) => `${turn.speaker === 'ai' ? 'AI' : conversation.to}: ${turn.text}`)
+        .join('\n');
+}
+
+function addTurn(conversation, speaker, text, feed) {
+    conversation.turns.push({ speaker, text, at: new Date().toISOString() });
+    conversation.lastActivityAt = Date.now();
+    setCallTranscript(conversation.callId, transcriptText(conversation));
+    pushCallUpdate(conversation.callId, {
+        type: 'call_feed',
+        event: 'turn',
+        speaker,
+        text,
+        turn: conversation.turns.length,
+        human_text: feed || (speaker === 'ai' ? `AI: "${text}"` : `${conversation.to}: "${text}"`),
+    });
+}
+
+function finish(conversation, outcome) {
+    if (conversation.outcome) return;
+    conversation.outcome = outcome;
+    conversations.delete(conversation.callId);
+
+    auditLog('action_executed', {
+        action: 'call_conversation_ended',
+        callId: conversation.callId,
+        outcome,
+        turns: conversation.turns.length,
+    });
+    pushCallUpdate(conversation.callId, {
+        type: 'call_feed',
+        event: 'ended',
+        outcome,
+        goal: conversation.goal,
+        human_text: OUTCOME_TEXT[outcome],
+    });
+}
+
+/**
+ * Places a two-way AI call.
+ * @param {string} toNumber — E.164
+ * @param {object} options
+ * @param {string} options.goal — what the call should achieve
+ * @param {string} [options.to] — contact name, for the transcript
+ * @param {string} [options.opening] — first line; defaults to a greeting
+ * @param {boolean} [options.recordConsent]
+ * @param {string|null} [options.clientId]
+ * @returns {Promise<object>} call metadata
+ */
+async function initiateConversationalCall(toNumber, { goal, to, opening, recordConsent = false, clientId = null }) {
+    if (config.twilio.accountSid && !config.twilio.webhookBaseUrl) {
+        throw new Error('Two-way calls need TWILIO_WEBHOOK_BASE_URL so Twilio can send replies back');
+    }
+
+    const callId = uuidv4();
+    const conversation = {
+        callId,
+        goal,
+        to: to || toNumber,
+        clientId,
+        voice: resolveVoiceSettings({ clientId, number: toNumber }),
+        turns: [],
+        silences: 0,
+        outcome: null,
+        lastActivityAt: Date.now(),
+    };
+    // Fixed lines come from the callee's voice profile, in their language
+    const firstLine = opening || conversation.voice.lines.opening;
+    conversations.set(callId, conversation);
+
+    try {
+        const call = await initiateVoipCall(toNumber, firstLine, recordConsent, {
+            clientId,
+            callId,
+            goal,
+            contactName: to,
+            voice: conversation.voice,
+            twiml: listenTwiML(conversation, firstLine, { consent: recordConsent }),
+        });
+        addTurn(conversation, 'ai', firstLine);
+        return call;
+    } catch (err) {
+        conversations.delete(callId);
+        throw err;
+    }
+}
+
+/**
+ * Asks the LLM for the next line.
+ * @returns {Promise<{ say: string, goal_reached: boolean, end_call: boolean, feed?: string }>}
+ */
+async function nextLine(conversation, latestReply) {
+    const completion = await complete({
+        messages: [
+            { role: 'system', content: CALL_PROMPT },
+            {
+                role: 'user',
+                content: JSON.stringify({
+                    goal: conversation.goal,
+                    to: conversation.to,
+                    language: conversation.voice.language,
+                    turn: conversation.turns.filter((t) => t.speaker === 'ai').length + 1,
+                    max_turns: config.calls.maxTurns,
+                    transcript: conversation.turns.map(({ speaker, text }) => ({ speaker, text })),
+                    latest_reply: latestReply,
+                }),
+            },
+        ],
+        temperature: 0.4,
+        maxTokens: 300,
+        purpose: 'call_turn',
+        clientId: conversation.clientId,
+    });
+
+    const reply = JSON.parse(completion.content);
+    if (typeof reply.say !== 'string' || !reply.say.trim()) {
+        throw new Error('Call turn missing "say"');
+    }
+    // The model speaks for the user — never let it read out secrets
+    const leaked = detectSensitiveData(reply.say);
+    if (leaked.length > 0) {
+        auditLog('action_rejected', { reason: 'call_line_sensitive', callId: conversation.callId, types: leaked.map((f) => f.type) });
+        return { say: conversation.voice.lines.refuseSecret, goal_reached: false, end_call: false };
+    }
+    return { ...reply, say: reply.say.trim().substring(0, 300) };
+}
+
+/**
+ * Handles one <Gather> result and returns the TwiML for the next turn.
+ * @param {string} callId
+ * @param {{ speech?: string, confidence?: number }} reply — Twilio SpeechResult/Confidence
+ * @returns {Promise<string>} TwiML
+ */
+async function handleCallerTurn(callId, { speech, confidence }) {
+    const conversation = conversations.get(callId);
+    if (!conversation) return hangupTwiML(null);
+
+    const text = (speech || '').trim();
+    if (!text) {
+        conversation.silences += 1;
+        conversation.lastActivityAt = Date.now();
+        if (conversation.silences >= MAX_SILENCES) {
+            finish(conversation, 'no_response');
+            return hangupTwiML(conversation, conversation.voice.lines.noResponse);
+        }
+        return listenTwiML(conversation, conversation.voice.lines.silence);
+    }
+
+    conversation.silences = 0;
+    addTurn(conversation, 'callee', text);
+    logger.info('Call turn received', { callId, confidence });
+
+    const aiTurns = conversation.turns.filter((t) => t.speaker === 'ai').length;
+    if (aiTurns >= config.calls.maxTurns) {
+        addTurn(conversation, 'ai', conversation.voice.lines.turnLimit);
+        finish(conversation, 'turn_limit');
+        return hangupTwiML(conversation, conversation.voice.lines.turnLimit);
+    }
+
+    let reply;
+    try {
+        reply = await nextLine(conversation, text);
+    } catch (err) {
+        logger.error('Call turn generation failed', { callId, error: err.message });
+        addTurn(conversation, 'ai', conversation.voice.lines.error);
+        finish(conversation, 'error');
+        return hangupTwiML(conversation, conversation.voice.lines.error);
+    }
+
+    addTurn(conversation, 'ai', reply.say, reply.feed);
+    if (reply.goal_reached || reply.end_call) {
+        finish(conversation, reply.goal_reached ? 'goal_reached' : 'ended_by_ai');
+        return hangupTwiML(conversation, reply.say);
+    }
+    return listenTwiML(conversation, reply.say);
+}
+
+/**
+ * Ends a conversation whose turn threw and returns TwiML that apologises
+ * and hangs up — Twilio must always get an answer to a <Gather>.
+ * @param {string} callId
+ * @param {Error} err
+ * @returns {string} TwiML
+ */
+function abortCallerTurn(callId, err) {
+    logger.error('Call turn failed', { callId, error: err.message });
+    const conversation = conversations.get(callId);
+    if (conversation) {
+        try {
+            finish(conversation, 'error');
+        } catch (finishErr) {
+            logger.error('Call conversation cleanup failed', { callId, error: finishErr.message });
+        }
+    }
+    const voice = conversation?.voice || resolveVoice({ profile: config.calls.voiceProfile });
+    return hangupTwiML(conversation, voice.lines.error);
+}
+
+/**
+ * Closes a conversation the other side ended (status callback).
+ */
+function endConversation(callId, outcome = 'hung_up') {
+    const conversation = conversations.get(callId);
+    if (conversation) finish(conversation, outcome);
+}
+
+// Close conversations whose call ended without telling us
+const sweepInterval = setInterval(() => {
+    const cutoff = Date.now() - IDLE_TIMEOUT_MS;
+    for (const conversation of conversations.values()) {
+        if (conversation.lastActivityAt >= cutoff) continue;
+        try {
+            finish(conversation, 'timed_out');
+        } catch (err) {
+            logger.error('Call conversation sweep failed', { callId: conversation.callId, error: err.message });
+        }
+    }
+}, 5 * 60_000);
+sweepInterval.unref();
+
+module.exports = { initiateConversationalCall, handleCallerTurn, abortCallerTurn, endConversation };
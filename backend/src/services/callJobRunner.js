@@ -0,0 +1,309 @@
+// ─── Scheduled Calls & Retry ───────────────────────────────────────
+// Confirmed call_number plans with a time ("6 baje") or a retry policy
+// ("nahi uthaye to 10 min baad phir try karo") become call jobs, persisted
+// to a JSON file (CALL_JOBS_FILE). A tick places due calls through
+// initiateVoipCall; Twilio's busy/no-answer status callbacks schedule the
+// next attempt after the backoff, and the final outcome is pushed to the
+// device (re-sent on later ticks while it is offline).
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { initiateVoipCall, getCall } = require('./callManager');
+const { initiateConversationalCall } = require('./callConversation');
+const { createPersistedStore, startTickLoop } = require('../utils/persistedStore');
+const { auditLog, logger } = require('../middleware/auditLogger');
+
+// Finished jobs are kept this long for listing, then pruned
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Attempt statuses worth another try; any other final status ends the job.
+// "interrupted" is an attempt the server went down in the middle of placing.
+const RETRY_STATUSES = ['busy', 'no-answer', 'interrupted'];
+// "mock" is a development call (Twilio not configured) — no callback will come
+const SUCCESS_STATUSES = ['completed', 'mock'];
+const FINAL_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const store = createPersistedStore({
+    file: config.callJobs.file,
+    name: 'call jobs',
+    expired: (job) => FINAL_JOB_STATUSES.includes(job.status) && Date.parse(job.updatedAt) < Date.now() - RETENTION_MS,
+});
+
+/** @type {Map<string, object>} */
+const jobs = store.records;
+
+/** @type {(clientId: string, data: object) => boolean} */
+let deliver = () => false;
+let tickInterval = null;
+
+function pushJob(job, event, humanText) {
+    return deliver(job.clientId, { type: 'call_job', event, job, human_text: humanText });
+}
+
+/**
+ * Places a call from call_number params: two-way when there is a goal,
+ * otherwise the one-way script.
+ * @param {object} params — validated call_number params (phone is E.164)
+ * @param {{ clientId?: string|null }} [owner]
+ * @returns {Promise<object>} call metadata
+ */
+function placeCall(params, { clientId = null } = {}) {
+    if (params.goal) {
+        return initiateConversationalCall(params.phone, {
+            goal: params.goal,
+            to: params.to,
+            opening: params.script,
+            recordConsent: params.record_consent || false,
+            clientId,
+        });
+    }
+    return initiateVoipCall(params.phone, params.script || '', params.record_consent || false, {
+        clientId,
+        contactName: params.to,
+    });
+}
+
+/**
+ * Creates a call job from a confirmed plan step.
+ * @param {object} input
+ * @param {string|null} input.clientId
+ * @param {string} [input.planId]
+ * @param {object} input.params — call_number params; call_at (ISO) and/or retry { max_attempts, backoff_minutes }
+ * @returns {object} the stored job
+ * @throws {Error} when retries are asked for but Twilio can't report call outcomes
+ */
+function scheduleCall({ clientId, planId = null, params }) {
+    if (params.retry && config.twilio.accountSid && !config.twilio.webhookBaseUrl) {
+        throw new Error('Retrying calls needs TWILIO_WEBHOOK_BASE_URL so Twilio can report busy/no-answer');
+    }
+
+    const now = new Date().toISOString();
+    const { call_at: callAt, retry, when, ...callParams } = params;
+    const job = {
+        id: uuidv4(),
+        clientId: clientId || 'rest',
+        planId,
+        to: params.to,
+        params: callParams,
+        runAt: callAt || now,
+        retry: {
+            maxAttempts: retry?.max_attempts || 1,
+            backoffMinutes: retry?.backoff_minutes || 0,
+        },
+        attempts: [],
+        status: 'scheduled',
+        outcome: null,
+        notifiedAt: null,
+        createdAt: now,
+        updatedAt: now,
+    };
+    jobs.set(job.id, job);
+    store.save();
+
+    auditLog('action_executed', {
+        action: 'call_scheduled',
+        jobId: job.id,
+        clientId: job.clientId,
+        runAt: job.runAt,
+        maxAttempts: job.retry.maxAttempts,
+    });
+    // An immediate call with a retry policy goes out now, not on the next tick
+    if (!callAt) setImmediate(() => tick());
+    return job;
+}
+
+/**
+ * Ends a job and tells the user how it went.
+ */
+function finish(job, status, outcome, humanText) {
+    store.update(job, { status, outcome, runAt: null });
+    auditLog('action_executed', { action: 'call_job_finished', jobId: job.id, clientId: job.clientId, outcome, attempts: job.attempts.length });
+    if (pushJob(job, 'final', humanText)) store.update(job, { notifiedAt: new Date().toISOString() });
+}
+
+const FINAL_TEXT = {
+    answered: (job) => `✅ ${job.to} se call ho gayi${job.attempts.length > 1 ? ` (${job.attempts.length} try mein)` : ''}.`,
+    busy: (job) => `❌ ${job.to} ka number ${job.attempts.length} baar busy mila — call nahi ho payi.`,
+    'no-answer': (job) => `❌ ${job.to} ne ${job.attempts.length} baar try karne par bhi phone nahi uthaya.`,
+    mock: (job) => `🧪 ${job.to} ko mock call ho gayi (Twilio configured nahi hai).`,
+    interrupted: (job) => `⚠️ ${job.to} ko call lagate waqt server restart ho gaya — call nahi ho payi.`,
+    failed: (job) => `⚠️ ${job.to} ko call nahi lag payi.`,
+    canceled: (job) => `${job.to} wali call cancel ho gayi.`,
+    unknown: (job) => `⚠️ ${job.to} wali call ka result pata nahi chala.`,
+};
+
+const RETRY_TEXT = {
+    busy: (job) => `${job.to} ka number busy hai`,
+    'no-answer': (job) => `${job.to} ne phone nahi uthaya`,
+    interrupted: (job) => `${job.to} wali call beech mein ruk gayi`,
+};
+
+/**
+ * Places the job's next attempt. The attempt is saved (without a callId)
+ * together with the "calling" status, so a crash mid-placement leaves a
+ * record recoverInterrupted() can settle.
+ */
+async function attempt(job) {
+    const current = { callId: null, startedAt: new Date().toISOString(), status: null };
+    const number = job.attempts.push(current);
+    store.update(job, { status: 'calling', runAt: null });
+    try {
+        // On disk before Twilio is asked to dial
+        store.flush();
+        const call = await placeCall(job.params, { clientId: job.clientId === 'rest' ? null : job.clientId });
+        // Timed out by tick() while Twilio was slow to answer
+        if (current.status) return;
+        current.callId = call.callId;
+        store.update(job, {});
+        auditLog('action_executed', { action: 'call_attempt', jobId: job.id, callId: call.callId, attempt: number });
+        pushJob(job, 'attempt', `📞 ${job.to} ko call kar rahi hoon${job.retry.maxAttempts > 1 ? ` (try ${number}/${job.retry.maxAttempts})` : ''}…`);
+        if (call.status === 'mock') settleAttempt(job, 'mock');
+    } catch (err) {
+        logger.error('Scheduled call failed to start', { jobId: job.id, error: err.message });
+        if (current.status) return;
+        current.error = err.message;
+        settleAttempt(job, 'failed', `⚠️ ${job.to} ko call nahi lag payi: ${err.message}`);
+    }
+}
+
+/**
+ * Applies the final status of an attempt: retry on busy/no-answer (or an
+ * interrupted placement) while attempts remain, otherwise finish the job.
+ * @param {string} [finalText] — overrides the outcome's usual message
+ */
+function settleAttempt(job, status, finalText) {
+    const current = job.attempts[job.attempts.length - 1];
+    current.status = status;
+    current.endedAt = new Date().toISOString();
+
+    if (RETRY_STATUSES.includes(status) && job.attempts.length < job.retry.maxAttempts) {
+        const runAt = new Date(Date.now() + job.retry.backoffMinutes * 60_000).toISOString();
+        store.update(job, { status: 'waiting_retry', runAt });
+        auditLog('action_executed', { action: 'call_retry_scheduled', jobId: job.id, attempt: job.attempts.length, runAt });
+        pushJob(job, 'retry_scheduled', `${RETRY_TEXT[status](job)} — ${job.retry.backoffMinutes} min baad phir try karungi (${job.attempts.length}/${job.retry.maxAttempts}).`);
+        return;
+    }
+
+    const outcome = status === 'completed' ? 'answered' : status;
+    finish(job, SUCCESS_STATUSES.includes(status) ? 'completed' : 'failed', outcome, finalText || (FINAL_TEXT[outcome] || FINAL_TEXT.unknown)(job));
+}
+
+/**
+ * Jobs saved as "calling" whose attempt never got a callId were being
+ * placed when the process died — nothing will ever settle them, so they
+ * are retried (or failed) now.
+ */
+function recoverInterrupted() {
+    for (const job of jobs.values()) {
+        if (job.status !== 'calling') continue;
+        let current = job.attempts[job.attempts.length - 1];
+        if (current?.callId && !current.status) continue;
+        if (!current || current.status) {
+            current = { callId: null, startedAt: job.updatedAt, status: null };
+            job.attempts.push(current);
+        }
+        logger.warn('Call attempt interrupted by a restart', { jobId: job.id, attempt: job.attempts.length });
+        settleAttempt(job, 'interrupted');
+    }
+}
+
+/**
+ * Status-callback hook: settles the job attempt behind a call that just
+ * ended. Safe to call for any call and more than once.
+ * @param {object} call — the updated call record
+ */
+function onCallEnded(call) {
+    for (const job of jobs.values()) {
+        if (job.status !== 'calling') continue;
+        const current = job.attempts[job.attempts.length - 1];
+        if (current?.callId === call.callId && !current.status) {
+            settleAttempt(job, call.status);
+            return;
+        }
+    }
+}
+
+/**
+ * Places due calls, gives up on attempts Twilio never reported on, and
+ * re-sends final outcomes the device missed.
+ */
+function tick(now = Date.now()) {
+    for (const job of jobs.values()) {
+        if (['scheduled', 'waiting_retry'].includes(job.status) && Date.parse(job.runAt) <= now) {
+            attempt(job).catch((err) => logger.error('Call attempt crashed', { jobId: job.id, error: err.message }));
+        } else if (job.status === 'calling') {
+            const current = job.attempts[job.attempts.length - 1];
+            if (now - Date.parse(current.startedAt) < config.callJobs.attemptTimeoutMs) continue;
+            // A call still in progress is fine; one that never reported back is not
+            const call = current.callId && getCall(current.callId);
+            if (call?.status === 'in-progress') continue;
+            logger.warn('Call attempt timed out without a final status', { jobId: job.id, callId: current.callId });
+            settleAttempt(job, call?.endedAt ? call.status : 'unknown');
+        } else if (FINAL_JOB_STATUSES.includes(job.status) && job.outcome && !job.notifiedAt && job.status !== 'cancelled') {
+            if (pushJob(job, 'final', (FINAL_TEXT[job.outcome] || FINAL_TEXT.unknown)(job))) {
+                store.update(job, { notifiedAt: new Date(now).toISOString() });
+            }
+        }
+    }
+}
+
+/**
+ * Starts the job loop.
+ * @param {{ deliver: (clientId: string, data: object) => boolean }} options — usually gateway.pushToClient
+ */
+function startCallJobRunner(options) {
+    deliver = options.deliver;
+    if (tickInterval) return;
+    tickInterval = startTickLoop(tick, config.callJobs.tickMs, 'call jobs');
+}
+
+/**
+ * Call jobs, next due first (finished last).
+ * @param {{ clientId?: string, status?: string }} [filter]
+ */
+function listCallJobs({ clientId, status } = {}) {
+    return [...jobs.values()]
+        .filter((job) => (!clientId || job.clientId === clientId) && (!status || job.status === status))
+        .sort((a, b) => (a.runAt || '9999').localeCompare(b.runAt || '9999') || b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * One job, or null.
+ */
+function getCallJob(id, { clientId } = {}) {
+    const job = jobs.get(id);
+    if (!job || (clientId && job.clientId !== clientId)) return null;
+    return job;
+}
+
+/**
+ * Cancels a job that is waiting for its first call or its next retry.
+ * A call already ringing is left alone.
+ * @returns {{ ok: true, job: object } | { ok: false, status: number, error: string, code?: string }}
+ */
+function cancelCallJob(id, { clientId } = {}) {
+    const job = getCallJob(id, { clientId });
+    if (!job) return { ok: false, status: 404, error: 'Call job not found' };
+    if (job.status === 'calling') {
+        return { ok: false, status: 409, code: 'in_progress', error: 'The call is in progress — it can only be cancelled between attempts' };
+    }
+    if (FINAL_JOB_STATUSES.includes(job.status)) {
+        return { ok: false, status: 409, code: 'finished', error: `Call job already ${job.status}` };
+    }
+
+    store.update(job, { status: 'cancelled', outcome: 'cancelled', runAt: null });
+    auditLog('action_executed', { action: 'call_job_cancelled', jobId: id, clientId: job.clientId });
+    return { ok: true, job };
+}
+
+recoverInterrupted();
+
+module.exports = {
+    startCallJobRunner,
+    placeCall,
+    scheduleCall,
+    onCallEnded,
+    listCallJobs,
+    getCallJob,
+    cancelCallJob,
+};
@@ -1,51 +1,117 @@
 // ─── Call Manager ──────────────────────────────────────────────────
 // Handles VoIP call initiation via Twilio, recording, and transcription.
-// Also provides a native-call instruction path for the Android client.
+// Also provides a native-call instruction path for the Android client, and
+// the call records for inbound calls screened by callScreening.
+// Twilio status/recording webhooks update the call record here, and each
+// change is pushed to the device that placed the call.
 
 const config = require('../config');
 const { auditLog, logger } = require('../middleware/auditLogger');
 const { v4: uuidv4 } = require('uuid');
+const { insertCall, findCall, findCallBySid, updateCall } = require('./callStore');
+const { resolveVoiceSettings } = require('./voiceSettings');
+const { buildScriptTwiML } = require('../utils/twiml');
 
-// In-memory call registry (replace with DB in production)
-const activeCalls = new Map();
+
+// Twilio CallStatus progression; anything terminal ends the call
+const STATUS_ORDER = ['queued', 'initiated', 'ringing', 'in-progress'];
+const TERMINAL_STATUSES = ['completed', 'busy', 'failed', 'no-answer', 'canceled'];
+
+const STATUS_TEXT = {
+    initiated: 'Call lag rahi hai…',
+    ringing: 'Ghanti baj rahi hai…',
+    'in-progress': 'Call connect ho gayi.',
+    completed: 'Call khatam ho gayi.',
+    busy: 'Number busy hai.',
+    'no-answer': 'Kisi ne phone nahi uthaya.',
+    failed: 'Call nahi lag payi.',
+    canceled: 'Call cancel ho gayi.',
+};
+
+/** @type {(clientId: string, data: object) => boolean} */
+let deliver = () => false;
+
+/**
+ * Wires call-state pushes to the WebSocket channel.
+ * @param {{ deliver: (clientId: string, data: object) => boolean }} options
+ */
+function initCallManager(options) {
+    deliver = options.deliver;
+}
+
+function callbackUrl(callId, kind) {
+    return `${config.twilio.webhookBaseUrl}/api/call/${callId}/${kind}`;
+}
 
 /**
  * Initiates a VoIP call via Twilio REST API.
  * @param {string} toNumber — E.164 formatted phone number
  * @param {string} ttsScript — Text for the AI to speak (Hinglish)
  * @param {boolean} recordConsent — User has given explicit consent to record
+ * @param {object} [options]
+ * @param {string|null} [options.clientId] — device that gets status pushes
+ * @param {string} [options.callId] — preassigned ID, when the TwiML must reference it
+ * @param {string} [options.twiml] — replaces the one-way script TwiML (two-way calls)
+ * @param {object} [options.voice] — resolved voice settings; looked up from clientId/contact when omitted
+ * @param {string} [options.goal] — two-way call goal, kept on the record
+ * @param {string} [options.contactName] — who was called, for call history search
  * @returns {object} call metadata
  */
-async function initiateVoipCall(toNumber, ttsScript, recordConsent = false) {
-    const callId = uuidv4();
+async function initiateVoipCall(toNumber, ttsScript, recordConsent = false, { clientId = null, callId = uuidv4(), twiml, goal, contactName, voice } = {}) {
+    const mode = goal ? 'conversational' : 'scripted';
+    voice = voice || resolveVoiceSettings({ clientId, number: toNumber });
 
     if (!config.twilio.accountSid || !config.twilio.authToken) {
         logger.warn('Twilio not configured — returning mock call for development');
         const mockCall = {
             callId,
+            type: 'voip',
             status: 'mock',
+            mode,
+            ...(goal && { goal }),
+            clientId,
             to: toNumber,
+            ...(contactName && { contactName }),
             ttsScript,
+            voiceProfile: voice.profile,
             recording: recordConsent,
             createdAt: new Date().toISOString(),
         };
-        activeCalls.set(callId, mockCall);
+        insertCall(mockCall);
         return mockCall;
     }
 
     const twilioUrl = `https://api.twilio.com/2010-04-01/Accounts/${config.twilio.accountSid}/Calls.json`;
 
-    // Build TwiML for the call
-    const twiml = buildTwiML(ttsScript, recordConsent, callId);
+    twiml = twiml || buildScriptTwiML({
+        script: ttsScript,
+        record: recordConsent,
+        voice,
+        maxSayChars: config.calls.maxSayChars,
+    });
 
     const params = new URLSearchParams();
     params.append('To', toNumber);
     params.append('From', config.twilio.phoneNumber);
     params.append('Twiml', twiml);
 
+    // Twilio only accepts absolute callback URLs
+    if (config.twilio.webhookBaseUrl) {
+        params.append('StatusCallback', callbackUrl(callId, 'status'));
+        params.append('StatusCallbackMethod', 'POST');
+        for (const event of ['initiated', 'ringing', 'answered', 'completed']) {
+            params.append('StatusCallbackEvent', event);
+        }
+    } else {
+        logger.warn('TWILIO_WEBHOOK_BASE_URL not set — call status will not be tracked', { callId });
+    }
+
     if (recordConsent) {
         params.append('Record', 'true');
-        params.append('RecordingStatusCallback', `/api/call/${callId}/recording-status`);
+        if (config.twilio.webhookBaseUrl) {
+            params.append('RecordingStatusCallback', callbackUrl(callId, 'recording-status'));
+            params.append('RecordingStatusCallbackMethod', 'POST');
+        }
     }
 
     try {
@@ -74,14 +140,20 @@ async function initiateVoipCall(toNumber, ttsScript, recordConsent = false) {
         const callMeta = {
             callId,
             twilioSid: twilioData.sid,
+            type: 'voip',
             status: twilioData.status,
+            mode,
+            ...(goal && { goal }),
+            clientId,
             to: toNumber,
+            ...(contactName && { contactName }),
             ttsScript,
+            voiceProfile: voice.profile,
             recording: recordConsent,
             createdAt: new Date().toISOString(),
         };
 
-        activeCalls.set(callId, callMeta);
+        insertCall(callMeta);
 
         auditLog('action_executed', {
             action: 'voip_call_initiated',
@@ -97,63 +169,206 @@ async function initiateVoipCall(toNumber, ttsScript, recordConsent = false) {
     }
 }
 
-/**
- * Builds TwiML XML for the call.
- */
-function buildTwiML(ttsScript, record, callId) {
-    let twiml = '<?xml version="1.0" encoding="UTF-8"?><Response>';
-
-    if (record) {
-        twiml += '<Say voice="Polly.Aditi" language="hi-IN">';
-        twiml += 'Is call ko record kiya jayega. Agar aap agree nahi karte toh disconnect kar sakte hain.';
-        twiml += '</Say><Pause length="3"/>';
-    }
-
-    twiml += `<Say voice="Polly.Aditi" language="hi-IN">${escapeXml(ttsScript)}</Say>`;
-    twiml += '<Pause length="2"/>';
-    twiml += '<Say voice="Polly.Aditi" language="hi-IN">Kuch aur baat karni hai? Nahi toh call disconnect ho jayegi.</Say>';
-    twiml += '<Pause length="5"/>';
-    twiml += '</Response>';
-
-    return twiml;
-}
-
 /**
  * Returns a native call instruction for the Android client.
  * The Android app will use ACTION_CALL intent.
+ * @param {string} toNumber
+ * @param {{ clientId?: string|null, contactName?: string }} [options] — kept for call history
  */
-function createNativeCallInstruction(toNumber) {
+function createNativeCallInstruction(toNumber, { clientId = null, contactName } = {}) {
     const callId = uuidv4();
     const instruction = {
         callId,
         type: 'native_cellular',
+        clientId,
         to: toNumber,
+        ...(contactName && { contactName }),
         action: 'android.intent.action.CALL',
         uri: `tel:${toNumber}`,
         note: 'Native call — no TTS injection, no recording via backend.',
         createdAt: new Date().toISOString(),
     };
 
-    activeCalls.set(callId, instruction);
+    insertCall(instruction);
     auditLog('action_executed', { action: 'native_call_instruction', callId, to: toNumber });
 
     return instruction;
 }
 
+/**
+ * Records a call that came in to the Twilio number.
+ * @param {object} inbound
+ * @param {string} inbound.callSid
+ * @param {string} inbound.from — caller, E.164 when valid
+ * @param {string} [inbound.to] — our Twilio number
+ * @param {string|null} inbound.clientId — device that screens the call
+ * @param {string} [inbound.contactName] — directory name for the caller
+ * @param {string} [inbound.status] — Twilio CallStatus at the voice webhook
+ * @returns {object} call metadata
+ */
+function createInboundCall({ callSid, from, to, clientId, contactName, status = 'ringing' }) {
+    const call = {
+        callId: uuidv4(),
+        twilioSid: callSid,
+        type: 'voip',
+        direction: 'inbound',
+        status,
+        mode: 'screening',
+        clientId,
+        from,
+        to: to || config.twilio.phoneNumber,
+        ...(contactName && { contactName }),
+        recording: false,
+        createdAt: new Date().toISOString(),
+    };
+    insertCall(call);
+    auditLog('action_executed', { action: 'inbound_call_received', callId: call.callId, from, known: Boolean(contactName) });
+    return call;
+}
+
 /**
  * Get call metadata by ID.
  */
 function getCall(callId) {
-    return activeCalls.get(callId) || null;
+    return findCall(callId);
+}
+
+/**
+ * Get call metadata by Twilio CallSid (inbound callbacks carry no callId).
+ */
+function getCallBySid(callSid) {
+    return findCallBySid(callSid);
 }
 
-function escapeXml(str) {
-    return str
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&apos;');
+/**
+ * Pushes a live update to the device that placed the call.
+ * @returns {boolean} false when the call is unknown or the device is offline
+ */
+function pushCallUpdate(callId, data) {
+    const call = findCall(callId);
+    if (!call || !call.clientId) return false;
+    return deliver(call.clientId, { callId, ...data });
+}
+
+/**
+ * Stores the call transcript (two-way calls update it every turn).
+ */
+function setCallTranscript(callId, transcript) {
+    return updateCall(callId, { transcript });
+}
+
+/**
+ * Records summary pipeline progress on the call.
+ * @param {string} callId
+ * @param {{ summaryStatus: 'transcribing'|'summarizing'|'ready'|'failed', summary?: object, summaryError?: string }} fields
+ */
+function setCallSummary(callId, fields) {
+    return updateCall(callId, fields);
+}
+
+/**
+ * Stores inbound screening state (see callScreening).
+ */
+function setCallScreening(callId, screening, extra = {}) {
+    return updateCall(callId, { ...extra, screening });
+}
+
+/**
+ * Applies a Twilio status callback. Out-of-order callbacks (e.g. a late
+ * "ringing" after "completed") are recorded but never move status backwards.
+ * @param {string} callId
+ * @param {object} update
+ * @param {string} update.status — Twilio CallStatus
+ * @param {string} [update.twilioSid]
+ * @param {number} [update.duration] — seconds, on completion
+ * @param {string} [update.answeredBy]
+ * @returns {{ ok: true, call: object, changed: boolean } | { ok: false, status: number, error: string }}
+ */
+function updateCallStatus(callId, { status, twilioSid, duration, answeredBy }) {
+    const call = findCall(callId);
+    if (!call) return { ok: false, status: 404, error: 'Call not found' };
+    if (!STATUS_ORDER.includes(status) && !TERMINAL_STATUSES.includes(status)) {
+        return { ok: false, status: 400, error: `Unknown call status "${status}"` };
+    }
+    if (twilioSid && call.twilioSid && twilioSid !== call.twilioSid) {
+        return { ok: false, status: 409, error: 'CallSid does not match this call' };
+    }
+
+    const at = new Date().toISOString();
+    const statusHistory = [...(call.statusHistory || []), { status, at }];
+
+    const previousStatus = call.status;
+    const ended = TERMINAL_STATUSES.includes(previousStatus);
+    const regress = STATUS_ORDER.indexOf(status) !== -1
+        && STATUS_ORDER.indexOf(status) <= STATUS_ORDER.indexOf(previousStatus);
+    if (ended || regress || status === previousStatus) {
+        return { ok: true, call: updateCall(callId, { statusHistory }), changed: false };
+    }
+
+    updateCall(callId, {
+        statusHistory,
+        status,
+        ...(twilioSid && { twilioSid }),
+        ...(status === 'in-progress' && { answeredAt: at }),
+        ...(TERMINAL_STATUSES.includes(status) && { endedAt: at }),
+        ...(duration !== undefined && { durationSec: duration }),
+        ...(answeredBy && { answeredBy }),
+    });
+
+    auditLog('action_executed', { action: 'call_status', callId, status, previousStatus });
+    pushCallUpdate(callId, {
+        type: 'call_status',
+        status,
+        previousStatus,
+        ...(call.durationSec !== undefined && { durationSec: call.durationSec }),
+        human_text: STATUS_TEXT[status] || `Call status: ${status}`,
+    });
+    return { ok: true, call, changed: true };
+}
+
+/**
+ * Applies a Twilio recording status callback.
+ * @param {string} callId
+ * @param {{ recordingSid: string, status: string, url?: string, duration?: number }} recording
+ * @returns {{ ok: true, call: object } | { ok: false, status: number, error: string }}
+ */
+function updateCallRecording(callId, { recordingSid, status, url, duration }) {
+    const call = findCall(callId);
+    if (!call) return { ok: false, status: 404, error: 'Call not found' };
+    if (!call.recording) {
+        // Never keep a recording the user did not consent to
+        logger.warn('Recording callback for a call without record consent', { callId, recordingSid });
+        return { ok: false, status: 409, error: 'Call was not recorded with consent' };
+    }
+
+    updateCall(callId, {
+        recordingSid,
+        recordingStatus: status,
+        ...(url && { recordingUrl: url }),
+        ...(duration !== undefined && { recordingDurationSec: duration }),
+    });
+
+    auditLog('action_executed', { action: 'call_recording', callId, recordingSid, status });
+    pushCallUpdate(callId, {
+        type: 'call_recording',
+        status,
+        ...(duration !== undefined && { durationSec: duration }),
+        human_text: status === 'completed' ? 'Call ki recording ready hai.' : `Recording status: ${status}`,
+    });
+    return { ok: true, call };
 }
 
-module.exports = { initiateVoipCall, createNativeCallInstruction, getCall };
+module.exports = {
+    initCallManager,
+    initiateVoipCall,
+    createNativeCallInstruction,
+    createInboundCall,
+    getCall,
+    getCallBySid,
+    pushCallUpdate,
+    setCallTranscript,
+    setCallSummary,
+    setCallScreening,
+    updateCallStatus,
+    updateCallRecording,
+};
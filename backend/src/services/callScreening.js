@@ -0,0 +1,402 @@
+// ─── Inbound Call Screening ────────────────────────────────────────
+// Calls to the Twilio number land on POST /api/voice/inbound. Contacts in
+// the directory follow their inboundRoute (connect straight through, reject,
+// or screen); everyone else is screened: greeted in Hinglish, asked who they
+// are and why they're calling (speech <Gather>, or a short <Record> when
+// they stay silent), then held while the LLM (SCREENING_PROMPT) rates the
+// urgency and the device gets a screening card — accept (forward to the
+// user's phone), reject, or reply by message. The caller's hold loop picks
+// up the decision on its next redirect.
+
+const fs = require('fs');
+const config = require('../config');
+const SCREENING_PROMPT = require('../prompts/screeningPrompt');
+const { complete } = require('./llmProvider');
+const {
+    createInboundCall,
+    getCall,
+    getCallBySid,
+    setCallScreening,
+    setCallTranscript,
+    pushCallUpdate,
+    updateCallStatus,
+} = require('./callManager');
+const { findContactByNumber } = require('./contactDirectory');
+const { downloadRecording } = require('./recordingPipeline');
+const { transcribe, getSttProvider } = require('./speechToText');
+const { validateAction } = require('./actionValidator');
+const { createPendingAction } = require('./pendingActions');
+const { normalizePhone } = require('../utils/phone');
+const {
+    buildGatherTwiML,
+    buildRecordTwiML,
+    buildHoldTwiML,
+    buildDialTwiML,
+    buildHangupTwiML,
+} = require('../utils/twiml');
+const { auditLog, logger } = require('../middleware/auditLogger');
+
+const DECISIONS = ['accept', 'reject', 'message'];
+const URGENCIES = ['low', 'medium', 'high'];
+const HOLD_PAUSE_SECONDS = 4;
+const MAX_REPLY_CHARS = 500;
+
+// The greeting and hold lines are Hinglish whatever the user's call profile
+const VOICE = { profile: 'hi-IN' };
+
+const LINES = {
+    greeting: 'Namaste! Main Operator hoon, ek AI assistant. Aap kaun bol rahe hain, aur kis baare mein call kiya hai?',
+    record: 'Maaf kijiye, aawaz nahi aayi. Beep ke baad apna naam aur call karne ki wajah bataiye. Yeh message record hoga.',
+    nothingRecorded: 'Koi message nahi mila. Dhanyavaad!',
+    hold: 'Shukriya! Main unse pooch leti hoon, kripya line par bane rahiye.',
+    connect: 'Aapko connect kar rahi hoon.',
+    reject: 'Maaf kijiye, woh abhi baat nahi kar sakte. Dhanyavaad!',
+    message: 'Woh abhi baat nahi kar sakte, aapko message bhej rahe hain. Dhanyavaad!',
+    timedOut: 'Woh abhi phone nahi utha pa rahe. Main unhe bata dungi ki aapne call kiya tha. Dhanyavaad!',
+    unavailable: 'Yeh number abhi calls nahi le raha. Dhanyavaad!',
+};
+
+const URGENCY_ICON = { high: '🔴', medium: '🟡', low: '⚪', unknown: '⚪' };
+
+function screenUrl(callId, step) {
+    return `${config.twilio.webhookBaseUrl}/api/call/${callId}/screen/${step}`;
+}
+
+function hangup(line) {
+    return buildHangupTwiML({ line, voice: VOICE });
+}
+
+function callerLabel(call) {
+    return call.contactName || call.screening?.card?.callerName || call.from;
+}
+
+function pushScreening(call, data) {
+    pushCallUpdate(call.callId, { type: 'call_screening', from: call.from, contactName: call.contactName || null, ...data });
+}
+
+/**
+ * TwiML for a call that already has the user's decision, or null.
+ */
+function decisionTwiML(call) {
+    const decision = call.screening?.decision;
+    if (!decision) return null;
+    if (decision.type === 'accept') {
+        return buildDialTwiML({ line: LINES.connect, number: config.inbound.forwardNumber, callerId: call.from, voice: VOICE });
+    }
+    return hangup(decision.type === 'message' ? LINES.message : LINES.reject);
+}
+
+function holdTwiML(callId, line) {
+    return buildHoldTwiML({ line, redirectUrl: screenUrl(callId, 'hold'), pauseSeconds: HOLD_PAUSE_SECONDS, voice: VOICE });
+}
+
+/**
+ * Voice webhook for a new inbound call.
+ * @param {{ callSid: string, from: string, to?: string, status?: string }} inbound — Twilio CallSid/From/To/CallStatus
+ * @returns {string} TwiML
+ */
+function handleInboundCall({ callSid, from, to, status }) {
+    const clientId = config.inbound.clientId;
+    if (!clientId) {
+        logger.warn('Inbound call with INBOUND_CLIENT_ID unset — turning caller away', { callSid });
+        return hangup(LINES.unavailable);
+    }
+
+    // Withheld numbers arrive as "anonymous" and friends — keep them verbatim
+    const phone = normalizePhone(from);
+    const number = phone.valid ? phone.e164 : String(from || 'unknown');
+    const contact = phone.valid ? findContactByNumber(clientId, number) : null;
+    const route = contact?.inboundRoute || 'screen';
+
+    const call = createInboundCall({ callSid, from: number, to, clientId, contactName: contact?.name, status });
+
+    if (route === 'reject') {
+        setCallScreening(call.callId, { status: 'rejected', route, decision: { type: 'reject', by: 'directory', at: call.createdAt } });
+        pushScreening(call, { event: 'blocked', human_text: `🚫 ${contact.name} ka call directory rule se reject kiya.` });
+        return hangup(LINES.reject);
+    }
+
+    if (route === 'connect' && config.inbound.forwardNumber) {
+        setCallScreening(call.callId, { status: 'connected', route, decision: { type: 'accept', by: 'directory', at: call.createdAt } });
+        pushScreening(call, { event: 'connected', human_text: `📞 ${contact.name} call kar rahe hain — seedha aapke phone pe connect kiya.` });
+        return buildDialTwiML({ line: LINES.connect, number: config.inbound.forwardNumber, callerId: number, voice: VOICE });
+    }
+
+    setCallScreening(call.callId, { status: 'asking', route: 'screen' });
+    pushScreening(call, {
+        event: 'screening',
+        human_text: `📲 ${contact ? contact.name : number} call kar rahe hain — naam aur kaam pooch rahi hoon…`,
+    });
+    return buildGatherTwiML({ line: LINES.greeting, actionUrl: screenUrl(call.callId, 'answer'), voice: VOICE });
+}
+
+/**
+ * Asks the LLM to rate the caller's answer and pushes the screening card.
+ */
+async function classifyAndNotify(callId, callerSaid, extra = {}) {
+    const call = getCall(callId);
+    let card;
+    try {
+        if (!callerSaid) throw new Error('No transcript of the caller');
+        const completion = await complete({
+            messages: [
+                { role: 'system', content: SCREENING_PROMPT },
+                {
+                    role: 'user',
+                    content: JSON.stringify({ caller_said: callerSaid, number: call.from, contact: call.contactName || null }),
+                },
+            ],
+            temperature: 0.2,
+            maxTokens: 300,
+            purpose: 'call_screening',
+            clientId: call.clientId,
+        });
+        const result = JSON.parse(completion.content);
+        card = {
+            callerName: typeof result.caller_name === 'string' ? result.caller_name.substring(0, 80) : null,
+            purpose: String(result.purpose || callerSaid).substring(0, 200),
+            urgency: URGENCIES.includes(result.urgency) ? result.urgency : 'medium',
+            suspectedSpam: result.suspected_spam === true,
+            suggestedReply: String(result.suggested_reply || '').substring(0, MAX_REPLY_CHARS) || null,
+            summary: String(result.human_text || '').substring(0, 200),
+        };
+    } catch (err) {
+        logger.warn('Screening classification failed — sending an unrated card', { callId, error: err.message });
+        card = {
+            callerName: null,
+            purpose: callerSaid ? callerSaid.substring(0, 200) : 'Caller ne recorded message chhoda',
+            urgency: 'unknown',
+            suspectedSpam: false,
+            suggestedReply: null,
+            summary: callerSaid ? `"${callerSaid.substring(0, 100)}"` : 'Recording sun lijiye.',
+        };
+    }
+    card.callerSaid = callerSaid || null;
+    card.options = config.inbound.forwardNumber ? [...DECISIONS] : DECISIONS.filter((d) => d !== 'accept');
+
+    // The caller may have hung up, or the user decided, while we were thinking
+    const { status } = getCall(callId).screening;
+    const waiting = status === 'classifying';
+    const updated = setCallScreening(callId, {
+        ...getCall(callId).screening,
+        card,
+        ...(waiting && { status: 'awaiting_decision' }),
+    }, extra);
+    auditLog('action_executed', { action: 'call_screened', callId, urgency: card.urgency, spam: card.suspectedSpam });
+
+    if (!waiting && status !== 'missed') return;
+    pushScreening(updated, {
+        event: waiting ? 'card' : 'ended',
+        card,
+        ...(!waiting && { outcome: 'missed' }),
+        ...(extra.recordingUrl && { recordingUrl: extra.recordingUrl }),
+        human_text: `${URGENCY_ICON[card.urgency]} ${waiting ? '' : 'Missed: '}${callerLabel(updated)} — ${card.summary || card.purpose}`,
+    });
+}
+
+/**
+ * <Gather> result from the greeting.
+ * @param {string} callId
+ * @param {{ speech?: string }} reply — Twilio SpeechResult
+ * @returns {string} TwiML
+ */
+function handleScreeningAnswer(callId, { speech }) {
+    const call = getCall(callId);
+    if (!call?.screening) return hangup();
+
+    const decided = decisionTwiML(call);
+    if (decided) return decided;
+    // Twilio retried the callback — the answer is already being handled
+    if (call.screening.status !== 'asking') return holdTwiML(callId);
+
+    const text = (speech || '').trim();
+    if (!text) {
+        // Silence — let them leave a short recorded message instead
+        return buildRecordTwiML({
+            line: LINES.record,
+            actionUrl: screenUrl(callId, 'recorded'),
+            closingLine: LINES.nothingRecorded,
+            voice: VOICE,
+        });
+    }
+
+    setCallTranscript(callId, `${call.contactName || call.from}: ${text}`);
+    setCallScreening(callId, { ...call.screening, status: 'classifying', heldAt: new Date().toISOString() });
+    classifyAndNotify(callId, text).catch((err) => logger.error('Screening failed', { callId, error: err.message }));
+    return holdTwiML(callId, LINES.hold);
+}
+
+/**
+ * <Record> result from the silent-caller fallback. The caller was told the
+ * message is recorded; it's transcribed when STT is configured, otherwise
+ * the card carries the recording link.
+ * @param {string} callId
+ * @param {{ recordingUrl: string, recordingSid: string, duration?: number }} recording
+ * @returns {string} TwiML
+ */
+function handleScreeningRecording(callId, { recordingUrl, recordingSid, duration }) {
+    const call = getCall(callId);
+    if (!call?.screening) return hangup();
+
+    const decided = decisionTwiML(call);
+    if (decided) return decided;
+    if (call.screening.status !== 'asking') return holdTwiML(callId);
+
+    const extra = {
+        recording: true,
+        recordingSid,
+        recordingUrl,
+        recordingStatus: 'completed',
+        ...(duration !== undefined && { recordingDurationSec: duration }),
+    };
+    setCallScreening(callId, { ...call.screening, status: 'classifying', heldAt: new Date().toISOString() }, extra);
+
+    (async () => {
+        let callerSaid = null;
+        const stt = getSttProvider();
+        if (stt) {
+            let audioPath = null;
+            try {
+                if (stt.needsAudio) audioPath = await downloadRecording(recordingUrl, recordingSid);
+                callerSaid = (await transcribe(audioPath, { recordingSid })).text;
+                setCallTranscript(callId, `${call.contactName || call.from}: ${callerSaid}`);
+            } catch (err) {
+                logger.warn('Screening message not transcribed', { callId, error: err.message });
+            } finally {
+                if (audioPath) fs.rm(audioPath, { force: true }, () => {});
+            }
+        }
+        await classifyAndNotify(callId, callerSaid, { recordingUrl });
+    })().catch((err) => logger.error('Screening failed', { callId, error: err.message }));
+
+    return holdTwiML(callId, LINES.hold);
+}
+
+/**
+ * Hold loop: the user's decision once there is one, otherwise another
+ * pause — until INBOUND_HOLD_SECONDS runs out.
+ * @param {string} callId
+ * @returns {string} TwiML
+ */
+function handleScreeningHold(callId) {
+    const call = getCall(callId);
+    if (!call?.screening) return hangup();
+
+    const decided = decisionTwiML(call);
+    if (decided) return decided;
+
+    const heldFor = (Date.now() - Date.parse(call.screening.heldAt || call.createdAt)) / 1000;
+    if (heldFor < config.inbound.holdSeconds) return holdTwiML(callId);
+
+    setCallScreening(callId, { ...call.screening, status: 'timed_out' });
+    auditLog('action_executed', { action: 'call_screening_timed_out', callId });
+    pushScreening(call, {
+        event: 'ended',
+        outcome: 'timed_out',
+        human_text: `⏱️ ${callerLabel(call)} ka call hold pe time out ho gaya — baad mein call back kar lo.`,
+    });
+    return hangup(LINES.timedOut);
+}
+
+/**
+ * The user's answer to a screening card.
+ * @param {string} callId
+ * @param {{ decision: 'accept'|'reject'|'message', message?: string }} choice — message defaults to the suggested reply
+ * @param {{ clientId?: string|null }} [owner] — null for REST
+ * @returns {{ ok: true, call: object, plan?: object }
+ *         | { ok: false, status: number, error: string, code?: string, human_text?: string }}
+ */
+function decideScreening(callId, { decision, message } = {}, { clientId = null } = {}) {
+    const call = getCall(callId);
+    if (!call || call.direction !== 'inbound' || (clientId && call.clientId !== clientId)) {
+        return { ok: false, status: 404, error: 'Inbound call not found' };
+    }
+    if (!DECISIONS.includes(decision)) {
+        return { ok: false, status: 400, error: `decision must be one of ${DECISIONS.join(', ')}` };
+    }
+
+    const screening = call.screening || {};
+    if (screening.decision) {
+        return { ok: false, status: 409, code: 'already_decided', error: 'This call was already decided' };
+    }
+    if (!['asking', 'classifying', 'awaiting_decision'].includes(screening.status)) {
+        return {
+            ok: false,
+            status: 409,
+            code: 'call_ended',
+            error: 'The caller is no longer on the line',
+            human_text: 'Caller ne phone rakh diya — ab call back karna padega.',
+        };
+    }
+    if (decision === 'accept' && !config.inbound.forwardNumber) {
+        return { ok: false, status: 409, code: 'no_forward_number', error: 'Accepting calls needs INBOUND_FORWARD_NUMBER' };
+    }
+
+    let plan;
+    if (decision === 'message') {
+        const text = typeof message === 'string' && message.trim() ? message.trim() : screening.card?.suggestedReply;
+        if (!text) return { ok: false, status: 400, error: 'message is required' };
+
+        const to = call.contactName || call.from;
+        const validation = validateAction({
+            intent: 'send_message',
+            confidence: 1,
+            risk_level: 'medium',
+            human_text: `${to} ko message bhej du? "${text.substring(0, 80)}"`,
+            params: { to, message: text.substring(0, MAX_REPLY_CHARS) },
+            execution_plan: [`Reply to ${to} instead of picking up`],
+            confirmation_required: true,
+        }, { clientId });
+        if (!validation.valid) {
+            return { ok: false, status: 422, error: 'Reply rejected', reason: validation.reason };
+        }
+        const { planId, expiresAt } = createPendingAction(validation.sanitizedPlan, { clientId });
+        plan = { ...validation.sanitizedPlan, plan_id: planId, expires_at: expiresAt };
+    }
+
+    setCallScreening(callId, {
+        ...screening,
+        status: 'decided',
+        decision: { type: decision, by: 'user', at: new Date().toISOString() },
+    });
+    auditLog('action_executed', { action: 'call_screening_decided', callId, clientId: call.clientId, decision });
+    return { ok: true, call: getCall(callId), ...(plan && { plan }) };
+}
+
+/**
+ * Status callback for inbound calls (identified by CallSid). A caller who
+ * hangs up before a decision becomes a missed, screened call.
+ * @param {{ callSid: string, status: string, duration?: number }} update
+ * @returns {{ ok: true, call: object } | { ok: false, status: number, error: string }}
+ */
+function handleInboundStatus({ callSid, status, duration }) {
+    const call = getCallBySid(callSid);
+    if (!call) return { ok: false, status: 404, error: 'Call not found' };
+
+    const result = updateCallStatus(call.callId, { status, twilioSid: callSid, duration });
+    if (!result.ok) return result;
+
+    const screening = result.call.screening;
+    if (result.call.endedAt && ['asking', 'awaiting_decision'].includes(screening?.status)) {
+        setCallScreening(call.callId, { ...screening, status: 'missed' });
+        pushScreening(call, {
+            event: 'ended',
+            outcome: 'missed',
+            ...(screening.card && { card: screening.card }),
+            human_text: `📵 ${callerLabel(call)} ne decision se pehle phone rakh diya.`,
+        });
+    } else if (result.call.endedAt && screening?.status === 'classifying') {
+        // The card is still being built — classifyAndNotify reports it as missed
+        setCallScreening(call.callId, { ...screening, status: 'missed' });
+    }
+    return { ok: true, call: getCall(call.callId) };
+}
+
+module.exports = {
+    handleInboundCall,
+    handleScreeningAnswer,
+    handleScreeningRecording,
+    handleScreeningHold,
+    handleInboundStatus,
+    decideScreening,
+};
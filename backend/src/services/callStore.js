@@ -0,0 +1,118 @@
+// ─── Call Store ────────────────────────────────────────────────────
+// Call history persisted to a JSON file (CALLS_FILE): status transitions,
+// duration, recording references, transcript and summary. callManager
+// writes through here; the API reads history with list/search filters.
+
+const config = require('../config');
+const { createPersistedStore } = require('../utils/persistedStore');
+
+const MAX_PAGE_SIZE = 100;
+
+const store = createPersistedStore({ file: config.calls.file, name: 'calls', key: 'callId' });
+
+/** @type {Map<string, object>} */
+const calls = store.records;
+
+/**
+ * Adds a new call record.
+ */
+function insertCall(call) {
+    calls.set(call.callId, call);
+    store.save();
+    return call;
+}
+
+/**
+ * One call record, or null.
+ */
+function findCall(callId) {
+    return calls.get(callId) || null;
+}
+
+/**
+ * The call Twilio knows by callSid, or null.
+ */
+function findCallBySid(callSid) {
+    for (const call of calls.values()) {
+        if (call.twilioSid === callSid) return call;
+    }
+    return null;
+}
+
+/**
+ * Merges changes into a call record and persists it.
+ * @returns {object|null} the updated call, null when unknown
+ */
+function updateCall(callId, changes) {
+    const call = calls.get(callId);
+    if (!call) return null;
+    return store.update(call, changes);
+}
+
+/** native_cellular instructions are "native"; everything placed through Twilio is "voip" */
+function callType(call) {
+    return call.type === 'native_cellular' ? 'native' : 'voip';
+}
+
+function matchesContact(call, query) {
+    const q = query.toLowerCase().trim();
+    if (call.contactName && call.contactName.toLowerCase().includes(q)) return true;
+    const digits = q.replace(/\D/g, '');
+    // Last 10 digits, so "98765 43210" matches "+919876543210"; inbound calls match on the caller
+    const number = call.direction === 'inbound' ? call.from : call.to;
+    return digits.length >= 4 && String(number || '').replace(/\D/g, '').includes(digits.slice(-10));
+}
+
+/**
+ * Call history, newest first.
+ * @param {object} [filter]
+ * @param {string} [filter.clientId]
+ * @param {string} [filter.contact] — contact name (substring) or phone digits
+ * @param {Date} [filter.from] — createdAt on/after
+ * @param {Date} [filter.to] — createdAt before
+ * @param {string} [filter.status] — Twilio status, e.g. completed | no-answer
+ * @param {'native'|'voip'} [filter.type]
+ * @param {number} [filter.limit] — page size (max 100, default 20)
+ * @param {number} [filter.offset]
+ * @returns {{ calls: object[], total: number, limit: number, offset: number }}
+ */
+function listCalls({ clientId, contact, from, to, status, type, limit = 20, offset = 0 } = {}) {
+    const matching = [...calls.values()]
+        .filter((call) => !clientId || call.clientId === clientId)
+        .filter((call) => !contact || matchesContact(call, contact))
+        .filter((call) => !from || Date.parse(call.createdAt) >= from.getTime())
+        .filter((call) => !to || Date.parse(call.createdAt) < to.getTime())
+        .filter((call) => !status || call.status === status)
+        .filter((call) => !type || callType(call) === type)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    const pageSize = Math.min(Math.max(1, limit), MAX_PAGE_SIZE);
+    const start = Math.max(0, offset);
+    return {
+        // List entries stay small — transcript and summary are in the detail view
+        calls: matching.slice(start, start + pageSize).map(({ transcript, summary, statusHistory, ttsScript, ...call }) => ({
+            ...call,
+            hasTranscript: Boolean(transcript),
+            hasSummary: Boolean(summary),
+        })),
+        total: matching.length,
+        limit: pageSize,
+        offset: start,
+    };
+}
+
+/**
+ * Whether the owner has placed a call to this number before (any outcome).
+ * @param {string} e164
+ * @param {{ clientId?: string|null }} [owner] — null for REST
+ */
+function hasCalledNumber(e164, { clientId = null } = {}) {
+    const owner = clientId || 'rest';
+    for (const call of calls.values()) {
+        if (call.direction !== 'inbound' && call.to === e164 && (call.clientId || 'rest') === owner) return true;
+    }
+    return false;
+}
+
+
+module.exports = { insertCall, findCall, findCallBySid, updateCall, listCalls, hasCalledNumber };
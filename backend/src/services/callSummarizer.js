@@ -1,8 +1,8 @@
 // ─── Call Summarizer ───────────────────────────────────────────────
-// Post-call pipeline: transcript → DeepSeek → structured summary.
+// Post-call pipeline: transcript → LLM provider chain → structured summary.
 
-const config = require('../config');
 const { auditLog, logger } = require('../middleware/auditLogger');
+const { complete } = require('./llmProvider');
 
 const SUMMARY_PROMPT = `You are a call summarization assistant.
 You receive a call transcript and must return a JSON summary.
@@ -29,12 +29,13 @@ You receive a call transcript and must return a JSON summary.
 }`;
 
 /**
- * Summarizes a call transcript using DeepSeek.
+ * Summarizes a call transcript through the LLM provider chain.
  * @param {string} transcript — the full call transcript text
  * @param {string} callId — for audit logging
+ * @param {{ clientId?: string }} [options] — for usage accounting
  * @returns {object} structured call summary
  */
-async function summarizeCall(transcript, callId) {
+async function summarizeCall(transcript, callId, { clientId } = {}) {
     if (!transcript || transcript.trim().length === 0) {
         throw new Error('Cannot summarize empty transcript');
     }
@@ -45,41 +46,18 @@ async function summarizeCall(transcript, callId) {
         transcriptLength: transcript.length,
     });
 
-    const requestBody = {
-        model: config.deepseek.model,
-        messages: [
-            { role: 'system', content: SUMMARY_PROMPT },
-            { role: 'user', content: `Call ID: ${callId}\n\nTranscript:\n${transcript}` },
-        ],
-        temperature: 0.2,
-        max_tokens: 1024,
-        response_format: { type: 'json_object' },
-    };
-
     try {
-        const fetch = (await import('node-fetch')).default;
-
-        const response = await fetch(`${config.deepseek.baseUrl}/chat/completions`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                Authorization: `Bearer ${config.deepseek.apiKey}`,
-            },
-            body: JSON.stringify(requestBody),
-            signal: AbortSignal.timeout(30_000),
+        const completion = await complete({
+            messages: [
+                { role: 'system', content: SUMMARY_PROMPT },
+                { role: 'user', content: `Call ID: ${callId}\n\nTranscript:\n${transcript}` },
+            ],
+            temperature: 0.2,
+            maxTokens: 1024,
+            purpose: 'summary',
+            clientId,
         });
-
-        if (!response.ok) {
-            const errBody = await response.text();
-            throw new Error(`DeepSeek error ${response.status}: ${errBody}`);
-        }
-
-        const data = await response.json();
-        const rawContent = data.choices?.[0]?.message?.content;
-
-        if (!rawContent) {
-            throw new Error('Empty response from DeepSeek for summary');
-        }
+        const rawContent = completion.content;
 
         const summary = JSON.parse(rawContent);
 
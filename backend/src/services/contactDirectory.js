@@ -0,0 +1,359 @@
+// ─── Contact Directory ─────────────────────────────────────────────
+// Per-client address book synced from the Android device (names,
+// numbers, aliases, call voice profile, inbound call route), and a fuzzy resolver that turns "Rahul", "rahul bhai"
+// or "राहुल" into a phone number — or asks which one when several match.
+
+const { v4: uuidv4 } = require('uuid');
+const { auditLog } = require('../middleware/auditLogger');
+const { normalizePhone, looksLikePhoneNumber } = require('../utils/phone');
+const { VOICE_PROFILES } = require('../utils/twiml');
+
+const MAX_CONTACTS = 5000;
+const MATCH_THRESHOLD = 0.6;
+const AMBIGUITY_MARGIN = 0.05;
+const MAX_CANDIDATES = 5;
+
+// What happens when a contact calls the Twilio number (callScreening)
+const INBOUND_ROUTES = ['screen', 'connect', 'reject'];
+
+// clientId → Map(contactId → contact) (replace with DB in production)
+const directories = new Map();
+
+/**
+ * Relationship words and common nicknames that mean the same person.
+ */
+const NICKNAME_GROUPS = [
+    ['mummy', 'mumma', 'mom', 'mother', 'maa', 'mammi', 'amma', 'ammi', 'mamma'],
+    ['papa', 'dad', 'daddy', 'father', 'pitaji', 'abba', 'pappa', 'abbu'],
+    ['bhai', 'bhaiya', 'bro', 'brother', 'bhaijaan'],
+    ['didi', 'sister', 'behen', 'dii'],
+    ['dadi', 'daadi', 'grandma'],
+    ['wife', 'biwi', 'patni'],
+    ['husband', 'pati'],
+    ['rajesh', 'raju'],
+    ['sanjay', 'sanju'],
+    ['mohammed', 'mohammad', 'md'],
+    ['abhishek', 'abhi'],
+    ['vikram', 'vicky'],
+];
+
+// Dropped when a name has other words: "Rahul bhai" → "rahul"
+const HONORIFICS = new Set(['ji', 'jee', 'sir', 'saab', 'sahab', 'madam', 'maam', 'bhai', 'bhaiya', 'didi', 'uncle', 'aunty', 'auntie', 'mr', 'mrs', 'ms', 'dr']);
+
+// ── Devanagari → Latin ──
+
+const DEV_VOWELS = {
+    'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ii', 'उ': 'u', 'ऊ': 'uu', 'ऋ': 'ri',
+    'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au',
+};
+const DEV_MATRAS = {
+    'ा': 'aa', 'ि': 'i', 'ी': 'ii', 'ु': 'u', 'ू': 'uu', 'ृ': 'ri',
+    'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ं': 'n', 'ँ': 'n', 'ः': 'h', '्': '',
+};
+const DEV_CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+    'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+    'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+    'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+    'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+    'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v', 'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h',
+};
+const NUKTA = '़';
+const NUKTA_FORMS = { 'क': 'q', 'ख': 'kh', 'ग': 'g', 'ज': 'z', 'ड': 'r', 'ढ': 'rh', 'फ': 'f' };
+
+/**
+ * Romanizes Devanagari with inherent-"a" handling; other text passes through.
+ */
+function transliterate(text) {
+    const chars = [...text];
+    let out = '';
+    for (let i = 0; i < chars.length; i++) {
+        const ch = chars[i];
+        if (DEV_CONSONANTS[ch]) {
+            let next = chars[i + 1];
+            if (next === NUKTA) {
+                out += NUKTA_FORMS[ch] || DEV_CONSONANTS[ch];
+                i += 1;
+                next = chars[i + 1];
+            } else {
+                out += DEV_CONSONANTS[ch];
+            }
+            // Inherent vowel, except before a matra/virama or at the end of a word
+            if (next !== undefined && DEV_MATRAS[next] === undefined && (DEV_CONSONANTS[next] || DEV_VOWELS[next])) {
+                out += 'a';
+            }
+        } else if (DEV_MATRAS[ch] !== undefined) {
+            out += DEV_MATRAS[ch];
+        } else if (DEV_VOWELS[ch]) {
+            out += DEV_VOWELS[ch];
+        } else if (ch !== NUKTA) {
+            out += ch;
+        }
+    }
+    return out;
+}
+
+/**
+ * Phonetic key for one word, so "Suneeta", "Sunita" and "सुनीता" collide.
+ */
+function phoneticKey(word) {
+    return word
+        .replace(/ph/g, 'f')
+        .replace(/([bcdgjkpt])h/g, '$1')
+        .replace(/sh/g, 's')
+        .replace(/ee|ii/g, 'i')
+        .replace(/oo|uu/g, 'u')
+        .replace(/w/g, 'v')
+        .replace(/z/g, 'j')
+        .replace(/q|ck/g, 'k')
+        .replace(/(.)\1+/g, '$1');
+}
+
+/**
+ * Name → list of phonetic word keys, honorifics removed.
+ */
+function nameKeys(name) {
+    const words = transliterate(String(name || ''))
+        .toLowerCase()
+        .replace(/[^a-z\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+    const meaningful = words.filter((word) => !HONORIFICS.has(word));
+    return (meaningful.length > 0 ? meaningful : words).map(phoneticKey);
+}
+
+const NICKNAME_INDEX = new Map();
+NICKNAME_GROUPS.forEach((group, index) => {
+    for (const word of group) NICKNAME_INDEX.set(phoneticKey(word), index);
+});
+
+function levenshtein(a, b) {
+    const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let diag = prev[0];
+        prev[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const temp = prev[j];
+            prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diag = temp;
+        }
+    }
+    return prev[b.length];
+}
+
+function similarity(a, b) {
+    if (!a || !b) return 0;
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * How well a query matches one name or alias (0–1).
+ */
+function scoreName(queryKeys, candidateKeys) {
+    const query = queryKeys.join(' ');
+    const candidate = candidateKeys.join(' ');
+    if (!query || !candidate) return 0;
+    if (query === candidate) return 1;
+
+    const queryGroup = NICKNAME_INDEX.get(query);
+    if (queryGroup !== undefined && candidateKeys.some((key) => NICKNAME_INDEX.get(key) === queryGroup)) {
+        return 0.95;
+    }
+
+    // "Rahul" → "Rahul Sharma"
+    if (queryKeys.length === 1 && candidateKeys.includes(query)) return 0.9;
+
+    const fuzzy = Math.max(
+        similarity(query, candidate),
+        ...(queryKeys.length === 1 ? candidateKeys.map((key) => similarity(query, key)) : [])
+    );
+    return fuzzy >= 0.75 ? fuzzy * 0.85 : 0;
+}
+
+function getDirectory(clientId) {
+    const owner = clientId || 'default';
+    if (!directories.has(owner)) directories.set(owner, new Map());
+    return directories.get(owner);
+}
+
+/**
+ * Device numbers → E.164; short codes, premium-rate and malformed numbers are dropped.
+ */
+function normalizeNumbers(numbers) {
+    return [].concat(numbers || [])
+        .map((entry) => (typeof entry === 'string' ? { number: entry } : entry))
+        .map((entry) => ({ phone: normalizePhone(entry?.number), label: entry?.label || null }))
+        .filter(({ phone }) => phone.valid)
+        .map(({ phone, label }) => ({ number: phone.e164, label }));
+}
+
+/**
+ * Syncs a client's contacts from the device.
+ * @param {string} clientId
+ * @param {{ id?: string, name: string, numbers: (string|{number: string, label?: string})[], aliases?: string[], voiceProfile?: string, inboundRoute?: 'screen'|'connect'|'reject' }[]} contacts
+ * @param {{ replace?: boolean }} [options] — replace (default) drops contacts missing from this batch
+ * @returns {{ stored: number, skipped: number, total: number }}
+ */
+function syncContacts(clientId, contacts, { replace = true } = {}) {
+    if (!Array.isArray(contacts)) {
+        throw new Error('contacts must be an array');
+    }
+    if (contacts.length > MAX_CONTACTS) {
+        throw new Error(`Too many contacts. Max ${MAX_CONTACTS}.`);
+    }
+
+    const directory = getDirectory(clientId);
+    if (replace) directory.clear();
+
+    let stored = 0;
+    let skipped = 0;
+    for (const raw of contacts) {
+        const numbers = normalizeNumbers(raw?.numbers ?? raw?.number);
+        if (!raw?.name || typeof raw.name !== 'string' || numbers.length === 0) {
+            skipped += 1;
+            continue;
+        }
+
+        const id = String(raw.id || uuidv4());
+        const aliases = [].concat(raw.aliases || []).filter((alias) => typeof alias === 'string' && alias.trim());
+        directory.set(id, {
+            id,
+            name: raw.name.trim(),
+            aliases,
+            numbers,
+            // Language calls to this contact are made in (e.g. ta-IN); unknown profiles are ignored
+            voiceProfile: VOICE_PROFILES[raw.voiceProfile] ? raw.voiceProfile : null,
+            inboundRoute: INBOUND_ROUTES.includes(raw.inboundRoute) ? raw.inboundRoute : 'screen',
+            keys: [raw.name, ...aliases].map(nameKeys),
+            updatedAt: new Date().toISOString(),
+        });
+        stored += 1;
+    }
+
+    auditLog('request', { event: 'contacts_synced', clientId, stored, skipped, total: directory.size, replace });
+    return { stored, skipped, total: directory.size };
+}
+
+/**
+ * Lists a client's contacts.
+ */
+function listContacts(clientId) {
+    return [...getDirectory(clientId).values()].map(({ keys, ...contact }) => contact);
+}
+
+/**
+ * The contact that owns an E.164 number, or null.
+ */
+function findContactByNumber(clientId, number) {
+    for (const { keys, ...contact } of getDirectory(clientId).values()) {
+        if (contact.numbers.some((entry) => entry.number === number)) return contact;
+    }
+    return null;
+}
+
+function lastDigits(number) {
+    return number.replace(/\D/g, '').slice(-4);
+}
+
+function disambiguationPrompt(query, candidates) {
+    const options = candidates
+        .map((c, i) => `${i + 1}) ${c.name}${c.label ? ` (${c.label})` : ''} …${lastDigits(c.number)}`)
+        .join(', ');
+    return `Kaunse ${query}? ${options}`;
+}
+
+/**
+ * Resolves a spoken/typed recipient to one phone number.
+ * @param {string} clientId
+ * @param {string} query — name, alias, nickname (any script) or a raw number
+ * @returns {{ status: 'resolved', number: string, contact?: object }
+ *         | { status: 'ambiguous', query: string, candidates: object[], prompt: string }
+ *         | { status: 'not_found'|'invalid_number', query: string, prompt: string }}
+ */
+function resolveRecipient(clientId, query) {
+    const text = String(query || '').trim();
+    if (looksLikePhoneNumber(text)) {
+        const phone = normalizePhone(text);
+        if (!phone.valid) {
+            return {
+                status: 'invalid_number',
+                query: text,
+                reason: phone.reason,
+                prompt: `${text} par call nahi ho sakta: ${phone.reason}.`,
+            };
+        }
+        return { status: 'resolved', number: phone.e164 };
+    }
+
+    const queryKeys = nameKeys(text);
+    const ranked = [...getDirectory(clientId).values()]
+        .map((contact) => ({ contact, score: Math.max(...contact.keys.map((keys) => scoreName(queryKeys, keys))) }))
+        .filter((entry) => entry.score >= MATCH_THRESHOLD)
+        .sort((a, b) => b.score - a.score);
+
+    if (ranked.length === 0) {
+        return { status: 'not_found', query: text, prompt: `${text} ka number contacts mein nahi mila. Number bata do?` };
+    }
+
+    const best = ranked.filter((entry) => ranked[0].score - entry.score <= AMBIGUITY_MARGIN);
+    const candidates = best.flatMap(({ contact, score }) => contact.numbers.map(({ number, label }) => ({
+        contactId: contact.id,
+        name: contact.name,
+        number,
+        label,
+        score: Number(score.toFixed(2)),
+    }))).slice(0, MAX_CANDIDATES);
+
+    if (candidates.length === 1) {
+        const { keys, ...contact } = best[0].contact;
+        return { status: 'resolved', number: candidates[0].number, contact };
+    }
+
+    return { status: 'ambiguous', query: text, candidates, prompt: disambiguationPrompt(text, candidates) };
+}
+
+/**
+ * Fills params.phone on call steps that only name a contact.
+ * @param {object} plan — planner output, before validation
+ * @param {string} clientId
+ * @returns {{ plan: object, resolution: object|null }} resolution is set when the user must clarify
+ */
+function resolvePlanRecipients(plan, clientId) {
+    const resolveStep = (step) => {
+        if (step?.intent !== 'call_number' || !step.params || (!step.params.phone && !step.params.to)) {
+            return { step, resolution: null };
+        }
+        const result = resolveRecipient(clientId, step.params.phone || step.params.to);
+        if (result.status !== 'resolved') return { step, resolution: result };
+        return {
+            step: {
+                ...step,
+                params: { ...step.params, phone: result.number },
+                // The user's own address book — not a "new number" for the risk scorer
+                ...(result.contact && { recipient_source: 'directory' }),
+            },
+            resolution: null,
+        };
+    };
+
+    if (!Array.isArray(plan.steps)) {
+        const { step, resolution } = resolveStep(plan);
+        return { plan: step, resolution };
+    }
+
+    const resolved = plan.steps.map(resolveStep);
+    const pending = resolved.find((entry) => entry.resolution);
+    return {
+        plan: { ...plan, steps: resolved.map((entry) => entry.step) },
+        resolution: pending ? pending.resolution : null,
+    };
+}
+
+module.exports = {
+    syncContacts,
+    listContacts,
+    findContactByNumber,
+    resolveRecipient,
+    resolvePlanRecipients,
+    transliterate,
+};
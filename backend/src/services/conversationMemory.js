@@ -0,0 +1,110 @@
+// ─── Conversation Memory ───────────────────────────────────────────
+// Bounded, per-thread history so follow-ups like "haan, usko bhi bol do"
+// reach the planner with the turns they refer to.
+// A thread is one sender/chat as seen by one client.
+
+const config = require('../config');
+const { auditLog } = require('../middleware/auditLogger');
+
+// In-memory thread registry (replace with DB in production).
+// Map insertion order doubles as LRU order — touched threads are re-inserted.
+const threads = new Map();
+
+/**
+ * Builds the thread key for a client + sender/chat pair.
+ */
+function threadKey(clientId, chatId) {
+    return `${clientId || 'default'}:${chatId}`;
+}
+
+function getLiveTurns(threadId) {
+    const thread = threads.get(threadId);
+    if (!thread) return [];
+
+    const cutoff = Date.now() - config.memory.ttlMs;
+    thread.turns = thread.turns.filter((turn) => turn.at >= cutoff);
+    if (thread.turns.length === 0) {
+        threads.delete(threadId);
+    }
+    return thread.turns;
+}
+
+function appendTurn(threadId, turn) {
+    const turns = getLiveTurns(threadId);
+    turns.push({ ...turn, at: Date.now() });
+
+    // Keep only the configured window
+    const excess = turns.length - config.memory.windowTurns;
+    if (excess > 0) turns.splice(0, excess);
+
+    threads.delete(threadId);
+    threads.set(threadId, { turns });
+
+    // Evict least recently used threads beyond the cap
+    while (threads.size > config.memory.maxThreads) {
+        threads.delete(threads.keys().next().value);
+    }
+}
+
+/**
+ * Records the incoming message context (already serialized for the model).
+ */
+function recordUserTurn(threadId, content) {
+    appendTurn(threadId, { role: 'user', content });
+}
+
+/**
+ * Records the plan the model proposed for the last user turn.
+ */
+function recordPlanTurn(threadId, plan) {
+    appendTurn(threadId, {
+        role: 'assistant',
+        content: JSON.stringify({
+            intent: plan.intent,
+            params: plan.params,
+            ...(plan.steps && { steps: plan.steps.map(({ intent, params }) => ({ intent, params })) }),
+            human_text: plan.human_text,
+        }),
+    });
+}
+
+/**
+ * Records what happened to a proposed plan.
+ * @param {string} threadId
+ * @param {object} plan
+ * @param {'confirmed'|'rejected'|'blocked'|'needs_recipient'} outcome
+ */
+function recordPlanOutcome(threadId, plan, outcome) {
+    if (!threadId) return;
+    appendTurn(threadId, {
+        role: 'user',
+        content: JSON.stringify({ event: 'plan_outcome', intent: plan?.intent, outcome }),
+    });
+}
+
+/**
+ * Returns the thread as chat messages, oldest first.
+ * @returns {{ role: string, content: string }[]}
+ */
+function getHistoryMessages(threadId) {
+    return getLiveTurns(threadId).map(({ role, content }) => ({ role, content }));
+}
+
+/**
+ * Forgets a thread entirely.
+ * @returns {boolean} whether anything was stored
+ */
+function clearThread(threadId) {
+    const existed = threads.delete(threadId);
+    auditLog('request', { event: 'memory_cleared', threadId, existed });
+    return existed;
+}
+
+module.exports = {
+    threadKey,
+    recordUserTurn,
+    recordPlanTurn,
+    recordPlanOutcome,
+    getHistoryMessages,
+    clearThread,
+};
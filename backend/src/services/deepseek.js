@@ -1,10 +1,14 @@
 // ─── DeepSeek AI Client ────────────────────────────────────────────
-// Integrates with DeepSeek v3.2 Chat Completions API.
-// Sends system prompt + user context, parses strict JSON response.
+// Action planner. Sends system prompt + user context through the LLM
+// provider chain (DeepSeek first by default) and parses strict JSON.
 
 const config = require('../config');
 const SYSTEM_PROMPT = require('../prompts/systemPrompt');
 const { auditLog, logger } = require('../middleware/auditLogger');
+const memory = require('./conversationMemory');
+const { complete } = require('./llmProvider');
+const { parseOffline } = require('./fallbackParser');
+const { inspectThirdPartyMessage } = require('./injectionDetector');
 
 const RESPONSE_SCHEMA_KEYS = [
     'intent',
@@ -22,84 +26,104 @@ const VALID_INTENTS = [
     'summarize_call',
     'open_app',
     'info_response',
+    'set_reminder',
+    'multi_step',
 ];
 
+const STEP_SCHEMA_KEYS = ['intent', 'risk_level', 'params'];
+
 const VALID_RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+const RISK_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+
+// Plan fields the model must never set — stripped from every response
+const SERVER_OWNED_FIELDS = [
+    'injection',
+    'recipient_source',
+    'model_risk_level',
+    'server_risk_level',
+    'risk_reasons',
+    'policy_rules',
+    'requires_double_confirm',
+    'is_passive',
+    'channel',
+    'plan_id',
+    'expires_at',
+    'step_index',
+];
 
 /**
- * Calls DeepSeek API with the given user message context.
- * @param {object} messageContext — { mode, sender, message, timestamp }
+ * Plans an action for the given user message context.
+ * Prior turns of the same thread are replayed so follow-ups resolve.
+ * @param {object} messageContext — { mode, sender, message, timestamp, threadId?, clientId? }
+ * @param {{ systemPrompt?: string }} [options] — prompt override, used by the eval harness
  * @returns {object} parsed and validated AI action plan
  */
-async function processMessage(messageContext) {
-    const { mode, sender, message, timestamp } = messageContext;
-
-    const userContent = JSON.stringify({ mode, sender, message, timestamp });
-
-    const requestBody = {
-        model: config.deepseek.model,
-        messages: [
-            { role: 'system', content: SYSTEM_PROMPT },
-            { role: 'user', content: userContent },
-        ],
-        temperature: 0.3,
-        max_tokens: 1024,
-        response_format: { type: 'json_object' },
-    };
+async function processMessage(messageContext, { systemPrompt = SYSTEM_PROMPT } = {}) {
+    const { mode, sender, message, timestamp, clientId } = messageContext;
+    const threadId = messageContext.threadId || memory.threadKey(null, sender);
+
+    // Third-party text is data, never instructions — scored and fenced off
+    const detection = mode === 'suggestion' ? inspectThirdPartyMessage({ sender, message }) : null;
+    if (detection?.action === 'block') {
+        return blockedInjectionPlan(sender, detection);
+    }
+
+    const userContent = mode === 'suggestion'
+        ? JSON.stringify({
+            mode,
+            sender,
+            timestamp,
+            untrusted_message: message,
+            ...(detection.action === 'escalate' && { injection_warning: true }),
+        })
+        : JSON.stringify({ mode, sender, message, timestamp });
+
+    const requestMessages = [
+        { role: 'system', content: systemPrompt },
+        ...memory.getHistoryMessages(threadId),
+        { role: 'user', content: userContent },
+    ];
 
     auditLog('action_proposed', {
-        service: 'deepseek',
+        service: 'planner',
         input: { mode, sender, messagePreview: message.substring(0, 100) },
     });
 
-    let response;
+    let plan;
+    let completion;
     try {
-        // Dynamic import for node-fetch (ESM)
-        const fetch = (await import('node-fetch')).default;
-
-        response = await fetch(`${config.deepseek.baseUrl}/chat/completions`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                Authorization: `Bearer ${config.deepseek.apiKey}`,
-            },
-            body: JSON.stringify(requestBody),
-            signal: AbortSignal.timeout(30_000),
-        });
+        ({ plan, completion } = await completeWithRepair(requestMessages, clientId));
     } catch (err) {
-        logger.error('DeepSeek API request failed', { error: err.message });
-        throw new Error(`DeepSeek API unreachable: ${err.message}`);
-    }
+        const canFallBack = err.code === 'LLM_UNAVAILABLE'
+            || (err.code === 'BUDGET_EXCEEDED' && config.usage.overBudgetAction === 'fallback');
+        if (!canFallBack || !config.llm.offlineFallback) throw err;
 
-    if (!response.ok) {
-        const errorBody = await response.text();
-        logger.error('DeepSeek API error', { status: response.status, body: errorBody });
-        throw new Error(`DeepSeek API error ${response.status}: ${errorBody}`);
+        logger.warn('LLM not usable — using offline parser', { reason: err.code, error: err.message });
+        plan = parseOffline({ mode, sender, message });
+        validatePlan(plan);
+        completion = { provider: 'fallback', model: 'rules' };
     }
 
-    const data = await response.json();
-    const rawContent = data.choices?.[0]?.message?.content;
-
-    if (!rawContent) {
-        throw new Error('DeepSeek returned empty response');
-    }
+    // SECURITY: Force confirmation_required = true regardless of what AI says
+    plan.confirmation_required = true;
 
-    // Parse + validate
-    let plan;
-    try {
-        plan = JSON.parse(rawContent);
-    } catch {
-        logger.error('DeepSeek returned non-JSON', { raw: rawContent.substring(0, 500) });
-        throw new Error('DeepSeek response is not valid JSON');
+    // SECURITY: verdict and risk fields are set by the server only
+    for (const field of SERVER_OWNED_FIELDS) delete plan[field];
+    plan.steps?.forEach((step) => SERVER_OWNED_FIELDS.forEach((field) => delete step[field]));
+    if (detection?.action === 'escalate') {
+        plan.risk_level = atLeast(plan.risk_level, 'high');
+        plan.steps?.forEach((step) => { step.risk_level = atLeast(step.risk_level, 'high'); });
+        plan.injection = { score: detection.score, rules: detection.rules, action: detection.action };
     }
 
-    validatePlan(plan);
-
-    // SECURITY: Force confirmation_required = true regardless of what AI says
-    plan.confirmation_required = true;
+    memory.recordUserTurn(threadId, userContent);
+    memory.recordPlanTurn(threadId, plan);
 
     auditLog('action_proposed', {
-        service: 'deepseek',
+        service: 'planner',
+        provider: completion.provider,
+        model: completion.model,
+        source: plan.source || 'llm',
         intent: plan.intent,
         riskLevel: plan.risk_level,
         confidence: plan.confidence,
@@ -108,41 +132,214 @@ async function processMessage(messageContext) {
     return plan;
 }
 
+function atLeast(level, floor) {
+    return RISK_RANK[level] >= RISK_RANK[floor] ? level : floor;
+}
+
 /**
- * Validates the parsed plan against the expected schema.
+ * Plan returned instead of calling the LLM when third-party text is a
+ * clear injection attempt. The validator rejects it on sight.
  */
-function validatePlan(plan) {
+function blockedInjectionPlan(sender, detection) {
+    return {
+        intent: 'info_response',
+        confidence: 1,
+        risk_level: 'critical',
+        human_text: `${sender} ke message mein suspicious instructions hain. Koi action nahi liya.`,
+        params: { answer: 'Message blocked: possible prompt injection.' },
+        execution_plan: [],
+        confirmation_required: true,
+        injection: { score: detection.score, rules: detection.rules, action: 'block' },
+    };
+}
+
+/**
+ * Requests a plan and, if the output is malformed, feeds the exact
+ * validation errors back to the model for a bounded number of retries.
+ * Local JSON salvage is always tried before spending another call.
+ * @returns {Promise<{ plan: object, completion: object }>}
+ */
+async function completeWithRepair(requestMessages, clientId) {
+    const messages = [...requestMessages];
+    const maxAttempts = 1 + config.llm.repairAttempts;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const completion = await complete({
+            messages,
+            temperature: 0.3,
+            maxTokens: 1024,
+            purpose: 'plan',
+            clientId,
+        });
+
+        const plan = salvageJson(completion.content);
+        errors = plan === null ? ['Response is not valid JSON.'] : collectPlanErrors(plan);
+
+        if (errors.length === 0) {
+            if (attempt > 1) {
+                auditLog('plan_repair', { outcome: 'repaired', attempts: attempt, provider: completion.provider });
+            } else if (!isStrictJson(completion.content)) {
+                auditLog('plan_repair', { outcome: 'salvaged', attempts: attempt, provider: completion.provider });
+            }
+            return { plan, completion };
+        }
+
+        logger.warn('LLM returned invalid plan', {
+            provider: completion.provider,
+            attempt,
+            errors,
+            raw: completion.content.substring(0, 500),
+        });
+        auditLog('plan_repair', { outcome: 'attempt_failed', attempt, errors, provider: completion.provider });
+
+        messages.push(
+            { role: 'assistant', content: completion.content },
+            {
+                role: 'user',
+                content: `Your previous response was rejected by the schema validator:\n- ${errors.join('\n- ')}\n`
+                    + 'Return ONLY the corrected JSON object matching the RESPONSE SCHEMA. No markdown, no prose.',
+            }
+        );
+    }
+
+    auditLog('plan_repair', { outcome: 'failed', attempts: maxAttempts, errors });
+    const err = new Error(`LLM plan invalid after ${maxAttempts} attempts: ${errors.join('; ')}`);
+    err.code = 'INVALID_PLAN';
+    throw err;
+}
+
+/**
+ * Best-effort local recovery of a JSON object from model output:
+ * strips markdown code fences and any prose before or after the object.
+ * @returns {object|null}
+ */
+function salvageJson(raw) {
+    if (typeof raw !== 'string') return null;
+
+    const attempts = [raw.trim()];
+
+    const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) attempts.push(fenced[1].trim());
+
+    const first = raw.indexOf('{');
+    const last = raw.lastIndexOf('}');
+    if (first !== -1 && last > first) attempts.push(raw.substring(first, last + 1));
+
+    for (const candidate of attempts) {
+        try {
+            const parsed = JSON.parse(candidate);
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+        } catch {
+            // Try the next candidate
+        }
+    }
+    return null;
+}
+
+function isStrictJson(raw) {
+    try {
+        JSON.parse(raw);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Returns every schema violation in the parsed plan (empty if valid).
+ * @returns {string[]}
+ */
+function collectPlanErrors(plan) {
+    const errors = [];
+
     // Check all required keys exist
     for (const key of RESPONSE_SCHEMA_KEYS) {
         if (!(key in plan)) {
-            throw new Error(`DeepSeek response missing required field: ${key}`);
+            errors.push(`missing required field: ${key}`);
         }
     }
 
     // Validate intent
-    if (!VALID_INTENTS.includes(plan.intent)) {
-        throw new Error(`Invalid intent from DeepSeek: ${plan.intent}`);
+    if ('intent' in plan && !VALID_INTENTS.includes(plan.intent)) {
+        errors.push(`invalid intent "${plan.intent}" — must be one of ${VALID_INTENTS.join(', ')}`);
     }
 
     // Validate risk level
-    if (!VALID_RISK_LEVELS.includes(plan.risk_level)) {
-        throw new Error(`Invalid risk_level: ${plan.risk_level}`);
+    if ('risk_level' in plan && !VALID_RISK_LEVELS.includes(plan.risk_level)) {
+        errors.push(`invalid risk_level "${plan.risk_level}" — must be one of ${VALID_RISK_LEVELS.join(', ')}`);
     }
 
     // Validate confidence range
-    if (typeof plan.confidence !== 'number' || plan.confidence < 0 || plan.confidence > 1) {
-        throw new Error(`Invalid confidence value: ${plan.confidence}`);
+    if ('confidence' in plan && (typeof plan.confidence !== 'number' || plan.confidence < 0 || plan.confidence > 1)) {
+        errors.push(`invalid confidence ${JSON.stringify(plan.confidence)} — must be a number from 0.0 to 1.0`);
+    }
+
+    // Validate params is an object
+    if ('params' in plan && (!plan.params || typeof plan.params !== 'object' || Array.isArray(plan.params))) {
+        errors.push('params must be an object');
     }
 
     // Validate execution_plan is array
-    if (!Array.isArray(plan.execution_plan)) {
-        throw new Error('execution_plan must be an array');
+    if ('execution_plan' in plan && !Array.isArray(plan.execution_plan)) {
+        errors.push('execution_plan must be an array');
     }
 
     // Validate human_text is non-empty string
-    if (typeof plan.human_text !== 'string' || plan.human_text.trim().length === 0) {
-        throw new Error('human_text must be a non-empty string');
+    if ('human_text' in plan && (typeof plan.human_text !== 'string' || plan.human_text.trim().length === 0)) {
+        errors.push('human_text must be a non-empty string');
+    }
+
+    // Validate steps of a compound plan
+    if (plan.intent === 'multi_step') {
+        if (!Array.isArray(plan.steps) || plan.steps.length === 0) {
+            errors.push('multi_step requires a non-empty steps array');
+        } else {
+            plan.steps.forEach((step, index) => errors.push(...collectStepErrors(step, index)));
+        }
+    }
+
+    return errors;
+}
+
+function collectStepErrors(step, index) {
+    const label = `steps[${index}]`;
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+        return [`${label} must be an object`];
+    }
+
+    const errors = [];
+    for (const key of STEP_SCHEMA_KEYS) {
+        if (!(key in step)) errors.push(`${label} missing required field: ${key}`);
+    }
+    if ('intent' in step && (step.intent === 'multi_step' || !VALID_INTENTS.includes(step.intent))) {
+        errors.push(`${label} has invalid intent "${step.intent}" — steps cannot be multi_step`);
+    }
+    if ('risk_level' in step && !VALID_RISK_LEVELS.includes(step.risk_level)) {
+        errors.push(`${label} has invalid risk_level "${step.risk_level}"`);
+    }
+    if ('params' in step && (!step.params || typeof step.params !== 'object' || Array.isArray(step.params))) {
+        errors.push(`${label}.params must be an object`);
+    }
+    return errors;
+}
+
+/**
+ * Validates the parsed plan against the expected schema.
+ * @throws {Error} listing every violation
+ */
+function validatePlan(plan) {
+    const errors = collectPlanErrors(plan);
+    if (errors.length > 0) {
+        throw new Error(`Invalid plan: ${errors.join('; ')}`);
     }
 }
 
-module.exports = { processMessage, validatePlan, VALID_INTENTS, VALID_RISK_LEVELS };
+module.exports = {
+    processMessage,
+    validatePlan,
+    collectPlanErrors,
+    salvageJson,
+    VALID_INTENTS,
+    VALID_RISK_LEVELS,
+};
@@ -0,0 +1,239 @@
+// ─── Delayed Dispatch (Undo Window) ────────────────────────────────
+// Confirmed outgoing messages can wait in a short undo window before they
+// are actually dispatched. The window length is configured per risk level
+// (SEND_DELAY_*_MS) and can be overridden per user. While waiting, the
+// device gets a countdown and may cancel; otherwise the send commits.
+// Queued sends live only in memory — a restart drops them unsent (fail safe).
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { auditLog, logger } = require('../middleware/auditLogger');
+
+const MAX_DELAY_MS = 60_000;
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// dispatchId → entry (replace with DB in production)
+const dispatches = new Map();
+
+// clientId → { low, medium, high, critical } overrides in ms
+const userDelays = new Map();
+
+/** @type {(clientId: string, data: object) => boolean} */
+let deliver = () => false;
+
+/**
+ * Wires the queue to the WebSocket push channel.
+ * @param {{ deliver: (clientId: string, data: object) => boolean }} options
+ */
+function initDispatchQueue(options) {
+    deliver = options.deliver;
+}
+
+/**
+ * Undo window for a user and risk level, in ms (0 = send immediately).
+ */
+function getSendDelay(clientId, riskLevel) {
+    const override = userDelays.get(clientId);
+    if (override && override[riskLevel] !== undefined) return override[riskLevel];
+    return config.sendDelay.delaysMs[riskLevel] || 0;
+}
+
+/**
+ * Effective per-risk-level delays for a user.
+ */
+function getSendDelays(clientId) {
+    return Object.fromEntries(RISK_LEVELS.map((level) => [level, getSendDelay(clientId, level)]));
+}
+
+/**
+ * Overrides a user's delays. Omitted levels keep the server default;
+ * null clears an override.
+ * @param {string} clientId
+ * @param {{ low?: number|null, medium?: number|null, high?: number|null, critical?: number|null }} delays — ms
+ */
+function setSendDelays(clientId, delays) {
+    if (!delays || typeof delays !== 'object') {
+        throw new Error('delays must be an object keyed by risk level');
+    }
+
+    const next = { ...userDelays.get(clientId) };
+    for (const [level, value] of Object.entries(delays)) {
+        if (!RISK_LEVELS.includes(level)) throw new Error(`Unknown risk level "${level}"`);
+        if (value === null) {
+            delete next[level];
+            continue;
+        }
+        if (!Number.isInteger(value) || value < 0 || value > MAX_DELAY_MS) {
+            throw new Error(`${level} delay must be 0–${MAX_DELAY_MS} ms`);
+        }
+        next[level] = value;
+    }
+
+    userDelays.set(clientId, next);
+    auditLog('request', { event: 'send_delay_updated', clientId, delays: next });
+    return getSendDelays(clientId);
+}
+
+function publicView({ timer, countdown, commit, ...entry }) {
+    return entry;
+}
+
+function countdownEvent(entry) {
+    const secondsLeft = Math.max(0, Math.ceil((Date.parse(entry.commitAt) - Date.now()) / 1000));
+    return {
+        type: 'dispatch_countdown',
+        dispatchId: entry.id,
+        planId: entry.planId,
+        step: entry.step.step_index,
+        intent: entry.step.intent,
+        commitAt: entry.commitAt,
+        secondsLeft,
+        human_text: `Message ${secondsLeft}s mein jayega — rokna ho toh Undo dabao.`,
+    };
+}
+
+async function commitDispatch(entry) {
+    clearInterval(entry.countdown);
+    if (entry.status !== 'pending') return;
+    entry.status = 'committing';
+
+    try {
+        const result = await entry.commit();
+        Object.assign(entry, { status: 'committed', result, settledAt: new Date().toISOString() });
+        auditLog('dispatch_committed', {
+            dispatchId: entry.id,
+            clientId: entry.clientId,
+            intent: entry.step.intent,
+            riskLevel: entry.riskLevel,
+        });
+        // The device performs the actual send from this execute message
+        deliver(entry.clientId, {
+            type: 'execute',
+            dispatchId: entry.id,
+            step: entry.step.step_index,
+            plan: entry.step,
+            result,
+        });
+    } catch (err) {
+        Object.assign(entry, { status: 'failed', error: err.message, settledAt: new Date().toISOString() });
+        auditLog('error', { dispatchId: entry.id, clientId: entry.clientId, intent: entry.step.intent, error: err.message });
+        deliver(entry.clientId, { type: 'dispatch_failed', dispatchId: entry.id, error: err.message });
+    }
+}
+
+/**
+ * Holds a confirmed step for its undo window, then runs commit().
+ * @param {object} request
+ * @param {string|null} request.clientId
+ * @param {string} request.planId
+ * @param {object} request.step — sanitized step
+ * @param {number} request.delayMs
+ * @param {() => Promise<object>} request.commit — performs the action
+ * @returns {object} the queued entry
+ */
+function queueDispatch({ clientId, planId, step, delayMs, commit }) {
+    const entry = {
+        id: uuidv4(),
+        clientId,
+        planId,
+        step,
+        riskLevel: step.risk_level,
+        status: 'pending',
+        delayMs,
+        createdAt: new Date().toISOString(),
+        commitAt: new Date(Date.now() + delayMs).toISOString(),
+        settledAt: null,
+        result: null,
+        commit,
+    };
+    dispatches.set(entry.id, entry);
+
+    entry.timer = setTimeout(() => {
+        commitDispatch(entry).catch((err) => logger.error('Dispatch commit crashed', { error: err.message }));
+    }, delayMs);
+    entry.countdown = setInterval(() => deliver(clientId, countdownEvent(entry)), 1000);
+    deliver(clientId, countdownEvent(entry));
+
+    auditLog('dispatch_queued', {
+        dispatchId: entry.id,
+        clientId,
+        intent: step.intent,
+        riskLevel: entry.riskLevel,
+        delayMs,
+    });
+    return publicView(entry);
+}
+
+/**
+ * Cancels a send still inside its undo window.
+ * @param {string} id
+ * @param {{ clientId?: string, notify?: boolean }} [options] — notify pushes
+ *        dispatch_cancelled to the device (off when it asked itself)
+ * @returns {{ ok: true, dispatch: object } | { ok: false, status: number, code?: string, error: string }}
+ */
+function cancelDispatch(id, { clientId, notify = true } = {}) {
+    const entry = dispatches.get(id);
+    if (!entry || (clientId && entry.clientId !== clientId)) {
+        return { ok: false, status: 404, error: 'Dispatch not found' };
+    }
+    if (entry.status === 'cancelled') {
+        return { ok: false, status: 409, code: 'already_cancelled', error: 'Dispatch already cancelled' };
+    }
+    if (entry.status !== 'pending') {
+        return { ok: false, status: 409, code: 'too_late', error: `Too late to cancel — dispatch is ${entry.status}` };
+    }
+
+    clearTimeout(entry.timer);
+    clearInterval(entry.countdown);
+    Object.assign(entry, { status: 'cancelled', settledAt: new Date().toISOString() });
+
+    auditLog('dispatch_cancelled', {
+        dispatchId: id,
+        clientId: entry.clientId,
+        intent: entry.step.intent,
+        riskLevel: entry.riskLevel,
+        secondsLeft: Math.max(0, Math.ceil((Date.parse(entry.commitAt) - Date.now()) / 1000)),
+    });
+    if (notify) deliver(entry.clientId, { type: 'dispatch_cancelled', dispatchId: id });
+    return { ok: true, dispatch: publicView(entry) };
+}
+
+/**
+ * One dispatch, or null.
+ */
+function getDispatch(id, { clientId } = {}) {
+    const entry = dispatches.get(id);
+    if (!entry || (clientId && entry.clientId !== clientId)) return null;
+    return publicView(entry);
+}
+
+/**
+ * Dispatches, newest first.
+ * @param {{ clientId?: string, status?: string }} [filter]
+ */
+function listDispatches({ clientId, status } = {}) {
+    return [...dispatches.values()]
+        .filter((e) => (!clientId || e.clientId === clientId) && (!status || e.status === status))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(publicView);
+}
+
+// Settled entries are only kept for a while, for status polling
+const sweepInterval = setInterval(() => {
+    const cutoff = Date.now() - 60 * 60 * 1000;
+    for (const [id, entry] of dispatches) {
+        if (entry.settledAt && Date.parse(entry.settledAt) < cutoff) dispatches.delete(id);
+    }
+}, 5 * 60_000);
+sweepInterval.unref();
+
+module.exports = {
+    initDispatchQueue,
+    getSendDelay,
+    getSendDelays,
+    setSendDelays,
+    queueDispatch,
+    cancelDispatch,
+    getDispatch,
+    listDispatches,
+};
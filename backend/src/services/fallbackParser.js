@@ -0,0 +1,199 @@
+// ─── Offline Fallback Parser ───────────────────────────────────────
+// Deterministic rule-based planner used when no LLM provider is reachable.
+// Covers the common command shapes in English, Hinglish and Hindi and
+// returns the same plan schema as the LLM, marked source: "fallback".
+
+const { parseNaturalTime } = require('../utils/naturalTime');
+
+const FALLBACK_CONFIDENCE = 0.6;
+const UNMATCHED_CONFIDENCE = 0.2;
+
+/**
+ * Spoken app names → Android package names.
+ */
+const APP_PACKAGES = {
+    whatsapp: 'com.whatsapp',
+    'व्हाट्सएप': 'com.whatsapp',
+    telegram: 'org.telegram.messenger',
+    'टेलीग्राम': 'org.telegram.messenger',
+    youtube: 'com.google.android.youtube',
+    'यूट्यूब': 'com.google.android.youtube',
+    chrome: 'com.android.chrome',
+    maps: 'com.google.android.apps.maps',
+    gmail: 'com.google.android.gm',
+    instagram: 'com.instagram.android',
+    camera: 'com.android.camera',
+};
+
+// Names that only make sense with conversation context — never guess
+const PRONOUNS = /^(him|her|them|usko|usse|use|unko|unhe|isko|उसको|उन्हें|इसको)$/i;
+
+const CALL_RULES = [
+    // "call Rahul", "please call Rahul and tell him meeting shifted"
+    /^(?:please\s+|pls\s+)?(?:call|phone|ring)\s+(.+?)(?:\s+and\s+(?:tell|say to)\s+(?:him|her|them)\s+(?:that\s+)?(.+))?$/i,
+    // "Rahul ko call karo", "Rahul ko phone laga do aur bolo ki ..."
+    /^(.+?)\s+ko\s+(?:call|phone|fone|kol)\s+(?:karo|kar do|kardo|karna|lagao|laga do|lagado)(?:\s+aur\s+(?:bolo|bol do|keh do|kaho)\s+(?:ki\s+)?(.+))?$/i,
+    // "राहुल को कॉल करो"
+    /^(.+?)\s+को\s+(?:कॉल|फोन|फ़ोन)\s+(?:करो|कर दो|लगाओ|लगा दो)(?:\s+और\s+(?:बोलो|कहो|बोल दो)\s+(?:कि\s+)?(.+))?$/,
+];
+
+// Capture groups are named: to = contact, when = time phrase
+const SCHEDULED_CALL_RULES = [
+    // "Rahul ko 6 baje call karna", "Rahul ko kal subah phone karna"
+    /^(?<to>.+?)\s+ko\s+(?<when>.+?)\s+(?:call|phone|fone|kol)\s+(?:karo|kar do|kardo|karna|kar dena|lagao|laga do|lagana)$/i,
+    // "call Rahul at 6 pm", "call Rahul tomorrow morning"
+    /^(?:please\s+|pls\s+)?(?:call|phone|ring)\s+(?<to>.+?)\s+(?<when>(?:at|in|tomorrow|today|tonight)\b.*)$/i,
+    // "राहुल को 6 बजे कॉल करना"
+    /^(?<to>.+?)\s+को\s+(?<when>.+?)\s+(?:कॉल|फोन|फ़ोन)\s+(?:करो|कर दो|करना|लगाओ|लगा दो|लगाना)$/,
+];
+
+// A trailing "if they don't pick up, try again in N minutes" clause
+const CALL_RETRY_RULES = [
+    // "..., agar nahi uthaye to 10 min baad phir try karo"
+    /[,\s]+(?:aur\s+)?(?:agar|agr)\s+(?:wo\s+|woh\s+|vo\s+)?(?:nahi|nhi|na)\s+(?:uthaye|uthaya|uthata|uthati|uthe)\s+(?:to|toh)\s+(?<minutes>\d{1,3})\s*(?:min|mins|minute|minutes|minat)\s+(?:baad|bad)\s+(?:phir|fir|dobara)\s+(?:se\s+)?(?:try|call)\s+(?:karo|kar do|karna|kar dena)$/i,
+    // "..., and if he doesn't pick up try again in 10 minutes"
+    /[,\s]+(?:and\s+)?if\s+(?:he|she|they)\s+(?:doesn't|does not|don't|do not)\s+(?:pick up|answer),?\s+(?:try again|retry|call again)\s+(?:in|after)\s+(?<minutes>\d{1,3})\s*(?:min|mins|minute|minutes)$/i,
+];
+
+const MESSAGE_RULES = [
+    // "message Priya that I'm late", "send a text to Priya saying ..."
+    /^(?:please\s+|pls\s+)?(?:send\s+)?(?:a\s+)?(?:message|msg|text|whatsapp)\s+(?:to\s+)?(.+?)\s+(?:that|saying|:)\s+(.+)$/i,
+    // "Priya ko message karo ki late hoon", "Priya ko bol do ki ..."
+    /^(.+?)\s+ko\s+(?:message|msg|text|bol|bolo|bol do|keh do)\s*(?:karo|kar do|kardo|bhejo|bhej do)?\s+(?:ki|ke)\s+(.+)$/i,
+    // "प्रिया को मैसेज करो कि ..."
+    /^(.+?)\s+को\s+(?:मैसेज|संदेश|बोलो|बोल दो)\s*(?:करो|कर दो|भेजो|भेज दो)?\s+कि\s+(.+)$/,
+];
+
+// Capture groups are named: when = time phrase, text = what to remember
+const REMINDER_RULES = [
+    // "kal 9 baje yaad dila dena Rahul ko call karna hai"
+    /^(?<when>.+?)\s+(?:yaad|yad)\s+(?:dila dena|dila do|dilana|dila dijiye)\s+(?:ki\s+)?(?<text>.+)$/i,
+    // "remind me to call Rahul tomorrow at 9", "remind me in 30 minutes to drink water"
+    /^remind me\s+(?<when>in\s+\S+\s+\S+)\s+(?:to\s+)?(?<text>.+)$/i,
+    /^remind me\s+(?:to\s+)?(?<text>.+?)\s+(?<when>(?:at|in|on|tomorrow|today|tonight)\b.*)$/i,
+    // "कल सुबह 9 बजे याद दिला देना कि दवाई लेनी है"
+    /^(?<when>.+?)\s+याद\s+(?:दिला देना|दिला दो|दिलाना|दिला दीजिए)\s+(?:कि\s+)?(?<text>.+)$/,
+];
+
+const OPEN_APP_RULES = [
+    // "open WhatsApp"
+    /^(?:please\s+|pls\s+)?(?:open|launch|start)\s+(\S+)/i,
+    // "WhatsApp kholo", "व्हाट्सएप खोलो"
+    /^(\S+)\s+(?:kholo|khol do|kholdo|chalu karo|खोलो|खोल दो)$/i,
+];
+
+function clean(text) {
+    return text.trim().replace(/[.!?।]+$/, '').trim();
+}
+
+function matchFirst(rules, text) {
+    for (const rule of rules) {
+        const match = text.match(rule);
+        if (match) return match;
+    }
+    return null;
+}
+
+function basePlan(fields) {
+    return {
+        confidence: FALLBACK_CONFIDENCE,
+        confirmation_required: true,
+        source: 'fallback',
+        ...fields,
+    };
+}
+
+/**
+ * Plans a message without the LLM.
+ * Always returns a schema-valid plan; unrecognised input becomes an
+ * info_response telling the user AI is offline.
+ * @param {object} messageContext — { mode, sender, message }
+ * @returns {object} action plan with source: "fallback"
+ */
+function parseOffline({ mode, message }) {
+    const text = clean(String(message || ''));
+
+    // Replies to other people's messages need real language understanding
+    if (mode === 'command') {
+        const reminder = matchFirst(REMINDER_RULES, text);
+        if (reminder) {
+            const { when, text: about } = reminder.groups;
+            return basePlan({
+                intent: 'set_reminder',
+                risk_level: 'low',
+                human_text: `${clean(when)} yaad dila du: "${clean(about).substring(0, 80)}"? (AI offline)`,
+                params: { text: clean(about), when: clean(when) },
+                execution_plan: [`Remind: ${clean(about)}`],
+            });
+        }
+
+        // "nahi uthaye to 10 min baad phir try karo" — one retry after the backoff
+        const retryClause = matchFirst(CALL_RETRY_RULES, text);
+        const callText = retryClause ? clean(text.slice(0, retryClause.index)) : text;
+        const retry = retryClause && { max_attempts: 2, backoff_minutes: Number(retryClause.groups.minutes) };
+        const retryNote = retry ? `, nahi uthaya to ${retry.backoff_minutes} min baad phir` : '';
+
+        // Only a time the server can parse makes it a scheduled call
+        const scheduled = matchFirst(SCHEDULED_CALL_RULES, callText);
+        if (scheduled && !PRONOUNS.test(clean(scheduled.groups.to)) && parseNaturalTime(clean(scheduled.groups.when))) {
+            const to = clean(scheduled.groups.to);
+            const when = clean(scheduled.groups.when);
+            return basePlan({
+                intent: 'call_number',
+                risk_level: 'high',
+                human_text: `Main ${to} ko ${when} call karu${retryNote}? Confirm kar do. (AI offline)`,
+                params: { to, when, ...(retry && { retry }) },
+                execution_plan: [`Call ${to} at ${when}`],
+            });
+        }
+
+        const call = matchFirst(CALL_RULES, callText);
+        if (call && !PRONOUNS.test(clean(call[1]))) {
+            const to = clean(call[1]);
+            const script = call[2] ? clean(call[2]) : '';
+            return basePlan({
+                intent: 'call_number',
+                risk_level: 'high',
+                human_text: `Main ${to} ko call karu${retryNote}? Confirm kar do. (AI offline)`,
+                params: { to, ...(script && { script }), ...(retry && { retry }) },
+                execution_plan: [`Call ${to}`],
+            });
+        }
+
+        const msg = matchFirst(MESSAGE_RULES, text);
+        if (msg && !PRONOUNS.test(clean(msg[1]))) {
+            const to = clean(msg[1]);
+            const body = clean(msg[2]);
+            return basePlan({
+                intent: 'send_message',
+                risk_level: 'medium',
+                human_text: `${to} ko bhej du: "${body.substring(0, 80)}"? (AI offline)`,
+                params: { to, message: body },
+                execution_plan: [`Send message to ${to}`],
+            });
+        }
+
+        const open = matchFirst(OPEN_APP_RULES, text);
+        const pkg = open && APP_PACKAGES[open[1].toLowerCase()];
+        if (pkg) {
+            return basePlan({
+                intent: 'open_app',
+                risk_level: 'low',
+                human_text: `${open[1]} khol du? (AI offline)`,
+                params: { package: pkg },
+                execution_plan: [`Open ${pkg}`],
+            });
+        }
+    }
+
+    return basePlan({
+        intent: 'info_response',
+        confidence: UNMATCHED_CONFIDENCE,
+        risk_level: 'low',
+        human_text: 'AI abhi offline hai — simple commands try karo, jaise "Rahul ko call karo".',
+        params: { answer: 'AI is offline. Supported: call, message, open app, reminders.' },
+        execution_plan: [],
+    });
+}
+
+module.exports = { parseOffline, APP_PACKAGES };
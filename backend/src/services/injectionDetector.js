@@ -0,0 +1,70 @@
+// ─── Prompt-Injection Detector ─────────────────────────────────────
+// Scores third-party text (suggestion mode) for instruction-hijack
+// patterns before it reaches the planner. Each rule adds its weight;
+// the total decides whether the plan is escalated or blocked.
+
+const config = require('../config');
+const { auditLog } = require('../middleware/auditLogger');
+
+/**
+ * Weighted detection rules. English, Hinglish and Hindi phrasings.
+ */
+const INJECTION_RULES = [
+    // Instruction override
+    { id: 'ignore_instructions', weight: 0.6, pattern: /\b(ignore|disregard|forget|override)\b.{0,30}\b(previous|above|prior|earlier|all|your|system)\b.{0,20}\b(rules?|instructions?|prompts?|guidelines?)\b/i },
+    { id: 'ignore_instructions_hi', weight: 0.6, pattern: /\b(pichh?le|saare|sab|apne)\b.{0,20}\b(rules?|instructions?|niyam)\b.{0,20}\b(ignore|bhool|bhul|chhod)/i },
+    { id: 'ignore_instructions_dev', weight: 0.6, pattern: /(पिछले|सारे|सभी).{0,20}(निर्देश|नियम).{0,20}(भूल|अनदेखा|छोड़)/ },
+
+    // Role / identity hijack
+    { id: 'role_hijack', weight: 0.4, pattern: /\b(you are now|act as|pretend to be|from now on you|new instructions|developer mode|jailbreak)\b/i },
+    { id: 'system_prompt_probe', weight: 0.4, pattern: /\b(system prompt|your instructions|reveal your|print your rules)\b/i },
+
+    // Attempts to speak the planner's own schema or chat markup
+    { id: 'schema_injection', weight: 0.5, pattern: /"(intent|risk_level|confirmation_required|execution_plan)"\s*:/i },
+    { id: 'chat_markup', weight: 0.5, pattern: /(<\|im_start\|>|<\|system\|>|\[\/?INST\]|^\s*(system|assistant)\s*:)/im },
+
+    // Credential / OTP exfiltration
+    { id: 'otp_exfiltration', weight: 0.5, pattern: /\b(send|share|forward|tell|bhejo|bhej do|batao|bata do)\b.{0,30}\b(otp|pin|password|passcode|cvv|verification code)\b/i },
+    { id: 'otp_exfiltration_rev', weight: 0.5, pattern: /\b(otp|pin|password|passcode|cvv|verification code)\b.{0,30}\b(send|share|forward|bhejo|bhej do|batao|bata do)\b/i },
+
+    // Directing the operator to act on a raw number or third party
+    { id: 'directed_call', weight: 0.3, pattern: /\b(call|phone|message|whatsapp)\b.{0,15}\+?\d[\d\s-]{8,}\d/i },
+    { id: 'forward_request', weight: 0.3, pattern: /\b(forward (this|it) to|send this to everyone|sabko bhejo|sab ko forward)\b/i },
+];
+
+/**
+ * Scores untrusted text for injection patterns.
+ * @param {string} text
+ * @returns {{ score: number, rules: string[], action: 'none'|'escalate'|'block' }}
+ */
+function scoreInjection(text) {
+    const rules = INJECTION_RULES.filter((rule) => rule.pattern.test(String(text || '')));
+    const score = Math.min(1, Number(rules.reduce((sum, rule) => sum + rule.weight, 0).toFixed(2)));
+
+    let action = 'none';
+    if (score >= config.injection.blockThreshold) action = 'block';
+    else if (score >= config.injection.escalateThreshold) action = 'escalate';
+
+    return { score, rules: rules.map((rule) => rule.id), action };
+}
+
+/**
+ * Scans an incoming third-party message and audits any detection.
+ * @param {{ sender: string, message: string }} context
+ * @returns {{ score: number, rules: string[], action: string }}
+ */
+function inspectThirdPartyMessage({ sender, message }) {
+    const detection = scoreInjection(`${sender}\n${message}`);
+    if (detection.action !== 'none') {
+        auditLog('injection_detected', {
+            sender,
+            score: detection.score,
+            rules: detection.rules,
+            action: detection.action,
+            messageLength: String(message).length,
+        });
+    }
+    return detection;
+}
+
+module.exports = { scoreInjection, inspectThirdPartyMessage, INJECTION_RULES };
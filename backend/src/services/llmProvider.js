@@ -0,0 +1,295 @@
+// ─── LLM Provider Layer ────────────────────────────────────────────
+// Single entry point for every chat completion in the backend.
+// Providers are tried in the order given by LLM_PROVIDERS; each has its
+// own timeout and a circuit breaker so a dead endpoint is skipped quickly.
+
+const crypto = require('crypto');
+const config = require('../config');
+const { logger, auditLog } = require('../middleware/auditLogger');
+const { recordUsage, checkBudget } = require('./usageTracker');
+const { parseOffline } = require('./fallbackParser');
+
+/**
+ * Provider backed by any OpenAI-compatible /chat/completions endpoint.
+ * DeepSeek, Ollama and llama.cpp server all speak this protocol.
+ */
+function createOpenAICompatibleProvider({ name, baseUrl, apiKey, model, timeoutMs }) {
+    return {
+        name,
+        model,
+        async complete({ messages, temperature, maxTokens, json }) {
+            const fetch = (await import('node-fetch')).default;
+
+            const requestBody = {
+                model,
+                messages,
+                temperature,
+                max_tokens: maxTokens,
+            };
+            if (json) requestBody.response_format = { type: 'json_object' };
+
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+            const response = await fetch(`${baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(requestBody),
+                signal: AbortSignal.timeout(timeoutMs),
+            });
+
+            if (!response.ok) {
+                const errBody = await response.text();
+                throw new Error(`${name} error ${response.status}: ${errBody}`);
+            }
+
+            const data = await response.json();
+            return {
+                content: data.choices?.[0]?.message?.content || '',
+                model: data.model || model,
+                usage: data.usage || null,
+            };
+        },
+    };
+}
+
+/**
+ * Deterministic provider for development — no network, same output for
+ * the same input. Planner calls are answered by the offline rule parser;
+ * summary calls get a fixed summary, live call turns a two-reply script,
+ * and call screening a keyword guess at urgency.
+ */
+function createMockProvider() {
+    const model = 'mock';
+    return {
+        name: 'mock',
+        model,
+        async complete({ messages, purpose }) {
+            const last = messages[messages.length - 1]?.content || '';
+
+            if (purpose === 'summary') {
+                return {
+                    model,
+                    usage: null,
+                    content: JSON.stringify({
+                        summary: `Mock summary — transcript ${last.length} characters ka tha.`,
+                        key_points: [],
+                        decisions_made: [],
+                        action_items: [],
+                        tone: 'neutral',
+                        follow_up_needed: false,
+                    }),
+                };
+            }
+
+            if (purpose === 'call_turn') {
+                // Two callee replies, then wrap up
+                const { transcript = [] } = JSON.parse(last);
+                const replies = transcript.filter((line) => line.speaker === 'callee').length;
+                const done = replies >= 2;
+                return {
+                    model,
+                    usage: null,
+                    content: JSON.stringify({
+                        say: done ? 'Theek hai, bahut dhanyavaad! Main unhe bata dunga.' : 'Achha, samajh gaya. Aur kuch batana chahenge?',
+                        goal_reached: done,
+                        end_call: done,
+                        feed: done ? 'Baat ho gayi — call khatam kar raha hoon.' : 'Baat chal rahi hai…',
+                    }),
+                };
+            }
+
+            if (purpose === 'call_screening') {
+                const { caller_said: said = '' } = JSON.parse(last);
+                const urgent = /urgent|emergency|hospital|accident|jaldi|turant/i.test(said);
+                const spam = /offer|loan|credit card|otp/i.test(said);
+                return {
+                    model,
+                    usage: null,
+                    content: JSON.stringify({
+                        caller_name: null,
+                        purpose: said.substring(0, 120) || 'Kuch nahi bataya',
+                        urgency: urgent ? 'high' : spam ? 'low' : 'medium',
+                        suspected_spam: spam,
+                        suggested_reply: 'Abhi baat nahi kar sakta, thodi der mein call karta hoon.',
+                        human_text: `Caller: "${said.substring(0, 60)}"`,
+                    }),
+                };
+            }
+
+            let context = { mode: 'command', message: last };
+            try {
+                const parsed = JSON.parse(last);
+                context = { ...parsed, message: parsed.message ?? parsed.untrusted_message };
+            } catch {
+                // Not a JSON context — treat as a raw command
+            }
+
+            const { source, ...plan } = parseOffline(context);
+            return { model, usage: null, content: JSON.stringify(plan) };
+        },
+    };
+}
+
+/**
+ * Replays responses captured from earlier runs, keyed by a hash of the
+ * request messages. With a live provider attached, misses are forwarded
+ * to it and the response is added to the recordings.
+ * @param {{ recordings: object, live?: object }} options
+ *   recordings — { [hash]: content }, mutated in place when recording
+ */
+function createRecordedProvider({ recordings, live = null }) {
+    return {
+        name: 'recorded',
+        model: 'recorded',
+        async complete(request) {
+            const key = requestHash(request.messages);
+            if (key in recordings) {
+                return { content: recordings[key], model: 'recorded', usage: null };
+            }
+            if (!live) {
+                throw new Error(`recorded: no recording for request ${key.substring(0, 12)}`);
+            }
+
+            const result = await live.complete(request);
+            recordings[key] = result.content;
+            return result;
+        },
+    };
+}
+
+function requestHash(messages) {
+    return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex');
+}
+
+const PROVIDER_FACTORIES = {
+    deepseek: () => createOpenAICompatibleProvider({ name: 'deepseek', ...config.deepseek }),
+    openai_compatible: () => createOpenAICompatibleProvider({ name: 'openai_compatible', ...config.openaiCompatible }),
+    mock: () => createMockProvider(),
+};
+
+let providers = config.llm.providers
+    .filter((name) => {
+        if (!PROVIDER_FACTORIES[name]) {
+            logger.warn(`Unknown LLM provider "${name}" in LLM_PROVIDERS — skipping`);
+            return false;
+        }
+        return true;
+    })
+    .map((name) => PROVIDER_FACTORIES[name]());
+
+// ── Circuit breaker state, keyed by provider name ──
+const breakers = new Map();
+
+function isOpen(name) {
+    const state = breakers.get(name);
+    return Boolean(state && state.openUntil > Date.now());
+}
+
+function recordSuccess(name) {
+    breakers.delete(name);
+}
+
+function recordFailure(name) {
+    const state = breakers.get(name) || { failures: 0, openUntil: 0 };
+    state.failures += 1;
+    if (state.failures >= config.llm.breakerThreshold) {
+        // Half-open after cooldown: the next call is let through as a probe
+        state.openUntil = Date.now() + config.llm.breakerCooldownMs;
+        state.failures = config.llm.breakerThreshold - 1;
+        logger.warn('LLM provider circuit opened', { provider: name, cooldownMs: config.llm.breakerCooldownMs });
+    }
+    breakers.set(name, state);
+}
+
+/**
+ * Runs a chat completion through the provider chain.
+ * @param {object} request
+ * @param {{ role: string, content: string }[]} request.messages
+ * @param {number} [request.temperature]
+ * @param {number} [request.maxTokens]
+ * @param {boolean} [request.json] — ask for a JSON object response
+ * @param {'plan'|'summary'|'call_turn'|'call_screening'} [request.purpose] — lets the mock provider shape its output
+ * @param {string} [request.clientId] — for usage accounting
+ * @returns {Promise<{ content: string, provider: string, model: string, usage: object|null, latencyMs: number }>}
+ * @throws {Error} code BUDGET_EXCEEDED when a token budget is spent, LLM_UNAVAILABLE when every provider failed
+ */
+async function complete({ messages, temperature = 0.3, maxTokens = 1024, json = true, purpose = 'plan', clientId }) {
+    const budget = checkBudget();
+    if (!budget.ok) {
+        auditLog('action_rejected', { reason: 'token_budget_exceeded', purpose, clientId, ...budget });
+        const err = new Error(`LLM ${budget.scope} token budget exceeded (${budget.used}/${budget.limit})`);
+        err.code = 'BUDGET_EXCEEDED';
+        throw err;
+    }
+
+    const errors = [];
+
+    for (const provider of providers) {
+        if (isOpen(provider.name)) {
+            errors.push(`${provider.name}: circuit open`);
+            continue;
+        }
+
+        const start = Date.now();
+        try {
+            const result = await provider.complete({ messages, temperature, maxTokens, json, purpose });
+            if (!result.content) {
+                throw new Error(`${provider.name} returned empty response`);
+            }
+            recordSuccess(provider.name);
+
+            const latencyMs = Date.now() - start;
+            recordUsage({ clientId, purpose, provider: provider.name, model: result.model, usage: result.usage, latencyMs });
+            return { ...result, provider: provider.name, latencyMs };
+        } catch (err) {
+            recordFailure(provider.name);
+            logger.error('LLM provider failed', { provider: provider.name, error: err.message });
+            errors.push(`${provider.name}: ${err.message}`);
+        }
+    }
+
+    const err = new Error(`LLM unreachable — ${errors.join('; ') || 'no providers configured'}`);
+    err.code = 'LLM_UNAVAILABLE';
+    throw err;
+}
+
+/**
+ * Replaces the provider chain — for tooling such as the eval harness.
+ * @param {object[]} chain — providers as returned by the create* factories
+ */
+function setProviderChain(chain) {
+    providers = chain;
+    breakers.clear();
+}
+
+/**
+ * Builds a provider by its LLM_PROVIDERS name.
+ */
+function createProvider(name) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) throw new Error(`Unknown LLM provider: ${name}`);
+    return factory();
+}
+
+/**
+ * Current breaker state per provider, for diagnostics.
+ */
+function getProviderStatus() {
+    return providers.map(({ name, model }) => ({
+        name,
+        model,
+        circuitOpen: isOpen(name),
+        failures: breakers.get(name)?.failures || 0,
+    }));
+}
+
+module.exports = {
+    complete,
+    getProviderStatus,
+    setProviderChain,
+    createProvider,
+    createOpenAICompatibleProvider,
+    createMockProvider,
+    createRecordedProvider,
+};
@@ -0,0 +1,122 @@
+// ─── Pending Action Store ──────────────────────────────────────────
+// Server-side copy of every plan that passed validation.
+// The client only ever gets a signed planId; execution looks the plan up
+// here, so a client cannot confirm a plan the model never proposed or
+// replay one it already executed.
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { auditLog } = require('../middleware/auditLogger');
+
+// In-memory store (replace with DB in production)
+const pendingActions = new Map();
+
+const signingSecret = () => config.pendingActions.signingSecret || config.apiSecretKey;
+
+function sign(id) {
+    return crypto.createHmac('sha256', signingSecret()).update(id).digest('hex');
+}
+
+/**
+ * Splits "<uuid>.<hmac>" and verifies the signature in constant time.
+ * @returns {string|null} the bare id, or null if the signature is wrong
+ */
+function verifyPlanId(planId) {
+    if (typeof planId !== 'string') return null;
+    const [id, signature] = planId.split('.');
+    if (!id || !signature) return null;
+
+    const expected = Buffer.from(sign(id), 'hex');
+    const given = Buffer.from(signature, 'hex');
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return null;
+    }
+    return id;
+}
+
+// Plans proposed over REST belong to this owner; WebSocket plans to their clientId
+const REST_OWNER = 'rest';
+
+/**
+ * Stores a validated plan and returns the signed planId the client must send back.
+ * @param {object} plan — sanitized plan from validateAction
+ * @param {{ clientId?: string|null, threadId?: string }} [owner] — null/omitted for REST
+ * @returns {{ planId: string, expiresAt: string }}
+ */
+function createPendingAction(plan, { clientId = null, threadId = null } = {}) {
+    const id = uuidv4();
+    const now = Date.now();
+    const entry = {
+        id,
+        plan,
+        clientId: clientId || REST_OWNER,
+        threadId,
+        createdAt: now,
+        expiresAt: now + config.pendingActions.ttlMs,
+        consumedAt: null,
+    };
+    pendingActions.set(id, entry);
+
+    return {
+        planId: `${id}.${sign(id)}`,
+        expiresAt: new Date(entry.expiresAt).toISOString(),
+    };
+}
+
+/**
+ * Looks up a pending action without consuming it. Only the owner it was
+ * created for may use it — REST callers (clientId null) are "rest".
+ * @returns {{ valid: true, plan: object, threadId: string|null } | { valid: false, status: number, reason: string }}
+ */
+function getPendingAction(planId, { clientId = null } = {}) {
+    const reject = (status, code, reason) => {
+        auditLog('action_rejected', { planId: String(planId).split('.')[0], clientId, code, reason });
+        return { valid: false, status, code, reason };
+    };
+
+    const id = verifyPlanId(planId);
+    if (!id) {
+        return reject(403, 'invalid_signature', 'Blocked: plan ID signature is invalid.');
+    }
+
+    const entry = pendingActions.get(id);
+    if (!entry) {
+        return reject(404, 'unknown_plan', 'Blocked: plan ID is unknown or already purged.');
+    }
+    if (entry.consumedAt) {
+        return reject(409, 'plan_reused', 'Blocked: plan has already been executed or cancelled.');
+    }
+    if (Date.now() > entry.expiresAt) {
+        return reject(410, 'plan_expired', 'Blocked: plan has expired. Ask again.');
+    }
+    if (entry.clientId !== (clientId || REST_OWNER)) {
+        return reject(403, 'client_mismatch', 'Blocked: plan belongs to a different client.');
+    }
+
+    return { valid: true, plan: entry.plan, threadId: entry.threadId };
+}
+
+/**
+ * Looks up and marks a pending action as used. A second call with the same
+ * planId is rejected as a replay.
+ */
+function consumePendingAction(planId, owner = {}) {
+    const result = getPendingAction(planId, owner);
+    if (result.valid) {
+        pendingActions.get(verifyPlanId(planId)).consumedAt = Date.now();
+    }
+    return result;
+}
+
+// Drop entries once they can no longer be used. Consumed entries are kept
+// until expiry so a replay is reported as reuse rather than unknown.
+const sweepInterval = setInterval(() => {
+    const now = Date.now();
+    for (const [id, entry] of pendingActions) {
+        if (now > entry.expiresAt) pendingActions.delete(id);
+    }
+}, 60_000);
+sweepInterval.unref();
+
+module.exports = { createPendingAction, getPendingAction, consumePendingAction };
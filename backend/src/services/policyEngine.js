@@ -0,0 +1,185 @@
+// ─── Policy Engine ─────────────────────────────────────────────────
+// Declarative action rules loaded from a JSON policy file (POLICY_FILE).
+// Rules match on intent, recipient, content, time, confidence and channel,
+// and either allow, deny, escalate risk or require double confirmation.
+// The file is watched and hot-reloaded; a broken edit keeps the last good policy.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { logger, auditLog } = require('../middleware/auditLogger');
+const { isWithinLocalWindow } = require('../utils/localTime');
+const { looksLikePhoneNumber } = require('../utils/phone');
+
+const RULE_ACTIONS = new Set(['allow', 'deny', 'escalate', 'double_confirm']);
+const RISK_ORDER = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Notification package names → policy channel names.
+ */
+const CHANNELS = {
+    'com.whatsapp': 'whatsapp',
+    'com.whatsapp.w4b': 'whatsapp',
+    'org.telegram.messenger': 'telegram',
+};
+
+const policyPath = path.resolve(__dirname, '..', '..', config.policy.file);
+
+let activePolicy = null;
+
+/**
+ * Parses and compiles a policy document. Throws on any invalid rule so a
+ * bad file is never half-applied.
+ */
+function compilePolicy(doc) {
+    if (!doc || !Array.isArray(doc.rules)) {
+        throw new Error('Policy must have a "rules" array');
+    }
+
+    const seen = new Set();
+    const rules = doc.rules.map((rule, index) => {
+        const where = `rules[${index}]${rule?.id ? ` (${rule.id})` : ''}`;
+        if (!rule.id || typeof rule.id !== 'string') throw new Error(`${where}: missing id`);
+        if (seen.has(rule.id)) throw new Error(`${where}: duplicate id`);
+        seen.add(rule.id);
+
+        if (!RULE_ACTIONS.has(rule.action)) throw new Error(`${where}: unknown action "${rule.action}"`);
+        if (rule.action === 'escalate' && !RISK_ORDER.includes(rule.risk_level)) {
+            throw new Error(`${where}: escalate needs risk_level (${RISK_ORDER.join(' | ')})`);
+        }
+
+        const match = rule.match || {};
+        return {
+            ...rule,
+            match: {
+                ...match,
+                intent: match.intent && [].concat(match.intent),
+                channel: match.channel && [].concat(match.channel),
+                content: match.content && new RegExp(match.content, 'i'),
+                recipient: match.recipient && {
+                    ...match.recipient,
+                    pattern: match.recipient.pattern && new RegExp(match.recipient.pattern, 'i'),
+                },
+            },
+        };
+    });
+
+    return { version: doc.version ?? null, description: doc.description || '', rules };
+}
+
+function loadPolicyFile() {
+    const doc = JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+    return compilePolicy(doc);
+}
+
+/**
+ * Tests one compiled rule against a plan.
+ * @returns {boolean}
+ */
+function ruleMatches(rule, plan, context) {
+    const { match } = rule;
+    const params = plan.params || {};
+
+    if (match.intent && !match.intent.includes(plan.intent)) return false;
+
+    if (match.channel) {
+        const channel = CHANNELS[context.channel] || context.channel;
+        if (!channel || !match.channel.includes(channel)) return false;
+    }
+
+    if (match.recipient) {
+        const recipient = params.to || params.phone || '';
+        if (match.recipient.raw_number !== undefined && looksLikePhoneNumber(recipient) !== match.recipient.raw_number) return false;
+        if (match.recipient.pattern && !match.recipient.pattern.test(recipient)) return false;
+    }
+
+    if (match.content) {
+        const text = [
+            ...Object.values(params).filter((v) => typeof v === 'string'),
+            ...(plan.execution_plan || []),
+        ].join('\n');
+        if (!match.content.test(text)) return false;
+    }
+
+    if (match.confidence) {
+        const confidence = typeof plan.confidence === 'number' ? plan.confidence : 0;
+        if (match.confidence.below !== undefined && !(confidence < match.confidence.below)) return false;
+        if (match.confidence.above !== undefined && !(confidence > match.confidence.above)) return false;
+    }
+
+    if (match.time) {
+        const [from, to] = match.time.between;
+        if (!isWithinLocalWindow(from, to, context.now || new Date())) return false;
+    }
+
+    if (match.risk_level && ![].concat(match.risk_level).includes(plan.risk_level)) return false;
+
+    return true;
+}
+
+/**
+ * Evaluates the active policy against a plan. Pure — no audit logging.
+ * @param {object} plan
+ * @param {{ channel?: string, now?: Date }} [context]
+ * @returns {{ decision: 'allow'|'deny', reason?: string, riskLevel: string,
+ *             requiresDoubleConfirm: boolean, fired: object[] }}
+ */
+function evaluatePolicy(plan, context = {}) {
+    const fired = [];
+    let decision = null;
+    let reason;
+    let riskLevel = plan.risk_level;
+    let requiresDoubleConfirm = false;
+
+    for (const rule of activePolicy.rules) {
+        if (!ruleMatches(rule, plan, context)) continue;
+
+        fired.push({ id: rule.id, action: rule.action, reason: rule.reason || rule.description || '' });
+
+        if ((rule.action === 'allow' || rule.action === 'deny') && !decision) {
+            decision = rule.action;
+            reason = rule.reason;
+        } else if (rule.action === 'escalate' && RISK_ORDER.indexOf(rule.risk_level) > RISK_ORDER.indexOf(riskLevel)) {
+            riskLevel = rule.risk_level;
+        } else if (rule.action === 'double_confirm') {
+            requiresDoubleConfirm = true;
+        }
+    }
+
+    return {
+        decision: decision || 'allow',
+        reason,
+        riskLevel,
+        requiresDoubleConfirm,
+        fired,
+    };
+}
+
+/**
+ * Loaded policy summary, for the API.
+ */
+function getPolicy() {
+    return {
+        file: policyPath,
+        version: activePolicy.version,
+        description: activePolicy.description,
+        rules: activePolicy.rules.map(({ id, action, description, reason }) => ({ id, action, description, reason })),
+    };
+}
+
+// ── Initial load: a broken policy at startup is fatal (fail closed) ──
+activePolicy = loadPolicyFile();
+logger.info('Action policy loaded', { file: policyPath, rules: activePolicy.rules.length });
+
+// ── Hot reload ──
+const watcher = fs.watchFile(policyPath, { interval: config.policy.reloadIntervalMs }, () => {
+    try {
+        activePolicy = loadPolicyFile();
+        auditLog('request', { event: 'policy_reloaded', file: policyPath, rules: activePolicy.rules.length });
+    } catch (err) {
+        logger.error('Policy reload failed — keeping previous policy', { file: policyPath, error: err.message });
+    }
+});
+watcher.unref();
+
+module.exports = { evaluatePolicy, getPolicy, compilePolicy };
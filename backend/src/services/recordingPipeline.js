@@ -0,0 +1,111 @@
+// ─── Recording → Summary Pipeline ──────────────────────────────────
+// Runs when Twilio reports a completed recording: download the audio,
+// transcribe it (speechToText), summarize the transcript (callSummarizer),
+// store both on the call, file its action items as follow-up tasks
+// (taskTracker) and push the summary to the device. Two-way AI
+// calls already have an exact transcript, so they skip straight to the
+// summary. Audio is only kept on disk for the duration of the run.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { getCall, setCallTranscript, setCallSummary, pushCallUpdate } = require('./callManager');
+const { transcribe, getSttProvider } = require('./speechToText');
+const { summarizeCall } = require('./callSummarizer');
+const { createTasksFromSummary } = require('./taskTracker');
+const { auditLog, logger } = require('../middleware/auditLogger');
+
+// callIds with a run in flight — Twilio retries callbacks
+const running = new Set();
+
+/**
+ * Downloads a Twilio recording as WAV to a temp file.
+ * @returns {Promise<string>} local path
+ */
+async function downloadRecording(recordingUrl, recordingSid) {
+    const fetch = (await import('node-fetch')).default;
+    const authHeader = Buffer.from(`${config.twilio.accountSid}:${config.twilio.authToken}`).toString('base64');
+
+    const response = await fetch(`${recordingUrl}.wav`, {
+        headers: { Authorization: `Basic ${authHeader}` },
+        signal: AbortSignal.timeout(60_000),
+    });
+    if (!response.ok) {
+        throw new Error(`Recording download failed: ${response.status}`);
+    }
+
+    const file = path.join(os.tmpdir(), `recording-${path.basename(recordingSid)}.wav`);
+    fs.writeFileSync(file, Buffer.from(await response.arrayBuffer()));
+    return file;
+}
+
+/**
+ * Transcribes and summarizes a call's recording.
+ * @param {string} callId
+ * @returns {Promise<object|null>} the summary, or null when skipped
+ */
+async function processRecording(callId) {
+    const call = getCall(callId);
+    if (!call || running.has(callId) || call.summaryStatus === 'ready') return null;
+
+    const hasTranscript = call.mode === 'conversational' && call.transcript;
+    const stt = getSttProvider();
+    if (!hasTranscript && !call.recordingSid) return null;
+    if (!hasTranscript && !stt) {
+        logger.info('Recording not transcribed — STT_PROVIDER is none', { callId });
+        return null;
+    }
+    if (!hasTranscript && stt.needsAudio && !call.recordingUrl) {
+        logger.warn('Recording not transcribed — no recording URL', { callId, recordingSid: call.recordingSid });
+        return null;
+    }
+
+    running.add(callId);
+    let audioPath = null;
+    try {
+        let transcript = call.transcript;
+        if (!hasTranscript) {
+            setCallSummary(callId, { summaryStatus: 'transcribing' });
+            if (stt.needsAudio) audioPath = await downloadRecording(call.recordingUrl, call.recordingSid);
+
+            const result = await transcribe(audioPath, { recordingSid: call.recordingSid });
+            transcript = result.text;
+            setCallTranscript(callId, transcript);
+            auditLog('action_executed', {
+                action: 'call_transcribed',
+                callId,
+                provider: result.provider,
+                latencyMs: result.latencyMs,
+                transcriptLength: transcript.length,
+            });
+        }
+
+        setCallSummary(callId, { summaryStatus: 'summarizing' });
+        const summary = await summarizeCall(transcript, callId, { clientId: call.clientId || undefined });
+        const updated = setCallSummary(callId, { summaryStatus: 'ready', summary, summaryError: undefined });
+        const tasks = createTasksFromSummary(updated, summary);
+
+        pushCallUpdate(callId, {
+            type: 'call_summary',
+            summary,
+            tasks,
+            human_text: `📞 Call summary: ${summary.summary}${tasks.length ? ` — ${tasks.length} follow-up task(s) bane` : ''}`,
+        });
+        return summary;
+    } catch (err) {
+        logger.error('Recording pipeline failed', { callId, error: err.message });
+        setCallSummary(callId, { summaryStatus: 'failed', summaryError: err.message });
+        pushCallUpdate(callId, {
+            type: 'call_summary_failed',
+            error: err.message,
+            human_text: 'Call ka summary nahi ban paya.',
+        });
+        return null;
+    } finally {
+        running.delete(callId);
+        if (audioPath) fs.rm(audioPath, { force: true }, () => {});
+    }
+}
+
+module.exports = { processRecording, downloadRecording };
@@ -0,0 +1,171 @@
+// ─── Reminder Scheduler ────────────────────────────────────────────
+// Stores reminders in a JSON file (REMINDERS_FILE) so they survive
+// restarts, and fires them to the owning device over WebSocket. A reminder
+// that comes due while the device is offline is kept as "missed" and
+// replayed when the device reconnects.
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { createPersistedStore, startTickLoop } = require('../utils/persistedStore');
+const { auditLog } = require('../middleware/auditLogger');
+
+// Finished reminders — and missed ones the device never came back for —
+// are kept this long for listing, then pruned
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const store = createPersistedStore({
+    file: config.reminders.file,
+    name: 'reminders',
+    expired: (reminder) => ['delivered', 'missed', 'cancelled'].includes(reminder.status)
+        && Date.parse(reminder.updatedAt) < Date.now() - RETENTION_MS,
+});
+
+/** @type {Map<string, object>} */
+const reminders = store.records;
+
+/** @type {(clientId: string, data: object) => boolean} */
+let deliver = () => false;
+let tickInterval = null;
+
+function pushReminder(reminder, { missed = false } = {}) {
+    return deliver(reminder.clientId, {
+        type: 'reminder',
+        reminder: { id: reminder.id, text: reminder.text, dueAt: reminder.dueAt, missed },
+        human_text: missed
+            ? `⏰ Chhoot gaya reminder (${new Date(reminder.dueAt).toLocaleString('en-IN', { timeZone: config.timezone })}): ${reminder.text}`
+            : `⏰ Yaad dila raha hoon: ${reminder.text}`,
+    });
+}
+
+/**
+ * Fires every scheduled reminder that is due.
+ */
+function tick(now = Date.now()) {
+    for (const reminder of reminders.values()) {
+        if (reminder.status !== 'scheduled' || Date.parse(reminder.dueAt) > now) continue;
+
+        if (pushReminder(reminder)) {
+            store.update(reminder, { status: 'delivered', deliveredAt: new Date(now).toISOString() });
+            auditLog('action_executed', { action: 'reminder_delivered', reminderId: reminder.id, clientId: reminder.clientId });
+        } else {
+            store.update(reminder, { status: 'missed' });
+            auditLog('request', { event: 'reminder_missed', reminderId: reminder.id, clientId: reminder.clientId });
+        }
+    }
+}
+
+/**
+ * Starts the scheduler loop.
+ * @param {{ deliver: (clientId: string, data: object) => boolean }} options — usually gateway.pushToClient
+ */
+function startReminderScheduler(options) {
+    deliver = options.deliver;
+    if (tickInterval) return;
+    tickInterval = startTickLoop(tick, config.reminders.tickMs, 'reminders');
+}
+
+/**
+ * Schedules a reminder.
+ * @param {object} input
+ * @param {string} input.clientId
+ * @param {string} input.text
+ * @param {Date|string} input.dueAt
+ * @param {string} [input.planId]
+ * @returns {object} the stored reminder
+ */
+function createReminder({ clientId, text, dueAt, planId = null }) {
+    const now = new Date().toISOString();
+    const reminder = {
+        id: uuidv4(),
+        clientId,
+        text,
+        dueAt: new Date(dueAt).toISOString(),
+        status: 'scheduled',
+        snoozeCount: 0,
+        planId,
+        createdAt: now,
+        updatedAt: now,
+        deliveredAt: null,
+    };
+    reminders.set(reminder.id, reminder);
+    store.save();
+
+    auditLog('action_executed', { action: 'reminder_scheduled', reminderId: reminder.id, clientId, dueAt: reminder.dueAt });
+    return reminder;
+}
+
+/**
+ * Lists a client's reminders, soonest first.
+ * @param {{ clientId?: string, status?: string }} [filter]
+ */
+function listReminders({ clientId, status } = {}) {
+    return [...reminders.values()]
+        .filter((r) => (!clientId || r.clientId === clientId) && (!status || r.status === status))
+        .sort((a, b) => a.dueAt.localeCompare(b.dueAt));
+}
+
+function findOwned(id, clientId) {
+    const reminder = reminders.get(id);
+    if (!reminder || (clientId && reminder.clientId !== clientId)) return null;
+    return reminder;
+}
+
+/**
+ * Cancels a reminder that has not fired yet.
+ * @returns {{ ok: true, reminder: object } | { ok: false, status: number, error: string }}
+ */
+function cancelReminder(id, { clientId } = {}) {
+    const reminder = findOwned(id, clientId);
+    if (!reminder) return { ok: false, status: 404, error: 'Reminder not found' };
+    if (reminder.status === 'cancelled') return { ok: false, status: 409, error: 'Reminder already cancelled' };
+
+    store.update(reminder, { status: 'cancelled' });
+    auditLog('action_executed', { action: 'reminder_cancelled', reminderId: id, clientId: reminder.clientId });
+    return { ok: true, reminder };
+}
+
+/**
+ * Re-schedules a reminder (delivered, missed or still pending) for later.
+ * @param {string} id
+ * @param {{ clientId?: string, until?: Date }} [options] — defaults to now + REMINDER_SNOOZE_MINUTES
+ * @returns {{ ok: true, reminder: object } | { ok: false, status: number, error: string }}
+ */
+function snoozeReminder(id, { clientId, until } = {}) {
+    const reminder = findOwned(id, clientId);
+    if (!reminder) return { ok: false, status: 404, error: 'Reminder not found' };
+    if (reminder.status === 'cancelled') return { ok: false, status: 409, error: 'Reminder is cancelled' };
+
+    const dueAt = until || new Date(Date.now() + config.reminders.snoozeMinutes * 60_000);
+    if (dueAt.getTime() <= Date.now()) return { ok: false, status: 400, error: 'Snooze time must be in the future' };
+
+    store.update(reminder, { status: 'scheduled', dueAt: dueAt.toISOString(), snoozeCount: reminder.snoozeCount + 1 });
+    auditLog('action_executed', { action: 'reminder_snoozed', reminderId: id, clientId: reminder.clientId, dueAt: reminder.dueAt });
+    return { ok: true, reminder };
+}
+
+/**
+ * Pushes reminders the client missed while offline. Called on WebSocket auth.
+ * @returns {number} how many were delivered
+ */
+function replayMissedReminders(clientId) {
+    let delivered = 0;
+    for (const reminder of listReminders({ clientId, status: 'missed' })) {
+        if (!pushReminder(reminder, { missed: true })) break;
+        store.update(reminder, { status: 'delivered', deliveredAt: new Date().toISOString() });
+        delivered += 1;
+    }
+    if (delivered > 0) {
+        auditLog('action_executed', { action: 'reminders_replayed', clientId, count: delivered });
+    }
+    return delivered;
+}
+
+
+module.exports = {
+    startReminderScheduler,
+    createReminder,
+    listReminders,
+    cancelReminder,
+    snoozeReminder,
+    replayMissedReminders,
+};
@@ -0,0 +1,117 @@
+// ─── Risk Scorer ───────────────────────────────────────────────────
+// Recomputes an action's risk from concrete signals instead of trusting
+// the model's self-reported risk_level. The validator takes the max of the
+// two, so the model can raise risk but never lower it.
+
+const config = require('../config');
+const { isWithinLocalWindow } = require('../utils/localTime');
+const { normalizePhone, looksLikePhoneNumber } = require('../utils/phone');
+const { hasCalledNumber } = require('./callStore');
+const { findContactByNumber } = require('./contactDirectory');
+
+const RISK_ORDER = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Base points per intent — calls are intrusive and can't be unsent.
+ */
+const INTENT_POINTS = {
+    call_number: 3,
+    send_message: 1,
+    open_app: 0,
+    summarize_call: 0,
+    info_response: 0,
+    set_reminder: 0,
+};
+
+const SECRET_PATTERN = /\b(otp|one[\s-]?time[\s-]?password|pin|cvv|password|passcode|verification code)\b/i;
+const MONEY_PATTERN = /(\b(pay|payment|paise|paisa|rupees?|rs\.?|inr|transfer|upi|bank|account number|ifsc|loan|udhaar|udhar|gpay|paytm|phonepe)\b|₹)/i;
+const LINK_PATTERN = /\bhttps?:\/\/|\bwww\.|\bbit\.ly\//i;
+const LONG_MESSAGE_CHARS = 500;
+
+/**
+ * Trust level of a recipient. Names were resolved from the directory; a raw
+ * number is known when it is in the owner's contacts and contacted when the
+ * persisted call history shows an earlier call to it.
+ * @param {string} recipient
+ * @param {string|null} [clientId] — whose contacts and calls count; null for REST
+ * @returns {'known'|'contacted'|'unknown'}
+ */
+function recipientTrust(recipient, clientId = null) {
+    if (!recipient || !looksLikePhoneNumber(recipient)) return 'known';
+    const phone = normalizePhone(String(recipient));
+    if (!phone.valid) return 'unknown';
+    if (findContactByNumber(clientId || 'rest', phone.e164)) return 'known';
+    return hasCalledNumber(phone.e164, { clientId }) ? 'contacted' : 'unknown';
+}
+
+/**
+ * Scores a single-intent plan.
+ * @param {object} plan
+ * @param {{ now?: Date, clientId?: string|null }} [context]
+ * @returns {{ level: string, points: number, reasons: string[] }}
+ */
+function scoreRisk(plan, { now = new Date(), clientId = null } = {}) {
+    const params = plan.params || {};
+    const reasons = [];
+    let points = INTENT_POINTS[plan.intent] ?? 1;
+    // Passive intents only pick up content signals
+    const isOutgoing = points > 0;
+
+    if (plan.intent === 'call_number') reasons.push('call');
+
+    const trust = plan.recipient_source === 'directory' ? 'known' : recipientTrust(params.phone || params.to, clientId);
+    if (isOutgoing && trust === 'unknown') {
+        points += 2;
+        reasons.push('new_number');
+    }
+
+    const text = [params.message, params.script].filter(Boolean).join('\n');
+    if (SECRET_PATTERN.test(text)) {
+        points += 3;
+        reasons.push('secret_keyword');
+    }
+    if (MONEY_PATTERN.test(text)) {
+        points += 2;
+        reasons.push('money_keyword');
+    }
+    if (LINK_PATTERN.test(text)) {
+        points += 1;
+        reasons.push('contains_link');
+    }
+    if (text.length > LONG_MESSAGE_CHARS) {
+        points += 1;
+        reasons.push('long_message');
+    }
+
+    if (isOutgoing && isWithinLocalWindow(config.risk.quietHoursStart, config.risk.quietHoursEnd, now)) {
+        points += 1;
+        reasons.push('quiet_hours');
+    }
+
+    // Confidence only matters for actions that reach other people
+    if (isOutgoing) {
+        if (typeof plan.confidence !== 'number' || plan.confidence < 0.3) {
+            points += 2;
+            reasons.push('very_low_confidence');
+        } else if (plan.confidence < 0.6) {
+            points += 1;
+            reasons.push('low_confidence');
+        }
+    }
+
+    let level = 'low';
+    if (points >= 5) level = 'critical';
+    else if (points >= 3) level = 'high';
+    else if (points >= 1) level = 'medium';
+
+    return { level, points, reasons };
+}
+
+/**
+ * The higher of two risk levels.
+ */
+function maxRisk(a, b) {
+    return RISK_ORDER.indexOf(a) >= RISK_ORDER.indexOf(b) ? a : b;
+}
+
+module.exports = { scoreRisk, maxRisk, recipientTrust };
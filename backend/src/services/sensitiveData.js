@@ -0,0 +1,172 @@
+// ─── Sensitive Data Detection & Redaction ──────────────────────────
+// Finds OTPs, Aadhaar/PAN numbers, card numbers, UPI IDs and passwords
+// in outgoing text, and masks PII before anything reaches the logs.
+// Dependency-free on purpose: the audit logger itself requires this module.
+
+/**
+ * Verhoeff checksum — the check digit scheme Aadhaar numbers use.
+ */
+const VERHOEFF_D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+    [2, 3, 4, 0, 1, 7, 8, 9, 5, 6], [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+    [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+    [8, 7, 6, 5, 9, 3, 2, 1, 0, 4], [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+];
+const VERHOEFF_P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+    [5, 8, 0, 3, 7, 9, 6, 1, 4, 2], [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+    [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+];
+
+function verhoeffValid(digits) {
+    let c = 0;
+    [...digits].reverse().forEach((d, i) => {
+        c = VERHOEFF_D[c][VERHOEFF_P[i % 8][Number(d)]];
+    });
+    return c === 0;
+}
+
+function luhnValid(digits) {
+    let sum = 0;
+    [...digits].reverse().forEach((d, i) => {
+        let n = Number(d);
+        if (i % 2 === 1) {
+            n *= 2;
+            if (n > 9) n -= 9;
+        }
+        sum += n;
+    });
+    return sum % 10 === 0;
+}
+
+const digitsOf = (str) => str.replace(/\D/g, '');
+
+/**
+ * Whether a token reads like a password rather than a word: at least four
+ * characters with a digit or symbol, ignoring trailing sentence punctuation.
+ */
+function looksLikeSecret(token) {
+    const value = token.replace(/[.,!?।]+$/, '');
+    return value.length >= 4 && /[\d!@#$%^&*()_+=[\]{}|\\;:'"<>,./?~`-]/.test(value);
+}
+
+/**
+ * Detection rules, most specific first. `check` filters false positives.
+ */
+const SENSITIVE_RULES = [
+    {
+        type: 'card',
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        check: (m) => luhnValid(digitsOf(m)),
+    },
+    {
+        type: 'aadhaar',
+        pattern: /\b[2-9]\d{3}[ -]?\d{4}[ -]?\d{4}\b/g,
+        check: (m) => verhoeffValid(digitsOf(m)),
+    },
+    {
+        type: 'pan',
+        pattern: /\b[A-Z]{3}[PCHFATBLJG][A-Z]\d{4}[A-Z]\b/g,
+    },
+    {
+        type: 'otp',
+        // A bare "code"/"pin" only counts when it states a value — a postal
+        // "pin code 110001" is an address, not an OTP
+        pattern: /\b(?:otp|one[\s-]?time[\s-]?password|verification code|(?<!\b(?:pin|zip|postal|area|std)\s)code\s*(?:is|:|=|hai)|pin\s*(?:is|:|=|hai))(?![a-z])\D{0,20}\b\d{4,8}\b|\b\d{4,8}\b\D{0,20}\b(?:otp|verification code)\b/gi,
+    },
+    {
+        type: 'password',
+        // "password is X" / "password: X" where X looks like a secret, so
+        // "wifi ka password kal change kar dena" stays a normal message
+        pattern: /\b(?:password|passwd|pwd|passcode)(?:\s+(?:is|hai)\s+|\s*[:=]\s*)\S{4,}/gi,
+        check: (m) => looksLikeSecret(m.replace(/^\S+(?:\s+(?:is|hai)\s+|\s*[:=]\s*)/i, '')),
+    },
+    {
+        type: 'upi',
+        // name@handle, where the handle has no dot (emails do)
+        pattern: /\b[\w.-]{2,256}@[a-zA-Z]{2,64}\b(?!\.)/g,
+    },
+];
+
+/**
+ * Scans text for sensitive data.
+ * @param {string} text
+ * @returns {{ type: string, match: string }[]}
+ */
+function detectSensitiveData(text) {
+    if (typeof text !== 'string' || !text) return [];
+
+    const findings = [];
+    for (const rule of SENSITIVE_RULES) {
+        for (const match of text.matchAll(rule.pattern)) {
+            if (!rule.check || rule.check(match[0])) {
+                findings.push({ type: rule.type, match: match[0] });
+            }
+        }
+    }
+    return findings;
+}
+
+const DATE_PREFIX = /^\d{4}-\d{2}-\d{2}/;
+
+function maskDigits(str, keep = 2) {
+    const total = digitsOf(str).length;
+    let seen = 0;
+    return str.replace(/\d/g, (d) => (++seen > total - keep ? d : '•'));
+}
+
+/**
+ * Masks sensitive values and phone numbers inside free text.
+ */
+function maskText(text) {
+    let masked = text;
+    for (const rule of SENSITIVE_RULES) {
+        masked = masked.replace(rule.pattern, (m) => (
+            !rule.check || rule.check(m) ? `[${rule.type.toUpperCase()}]` : m
+        ));
+    }
+    // Phone numbers — 10+ digits, and not a date, so timestamps survive
+    return masked.replace(/\+?\d[\d\s-]{8,}\d/g, (m) => (
+        digitsOf(m).length >= 10 && !DATE_PREFIX.test(m) ? maskDigits(m) : m
+    ));
+}
+
+// Fields whose whole value is message content — logged only by length
+const CONTENT_FIELDS = new Set([
+    'message',
+    'messagePreview',
+    'script',
+    'ttsScript',
+    'answer',
+    'transcript',
+    'untrusted_message',
+    'raw',
+    'body',
+]);
+
+// Identifiers that look numeric but are never PII
+const SAFE_FIELDS = new Set(['eventId', 'callId', 'planId', 'requestId', 'clientId', 'timestamp', 'twilioSid']);
+
+/**
+ * Returns a redacted deep copy of a log payload.
+ */
+function redact(value, key = null, depth = 0) {
+    if (depth > 8 || value === null || value === undefined) return value;
+    if (key && SAFE_FIELDS.has(key)) return value;
+
+    if (typeof value === 'string') {
+        if (key && CONTENT_FIELDS.has(key)) return `[redacted ${value.length} chars]`;
+        return maskText(value);
+    }
+    if (Array.isArray(value)) return value.map((item) => redact(item, key, depth + 1));
+    if (typeof value === 'object') {
+        const out = {};
+        for (const [k, v] of Object.entries(value)) out[k] = redact(v, k, depth + 1);
+        return out;
+    }
+    return value;
+}
+
+module.exports = { detectSensitiveData, maskText, redact };
@@ -0,0 +1,118 @@
+// ─── Speech-to-Text ────────────────────────────────────────────────
+// Turns call recordings into transcripts. One provider is active, picked by
+// STT_PROVIDER: a local whisper.cpp binary, or a fixture provider that
+// returns canned transcripts so the pipeline runs without audio tooling.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const config = require('../config');
+const { logger } = require('../middleware/auditLogger');
+
+const run = promisify(execFile);
+
+/**
+ * Runs a whisper.cpp CLI (whisper-cli / main) on a local audio file.
+ * Audio is resampled to 16 kHz mono first when FFMPEG_BINARY is set.
+ */
+function createWhisperCppProvider({ binary, model, language, ffmpegBinary, timeoutMs }) {
+    return {
+        name: 'whisper_cpp',
+        needsAudio: true,
+        async transcribe(audioPath) {
+            if (!model) throw new Error('WHISPER_CPP_MODEL is not set');
+
+            let input = audioPath;
+            if (ffmpegBinary) {
+                input = path.join(os.tmpdir(), `${path.basename(audioPath, path.extname(audioPath))}-16k.wav`);
+                await run(ffmpegBinary, ['-y', '-loglevel', 'error', '-i', audioPath, '-ar', '16000', '-ac', '1', input], { timeout: timeoutMs });
+            }
+
+            try {
+                const { stdout } = await run(binary, ['-m', model, '-f', input, '-l', language, '-nt', '-np'], {
+                    timeout: timeoutMs,
+                    maxBuffer: 16 * 1024 * 1024,
+                });
+                return { text: stdout.replace(/\s*\n\s*/g, '\n').trim() };
+            } finally {
+                if (input !== audioPath) fs.rm(input, { force: true }, () => {});
+            }
+        },
+    };
+}
+
+/**
+ * Development provider: reads <dir>/<recordingSid>.txt, falling back to
+ * <dir>/default.txt. Never touches the audio.
+ */
+function createFixtureProvider({ dir }) {
+    const root = path.resolve(__dirname, '..', '..', dir);
+    return {
+        name: 'fixture',
+        needsAudio: false,
+        async transcribe(_audioPath, { recordingSid } = {}) {
+            const candidates = [recordingSid && `${recordingSid}.txt`, 'default.txt'].filter(Boolean);
+            for (const file of candidates) {
+                const fixture = path.join(root, path.basename(file));
+                if (fs.existsSync(fixture)) return { text: fs.readFileSync(fixture, 'utf8').trim() };
+            }
+            throw new Error(`No STT fixture in ${root}`);
+        },
+    };
+}
+
+const PROVIDER_FACTORIES = {
+    whisper_cpp: () => createWhisperCppProvider({
+        binary: config.stt.whisperBinary,
+        model: config.stt.whisperModel,
+        language: config.stt.language,
+        ffmpegBinary: config.stt.ffmpegBinary,
+        timeoutMs: config.stt.timeoutMs,
+    }),
+    fixture: () => createFixtureProvider({ dir: config.stt.fixtureDir }),
+};
+
+let provider = null;
+if (config.stt.provider !== 'none') {
+    const factory = PROVIDER_FACTORIES[config.stt.provider];
+    if (factory) {
+        provider = factory();
+    } else {
+        logger.error('Unknown STT provider — transcription disabled', { provider: config.stt.provider });
+    }
+}
+
+/**
+ * The active provider, or null when STT is off.
+ * @returns {{ name: string, needsAudio: boolean, transcribe: Function } | null}
+ */
+function getSttProvider() {
+    return provider;
+}
+
+/**
+ * Transcribes a recording.
+ * @param {string|null} audioPath — local file; may be null for providers that don't need audio
+ * @param {{ recordingSid?: string }} [meta]
+ * @returns {Promise<{ text: string, provider: string, latencyMs: number }>}
+ * @throws {Error} code STT_DISABLED when no provider is configured
+ */
+async function transcribe(audioPath, meta = {}) {
+    if (!provider) {
+        const err = new Error('Speech-to-text is not configured (STT_PROVIDER=none)');
+        err.code = 'STT_DISABLED';
+        throw err;
+    }
+
+    const start = Date.now();
+    const { text } = await provider.transcribe(audioPath, meta);
+    if (!text) throw new Error(`${provider.name} returned an empty transcript`);
+    return { text, provider: provider.name, latencyMs: Date.now() - start };
+}
+
+module.exports = {
+    transcribe,
+    getSttProvider,
+};
@@ -0,0 +1,212 @@
+// ─── Follow-Up Tasks ───────────────────────────────────────────────
+// Turns call-summary action items into tracked tasks, persisted to a JSON
+// file (TASKS_FILE). Each task links back to its call, carries a deadline
+// parsed from the item ("Friday tak" → an instant in IST) and, when the
+// other party is known, a draft follow-up message the user can propose as
+// a normal confirmable plan. Open tasks are pushed to the device when due.
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { validateAction } = require('./actionValidator');
+const { createPendingAction } = require('./pendingActions');
+const { parseNaturalTime } = require('../utils/naturalTime');
+const { createPersistedStore, startTickLoop } = require('../utils/persistedStore');
+const { auditLog } = require('../middleware/auditLogger');
+
+const STATUSES = ['open', 'done', 'cancelled'];
+
+// Done and cancelled tasks are kept this long for listing, then pruned
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const store = createPersistedStore({
+    file: config.tasks.file,
+    name: 'tasks',
+    expired: (task) => task.status !== 'open' && Date.parse(task.updatedAt) < Date.now() - RETENTION_MS,
+});
+
+/** @type {Map<string, object>} */
+const tasks = store.records;
+
+/** @type {(clientId: string, data: object) => boolean} */
+let deliver = () => false;
+let tickInterval = null;
+
+/**
+ * Draft recap message to the other party, or null when we don't know who that is.
+ */
+function followUpDraft(item, call, summary) {
+    const to = call.contactName || call.to;
+    if (!to) return null;
+
+    const deadline = item.deadline ? ` (${item.deadline})` : '';
+    const message = `Namaste! Humari call ka recap: ${summary.summary} Next step: ${item.task}${deadline}.`;
+    return { intent: 'send_message', to, message: message.substring(0, 1000) };
+}
+
+/**
+ * Creates one task per summary action item. Runs once per call — later
+ * calls with the same callId return the existing tasks.
+ * @param {object} call — call record (callId, clientId, contactName, to, createdAt)
+ * @param {object} summary — summarizeCall output
+ * @returns {object[]} the call's tasks
+ */
+function createTasksFromSummary(call, summary) {
+    const existing = listTasks({ callId: call.callId });
+    if (existing.length > 0) return existing;
+
+    const items = Array.isArray(summary.action_items) ? summary.action_items : [];
+    const callTime = new Date(call.createdAt || Date.now());
+    const now = new Date().toISOString();
+
+    const created = items
+        .filter((item) => item && typeof item.task === 'string' && item.task.trim())
+        .map((item) => {
+            const deadline = typeof item.deadline === 'string' && item.deadline.trim() ? item.deadline.trim() : null;
+            const dueAt = deadline ? parseNaturalTime(deadline, callTime) : null;
+            const task = {
+                id: uuidv4(),
+                clientId: call.clientId || 'rest',
+                callId: call.callId,
+                task: item.task.trim(),
+                owner: item.owner || null,
+                deadline,
+                dueAt: dueAt ? dueAt.toISOString() : null,
+                status: 'open',
+                // The recap is only worth offering when the summary asks for a follow-up
+                followUp: summary.follow_up_needed ? followUpDraft(item, call, summary) : null,
+                notifiedAt: null,
+                createdAt: now,
+                updatedAt: now,
+            };
+            tasks.set(task.id, task);
+            return task;
+        });
+
+    if (created.length > 0) {
+        store.save();
+        auditLog('action_executed', { action: 'tasks_created', callId: call.callId, clientId: call.clientId, count: created.length });
+    }
+    return created;
+}
+
+/**
+ * Tasks, soonest deadline first (undated last).
+ * @param {{ clientId?: string, status?: string, callId?: string }} [filter]
+ */
+function listTasks({ clientId, status, callId } = {}) {
+    return [...tasks.values()]
+        .filter((t) => (!clientId || t.clientId === clientId)
+            && (!status || t.status === status)
+            && (!callId || t.callId === callId))
+        .sort((a, b) => (a.dueAt || '9999').localeCompare(b.dueAt || '9999') || a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * One task, or null.
+ */
+function getTask(id, { clientId } = {}) {
+    const task = tasks.get(id);
+    if (!task || (clientId && task.clientId !== clientId)) return null;
+    return task;
+}
+
+/**
+ * Changes a task's status and/or deadline.
+ * @param {string} id
+ * @param {{ status?: 'open'|'done'|'cancelled', dueAt?: Date|null }} changes
+ * @param {{ clientId?: string }} [owner]
+ * @returns {{ ok: true, task: object } | { ok: false, status: number, error: string }}
+ */
+function updateTask(id, { status, dueAt }, { clientId } = {}) {
+    const task = getTask(id, { clientId });
+    if (!task) return { ok: false, status: 404, error: 'Task not found' };
+    if (status !== undefined && !STATUSES.includes(status)) {
+        return { ok: false, status: 400, error: `status must be one of ${STATUSES.join(', ')}` };
+    }
+
+    const changes = {};
+    if (status !== undefined) changes.status = status;
+    if (dueAt !== undefined) {
+        // A new deadline gets a fresh due notification
+        changes.dueAt = dueAt ? dueAt.toISOString() : null;
+        changes.notifiedAt = null;
+    }
+
+    store.update(task, changes);
+    auditLog('action_executed', { action: 'task_updated', taskId: id, clientId: task.clientId, ...changes });
+    return { ok: true, task };
+}
+
+/**
+ * Turns a task's follow-up draft into a normal proposed plan: validated
+ * like any model plan and confirmed through the signed plan_id flow.
+ * @param {string} id
+ * @param {{ clientId?: string|null }} [owner] — null for REST
+ * @returns {{ ok: true, plan: object } | { ok: false, status: number, error: string, reason?: string }}
+ */
+function proposeFollowUp(id, { clientId = null } = {}) {
+    const task = getTask(id, { clientId: clientId || undefined });
+    if (!task) return { ok: false, status: 404, error: 'Task not found' };
+    if (!task.followUp) return { ok: false, status: 409, error: 'Task has no follow-up to propose' };
+
+    const { to, message } = task.followUp;
+    const plan = {
+        intent: 'send_message',
+        confidence: 1,
+        risk_level: 'medium',
+        human_text: `${to} ko call ka recap bhej du? "${message.substring(0, 80)}"`,
+        params: { to, message },
+        execution_plan: [`Send call recap to ${to}`],
+        confirmation_required: true,
+    };
+
+    const validation = validateAction(plan, { clientId });
+    if (!validation.valid) {
+        return { ok: false, status: 422, error: 'Follow-up rejected', reason: validation.reason };
+    }
+
+    // REST proposals are owned (and must be confirmed) by "rest"
+    const { planId, expiresAt } = createPendingAction(validation.sanitizedPlan, { clientId: clientId || 'rest' });
+    auditLog('action_proposed', { action: 'task_follow_up', taskId: id, clientId, riskLevel: validation.sanitizedPlan.risk_level });
+    return { ok: true, plan: { ...validation.sanitizedPlan, plan_id: planId, expires_at: expiresAt } };
+}
+
+/**
+ * Pushes open tasks whose deadline has passed. Offline devices are retried
+ * on the next tick.
+ */
+function tick(now = Date.now()) {
+    for (const task of tasks.values()) {
+        if (task.status !== 'open' || !task.dueAt || task.notifiedAt || Date.parse(task.dueAt) > now) continue;
+
+        const delivered = deliver(task.clientId, {
+            type: 'task_due',
+            task,
+            human_text: `📌 Follow-up ka time: ${task.task}${task.owner ? ` (${task.owner})` : ''}`,
+        });
+        if (delivered) {
+            store.update(task, { notifiedAt: new Date(now).toISOString() });
+            auditLog('action_executed', { action: 'task_due_notified', taskId: task.id, clientId: task.clientId });
+        }
+    }
+}
+
+/**
+ * Starts the due-task loop.
+ * @param {{ deliver: (clientId: string, data: object) => boolean }} options — usually gateway.pushToClient
+ */
+function startTaskTracker(options) {
+    deliver = options.deliver;
+    if (tickInterval) return;
+    tickInterval = startTickLoop(tick, config.tasks.tickMs, 'tasks');
+}
+
+
+module.exports = {
+    startTaskTracker,
+    createTasksFromSummary,
+    listTasks,
+    getTask,
+    updateTask,
+    proposeFollowUp,
+};
@@ -0,0 +1,165 @@
+// ─── Usage Tracker ─────────────────────────────────────────────────
+// Token usage, latency and estimated cost of every LLM completion,
+// aggregated per client per day (in the configured timezone) and persisted
+// to USAGE_FILE. Also enforces the daily and monthly token budgets; days
+// before the current month are dropped since no budget counts them.
+
+const config = require('../config');
+const { createPersistedStore } = require('../utils/persistedStore');
+const { auditLog } = require('../middleware/auditLogger');
+const { localDayKey } = require('../utils/localTime');
+
+/** Whether an aggregate is from before the current (budget) month */
+function beforeThisMonth(agg) {
+    return agg.day < `${localDayKey().substring(0, 7)}-01`;
+}
+
+// "YYYY-MM-DD|clientId" → aggregate
+const store = createPersistedStore({ file: config.usage.file, name: 'usage', expired: beforeThisMonth });
+const dailyUsage = store.records;
+
+function emptyAggregate(day, clientId) {
+    return {
+        id: `${day}|${clientId}`,
+        day,
+        clientId,
+        calls: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0,
+        latencyMsTotal: 0,
+        costUsd: 0,
+        byModel: {},
+    };
+}
+
+function estimateCost(provider, promptTokens, completionTokens) {
+    const price = config.usage.pricing[provider];
+    if (!price) return 0;
+    return (promptTokens * price.input + completionTokens * price.output) / 1_000_000;
+}
+
+/**
+ * Records one completed LLM call.
+ * @param {object} call
+ * @param {string} [call.clientId]
+ * @param {string} call.purpose — plan | summary | call_turn | call_screening
+ * @param {string} call.provider
+ * @param {string} call.model
+ * @param {object|null} call.usage — OpenAI-style { prompt_tokens, completion_tokens, total_tokens }
+ * @param {number} call.latencyMs
+ */
+function recordUsage({ clientId, purpose, provider, model, usage, latencyMs }) {
+    const day = localDayKey();
+    const owner = clientId || 'system';
+    const key = `${day}|${owner}`;
+    let agg = dailyUsage.get(key);
+    if (!agg) {
+        // First call of the day for this client — a new month drops the old one
+        for (const [id, old] of dailyUsage) {
+            if (beforeThisMonth(old)) dailyUsage.delete(id);
+        }
+        agg = emptyAggregate(day, owner);
+        dailyUsage.set(key, agg);
+    }
+
+    const promptTokens = usage?.prompt_tokens || 0;
+    const completionTokens = usage?.completion_tokens || 0;
+    const totalTokens = usage?.total_tokens || promptTokens + completionTokens;
+    const costUsd = estimateCost(provider, promptTokens, completionTokens);
+
+    agg.calls += 1;
+    agg.promptTokens += promptTokens;
+    agg.completionTokens += completionTokens;
+    agg.totalTokens += totalTokens;
+    agg.latencyMsTotal += latencyMs;
+    agg.costUsd += costUsd;
+
+    const modelKey = `${provider}/${model}`;
+    const perModel = agg.byModel[modelKey] || { calls: 0, totalTokens: 0 };
+    perModel.calls += 1;
+    perModel.totalTokens += totalTokens;
+    agg.byModel[modelKey] = perModel;
+    store.save();
+
+    auditLog('llm_usage', {
+        clientId: owner,
+        purpose,
+        provider,
+        model,
+        promptTokens,
+        completionTokens,
+        totalTokens,
+        latencyMs,
+        costUsd: Number(costUsd.toFixed(6)),
+    });
+}
+
+function sumTokens(predicate) {
+    let total = 0;
+    for (const agg of dailyUsage.values()) {
+        if (predicate(agg)) total += agg.totalTokens;
+    }
+    return total;
+}
+
+/**
+ * Checks the global daily and monthly budgets.
+ * @returns {{ ok: boolean, scope?: 'daily'|'monthly', used?: number, limit?: number }}
+ */
+function checkBudget() {
+    const today = localDayKey();
+    const month = today.substring(0, 7);
+    const { dailyTokenBudget, monthlyTokenBudget } = config.usage;
+
+    if (dailyTokenBudget > 0) {
+        const used = sumTokens((agg) => agg.day === today);
+        if (used >= dailyTokenBudget) return { ok: false, scope: 'daily', used, limit: dailyTokenBudget };
+    }
+
+    if (monthlyTokenBudget > 0) {
+        const used = sumTokens((agg) => agg.day.startsWith(month));
+        if (used >= monthlyTokenBudget) return { ok: false, scope: 'monthly', used, limit: monthlyTokenBudget };
+    }
+
+    return { ok: true };
+}
+
+/**
+ * Returns daily aggregates, optionally filtered, plus totals and budget state.
+ * @param {{ clientId?: string, from?: string, to?: string }} [filter] — days as YYYY-MM-DD
+ */
+function getUsage({ clientId, from, to } = {}) {
+    const days = [...dailyUsage.values()]
+        .filter((agg) => (!clientId || agg.clientId === clientId)
+            && (!from || agg.day >= from)
+            && (!to || agg.day <= to))
+        .sort((a, b) => a.day.localeCompare(b.day) || a.clientId.localeCompare(b.clientId))
+        .map(({ id, ...agg }) => ({
+            ...agg,
+            avgLatencyMs: agg.calls ? Math.round(agg.latencyMsTotal / agg.calls) : 0,
+            costUsd: Number(agg.costUsd.toFixed(6)),
+        }));
+
+    const totals = days.reduce((acc, agg) => ({
+        calls: acc.calls + agg.calls,
+        totalTokens: acc.totalTokens + agg.totalTokens,
+        costUsd: Number((acc.costUsd + agg.costUsd).toFixed(6)),
+    }), { calls: 0, totalTokens: 0, costUsd: 0 });
+
+    const today = localDayKey();
+    return {
+        days,
+        totals,
+        budgets: {
+            daily: { used: sumTokens((agg) => agg.day === today), limit: config.usage.dailyTokenBudget },
+            monthly: {
+                used: sumTokens((agg) => agg.day.startsWith(today.substring(0, 7))),
+                limit: config.usage.monthlyTokenBudget,
+            },
+            overBudgetAction: config.usage.overBudgetAction,
+        },
+    };
+}
+
+module.exports = { recordUsage, checkBudget, getUsage };
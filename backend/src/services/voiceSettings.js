@@ -0,0 +1,91 @@
+// ─── Call Voice Settings ───────────────────────────────────────────
+// Which voice and language an outgoing call speaks in, plus the user's own
+// consent and closing scripts. Resolution: the callee's contact profile
+// (synced from the device) → the user's settings → CALL_VOICE_PROFILE.
+// User settings are persisted to VOICE_SETTINGS_FILE.
+
+const config = require('../config');
+const { VOICE_PROFILES, resolveVoice } = require('../utils/twiml');
+const { findContactByNumber } = require('./contactDirectory');
+const { createPersistedStore } = require('../utils/persistedStore');
+const { auditLog } = require('../middleware/auditLogger');
+
+const MAX_SCRIPT_CHARS = 500;
+const VOICE_NAME = /^(Polly|Google)\.[A-Za-z0-9-]{2,40}$/;
+
+// clientId → { clientId, settings, updatedAt }
+const store = createPersistedStore({ file: config.calls.voiceSettingsFile, name: 'voice settings', key: 'clientId' });
+
+/**
+ * A user's saved settings ({} when none).
+ * @param {string} clientId
+ */
+function getVoiceSettings(clientId) {
+    return store.records.get(clientId)?.settings || {};
+}
+
+/**
+ * Replaces a user's voice settings. Omitted fields fall back to the profile.
+ * @param {string} clientId
+ * @param {object} settings
+ * @param {string} [settings.profile] — hi-IN | en-IN | ta-IN | te-IN | bn-IN | mr-IN
+ * @param {string} [settings.voice] — Twilio voice name, e.g. Polly.Kajal
+ * @param {string} [settings.consentText] — spoken before recorded calls; cannot be empty
+ * @param {string} [settings.closingText] — spoken at the end of one-way calls; "" for none
+ * @returns {{ ok: true, settings: object } | { ok: false, status: number, error: string }}
+ */
+function setVoiceSettings(clientId, { profile, voice, consentText, closingText } = {}) {
+    if (profile !== undefined && !VOICE_PROFILES[profile]) {
+        return { ok: false, status: 400, error: `profile must be one of ${Object.keys(VOICE_PROFILES).join(', ')}` };
+    }
+    if (voice !== undefined && (typeof voice !== 'string' || !VOICE_NAME.test(voice))) {
+        return { ok: false, status: 400, error: 'voice must be a Twilio voice name like Polly.Aditi' };
+    }
+    // Recording without an audible notice is not allowed
+    if (consentText !== undefined && (typeof consentText !== 'string' || !consentText.trim())) {
+        return { ok: false, status: 400, error: 'consentText must be a non-empty string' };
+    }
+    if (closingText !== undefined && typeof closingText !== 'string') {
+        return { ok: false, status: 400, error: 'closingText must be a string' };
+    }
+    if ((consentText || '').length > MAX_SCRIPT_CHARS || (closingText || '').length > MAX_SCRIPT_CHARS) {
+        return { ok: false, status: 400, error: `Scripts are limited to ${MAX_SCRIPT_CHARS} characters` };
+    }
+
+    const settings = {
+        ...(profile && { profile }),
+        ...(voice && { voice }),
+        ...(consentText && { consentText: consentText.trim() }),
+        ...(closingText !== undefined && { closingText: closingText.trim() }),
+    };
+    const record = store.records.get(clientId);
+    if (record) {
+        store.update(record, { settings });
+    } else {
+        store.records.set(clientId, { clientId, settings, updatedAt: new Date().toISOString() });
+        store.save();
+    }
+    auditLog('request', { event: 'voice_settings_updated', clientId, profile: settings.profile || null });
+    return { ok: true, settings };
+}
+
+/**
+ * Settings for a call from clientId to number, ready for the TwiML builder.
+ * @param {{ clientId?: string|null, number?: string }} call — null clientId is a REST call
+ * @returns {{ profile: string, voice: string, language: string, consentText: string, closingText: string }}
+ */
+function resolveVoiceSettings({ clientId, number } = {}) {
+    const owner = clientId || 'rest';
+    const user = getVoiceSettings(owner);
+    const contact = number ? findContactByNumber(owner, number) : null;
+    const userProfile = user.profile || config.calls.voiceProfile;
+
+    // A contact who speaks another language gets that profile's own voice
+    // and scripts — the user's custom lines are in their language
+    if (contact?.voiceProfile && contact.voiceProfile !== userProfile) {
+        return resolveVoice({ profile: contact.voiceProfile });
+    }
+    return resolveVoice({ ...user, profile: userProfile });
+}
+
+module.exports = { getVoiceSettings, setVoiceSettings, resolveVoiceSettings };
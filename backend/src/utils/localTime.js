@@ -0,0 +1,111 @@
+// ─── Local Time Helpers ────────────────────────────────────────────
+// Calendar and clock values in the configured timezone (default IST),
+// independent of the server's own TZ.
+
+const config = require('../config');
+
+const dayFormatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: config.timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+});
+
+const partsFormatter = new Intl.DateTimeFormat('en-GB', {
+    timeZone: config.timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23',
+});
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const clockFormatter = new Intl.DateTimeFormat('en-GB', {
+    timeZone: config.timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+});
+
+/**
+ * Calendar day as YYYY-MM-DD.
+ */
+function localDayKey(date = new Date()) {
+    return dayFormatter.format(date);
+}
+
+/**
+ * Minutes since local midnight (0–1439).
+ */
+function localMinutesOfDay(date = new Date()) {
+    const parts = clockFormatter.formatToParts(date);
+    const get = (type) => parseInt(parts.find((p) => p.type === type).value, 10);
+    return get('hour') * 60 + get('minute');
+}
+
+/**
+ * Parses "HH:MM" into minutes since midnight.
+ */
+function parseClock(hhmm) {
+    const [h, m] = String(hhmm).split(':').map(Number);
+    return h * 60 + (m || 0);
+}
+
+/**
+ * Whether a local time falls in [from, to), wrapping past midnight when from > to.
+ * @param {string} from — "HH:MM"
+ * @param {string} to — "HH:MM"
+ */
+function isWithinLocalWindow(from, to, date = new Date()) {
+    const now = localMinutesOfDay(date);
+    const start = parseClock(from);
+    const end = parseClock(to);
+    return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * Local calendar and clock fields (month is 1–12, weekday 0 = Sunday).
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number }}
+ */
+function localDateParts(date = new Date()) {
+    const parts = Object.fromEntries(partsFormatter.formatToParts(date).map((p) => [p.type, p.value]));
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: WEEKDAYS.indexOf(parts.weekday),
+    };
+}
+
+/**
+ * The instant at which the local clock shows the given fields.
+ * Day overflow (e.g. day 32) rolls into the next month.
+ */
+function localTimeToDate({ year, month, day, hour = 0, minute = 0 }) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+    // Offset of the zone at (roughly) that instant, applied twice to settle DST edges
+    let guess = asUtc;
+    for (let i = 0; i < 2; i++) {
+        const p = localDateParts(new Date(guess));
+        const offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - guess;
+        guess = asUtc - offset;
+    }
+    return new Date(guess);
+}
+
+module.exports = {
+    localDayKey,
+    localMinutesOfDay,
+    parseClock,
+    isWithinLocalWindow,
+    localDateParts,
+    localTimeToDate,
+};
@@ -0,0 +1,191 @@
+// ─── Natural-Language Time Parsing ─────────────────────────────────
+// Turns "kal 9 baje", "aaj shaam saade 6", "30 min baad", "parso subah",
+// "monday 10am" or "कल सुबह 9 बजे" into an instant, reading clock times
+// in the configured timezone (default IST).
+
+const { localDateParts, localTimeToDate } = require('./localTime');
+
+// Devanagari words and digits → the romanized forms the rules below expect
+const DEVANAGARI_WORDS = [
+    ['परसों', 'parso'], ['कल', 'kal'], ['आज', 'aaj'], ['बजे', 'baje'],
+    ['सुबह', 'subah'], ['दोपहर', 'dopahar'], ['शाम', 'shaam'], ['रात', 'raat'],
+    ['मिनट', 'minute'], ['घंटे', 'ghante'], ['घंटा', 'ghanta'], ['दिन', 'din'], ['बाद', 'baad'],
+    ['साढ़े', 'saade'], ['सवा', 'sava'], ['पौने', 'paune'],
+];
+
+const NUMBER_WORDS = {
+    ek: 1, do: 2, teen: 3, char: 4, chaar: 4, paanch: 5, panch: 5, das: 10, bees: 20, tees: 30,
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, ten: 10, fifteen: 15, twenty: 20, thirty: 30,
+};
+
+// "saade 9" = 9:30, "sava 9" = 9:15, "paune 9" = 8:45
+const FRACTION_MINUTES = { saade: 30, sade: 30, sava: 15, sawa: 15, paune: -15 };
+
+const UNIT_PATTERN = '(m|mins?|minutes?|minat|h|hrs?|hours?|ghant[aeo]n?|days?|din)';
+const RELATIVE_PATTERNS = [
+    new RegExp(`(\\bin\\s+)?\\b(\\d+(?:\\.\\d+)?)\\s*${UNIT_PATTERN}\\b\\s*(baad|mein|me|later)?`),
+    new RegExp(`(\\bin\\s+)?\\b(${Object.keys(NUMBER_WORDS).join('|')})\\s+${UNIT_PATTERN}\\b\\s*(baad|mein|me|later)?`),
+];
+
+const WEEKDAY_WORDS = [
+    ['sunday', 'ravivar', 'itvaar', 'itwar'],
+    ['monday', 'somvar', 'somwar'],
+    ['tuesday', 'mangalvar', 'mangalwar'],
+    ['wednesday', 'budhvar', 'budhwar'],
+    ['thursday', 'guruvar', 'guruwar', 'brihaspativar'],
+    ['friday', 'shukravar', 'shukrawar'],
+    ['saturday', 'shanivar', 'shaniwar'],
+];
+
+// Default clock time when only a part of day is given
+const PERIODS = {
+    subah: { hour: 9, shift: (h) => (h === 12 ? 0 : h) },
+    morning: { hour: 9, shift: (h) => (h === 12 ? 0 : h) },
+    dopahar: { hour: 13, shift: (h) => (h <= 5 ? h + 12 : h) },
+    afternoon: { hour: 14, shift: (h) => (h <= 5 ? h + 12 : h) },
+    shaam: { hour: 18, shift: (h) => (h < 12 ? h + 12 : h) },
+    evening: { hour: 18, shift: (h) => (h < 12 ? h + 12 : h) },
+    raat: { hour: 21, shift: (h) => (h >= 6 && h < 12 ? h + 12 : h === 12 ? 0 : h) },
+    night: { hour: 21, shift: (h) => (h >= 6 && h < 12 ? h + 12 : h === 12 ? 0 : h) },
+};
+
+const UNIT_MS = {
+    minute: 60_000,
+    hour: 3_600_000,
+    day: 86_400_000,
+};
+
+function normalize(text) {
+    let out = String(text || '').toLowerCase();
+    for (const [dev, latin] of DEVANAGARI_WORDS) out = out.split(dev).join(` ${latin} `);
+    out = out.replace(/[०-९]/g, (d) => String(d.charCodeAt(0) - 0x0966));
+    out = out.replace(/\bhalf an hour\b|\baadh[ae] ghant[ae]\b/g, '30 minutes');
+    return out.replace(/\s+/g, ' ').trim();
+}
+
+function unitOf(word) {
+    if (/^(m|min|mins|minute|minutes|minat)$/.test(word)) return 'minute';
+    if (/^(h|hr|hrs|hour|hours|ghanta|ghante|ghanton)$/.test(word)) return 'hour';
+    if (/^(day|days|din)$/.test(word)) return 'day';
+    return null;
+}
+
+/**
+ * "30 min baad", "in 2 hours", "aadhe ghante mein".
+ */
+function parseRelative(text, now) {
+    for (const pattern of RELATIVE_PATTERNS) {
+        const match = text.match(pattern);
+        // Needs "in …" or "… baad/mein/later" — a bare "10 min" is too vague
+        if (!match || !(match[1] || match[4])) continue;
+
+        const amount = /^\d/.test(match[2]) ? Number(match[2]) : NUMBER_WORDS[match[2]];
+        const unit = unitOf(match[3]);
+        if (amount && unit) return new Date(now.getTime() + amount * UNIT_MS[unit]);
+    }
+    return null;
+}
+
+/**
+ * Clock time from "9", "9:30", "9.30", "9pm", "saade 9", "sava 9", "paune 9".
+ * @returns {{ hour: number, minute: number, meridiem: 'am'|'pm'|null } | null}
+ */
+function parseClockTime(text) {
+    const fraction = text.match(/\b(saade|sade|sava|sawa|paune)\s+(\d{1,2})\b/);
+    if (fraction) {
+        const total = Number(fraction[2]) * 60 + FRACTION_MINUTES[fraction[1]];
+        if (total < 0 || total >= 24 * 60) return null;
+        const suffix = text.slice(fraction.index + fraction[0].length).match(/^\s*(am|pm)\b/);
+        return { hour: Math.floor(total / 60), minute: total % 60, meridiem: suffix ? suffix[1] : null };
+    }
+
+    const clock = text.match(/\b(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.|baje|bje|o'?clock)\b/)
+        || text.match(/\b(\d{1,2})[:.](\d{2})\b/)
+        || text.match(/\b(?:at|@)\s+(\d{1,2})()\b/)
+        // "shaam 7", "subah ko 8"
+        || text.match(new RegExp(`\\b(?:${Object.keys(PERIODS).join('|')})\\s+(?:ko\\s+)?(\\d{1,2})()\\b`));
+    if (!clock) return null;
+
+    const hour = Number(clock[1]);
+    const minute = Number(clock[2] || 0);
+    if (hour > 23 || minute > 59) return null;
+    const suffix = (clock[3] || '').replace(/\./g, '');
+    return { hour, minute, meridiem: suffix === 'am' || suffix === 'pm' ? suffix : null };
+}
+
+/**
+ * Day offset from "aaj", "kal", "parso", weekday names. null = not stated.
+ */
+function parseDayOffset(text, today) {
+    if (/\b(parso|parson|day after tomorrow)\b/.test(text)) return 2;
+    if (/\b(kal|tomorrow)\b/.test(text)) return 1;
+    if (/\b(aaj|today|tonight)\b/.test(text)) return 0;
+
+    for (const [weekday, words] of WEEKDAY_WORDS.entries()) {
+        if (words.some((word) => new RegExp(`\\b${word}\\b`).test(text))) {
+            const diff = (weekday - today + 7) % 7;
+            return diff === 0 ? 7 : diff;
+        }
+    }
+    return null;
+}
+
+/**
+ * Parses a natural-language time.
+ * @param {string} text
+ * @param {Date} [now]
+ * @returns {Date|null} null when no time could be understood
+ */
+function parseNaturalTime(text, now = new Date()) {
+    const normalized = normalize(text);
+    if (!normalized) return null;
+
+    // Absolute ISO timestamps pass straight through (no offset → local time)
+    const iso = normalized.match(/^(\d{4})-(\d{2})-(\d{2})[t ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?(z|[+-]\d{2}:?\d{2})?$/);
+    if (iso) {
+        if (iso[6]) return new Date(text);
+        return localTimeToDate({ year: +iso[1], month: +iso[2], day: +iso[3], hour: +iso[4], minute: +iso[5] });
+    }
+
+    const relative = parseRelative(normalized, now);
+    if (relative) return relative;
+
+    const today = localDateParts(now);
+    const dayOffset = parseDayOffset(normalized, today.weekday);
+    const clock = parseClockTime(normalized);
+    const periodWord = Object.keys(PERIODS).find((word) => new RegExp(`\\b${word}\\b`).test(normalized));
+    const period = periodWord && PERIODS[periodWord];
+
+    if (dayOffset === null && !clock && !period) return null;
+
+    let hour;
+    let minute = 0;
+    if (clock) {
+        ({ hour, minute } = clock);
+        if (clock.meridiem === 'pm' && hour < 12) hour += 12;
+        else if (clock.meridiem === 'am' && hour === 12) hour = 0;
+        else if (!clock.meridiem && period) hour = period.shift(hour);
+        // "5 baje" with no part of day almost always means the evening
+        else if (!clock.meridiem && hour >= 1 && hour <= 6) hour += 12;
+    } else {
+        hour = period ? period.hour : 9;
+    }
+
+    const at = (offset, h) => localTimeToDate({
+        year: today.year,
+        month: today.month,
+        day: today.day + offset,
+        hour: h,
+        minute,
+    });
+
+    if (dayOffset !== null) return at(dayOffset, hour);
+
+    // No day given: the next time the clock shows this time
+    let candidate = at(0, hour);
+    if (candidate <= now && clock && !clock.meridiem && !period && hour < 12) candidate = at(0, hour + 12);
+    if (candidate <= now) candidate = at(1, hour);
+    return candidate;
+}
+
+module.exports = { parseNaturalTime };
@@ -0,0 +1,113 @@
+// ─── Persisted Store ───────────────────────────────────────────────
+// A Map of records kept in a JSON file so it survives restarts — the
+// backing for reminders, tasks, call history and call jobs. Writes go to a
+// temp file and are renamed into place, so a crash never leaves half a
+// file. Mutations in the same event-loop turn share one write; pending
+// writes are flushed when the process exits.
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../middleware/auditLogger');
+
+/** Stores with a write pending, flushed on exit */
+const dirtyStores = new Set();
+
+process.on('exit', () => {
+    for (const store of dirtyStores) store.flush();
+});
+
+/**
+ * Loads (or starts) a persisted store.
+ * @param {object} options
+ * @param {string} options.file — path relative to backend/, from config
+ * @param {string} options.name — for log lines, e.g. "reminders"
+ * @param {string} [options.key] — record field used as the Map key (default "id")
+ * @param {(record: object) => boolean} [options.expired] — records dropped at load (pruning)
+ * @returns {{ records: Map<string, object>, save: () => void, flush: () => void, update: (record: object, changes: object) => object }}
+ */
+function createPersistedStore({ file, name, key = 'id', expired = () => false }) {
+    const storePath = path.resolve(__dirname, '..', '..', file);
+    const records = new Map();
+    let scheduled = false;
+
+    const store = {
+        records,
+
+        /** Writes the whole store now (atomic tmp + rename). */
+        flush() {
+            scheduled = false;
+            dirtyStores.delete(store);
+            fs.mkdirSync(path.dirname(storePath), { recursive: true });
+            const tmp = `${storePath}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify([...records.values()], null, 2));
+            fs.renameSync(tmp, storePath);
+        },
+
+        /** Schedules a write at the end of this event-loop turn. */
+        save() {
+            dirtyStores.add(store);
+            if (scheduled) return;
+            scheduled = true;
+            setImmediate(() => {
+                if (!scheduled) return;
+                try {
+                    store.flush();
+                } catch (err) {
+                    logger.error('Persisted store write failed', { store: name, file: storePath, error: err.message });
+                }
+            });
+        },
+
+        /** Merges changes into a record, stamps updatedAt and saves. */
+        update(record, changes) {
+            Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+            store.save();
+            return record;
+        },
+    };
+
+    if (fs.existsSync(storePath)) {
+        try {
+            let pruned = 0;
+            for (const record of JSON.parse(fs.readFileSync(storePath, 'utf8'))) {
+                if (expired(record)) {
+                    pruned += 1;
+                    continue;
+                }
+                records.set(record[key], record);
+            }
+            logger.info('Persisted store loaded', { store: name, file: storePath, count: records.size, pruned });
+        } catch (err) {
+            // Keep the bad file for inspection — the next save would overwrite it
+            records.clear();
+            const aside = `${storePath}.corrupt-${Date.now()}`;
+            fs.renameSync(storePath, aside);
+            logger.error('Persisted store unreadable — moved aside, starting empty', { store: name, file: storePath, movedTo: aside, error: err.message });
+        }
+    }
+    return store;
+}
+
+/**
+ * Runs tick now and then every ms, logging (not throwing) failures. The
+ * timer is unref'd so it never keeps the process alive.
+ * @param {() => void} tick
+ * @param {number} ms
+ * @param {string} name — for log lines
+ * @returns {NodeJS.Timeout}
+ */
+function startTickLoop(tick, ms, name) {
+    const run = () => {
+        try {
+            tick();
+        } catch (err) {
+            logger.error('Tick failed', { loop: name, error: err.message });
+        }
+    };
+    const interval = setInterval(run, ms);
+    interval.unref();
+    run();
+    return interval;
+}
+
+module.exports = { createPersistedStore, startTickLoop };
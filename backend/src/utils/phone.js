@@ -0,0 +1,107 @@
+// ─── Phone Numbers ─────────────────────────────────────────────────
+// Normalizes Indian and international numbers to E.164 ("+919876543210")
+// using a configurable default region, and rejects premium-rate numbers
+// and short codes before they reach Twilio or a tel: URI.
+
+const config = require('../config');
+
+/**
+ * Per-region dialing rules: country code, national number length(s) and
+ * the trunk prefix dropped from nationally-dialed numbers.
+ */
+const REGIONS = {
+    IN: { code: '91', nationalLengths: [10], trunkPrefix: '0' },
+    US: { code: '1', nationalLengths: [10], trunkPrefix: '1' },
+    CA: { code: '1', nationalLengths: [10], trunkPrefix: '1' },
+    GB: { code: '44', nationalLengths: [10], trunkPrefix: '0' },
+    AE: { code: '971', nationalLengths: [8, 9], trunkPrefix: '0' },
+    SG: { code: '65', nationalLengths: [8], trunkPrefix: null },
+    AU: { code: '61', nationalLengths: [9], trunkPrefix: '0' },
+};
+
+/**
+ * E.164 prefixes that bill the caller at premium rates.
+ */
+const PREMIUM_PREFIXES = [
+    '+911900', // IN premium-rate
+    '+91186', // IN shared-cost / premium
+    '+1900', // US/CA premium-rate
+    '+1976',
+    '+449', // GB premium-rate (09xx)
+    '+44871', '+44872', '+44873', // GB service numbers
+    '+61190', // AU premium SMS/voice
+];
+
+// Anything shorter than this is a carrier short code, not a subscriber
+const MIN_SUBSCRIBER_DIGITS = 8;
+const MAX_E164_DIGITS = 15;
+
+/**
+ * Whether a value is written as a number rather than a name.
+ */
+function looksLikePhoneNumber(value) {
+    return typeof value === 'string' && /^\+?[\d\s().-]{6,}$/.test(value.trim());
+}
+
+/**
+ * Normalizes a phone number to E.164.
+ * @param {string} input — e.g. "98765 43210", "+91-98765-43210", "09876543210"
+ * @param {{ region?: string }} [options] — ISO region for numbers without a country code
+ * @returns {{ valid: true, e164: string, region: string|null } | { valid: false, reason: string }}
+ */
+function normalizePhone(input, { region = config.phone.defaultRegion } = {}) {
+    if (typeof input !== 'string' || !input.trim()) {
+        return { valid: false, reason: 'Phone number is empty' };
+    }
+    if (!/^\+?[\d\s().-]+$/.test(input.trim())) {
+        return { valid: false, reason: 'Phone number may only contain digits, spaces, dashes and a leading +' };
+    }
+
+    let digits = input.replace(/[\s().-]/g, '');
+    if (digits.replace('+', '').length < MIN_SUBSCRIBER_DIGITS) {
+        return { valid: false, reason: 'Short codes are not allowed' };
+    }
+
+    let e164;
+    let matchedRegion = null;
+    if (digits.startsWith('+') || digits.startsWith('00')) {
+        e164 = `+${digits.replace(/^(\+|00)/, '')}`;
+    } else {
+        const rules = REGIONS[region];
+        if (!rules) {
+            return { valid: false, reason: `Unknown default region "${region}"` };
+        }
+        matchedRegion = region;
+
+        if (rules.trunkPrefix && digits.startsWith(rules.trunkPrefix)
+            && rules.nationalLengths.includes(digits.length - rules.trunkPrefix.length)) {
+            digits = digits.substring(rules.trunkPrefix.length);
+        } else if (digits.startsWith(rules.code)
+            && rules.nationalLengths.includes(digits.length - rules.code.length)) {
+            digits = digits.substring(rules.code.length);
+        }
+
+        if (!rules.nationalLengths.includes(digits.length)) {
+            return { valid: false, reason: `Not a valid ${region} number` };
+        }
+        e164 = `+${rules.code}${digits}`;
+    }
+
+    const subscriberDigits = e164.length - 1;
+    if (subscriberDigits < MIN_SUBSCRIBER_DIGITS || subscriberDigits > MAX_E164_DIGITS) {
+        return { valid: false, reason: 'Not a valid international number' };
+    }
+
+    // Indian numbers: 10 digits, no leading 0 after the country code
+    if (e164.startsWith('+91') && !/^\+91[1-9]\d{9}$/.test(e164)) {
+        return { valid: false, reason: 'Not a valid IN number' };
+    }
+
+    if (PREMIUM_PREFIXES.some((prefix) => e164.startsWith(prefix))) {
+        return { valid: false, reason: 'Premium-rate numbers are not allowed' };
+    }
+
+    return { valid: true, e164, region: matchedRegion };
+}
+
+module.exports = { normalizePhone, looksLikePhoneNumber };
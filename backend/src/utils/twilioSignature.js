@@ -0,0 +1,37 @@
+// ─── Twilio Request Signatures ─────────────────────────────────────
+// Twilio signs every webhook with X-Twilio-Signature: base64 HMAC-SHA1,
+// keyed by the account auth token, over the full callback URL followed by
+// each POST parameter as name+value, sorted by name.
+// https://www.twilio.com/docs/usage/security#validating-requests
+
+const crypto = require('crypto');
+
+/**
+ * Computes the signature Twilio would send for a request.
+ * @param {string} authToken
+ * @param {string} url — the exact URL Twilio requested, query string included
+ * @param {Record<string, string|string[]>} [params] — form-encoded POST body
+ * @returns {string} base64 signature
+ */
+function computeTwilioSignature(authToken, url, params = {}) {
+    const payload = Object.keys(params)
+        .sort()
+        .reduce((acc, key) => {
+            const values = Array.isArray(params[key]) ? params[key] : [params[key]];
+            return acc + values.map((value) => `${key}${value ?? ''}`).join('');
+        }, url);
+    return crypto.createHmac('sha1', authToken).update(Buffer.from(payload, 'utf8')).digest('base64');
+}
+
+/**
+ * Constant-time check of an X-Twilio-Signature header.
+ * @returns {boolean}
+ */
+function validateTwilioSignature(authToken, signature, url, params = {}) {
+    if (!authToken || typeof signature !== 'string' || !signature) return false;
+    const expected = Buffer.from(computeTwilioSignature(authToken, url, params));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { computeTwilioSignature, validateTwilioSignature };
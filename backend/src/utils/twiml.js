@@ -0,0 +1,302 @@
+// ─── TwiML Builder ─────────────────────────────────────────────────
+// Pure functions from call settings to TwiML XML — no config, no I/O, so
+// the same input always yields the same document (snapshot-tested by
+// src/__tests__/twiml.test.js).
+//
+// Scripts are plain text plus two markup forms, rendered as SSML:
+//   [pause 2s] / [pause 500ms]  → <break time="2000ms"/> (max 10s)
+//   *important*                 → <emphasis level="moderate">important</emphasis>
+// Everything else is XML-escaped, so model-written scripts can never
+// inject TwiML verbs or raw SSML.
+
+const DEFAULT_MAX_SAY_CHARS = 1000;
+
+/**
+ * Voice and language per profile, with default consent/closing lines and the
+ * fixed lines of two-way calls (greeting, silence, hang-up and refusal lines).
+ * Polly voices where Twilio has them, Google voices for other Indian languages.
+ */
+const VOICE_PROFILES = {
+    'hi-IN': {
+        voice: 'Polly.Aditi',
+        language: 'hi-IN',
+        consentText: 'Is call ko record kiya jayega. Agar aap agree nahi karte toh disconnect kar sakte hain.',
+        closingText: 'Kuch aur baat karni hai? Nahi toh call disconnect ho jayegi.',
+        lines: {
+            opening: 'Namaste! Main ek AI assistant hoon, aapke ek jaan-pehchaan wale ki taraf se call kar rahi hoon.',
+            silence: 'Hello? Kya aap mujhe sun pa rahe hain?',
+            noResponse: 'Lagta hai aawaz nahi aa rahi. Main baad mein call karungi. Dhanyavaad!',
+            turnLimit: 'Aapka bahut shukriya, main yeh baat unhe bata dungi. Namaste!',
+            error: 'Maaf kijiye, abhi connection mein dikkat hai. Main baad mein call karungi.',
+            refuseSecret: 'Maaf kijiye, yeh jaankari main phone par share nahi kar sakti.',
+        },
+    },
+    'en-IN': {
+        voice: 'Polly.Raveena',
+        language: 'en-IN',
+        consentText: 'This call will be recorded. If you do not agree, you may hang up now.',
+        closingText: 'Is there anything else? Otherwise the call will now end.',
+        lines: {
+            opening: 'Hello! I am an AI assistant, calling on behalf of someone you know.',
+            silence: 'Hello? Can you hear me?',
+            noResponse: 'It seems I cannot hear you. I will call back later. Thank you!',
+            turnLimit: 'Thank you so much, I will pass this on to them. Goodbye!',
+            error: 'Sorry, there is a connection problem right now. I will call back later.',
+            refuseSecret: 'Sorry, I cannot share that information over the phone.',
+        },
+    },
+    'ta-IN': {
+        voice: 'Google.ta-IN-Standard-A',
+        language: 'ta-IN',
+        consentText: 'இந்த அழைப்பு பதிவு செய்யப்படும். உங்களுக்கு சம்மதம் இல்லையென்றால் அழைப்பைத் துண்டிக்கலாம்.',
+        closingText: 'வேறு ஏதாவது பேச வேண்டுமா? இல்லையென்றால் அழைப்பு முடிவடையும்.',
+        lines: {
+            opening: 'வணக்கம்! நான் ஒரு AI உதவியாளர், உங்களுக்குத் தெரிந்த ஒருவரின் சார்பாக அழைக்கிறேன்.',
+            silence: 'ஹலோ? நான் பேசுவது உங்களுக்குக் கேட்கிறதா?',
+            noResponse: 'உங்கள் குரல் கேட்கவில்லை போல் தெரிகிறது. நான் பிறகு அழைக்கிறேன். நன்றி!',
+            turnLimit: 'மிக்க நன்றி, இதை அவரிடம் சொல்லிவிடுகிறேன். வணக்கம்!',
+            error: 'மன்னிக்கவும், இப்போது இணைப்பில் சிக்கல் உள்ளது. நான் பிறகு அழைக்கிறேன்.',
+            refuseSecret: 'மன்னிக்கவும், இந்தத் தகவலை தொலைபேசியில் பகிர முடியாது.',
+        },
+    },
+    'te-IN': {
+        voice: 'Google.te-IN-Standard-A',
+        language: 'te-IN',
+        consentText: 'ఈ కాల్ రికార్డ్ చేయబడుతుంది. మీకు సమ్మతం లేకపోతే కాల్ కట్ చేయవచ్చు.',
+        closingText: 'ఇంకేమైనా మాట్లాడాలా? లేకపోతే కాల్ ముగుస్తుంది.',
+        lines: {
+            opening: 'నమస్కారం! నేను ఒక AI అసిస్టెంట్‌ని, మీకు తెలిసిన ఒకరి తరపున కాల్ చేస్తున్నాను.',
+            silence: 'హలో? నా మాట మీకు వినిపిస్తోందా?',
+            noResponse: 'మీ గొంతు వినిపించడం లేదు. నేను తర్వాత మళ్ళీ కాల్ చేస్తాను. ధన్యవాదాలు!',
+            turnLimit: 'చాలా ధన్యవాదాలు, ఈ విషయం వారికి తెలియజేస్తాను. నమస్కారం!',
+            error: 'క్షమించండి, ప్రస్తుతం కనెక్షన్‌లో సమస్య ఉంది. నేను తర్వాత కాల్ చేస్తాను.',
+            refuseSecret: 'క్షమించండి, ఈ సమాచారాన్ని ఫోన్‌లో పంచుకోలేను.',
+        },
+    },
+    'bn-IN': {
+        voice: 'Google.bn-IN-Standard-A',
+        language: 'bn-IN',
+        consentText: 'এই কলটি রেকর্ড করা হবে। আপনি রাজি না থাকলে কলটি কেটে দিতে পারেন।',
+        closingText: 'আর কিছু বলার আছে? না থাকলে কলটি শেষ হয়ে যাবে।',
+        lines: {
+            opening: 'নমস্কার! আমি একজন AI সহকারী, আপনার পরিচিত একজনের হয়ে ফোন করছি।',
+            silence: 'হ্যালো? আপনি কি আমার কথা শুনতে পাচ্ছেন?',
+            noResponse: 'মনে হচ্ছে আপনার আওয়াজ আসছে না। আমি পরে আবার ফোন করব। ধন্যবাদ!',
+            turnLimit: 'অনেক ধন্যবাদ, আমি কথাটা ওনাকে জানিয়ে দেব। নমস্কার!',
+            error: 'দুঃখিত, এখন সংযোগে সমস্যা হচ্ছে। আমি পরে আবার ফোন করব।',
+            refuseSecret: 'দুঃখিত, এই তথ্য আমি ফোনে জানাতে পারব না।',
+        },
+    },
+    'mr-IN': {
+        voice: 'Google.mr-IN-Standard-A',
+        language: 'mr-IN',
+        consentText: 'हा कॉल रेकॉर्ड केला जाईल. तुम्हाला मान्य नसल्यास तुम्ही कॉल बंद करू शकता.',
+        closingText: 'अजून काही बोलायचं आहे का? नाहीतर कॉल बंद होईल.',
+        lines: {
+            opening: 'नमस्कार! मी एक AI सहाय्यक आहे, तुमच्या ओळखीच्या व्यक्तीच्या वतीने कॉल करत आहे.',
+            silence: 'हॅलो? तुम्हाला माझा आवाज ऐकू येतोय का?',
+            noResponse: 'तुमचा आवाज येत नाहीये असं दिसतंय. मी नंतर पुन्हा कॉल करेन. धन्यवाद!',
+            turnLimit: 'खूप खूप धन्यवाद, मी हे त्यांना सांगेन. नमस्कार!',
+            error: 'माफ करा, सध्या कनेक्शनमध्ये अडचण आहे. मी नंतर कॉल करेन.',
+            refuseSecret: 'माफ करा, ही माहिती मी फोनवर सांगू शकत नाही.',
+        },
+    },
+};
+
+function escapeXml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Script markup → escaped SSML.
+ */
+function renderSsml(text) {
+    return escapeXml(text)
+        .replace(/\[pause\s+(\d{1,5}(?:\.\d+)?)\s*(s|ms)\]/gi, (_m, amount, unit) => {
+            const ms = unit.toLowerCase() === 's' ? Number(amount) * 1000 : Number(amount);
+            return `<break time="${Math.min(Math.round(ms), 10_000)}ms"/>`;
+        })
+        .replace(/\*([^*\n]{1,100})\*/g, '<emphasis level="moderate">$1</emphasis>');
+}
+
+/**
+ * Splits a script into pieces of at most maxChars, preferring sentence
+ * ends (. ? ! ।), then commas, then spaces. Markup tokens are never split.
+ * @returns {string[]}
+ */
+function chunkScript(text, maxChars = DEFAULT_MAX_SAY_CHARS) {
+    const source = String(text || '').replace(/\s+/g, ' ').trim();
+    if (!source) return [];
+
+    const chunks = [];
+    let rest = source;
+    while (rest.length > maxChars) {
+        const window = rest.slice(0, maxChars + 1);
+        const cut = lastBreak(window, /[.?!।]\s/g) || lastBreak(window, /[,;]\s/g) || lastBreak(window, /\s/g) || maxChars;
+        chunks.push(rest.slice(0, cut).trim());
+        rest = rest.slice(cut).trim();
+    }
+    if (rest) chunks.push(rest);
+    return chunks;
+}
+
+// Index just past the last match in window that doesn't fall inside [...] or *...*
+function lastBreak(window, pattern) {
+    let best = 0;
+    for (const match of window.matchAll(pattern)) {
+        const end = match.index + match[0].length;
+        const before = window.slice(0, end);
+        const insideTag = before.lastIndexOf('[') > before.lastIndexOf(']');
+        const insideEmphasis = (before.match(/\*/g) || []).length % 2 === 1;
+        if (!insideTag && !insideEmphasis) best = end;
+    }
+    return best;
+}
+
+/**
+ * Merges a profile name with per-user/contact overrides.
+ * @param {object} [settings]
+ * @param {string} [settings.profile] — key of VOICE_PROFILES (default hi-IN)
+ * @param {string} [settings.voice] — overrides the profile's voice
+ * @param {string} [settings.consentText]
+ * @param {string} [settings.closingText] — empty string drops the closing line
+ * @returns {{ profile: string, voice: string, language: string, consentText: string, closingText: string, lines: object }}
+ */
+function resolveVoice({ profile = 'hi-IN', voice, consentText, closingText } = {}) {
+    const name = VOICE_PROFILES[profile] ? profile : 'hi-IN';
+    const base = VOICE_PROFILES[name];
+    return {
+        profile: name,
+        voice: voice || base.voice,
+        language: base.language,
+        consentText: consentText ?? base.consentText,
+        closingText: closingText ?? base.closingText,
+        lines: base.lines,
+    };
+}
+
+function sayAll(text, voice, maxChars) {
+    return chunkScript(text, maxChars)
+        .map((chunk) => `<Say voice="${escapeXml(voice.voice)}" language="${voice.language}">${renderSsml(chunk)}</Say>`)
+        .join('');
+}
+
+function document(body) {
+    return `<?xml version="1.0" encoding="UTF-8"?><Response>${body}</Response>`;
+}
+
+/**
+ * One-way call: optional consent notice, the script, then the closing line.
+ * @param {object} options
+ * @param {string} options.script
+ * @param {boolean} [options.record] — adds the audible consent notice
+ * @param {object} [options.voice] — settings for resolveVoice
+ * @param {number} [options.maxSayChars]
+ * @returns {string} TwiML
+ */
+function buildScriptTwiML({ script, record = false, voice: settings, maxSayChars = DEFAULT_MAX_SAY_CHARS }) {
+    const voice = resolveVoice(settings);
+    let body = '';
+    if (record) body += `${sayAll(voice.consentText, voice, maxSayChars)}<Pause length="3"/>`;
+    body += sayAll(script, voice, maxSayChars);
+    body += '<Pause length="2"/>';
+    if (voice.closingText) body += `${sayAll(voice.closingText, voice, maxSayChars)}<Pause length="5"/>`;
+    return document(body);
+}
+
+/**
+ * Two-way call turn: speak a line inside a speech <Gather> that posts the
+ * reply to actionUrl.
+ * @param {object} options
+ * @param {string} options.line
+ * @param {string} options.actionUrl
+ * @param {boolean} [options.record] — prepend the consent notice (first turn)
+ * @param {object} [options.voice]
+ * @param {number} [options.maxSayChars]
+ * @returns {string} TwiML
+ */
+function buildGatherTwiML({ line, actionUrl, record = false, voice: settings, maxSayChars = DEFAULT_MAX_SAY_CHARS }) {
+    const voice = resolveVoice(settings);
+    return document(
+        (record ? `${sayAll(voice.consentText, voice, maxSayChars)}<Pause length="2"/>` : '')
+        + `<Gather input="speech" language="${voice.language}" speechTimeout="auto"`
+        + ` actionOnEmptyResult="true" method="POST" action="${escapeXml(actionUrl)}">`
+        + sayAll(line, voice, maxSayChars)
+        + '</Gather>',
+    );
+}
+
+/**
+ * Final line, then hang up.
+ * @param {{ line?: string, voice?: object, maxSayChars?: number }} options
+ * @returns {string} TwiML
+ */
+function buildHangupTwiML({ line, voice: settings, maxSayChars = DEFAULT_MAX_SAY_CHARS } = {}) {
+    const voice = resolveVoice(settings);
+    return document(`${line ? sayAll(line, voice, maxSayChars) : ''}<Hangup/>`);
+}
+
+/**
+ * Speak a line, then record up to maxLength seconds after a beep and post
+ * the recording to actionUrl. Twilio falls through to the closing line when
+ * nothing was recorded.
+ * @param {{ line: string, actionUrl: string, maxLength?: number, closingLine?: string, voice?: object, maxSayChars?: number }} options
+ * @returns {string} TwiML
+ */
+function buildRecordTwiML({ line, actionUrl, maxLength = 30, closingLine, voice: settings, maxSayChars = DEFAULT_MAX_SAY_CHARS }) {
+    const voice = resolveVoice(settings);
+    return document(
+        sayAll(line, voice, maxSayChars)
+        + `<Record maxLength="${maxLength}" playBeep="true" trim="trim-silence" method="POST" action="${escapeXml(actionUrl)}"/>`
+        + (closingLine ? sayAll(closingLine, voice, maxSayChars) : '')
+        + '<Hangup/>',
+    );
+}
+
+/**
+ * Keeps a caller on the line: optional line, a pause, then Twilio fetches
+ * redirectUrl for what happens next.
+ * @param {{ line?: string, redirectUrl: string, pauseSeconds?: number, voice?: object, maxSayChars?: number }} options
+ * @returns {string} TwiML
+ */
+function buildHoldTwiML({ line, redirectUrl, pauseSeconds = 4, voice: settings, maxSayChars = DEFAULT_MAX_SAY_CHARS }) {
+    const voice = resolveVoice(settings);
+    return document(
+        (line ? sayAll(line, voice, maxSayChars) : '')
+        + `<Pause length="${pauseSeconds}"/>`
+        + `<Redirect method="POST">${escapeXml(redirectUrl)}</Redirect>`,
+    );
+}
+
+/**
+ * Optional line, then connect the caller to another number.
+ * @param {{ line?: string, number: string, callerId?: string, timeoutSeconds?: number, voice?: object, maxSayChars?: number }} options
+ * @returns {string} TwiML
+ */
+function buildDialTwiML({ line, number, callerId, timeoutSeconds = 20, voice: settings, maxSayChars = DEFAULT_MAX_SAY_CHARS }) {
+    const voice = resolveVoice(settings);
+    return document(
+        (line ? sayAll(line, voice, maxSayChars) : '')
+        + `<Dial timeout="${timeoutSeconds}"${callerId ? ` callerId="${escapeXml(callerId)}"` : ''}>`
+        + `<Number>${escapeXml(number)}</Number></Dial>`,
+    );
+}
+
+module.exports = {
+    VOICE_PROFILES,
+    buildScriptTwiML,
+    buildGatherTwiML,
+    buildHangupTwiML,
+    buildRecordTwiML,
+    buildHoldTwiML,
+    buildDialTwiML,
+    resolveVoice,
+    chunkScript,
+    renderSsml,
+    escapeXml,
+};
@@ -5,6 +5,17 @@
 const { WebSocketServer } = require('ws');
 const { processMessage } = require('../services/deepseek');
 const { validateAction } = require('../services/actionValidator');
+const { createPendingAction, consumePendingAction } = require('../services/pendingActions');
+const { executeConfirmedPlan, formatExecution } = require('../services/actionExecutor');
+const memory = require('../services/conversationMemory');
+const { syncContacts, resolvePlanRecipients } = require('../services/contactDirectory');
+const { snoozeReminder, cancelReminder, replayMissedReminders } = require('../services/reminderScheduler');
+const { cancelDispatch, setSendDelays } = require('../services/dispatchQueue');
+const { updateTask, proposeFollowUp } = require('../services/taskTracker');
+const { setVoiceSettings } = require('../services/voiceSettings');
+const { decideScreening } = require('../services/callScreening');
+const { cancelCallJob } = require('../services/callJobRunner');
+const { parseNaturalTime } = require('../utils/naturalTime');
 const { auditLog, logger } = require('../middleware/auditLogger');
 const config = require('../config');
 
@@ -85,6 +96,9 @@ function initWebSocket(server) {
                     ws.send(JSON.stringify({ type: 'auth_success', clientId }));
                     auditLog('request', { event: 'ws_authenticated', clientId, ip: clientIp });
                     logger.info('WebSocket client authenticated', { clientId });
+
+                    // Reminders that came due while this device was offline
+                    replayMissedReminders(clientId);
                 } else {
                     ws.send(JSON.stringify({ type: 'auth_failed', message: 'Invalid API key' }));
                     ws.close(4003, 'Invalid API key');
@@ -101,7 +115,8 @@ function initWebSocket(server) {
             // ── Message Processing ──
             if (msg.type === 'notification') {
                 try {
-                    const { mode, sender, message, timestamp, packageName } = msg.data;
+                    const { mode, sender, message, timestamp, packageName, chatId } = msg.data;
+                    const threadId = memory.threadKey(clientId, chatId || sender);
 
                     auditLog('request', {
                         event: 'notification_received',
@@ -112,12 +127,26 @@ function initWebSocket(server) {
                     });
 
                     // Process through DeepSeek
-                    const plan = await processMessage({ mode, sender, message, timestamp });
+                    const plan = await processMessage({ mode, sender, message, timestamp, threadId, clientId });
+
+                    // Contact names → numbers; ask back when it's unclear who
+                    const { plan: resolvedPlan, resolution } = resolvePlanRecipients(plan, clientId);
+                    if (resolution) {
+                        memory.recordPlanOutcome(threadId, plan, 'needs_recipient');
+                        ws.send(JSON.stringify({
+                            type: 'recipient_disambiguation',
+                            requestId: msg.requestId,
+                            resolution,
+                            human_text: resolution.prompt,
+                        }));
+                        return;
+                    }
 
                     // Validate
-                    const validation = validateAction(plan);
+                    const validation = validateAction(resolvedPlan, { channel: packageName, clientId });
 
                     if (!validation.valid) {
+                        memory.recordPlanOutcome(threadId, plan, 'blocked');
                         ws.send(JSON.stringify({
                             type: 'action_rejected',
                             requestId: msg.requestId,
@@ -127,11 +156,13 @@ function initWebSocket(server) {
                         return;
                     }
 
-                    // Send plan back to client for confirmation
+                    // Store server-side, send plan + signed ID back for confirmation
+                    const { planId, expiresAt } = createPendingAction(validation.sanitizedPlan, { clientId, threadId });
+
                     ws.send(JSON.stringify({
                         type: 'action_proposed',
                         requestId: msg.requestId,
-                        plan: validation.sanitizedPlan,
+                        plan: { ...validation.sanitizedPlan, plan_id: planId, expires_at: expiresAt },
                     }));
 
                 } catch (err) {
@@ -140,6 +171,12 @@ function initWebSocket(server) {
                         type: 'error',
                         requestId: msg.requestId,
                         message: `Processing failed: ${err.message}`,
+                        ...(err.code === 'INVALID_PLAN' && {
+                            human_text: 'AI ka jawab samajh nahi aaya. Ek baar phir try karo.',
+                        }),
+                        ...(err.code === 'BUDGET_EXCEEDED' && {
+                            human_text: 'Aaj ka AI budget khatam ho gaya hai. Baad mein try karo.',
+                        }),
                     }));
                 }
                 return;
@@ -147,34 +184,77 @@ function initWebSocket(server) {
 
             // ── Action Confirmation ──
             if (msg.type === 'action_confirm') {
-                const { plan, double_confirmed } = msg.data;
+                const { double_confirmed, approved_steps } = msg.data || {};
+                const planId = msg.data?.plan_id || msg.data?.plan?.plan_id;
 
-                if (['high', 'critical'].includes(plan.risk_level) && !double_confirmed) {
+                let execution;
+                try {
+                    execution = await executeConfirmedPlan({
+                        planId,
+                        clientId,
+                        doubleConfirmed: Boolean(double_confirmed),
+                        approvedSteps: approved_steps,
+                    });
+                } catch (err) {
+                    logger.error('WS action execution error', { error: err.message, clientId, planId });
                     ws.send(JSON.stringify({
-                        type: 'double_confirm_required',
+                        type: 'error',
                         requestId: msg.requestId,
-                        plan,
+                        message: `Execution failed: ${err.message}`,
+                        human_text: 'Action chalate waqt dikkat aayi. Ek baar phir try karo.',
                     }));
                     return;
                 }
 
-                auditLog('action_confirmed', {
-                    clientId,
-                    intent: plan.intent,
-                    riskLevel: plan.risk_level,
-                });
+                if (!execution.ok) {
+                    if (execution.code === 'double_confirm_required') {
+                        ws.send(JSON.stringify({
+                            type: 'double_confirm_required',
+                            requestId: msg.requestId,
+                            plan: { ...execution.plan, plan_id: planId },
+                            approved_steps: execution.approvedSteps,
+                        }));
+                    } else {
+                        ws.send(JSON.stringify({
+                            type: 'action_rejected',
+                            requestId: msg.requestId,
+                            reason: execution.reason || execution.error,
+                            code: execution.code,
+                        }));
+                    }
+                    return;
+                }
+
+                // One execute per executed step, in order — the client performs
+                // device-side actions (WhatsApp send, app launch) from these.
+                // Queued sends get theirs from the dispatch queue once committed.
+                for (const entry of execution.results.filter((r) => r.status === 'executed')) {
+                    ws.send(JSON.stringify({
+                        type: 'execute',
+                        requestId: msg.requestId,
+                        step: entry.step,
+                        plan: entry.plan,
+                        result: entry.result,
+                    }));
+                }
 
-                // Dispatch execution instruction back to client
                 ws.send(JSON.stringify({
-                    type: 'execute',
+                    type: 'execute_complete',
                     requestId: msg.requestId,
-                    plan,
+                    ...formatExecution(execution),
                 }));
                 return;
             }
 
             // ── Action Rejection ──
             if (msg.type === 'action_reject') {
+                // Burn the plan ID so it cannot be confirmed later
+                const planId = msg.data?.plan_id || msg.data?.plan?.plan_id;
+                if (planId) {
+                    const rejected = consumePendingAction(planId, { clientId });
+                    if (rejected.valid) memory.recordPlanOutcome(rejected.threadId, rejected.plan, 'rejected');
+                }
+
                 auditLog('action_rejected', {
                     clientId,
                     intent: msg.data?.intent,
@@ -189,6 +269,144 @@ function initWebSocket(server) {
                 return;
             }
 
+            // ── Clear Conversation Memory ──
+            if (msg.type === 'memory_clear') {
+                const chatId = msg.data?.chatId || msg.data?.sender;
+                if (!chatId) {
+                    ws.send(JSON.stringify({ type: 'error', requestId: msg.requestId, message: 'Missing chatId' }));
+                    return;
+                }
+                const cleared = memory.clearThread(memory.threadKey(clientId, chatId));
+                ws.send(JSON.stringify({ type: 'memory_cleared', requestId: msg.requestId, chatId, cleared }));
+                return;
+            }
+
+            // ── Contact Directory Sync ──
+            if (msg.type === 'contacts_sync') {
+                try {
+                    const { contacts, replace } = msg.data || {};
+                    const result = syncContacts(clientId, contacts, { replace: replace !== false });
+                    ws.send(JSON.stringify({ type: 'contacts_synced', requestId: msg.requestId, ...result }));
+                } catch (err) {
+                    ws.send(JSON.stringify({ type: 'error', requestId: msg.requestId, message: err.message }));
+                }
+                return;
+            }
+
+            // ── Reminder Snooze / Cancel ──
+            if (msg.type === 'reminder_snooze' || msg.type === 'reminder_cancel') {
+                const { id, until } = msg.data || {};
+                let result;
+                if (msg.type === 'reminder_cancel') {
+                    result = cancelReminder(id, { clientId });
+                } else {
+                    const untilDate = until ? parseNaturalTime(until) : undefined;
+                    result = until && !untilDate
+                        ? { ok: false, error: `Could not understand time "${until}"` }
+                        : snoozeReminder(id, { clientId, until: untilDate });
+                }
+
+                ws.send(JSON.stringify(result.ok
+                    ? { type: 'reminder_updated', requestId: msg.requestId, reminder: result.reminder }
+                    : { type: 'error', requestId: msg.requestId, message: result.error }));
+                return;
+            }
+
+            // ── Follow-Up Tasks ──
+            if (msg.type === 'task_update') {
+                const { taskId, status, due } = msg.data || {};
+                const dueAt = due ? parseNaturalTime(due) : due;
+                const result = due && !dueAt
+                    ? { ok: false, error: `Could not understand time "${due}"` }
+                    : updateTask(taskId, { status, dueAt }, { clientId });
+
+                ws.send(JSON.stringify(result.ok
+                    ? { type: 'task_updated', requestId: msg.requestId, task: result.task }
+                    : { type: 'error', requestId: msg.requestId, message: result.error }));
+                return;
+            }
+
+            if (msg.type === 'task_follow_up') {
+                const result = proposeFollowUp(msg.data?.taskId, { clientId });
+                ws.send(JSON.stringify(result.ok
+                    ? { type: 'action_proposed', requestId: msg.requestId, plan: result.plan }
+                    : { type: 'error', requestId: msg.requestId, message: result.reason || result.error }));
+                return;
+            }
+
+            // ── Inbound Screening Card ──
+            if (msg.type === 'screening_decision') {
+                const result = decideScreening(msg.data?.callId, {
+                    decision: msg.data?.decision,
+                    message: msg.data?.message,
+                }, { clientId });
+                ws.send(JSON.stringify(result.ok
+                    ? {
+                        type: 'screening_decided',
+                        requestId: msg.requestId,
+                        callId: result.call.callId,
+                        decision: result.call.screening.decision.type,
+                        ...(result.plan && { plan: result.plan }),
+                    }
+                    : {
+                        type: 'error',
+                        requestId: msg.requestId,
+                        message: result.reason || result.error,
+                        ...(result.human_text && { human_text: result.human_text }),
+                    }));
+                return;
+            }
+
+            // ── Scheduled Call Cancel ──
+            if (msg.type === 'call_job_cancel') {
+                const result = cancelCallJob(msg.data?.jobId, { clientId });
+                ws.send(JSON.stringify(result.ok
+                    ? { type: 'call_job_cancelled', requestId: msg.requestId, job: result.job }
+                    : { type: 'error', requestId: msg.requestId, message: result.error, ...(result.code && { code: result.code }) }));
+                return;
+            }
+
+            // ── Undo a Delayed Send ──
+            if (msg.type === 'dispatch_cancel') {
+                const result = cancelDispatch(msg.data?.dispatchId, { clientId, notify: false });
+                ws.send(JSON.stringify(result.ok
+                    ? {
+                        type: 'dispatch_cancelled',
+                        requestId: msg.requestId,
+                        dispatchId: result.dispatch.id,
+                        human_text: 'Message rok diya, nahi bheja gaya.',
+                    }
+                    : {
+                        type: 'error',
+                        requestId: msg.requestId,
+                        message: result.error,
+                        ...(result.code === 'too_late' && { human_text: 'Der ho gayi — message already bhej diya.' }),
+                    }));
+                return;
+            }
+
+            // ── Send-Delay Preferences ──
+            if (msg.type === 'send_delay_set') {
+                try {
+                    const delaysMs = setSendDelays(clientId, msg.data?.delaysMs);
+                    ws.send(JSON.stringify({ type: 'send_delay_updated', requestId: msg.requestId, delaysMs }));
+                } catch (err) {
+                    ws.send(JSON.stringify({ type: 'error', requestId: msg.requestId, message: err.message }));
+                }
+                return;
+            }
+
+            // ── Call Voice Settings ──
+            if (msg.type === 'voice_settings_set') {
+                const result = setVoiceSettings(clientId, msg.data || {});
+                if (!result.ok) {
+                    ws.send(JSON.stringify({ type: 'error', requestId: msg.requestId, message: result.error }));
+                    return;
+                }
+                ws.send(JSON.stringify({ type: 'voice_settings_updated', requestId: msg.requestId, settings: result.settings }));
+                return;
+            }
+
             // ── Ping ──
             if (msg.type === 'ping') {
                 ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));